@@ -0,0 +1,308 @@
+// js/ControlsScene.js
+// Rebinding screen for keyboard and gamepad controls
+// ------------------------------------------------------
+
+// Phaser is loaded globally via CDN in index.html - no import needed
+import InputBindings, { KEYS_PER_ACTION, PROFILE_COUNT, keyNameForCode } from './lib/InputBindings.js';
+
+/**
+ * Rows of the bindings table, top to bottom
+ * @type {Array<{action: string, label: string}>}
+ */
+const ACTION_ROWS = [
+    { action: 'rotateCounterClockwise', label: 'ROTATE CCW' },
+    { action: 'rotateClockwise', label: 'ROTATE CW' },
+    { action: 'brakeAction', label: 'BRAKE' },
+    { action: 'trickAction', label: 'TRICK' },
+    { action: 'walkLeft', label: 'WALK LEFT' },
+    { action: 'walkRight', label: 'WALK RIGHT' },
+    { action: 'jump', label: 'JUMP' },
+    { action: 'toggleWalkMode', label: 'WALK / SLED' }
+];
+
+/**
+ * Columns: the key slots, then the gamepad
+ * @type {Array<{header: string, x: number}>}
+ */
+const COLUMNS = [
+    ...Array.from({ length: KEYS_PER_ACTION }, (_, slot) => ({ header: `KEY ${slot + 1}`, x: 0.45 + slot * 0.16 })),
+    { header: 'GAMEPAD', x: 0.8 }
+];
+
+/**
+ * Stick travel needed before a direction counts when capturing a gamepad input
+ * @type {number}
+ */
+const CAPTURE_STICK_THRESHOLD = 0.5;
+
+/**
+ * Short label for a gamepad input, e.g. 'button:0' -> 'BTN 0'
+ * @param {string} input - Gamepad input
+ * @returns {string} Label
+ */
+export function formatGamepadInput(input) {
+    const [type, value] = input.split(':');
+    return type === 'stick' ? `STICK ${value.toUpperCase()}` : `BTN ${value}`;
+}
+
+/**
+ * Gamepad inputs active in a Gamepad API snapshot
+ * @param {Gamepad} pad - Pad from navigator.getGamepads()
+ * @returns {Array<string>} Active inputs, buttons first
+ */
+export function activeGamepadInputs(pad) {
+    const inputs = [];
+    pad.buttons.forEach((button, index) => {
+        if (button.pressed) inputs.push(`button:${index}`);
+    });
+    const [x = 0, y = 0] = pad.axes;
+    if (y < -CAPTURE_STICK_THRESHOLD) inputs.push('stick:up');
+    if (y > CAPTURE_STICK_THRESHOLD) inputs.push('stick:down');
+    if (x < -CAPTURE_STICK_THRESHOLD) inputs.push('stick:left');
+    if (x > CAPTURE_STICK_THRESHOLD) inputs.push('stick:right');
+    return inputs;
+}
+
+/**
+ * Shows the active bindings profile as a table and lets the player rebind any cell,
+ * switch profiles and reset a profile to the defaults. Inputs bound to two actions
+ * that can fire together are shown in red with a warning.
+ *
+ * Start data: `{ returnTo }`, handled like SettingsScene's.
+ *
+ * @extends Phaser.Scene
+ */
+export default class ControlsScene extends Phaser.Scene {
+    /**
+     * Constructs the ControlsScene.
+     */
+    constructor() {
+        super({ key: 'ControlsScene' });
+        this.key = 'ControlsScene';
+    }
+
+    /**
+     * Receives where to go back to.
+     * @param {Object} [data] - Start data
+     * @param {string} [data.returnTo='StartScene'] - Scene to return to
+     */
+    init(data) {
+        this.returnTo = data && data.returnTo ? data.returnTo : 'StartScene';
+        this.bindings = new InputBindings();
+        this.row = 0;
+        this.column = 0;
+        this.capturing = null; // 'key' or 'gamepad' while waiting for the new input
+        this.cellTexts = [];
+    }
+
+    /**
+     * Draws the table.
+     */
+    create() {
+        const { width, height } = this.cameras.main;
+
+        this.add.rectangle(0, 0, width, height, 0x000022, 0.95).setOrigin(0);
+
+        this.add.text(width / 2, height * 0.08, 'CONTROLS', {
+            fontFamily: '"Press Start 2P"',
+            fontSize: '32px',
+            color: '#ff00ff',
+            stroke: '#ffffff',
+            strokeThickness: 2
+        }).setOrigin(0.5);
+
+        const style = { fontFamily: '"Press Start 2P"', fontSize: '12px', color: '#ffffff' };
+        this.profileText = this.add.text(width / 2, height * 0.16, '', { ...style, color: '#ffff00' }).setOrigin(0.5);
+
+        const top = height * 0.24;
+        const rowHeight = Math.min(40, (height * 0.5) / (ACTION_ROWS.length + 1));
+        COLUMNS.forEach(column => {
+            this.add.text(width * column.x, top, column.header, { ...style, color: '#ff00ff' }).setOrigin(0.5);
+        });
+
+        ACTION_ROWS.forEach((row, rowIndex) => {
+            const y = top + rowHeight * (rowIndex + 1);
+            this.add.text(width * 0.08, y, row.label, style).setOrigin(0, 0.5);
+            this.cellTexts.push(COLUMNS.map((column, columnIndex) => {
+                const text = this.add.text(width * column.x, y, '', style).setOrigin(0.5).setInteractive({ useHandCursor: true });
+                text.on('pointerdown', () => {
+                    this.selectCell(rowIndex, columnIndex);
+                    this.startCapture();
+                });
+                return text;
+            }));
+        });
+
+        this.conflictText = this.add.text(width / 2, height * 0.8, '', { ...style, color: '#ff3366', align: 'center' }).setOrigin(0.5);
+        this.footerText = this.add.text(width / 2, height * 0.92, '', { ...style, fontSize: '10px', align: 'center' }).setOrigin(0.5);
+
+        this.input.keyboard.on('keydown', this.handleKey, this);
+        this.events.once('shutdown', this.shutdown, this);
+
+        this.refresh();
+    }
+
+    /**
+     * Polls the gamepad while waiting for a gamepad input. Polling the browser API
+     * directly works whether or not Phaser's gamepad plugin is running.
+     */
+    update() {
+        if (this.capturing !== 'gamepad' || typeof navigator === 'undefined' || !navigator.getGamepads) {
+            return;
+        }
+        const pad = Array.from(navigator.getGamepads()).find(Boolean);
+        if (!pad) return;
+
+        // Wait for a fresh press, so the button that opened the capture is not bound
+        const inputs = activeGamepadInputs(pad);
+        const fresh = inputs.find(input => !this.heldAtCapture.includes(input));
+        this.heldAtCapture = this.heldAtCapture.filter(input => inputs.includes(input));
+        if (fresh) {
+            this.bindings.bindGamepad(ACTION_ROWS[this.row].action, fresh);
+            this.capturing = null;
+            this.refresh();
+        }
+    }
+
+    /**
+     * Moves the cursor
+     * @param {number} row - Row index
+     * @param {number} column - Column index
+     */
+    selectCell(row, column) {
+        this.row = (row + ACTION_ROWS.length) % ACTION_ROWS.length;
+        this.column = (column + COLUMNS.length) % COLUMNS.length;
+        this.refresh();
+    }
+
+    /**
+     * Whether the cursor is on the gamepad column
+     * @returns {boolean} True for the gamepad column
+     */
+    isGamepadColumn() {
+        return this.column === KEYS_PER_ACTION;
+    }
+
+    /**
+     * Waits for the next key or gamepad input for the selected cell
+     */
+    startCapture() {
+        this.capturing = this.isGamepadColumn() ? 'gamepad' : 'key';
+        const pad = typeof navigator !== 'undefined' && navigator.getGamepads
+            ? Array.from(navigator.getGamepads()).find(Boolean)
+            : null;
+        this.heldAtCapture = pad ? activeGamepadInputs(pad) : [];
+        this.refresh();
+    }
+
+    /**
+     * Clears the selected cell
+     */
+    clearCell() {
+        const { action } = ACTION_ROWS[this.row];
+        if (this.isGamepadColumn()) {
+            this.bindings.bindGamepad(action, null);
+        } else {
+            this.bindings.bindKey(action, this.column, null);
+        }
+        this.refresh();
+    }
+
+    /**
+     * Keyboard handling: navigation, or the new binding while capturing
+     * @param {KeyboardEvent} event - Key event from Phaser
+     */
+    handleKey(event) {
+        if (this.capturing) {
+            // Esc always cancels, so it can't be bound from here
+            if (event.key !== 'Escape' && this.capturing === 'key') {
+                const keyName = keyNameForCode(event.keyCode);
+                if (!keyName) return;
+                this.bindings.bindKey(ACTION_ROWS[this.row].action, this.column, keyName);
+            }
+            this.capturing = null;
+            this.refresh();
+            return;
+        }
+
+        switch (event.key) {
+            case 'ArrowUp': this.selectCell(this.row - 1, this.column); break;
+            case 'ArrowDown': this.selectCell(this.row + 1, this.column); break;
+            case 'ArrowLeft': this.selectCell(this.row, this.column - 1); break;
+            case 'ArrowRight': this.selectCell(this.row, this.column + 1); break;
+            case 'Enter': this.startCapture(); break;
+            case 'Backspace':
+            case 'Delete': this.clearCell(); break;
+            case 'p':
+            case 'P':
+                this.bindings.setActiveProfile((this.bindings.activeIndex + 1) % PROFILE_COUNT);
+                this.refresh();
+                break;
+            case 'r':
+            case 'R':
+                this.bindings.resetProfile();
+                this.refresh();
+                break;
+            case 'Escape': this.close(); break;
+        }
+    }
+
+    /**
+     * Redraws the cells, the conflict warning and the footer
+     */
+    refresh() {
+        const conflicts = this.bindings.getConflicts();
+        const clashing = (device, action, input) => conflicts.some(conflict =>
+            conflict.device === device && conflict.input === input && conflict.actions.includes(action));
+
+        this.profileText.setText(`PROFILE ${this.bindings.activeIndex + 1} OF ${PROFILE_COUNT}`);
+
+        ACTION_ROWS.forEach(({ action }, rowIndex) => {
+            const keys = this.bindings.getKeys(action);
+            const padInputs = this.bindings.getGamepadInputs(action);
+            this.cellTexts[rowIndex].forEach((text, columnIndex) => {
+                const isPad = columnIndex === KEYS_PER_ACTION;
+                const selected = rowIndex === this.row && columnIndex === this.column;
+                let label = isPad ? padInputs.map(formatGamepadInput).join(' / ') : keys[columnIndex];
+                const conflict = isPad
+                    ? padInputs.some(input => clashing('gamepad', action, input))
+                    : !!label && clashing('keyboard', action, label);
+
+                if (selected && this.capturing) label = '...';
+                text.setText(label || '-');
+                text.setColor(selected ? '#ffff00' : (conflict ? '#ff3366' : '#00ffff'));
+            });
+        });
+
+        const labelFor = action => ACTION_ROWS.find(row => row.action === action).label;
+        this.conflictText.setText(conflicts.slice(0, 3).map(conflict => {
+            const input = conflict.device === 'gamepad' ? formatGamepadInput(conflict.input) : conflict.input;
+            return `CONFLICT: ${input} IS ${labelFor(conflict.actions[0])} AND ${labelFor(conflict.actions[1])}`;
+        }).join('\n'));
+
+        this.footerText.setText(this.capturing === 'key'
+            ? 'PRESS THE NEW KEY - ESC TO CANCEL'
+            : this.capturing === 'gamepad'
+                ? 'PRESS A GAMEPAD BUTTON OR PUSH THE LEFT STICK - ESC TO CANCEL'
+                : 'ARROWS MOVE - ENTER REBINDS - BACKSPACE CLEARS\nP NEXT PROFILE - R RESET PROFILE TO DEFAULTS - ESC BACK');
+    }
+
+    /**
+     * Goes back to the scene that opened the controls screen
+     */
+    close() {
+        if (this.scene.isSleeping(this.returnTo)) {
+            this.scene.stop();
+            this.scene.wake(this.returnTo);
+        } else {
+            this.scene.start(this.returnTo);
+        }
+    }
+
+    /**
+     * Removes the keyboard listener when leaving the scene.
+     */
+    shutdown() {
+        this.input.keyboard.off('keydown', this.handleKey, this);
+    }
+}
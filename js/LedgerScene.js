@@ -0,0 +1,234 @@
+// js/LedgerScene.js
+// Pascal's Ledger: Top-10 screen with initials entry
+// ------------------------------------------------------
+
+// Phaser is loaded globally via CDN in index.html - no import needed
+import PascalsLedger, { INITIALS_LENGTH, LEDGER_TOP_COUNT, normalizeInitials } from './lib/PascalsLedger.js';
+
+/**
+ * Table columns: header, x position as a share of the screen width, and how to print a run
+ * @type {Array<{header: string, x: number, format: Function}>}
+ */
+const COLUMNS = [
+    { header: '#', x: 0.08, format: (run, rank) => String(rank) },
+    { header: 'NAME', x: 0.15, format: run => run.initials || '---' },
+    { header: 'SCORE', x: 0.30, format: run => String(run.score) },
+    { header: 'DIST', x: 0.46, format: run => `${run.distance}m` },
+    { header: 'FLIPS', x: 0.58, format: run => String(run.flips) },
+    { header: 'END', x: 0.69, format: run => run.causeOfDeath.replace(/-/g, ' ').toUpperCase() },
+    { header: 'DATE', x: 0.85, format: run => run.date.slice(0, 10) }
+];
+
+/**
+ * Shows the device leaderboard after a run ends. When the finished run makes the
+ * Top-10, the player types their initials before the table is shown.
+ *
+ * Start data: `{ run }`, the finished run as built by ModularGameScene.createLedgerEntry(),
+ * or `{ entry }`, a run the results screen already stored. Without either (opened from a
+ * menu) it just shows the table.
+ *
+ * @extends Phaser.Scene
+ */
+export default class LedgerScene extends Phaser.Scene {
+    /**
+     * Constructs the LedgerScene.
+     */
+    constructor() {
+        super({ key: 'LedgerScene' });
+        this.key = 'LedgerScene';
+        this.ledger = new PascalsLedger();
+    }
+
+    /**
+     * Receives the finished run, if any.
+     * @param {Object} [data] - Start data
+     * @param {Object} [data.run] - Run to record before showing the table
+     * @param {Object} [data.entry] - Stored run to highlight, and sign if it made the Top-10
+     */
+    init(data) {
+        this.pendingRun = data && data.run ? data.run : null;
+        this.currentEntry = data && data.entry ? data.entry : null;
+        this.initials = '';
+        this.enteringInitials = false;
+        this.tableTexts = [];
+    }
+
+    /**
+     * Draws the screen and loads the ledger.
+     */
+    create() {
+        const { width, height } = this.cameras.main;
+
+        // Same arcade backdrop as the start screen
+        const background = this.add.graphics();
+        background.fillStyle(0x000022, 1);
+        background.fillRect(0, 0, width, height);
+        for (let y = 0; y < height; y += 4) {
+            background.lineStyle(1, 0x000000, 0.1);
+            background.lineBetween(0, y, width, y);
+        }
+        background.lineStyle(8, 0xff00ff, 1);
+        background.strokeRect(4, 4, width - 8, height - 8);
+
+        this.add.text(width / 2, height * 0.1, "PASCAL'S LEDGER", {
+            fontFamily: '"Press Start 2P"',
+            fontSize: '32px',
+            color: '#ff00ff',
+            stroke: '#ffffff',
+            strokeThickness: 2
+        }).setOrigin(0.5);
+
+        this.statusText = this.add.text(width / 2, height * 0.2, 'READING LEDGER...', {
+            fontFamily: '"Press Start 2P"',
+            fontSize: '16px',
+            color: '#ffff00',
+            align: 'center'
+        }).setOrigin(0.5);
+
+        this.footerText = this.add.text(width / 2, height * 0.92, '', {
+            fontFamily: '"Press Start 2P"',
+            fontSize: '14px',
+            color: '#00ffff'
+        }).setOrigin(0.5);
+
+        this.input.keyboard.on('keydown', this.handleKey, this);
+        this.events.once('shutdown', this.shutdown, this);
+
+        this.loadLedger();
+    }
+
+    /**
+     * Records the pending run (if any), then shows either initials entry or the table.
+     * An unsigned current entry that made the Top-10 goes to initials entry too.
+     * Storage failures never trap the player here; the screen still lets them continue.
+     */
+    async loadLedger() {
+        try {
+            if (this.pendingRun) {
+                this.currentEntry = await this.ledger.recordRun(this.pendingRun);
+                this.pendingRun = null;
+            }
+            if (this.currentEntry && !this.currentEntry.initials) {
+                const rank = await this.ledger.getRank(this.currentEntry.id);
+                if (!this.scene.isActive()) return;
+
+                if (rank !== null && rank <= LEDGER_TOP_COUNT) {
+                    this.startInitialsEntry(rank);
+                    return;
+                }
+            }
+            await this.showTable();
+        } catch (error) {
+            console.warn('LedgerScene: ledger unavailable -', error.message);
+            if (!this.scene.isActive()) return;
+            this.statusText.setText('LEDGER UNAVAILABLE ON THIS DEVICE');
+            this.footerText.setText('PRESS ENTER TO CONTINUE');
+        }
+    }
+
+    /**
+     * Switches to initials entry for a run that made the Top-10
+     * @param {number} rank - Where the run placed
+     */
+    startInitialsEntry(rank) {
+        this.enteringInitials = true;
+        this.statusText.setText(`NEW TOP ${LEDGER_TOP_COUNT} ENTRY - RANK ${rank}\nSCORE ${this.currentEntry.score}\n\nENTER YOUR INITIALS`);
+        this.statusText.setLineSpacing(12);
+
+        const { width, height } = this.cameras.main;
+        this.initialsText = this.add.text(width / 2, height * 0.45, '', {
+            fontFamily: '"Press Start 2P"',
+            fontSize: '40px',
+            color: '#00ff88'
+        }).setOrigin(0.5);
+        this.updateInitialsText();
+        this.footerText.setText('TYPE A-Z 0-9  -  ENTER TO SIGN');
+    }
+
+    /**
+     * Shows the typed initials padded with underscores
+     */
+    updateInitialsText() {
+        this.initialsText.setText(this.initials.padEnd(INITIALS_LENGTH, '_').split('').join(' '));
+    }
+
+    /**
+     * Keyboard handler for both initials entry and the table
+     * @param {KeyboardEvent} event - Key event from Phaser
+     */
+    handleKey(event) {
+        if (!this.enteringInitials) {
+            if (event.key === 'Enter' || event.key === ' ' || event.key === 'Escape') {
+                this.scene.start('StartScene');
+            }
+            return;
+        }
+
+        if (event.key === 'Backspace') {
+            this.initials = this.initials.slice(0, -1);
+        } else if (event.key === 'Enter') {
+            if (this.initials.length > 0) this.confirmInitials();
+            return;
+        } else if (event.key.length === 1) {
+            this.initials = normalizeInitials(this.initials + event.key);
+        }
+        this.updateInitialsText();
+    }
+
+    /**
+     * Saves the initials and moves on to the table
+     */
+    async confirmInitials() {
+        this.enteringInitials = false;
+        this.initialsText.destroy();
+        this.initialsText = null;
+        try {
+            this.currentEntry = await this.ledger.setInitials(this.currentEntry.id, this.initials);
+            await this.showTable();
+        } catch (error) {
+            console.warn('LedgerScene: could not save initials -', error.message);
+            if (!this.scene.isActive()) return;
+            this.statusText.setText('COULD NOT SAVE INITIALS');
+            this.footerText.setText('PRESS ENTER TO CONTINUE');
+        }
+    }
+
+    /**
+     * Draws the Top-10 table, highlighting the run just finished
+     */
+    async showTable() {
+        const runs = await this.ledger.getTopRuns();
+        if (!this.scene.isActive()) return;
+
+        const { width, height } = this.cameras.main;
+        this.statusText.setText(runs.length === 0 ? 'NO RUNS RECORDED YET' : '');
+        this.tableTexts.forEach(text => text.destroy());
+        this.tableTexts = [];
+
+        const top = height * 0.22;
+        const rowHeight = Math.min(40, (height * 0.65) / (LEDGER_TOP_COUNT + 1));
+        const style = { fontFamily: '"Press Start 2P"', fontSize: '12px', color: '#ffffff' };
+
+        COLUMNS.forEach(column => {
+            this.tableTexts.push(this.add.text(width * column.x, top, column.header, { ...style, color: '#ff00ff' }).setOrigin(0.5));
+        });
+
+        runs.forEach((run, index) => {
+            const isCurrent = this.currentEntry && run.id === this.currentEntry.id;
+            const color = isCurrent ? '#ffff00' : '#ffffff';
+            const y = top + rowHeight * (index + 1);
+            COLUMNS.forEach(column => {
+                this.tableTexts.push(this.add.text(width * column.x, y, column.format(run, index + 1), { ...style, color }).setOrigin(0.5));
+            });
+        });
+
+        this.footerText.setText('PRESS ENTER TO CONTINUE');
+    }
+
+    /**
+     * Removes the keyboard listener when leaving the scene.
+     */
+    shutdown() {
+        this.input.keyboard.off('keydown', this.handleKey, this);
+    }
+}
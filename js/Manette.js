@@ -1,22 +1,27 @@
 // js/Manette.js
-// Input mapping system (Keyboard + Gamepad -> Actions)
+// Input mapping system (Keyboard + Gamepad + Touch -> Actions)
 // ------------------------------------------------------
 
 // Import physics configuration
 import PhysicsConfig from './config/physics-config.js';
+import InputBindings, { ACTION_MODES, keyNameForCode } from './lib/InputBindings.js';
 
 /**
  * Input mapping system for Bitstream Bluffs.
- * Maps keyboard and gamepad inputs to game actions and manages walk/sled mode.
+ * Maps keyboard and gamepad inputs to game actions, as configured in InputBindings,
+ * adds the on-screen touch buttons when they are shown, and manages walk/sled mode.
  */
 export default class Manette {
     /**
      * Constructs the Manette input manager.
      *
      * @param {Phaser.Scene} scene - The Phaser scene using this input manager.
+     * @param {InputBindings} [bindings] - Control bindings; defaults to the saved profile
      */
-    constructor(scene) {
+    constructor(scene, bindings = new InputBindings()) {
         this.scene = scene;
+        // Which keys and gamepad inputs trigger each action
+        this.bindings = bindings;
         this.actions = {
             jump: false,
             rotateCounterClockwise: false,
@@ -29,6 +34,9 @@ export default class Manette {
             // Future actions can be added here
         };
         
+        // Held actions cancelled by the game; their keys must be released before they count again
+        this.suppressedUntilRelease = new Set();
+
         // Track if we're in walk mode
         this.walkMode = false;
 
@@ -36,6 +44,9 @@ export default class Manette {
         this.gamepad = null;
         this.gamepadConnected = false;
         
+        // On-screen buttons (TouchControls), attached by the scene on touch screens
+        this.touchControls = null;
+        
         // Register keyboard listeners
         this.setupKeyboardControls();
         
@@ -51,7 +62,7 @@ export default class Manette {
     }
 
     /**
-     * Updates the action states based on current keyboard and gamepad input.
+     * Updates the action states from the bound keys and gamepad inputs.
      * Should be called once per frame.
      *
      * @returns {Object} The updated actions object.
@@ -60,75 +71,134 @@ export default class Manette {
         // Reset edge-triggered actions
         this.actions.toggleWalkMode = false;
         
-        // Tab key is now handled via the window event listener
+        // The toggle key is handled via the window event listener
         // toggle action is reset each frame unless toggled this frame
         if (!this.tabToggled) {
             this.actions.toggleWalkMode = false;
         }
         this.tabToggled = false;
         
+        // Held actions come from whichever bound keys are down right now
+        this.pollKeyboard();
+        
         // Check for gamepad connections/disconnections (if gamepad API is available)
         if (this.scene.input.gamepad) {
             this.updateGamepadConnection();
             
             // Update gamepad inputs if connected
             if (this.gamepadConnected && this.gamepad) {
-                // Left stick vertical for rotation
-                const leftStickY = this.gamepad.leftStick.y;
-                
-                // Up on left stick (negative Y value)
-                this.actions.rotateCounterClockwise = this.actions.rotateCounterClockwise || (leftStickY < -0.2);
-                
-                // Down on left stick (positive Y value)
-                this.actions.rotateClockwise = this.actions.rotateClockwise || (leftStickY > 0.2);
-                
-                // Right on left stick (positive X value) for trick action (tuck/parachute)
-                const leftStickX = this.gamepad.leftStick.x;
-                this.actions.trickAction = this.actions.trickAction || (leftStickX > 0.2);
-                
-                // Left on left stick (negative X value) for brake action (drag/airbrake) or walking left
-                if (this.walkMode) {
-                    this.actions.walkLeft = leftStickX < -0.2;
-                } else {
-                    this.actions.brakeAction = this.actions.brakeAction || (leftStickX < -0.2);
-                }
-                
-                // Right on left stick (positive X value) for trick action or walking right
-                if (this.walkMode) {
-                    this.actions.walkRight = leftStickX > 0.2;
-                } else {
-                    this.actions.trickAction = this.actions.trickAction || (leftStickX > 0.2);
-                }
-                
-                // Jump with bottom face button (A on Xbox, X on PlayStation) OR right trigger (R2)
-                this.actions.jump = this.actions.jump || 
-                                   this.gamepad.buttons[0].pressed || // Bottom face button
-                                   this.gamepad.buttons[7].pressed;   // Right trigger (R2)
-                                   
-                // Toggle walk mode with L1/LB button
-                if (!this.prevL1Pressed && this.gamepad.buttons[4].pressed) {
-                    this.walkMode = !this.walkMode;
-                    this.actions.toggleWalkMode = true;
-                    this.tabToggled = true; // Mark that we toggled this frame
-                    console.log(`Walk mode ${this.walkMode ? 'enabled' : 'disabled'}`);
-                    
-                    // Immediately update the HUD in the active game scene (was GameScene, now ModularGameScene)
-                    if (this.scene && this.scene.updateHudText) {
-                        this.scene.updateHudText();
-                    }
-                } else {
-                    // Only reset if we didn't toggle this frame
-                    if (!this.tabToggled) {
-                        this.actions.toggleWalkMode = false;
-                    }
-                }
-                
-                // Track previous L1 state to detect edges
-                this.prevL1Pressed = this.gamepad.buttons[4].pressed;
+                this.pollGamepad();
+            }
+        }
+        
+        if (this.touchControls) {
+            this.pollTouch();
+        }
+        
+        return this.actions;
+    }
+    
+    /**
+     * Whether an action applies in the current mode: sled actions while sledding,
+     * walk actions on foot, common actions always.
+     *
+     * @param {string} actionName - The action to check.
+     * @returns {boolean} True if the action can be triggered now.
+     */
+    isActionAvailable(actionName) {
+        const mode = ACTION_MODES[actionName];
+        return mode === 'common' || (mode === 'walk') === this.walkMode;
+    }
+    
+    /**
+     * Sets every held action from the bound keys, skipping cancelled actions whose
+     * keys are still down.
+     */
+    pollKeyboard() {
+        Object.keys(ACTION_MODES).forEach(action => {
+            if (action === 'toggleWalkMode') return;
+            const held = this.bindings.getKeys(action).some(keyName => {
+                const key = this.keys[keyName];
+                return !!key && key.isDown === true;
+            });
+            if (!held) {
+                this.suppressedUntilRelease.delete(action);
             }
+            this.actions[action] = held && this.isActionAvailable(action) &&
+                !this.suppressedUntilRelease.has(action);
+        });
+    }
+    
+    /**
+     * Adds the bound gamepad buttons and stick directions to the held actions,
+     * and toggles walk mode on a fresh press of a toggle input.
+     */
+    pollGamepad() {
+        const deadzone = this.bindings.profile.stickDeadzone;
+        const { x, y } = this.gamepad.leftStick;
+        // Up on the stick is negative y
+        const stick = { up: y < -deadzone, down: y > deadzone, left: x < -deadzone, right: x > deadzone };
+        const isInputActive = input => {
+            const [type, value] = input.split(':');
+            if (type === 'stick') return stick[value];
+            const button = this.gamepad.buttons[Number(value)];
+            return !!button && button.pressed;
+        };
+        
+        Object.keys(ACTION_MODES).forEach(action => {
+            if (action === 'toggleWalkMode') return;
+            if (this.isActionAvailable(action) && this.bindings.getGamepadInputs(action).some(isInputActive)) {
+                this.actions[action] = true;
+            }
+        });
+        
+        // Toggle walk mode on the press, not while the button is held
+        const togglePressed = this.bindings.getGamepadInputs('toggleWalkMode').some(isInputActive);
+        if (!this.prevTogglePressed && togglePressed) {
+            this.applyWalkToggle();
+        }
+        this.prevTogglePressed = togglePressed;
+    }
+    
+    /**
+     * Adds the held on-screen buttons to the held actions and applies a tap on the
+     * walk toggle.
+     */
+    pollTouch() {
+        Object.keys(ACTION_MODES).forEach(action => {
+            if (action === 'toggleWalkMode') return;
+            if (this.isActionAvailable(action) && this.touchControls.isActionHeld(action)) {
+                this.actions[action] = true;
+            }
+        });
+        
+        if (this.touchControls.consumeToggle()) {
+            this.applyWalkToggle();
         }
+    }
+    
+    /**
+     * Flips walk mode for a gamepad or touch toggle and reports it as this frame's toggle.
+     */
+    applyWalkToggle() {
+        this.walkMode = !this.walkMode;
+        this.actions.toggleWalkMode = true;
+        this.tabToggled = true; // Mark that we toggled this frame
+        console.log(`Walk mode ${this.walkMode ? 'enabled' : 'disabled'}`);
         
-        // Note: Keyboard inputs are handled by event listeners, not in the update loop
+        // Immediately update the HUD in the active game scene (was GameScene, now ModularGameScene)
+        if (this.scene && this.scene.updateHudText) {
+            this.scene.updateHudText();
+        }
+    }
+    
+    /**
+     * Attaches or detaches the on-screen touch buttons.
+     *
+     * @param {TouchControls|null} touchControls - Overlay to read, or null for none.
+     */
+    setTouchControls(touchControls) {
+        this.touchControls = touchControls;
     }
 
     /**
@@ -178,130 +248,130 @@ export default class Manette {
     }
 
     /**
-     * Sets up keyboard controls and listeners for all mapped actions.
+     * Cancels held actions and keeps them off until their keys are released and pressed again.
+     *
+     * @param {string[]} actionNames - The actions to cancel.
      */
-    setupKeyboardControls() {
-        // Get keyboard manager
-        const keyboard = this.scene.input.keyboard;
-        
-        // Map W key to rotate counter-clockwise
-        keyboard.on('keydown-W', () => {
-            this.actions.rotateCounterClockwise = true;
-        });
-        keyboard.on('keyup-W', () => {
-            this.actions.rotateCounterClockwise = false;
-        });
-        
-        // Map S key to rotate clockwise
-        keyboard.on('keydown-S', () => {
-            this.actions.rotateClockwise = true;
-        });
-        keyboard.on('keyup-S', () => {
-            this.actions.rotateClockwise = false;
-        });
-        
-        // Map D key to perform trick action (tuck on ground / parachute in air)
-        keyboard.on('keydown-D', () => {
-            this.actions.trickAction = true;
-        });
-        keyboard.on('keyup-D', () => {
-            this.actions.trickAction = false;
-        });
-        
-        // Map A key based on current mode
-        keyboard.on('keydown-A', () => {
-            if (this.walkMode) {
-                this.actions.walkLeft = true;
-            } else {
-                this.actions.brakeAction = true;
-            }
+    cancelUntilReleased(actionNames) {
+        actionNames.forEach(action => {
+            this.actions[action] = false;
+            this.suppressedUntilRelease.add(action);
         });
-        keyboard.on('keyup-A', () => {
-            this.actions.walkLeft = false;
-            this.actions.brakeAction = false;
+    }
+
+    /**
+     * Clears every held action. Walk mode is a toggle, not a held key, so it stays as it is.
+     */
+    releaseAll() {
+        Object.keys(this.actions).forEach(action => {
+            this.actions[action] = false;
         });
+        if (this.touchControls) {
+            this.touchControls.releaseAll();
+        }
+    }
+
+    /**
+     * Creates a Phaser Key for every bound key (polled in update()) and listens for
+     * the walk-mode toggle on the window.
+     */
+    setupKeyboardControls() {
+        this.keys = {};
+        this.addBoundKeys();
         
-        // Map D key based on current mode
-        keyboard.on('keydown-D', () => {
-            if (this.walkMode) {
-                this.actions.walkRight = true;
-            } else {
-                this.actions.trickAction = true;
+        // Prevent the toggle key (Tab by default) from changing focus and handle it here
+        this.onWindowKeyDown = (event) => {
+            if (!this.bindings.getKeys('toggleWalkMode').includes(keyNameForCode(event.keyCode))) {
+                return;
             }
-        });
-        keyboard.on('keyup-D', () => {
-            this.actions.walkRight = false;
-            this.actions.trickAction = false;
-        });
-        
-        // Prevent Tab key from changing focus and directly handle it here
-        window.addEventListener('keydown', (event) => {
-            if (event.key === 'Tab') {
-                // Prevent default tab behavior
-                event.preventDefault();
+            // Prevent default tab behavior
+            event.preventDefault();
+            
+            // Only toggle if we haven't already toggled recently (debounce)
+            if (!this.tabDebounce) {
+                // Toggle walk mode
+                this.walkMode = !this.walkMode;
+                this.actions.toggleWalkMode = true;
+                this.tabToggled = true; // Mark that we toggled this frame
+                console.log(`[DEBUG] Tab pressed. walkMode is now:`, this.walkMode);
                 
-                // Only toggle if we haven't already toggled recently (debounce)
-                if (!this.tabDebounce) {
-                    // Toggle walk mode
-                    this.walkMode = !this.walkMode;
-                    this.actions.toggleWalkMode = true;
-                    this.tabToggled = true; // Mark that we toggled this frame
-                    console.log(`[DEBUG] Tab pressed. walkMode is now:`, this.walkMode);
-                    
-                    // Directly update sled visibility when walk mode is toggled
-                    if (this.scene && this.scene.sled) {
-                        this.scene.sled.visible = !this.walkMode; // Show only in sledding mode
-                        
-                        // Adjust sled position based on mode
-                        if (this.walkMode) {
-                            // Hide behind player in walking mode
-                            this.scene.sled.x = -this.scene.sledDistance; 
-                        } else {
-                            // Restore original position in sledding mode
-                            this.scene.sled.x = this.scene.sledOriginalX;
-                            this.scene.sled.y = this.scene.sledOriginalY;
-                        }
-                    }
+                // Directly update sled visibility when walk mode is toggled
+                if (this.scene && this.scene.sled) {
+                    this.scene.sled.visible = !this.walkMode; // Show only in sledding mode
                     
-                    // Adjust rider position based on mode
-                    if (this.scene && this.scene.rider && this.scene.riderOriginalY !== undefined) {
-                        if (this.walkMode) {
-                            // Move rider down by the configured amount in walking mode
-                            this.scene.rider.y = this.scene.riderOriginalY + PhysicsConfig.walkMode.riderYOffset;
-                        } else {
-                            // Move rider back to original position in sledding mode
-                            this.scene.rider.y = this.scene.riderOriginalY;
-                        }
+                    // Adjust sled position based on mode
+                    if (this.walkMode) {
+                        // Hide behind player in walking mode
+                        this.scene.sled.x = -this.scene.sledDistance; 
+                    } else {
+                        // Restore original position in sledding mode
+                        this.scene.sled.x = this.scene.sledOriginalX;
+                        this.scene.sled.y = this.scene.sledOriginalY;
                     }
-                    
-                    // Immediately update the HUD in the active game scene (was GameScene, now ModularGameScene)
-                    if (this.scene && this.scene.updateHudText) {
-                        this.scene.updateHudText();
+                }
+                
+                // Adjust rider position based on mode
+                if (this.scene && this.scene.rider && this.scene.riderOriginalY !== undefined) {
+                    if (this.walkMode) {
+                        // Move rider down by the configured amount in walking mode
+                        this.scene.rider.y = this.scene.riderOriginalY + PhysicsConfig.walkMode.riderYOffset;
+                    } else {
+                        // Move rider back to original position in sledding mode
+                        this.scene.rider.y = this.scene.riderOriginalY;
                     }
-                    
-                    // Set debounce for 200ms to prevent accidental double toggles
-                    this.tabDebounce = true;
-                    setTimeout(() => {
-                        this.tabDebounce = false;
-                    }, 200);
-                } else {
-                    console.log('[DEBUG] Tab debounce active, toggle ignored.');
                 }
+                
+                // Immediately update the HUD in the active game scene (was GameScene, now ModularGameScene)
+                if (this.scene && this.scene.updateHudText) {
+                    this.scene.updateHudText();
+                }
+                
+                // Set debounce for 200ms to prevent accidental double toggles
+                this.tabDebounce = true;
+                setTimeout(() => {
+                    this.tabDebounce = false;
+                }, 200);
+            } else {
+                console.log('[DEBUG] Tab debounce active, toggle ignored.');
             }
-        });
+        };
+        window.addEventListener('keydown', this.onWindowKeyDown);
         
         // Initialize debounce flag
         this.tabDebounce = false;
-        
-        // Map SPACE key to jump
-        keyboard.on('keydown-SPACE', () => {
-            this.actions.jump = true;
-        });
-        keyboard.on('keyup-SPACE', () => {
-            this.actions.jump = false;
+    }
+    
+    /**
+     * Creates Phaser Keys for the held actions' bound keys that don't have one yet.
+     * The toggle keys are left to the window listener.
+     */
+    addBoundKeys() {
+        const keyboard = this.scene.input.keyboard;
+        Object.keys(ACTION_MODES).forEach(action => {
+            if (action === 'toggleWalkMode') return;
+            this.bindings.getKeys(action).forEach(keyName => {
+                if (!this.keys[keyName]) {
+                    this.keys[keyName] = keyboard.addKey(keyName);
+                }
+            });
         });
     }
     
+    /**
+     * Re-reads the saved bindings, e.g. after the controls screen changed them.
+     */
+    reloadBindings() {
+        this.bindings.load();
+        this.addBoundKeys();
+    }
+    
+    /**
+     * Removes the window listener. Keys belong to the scene and go with it.
+     */
+    destroy() {
+        window.removeEventListener('keydown', this.onWindowKeyDown);
+    }
+    
     /**
      * Sets up gamepad controls and listeners for all mapped actions.
      */
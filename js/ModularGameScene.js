@@ -11,16 +11,32 @@ const getPhaser = () => globalThis.Phaser;
 
 // Import physics configuration
 import PhysicsConfig from './config/physics-config.js';
+import TerrainConfig from './config/terrain-config.js';
 import RotationSystem from './utils/RotationSystem.js';
+import TrickSystem from './lib/TrickSystem.js';
+import DistanceTracker from './lib/DistanceTracker.js';
+import PascalsLedger from './lib/PascalsLedger.js';
+import { LANDING_GRADES, gradeLanding } from './utils/landing-grade.js';
 import configLoader from './config/config-loader.js';
 import { initializeRandomWithSeed } from './utils/seed-generator.js';
 import HudDisplay from './lib/HudDisplay.js';
 import InputController from './lib/InputController.js';
+import InputRecorder from './lib/InputRecorder.js';
+import InputPlayback from './lib/InputPlayback.js';
 import TerrainManager from './lib/TerrainManager.js';
-import CollectibleManager from './lib/CollectibleManager.js';
+import ChunkLibrary from './lib/ChunkLibrary.js';
+import CollectibleManager, { COLLECTIBLE_LABEL } from './lib/CollectibleManager.js';
+import HazardLibrary from './lib/HazardLibrary.js';
+import HazardManager, { HAZARD_LABEL } from './lib/HazardManager.js';
+import EffectManager from './lib/EffectManager.js';
+import PlayerStats from './lib/PlayerStats.js';
+import DataAvalanche, { AVALANCHE_CAUSE } from './lib/DataAvalanche.js';
 import ExplosionEffects from './utils/ExplosionEffects.js';
+import FixedTimestep, { REFERENCE_FRAME_MS, scalePerFrameFactor } from './utils/FixedTimestep.js';
 import applyFlipImpulse from './flip-impulse.js';
 import StarfieldParallax from './background/StarfieldParallax.js';
+import SettingsStore from './lib/SettingsStore.js';
+import TouchControls, { shouldShowTouchControls } from './lib/TouchControls.js';
 
 /**
  * Main modular game scene for Bitstream Bluffs.
@@ -40,7 +56,8 @@ export default class ModularGameScene extends Phaser.Scene {
             physics: {
                 matter: {
                     gravity: { y: 1 },
-                    debug: false // Always disable debug visualization 
+                    debug: false, // Always disable debug visualization 
+                    autoUpdate: false // Stepped manually by fixedUpdate() at a constant tick rate
                 }
             }
         });
@@ -50,7 +67,9 @@ export default class ModularGameScene extends Phaser.Scene {
         this.inputController = null;
         this.terrain = null;
         this.hud = null;
+        this.touchControls = null; // On-screen buttons, only on touch screens
         this.collectibles = null;
+        this.hazards = null;
         // Player state
         this.player = null;
         this.onGround = false;
@@ -69,6 +88,7 @@ export default class ModularGameScene extends Phaser.Scene {
         // Terrain interaction state
         this.lastTerrainType = null; // Track which terrain type we're on
         this.terrainTypeTimer = 0; // For blue point accrual
+        this.lastGlitchZone = null; // Glitch zone id the player was last inside, for the entry warning
         // Particle emitters
         this.greenStreakEmitter = null;
         this.blueBlingEmitter = null;
@@ -82,13 +102,27 @@ export default class ModularGameScene extends Phaser.Scene {
         // Rotation tracking system
         this.rotationSystem = null;
         this.currentSpeedMultiplier = 1.0;
+        // Active power-up effects
+        this.effects = null;
+        // This run's speed, jump and rotation values (PhysicsConfig plus pickup modifiers)
+        this.playerStats = null;
+        // Distance scoring and the personal best marker
+        this.distanceTracker = null;
+        this.personalBestMarker = null;
+        // Pursuer that ends the run on contact
+        this.avalanche = null;
         // Walking mode state
         this.sledDistance = 40;
         this.sledOriginalY = 0;
         this.riderOriginalY = 0;
         this.sledOriginalX = 0;
+        // Fixed-step simulation state
+        this.fixedTimestep = null;
+        this.previousBodyState = null;
+        this.renderRestoreState = null;
         // Bind methods
         this.handleResize = this.handleResize.bind(this);
+        this.fixedUpdate = this.fixedUpdate.bind(this);
     }
     
     /**
@@ -98,6 +132,8 @@ export default class ModularGameScene extends Phaser.Scene {
     preload() {
         console.log('ModularGameScene preload method started');
         this.load.image('extraLife', 'assets/pickups/extra-life.png');
+        ChunkLibrary.queueLoad(this);
+        HazardLibrary.queueLoad(this);
         
         // Create a default particle texture
         const graphics = this.make.graphics({ x: 0, y: 0, add: false });
@@ -109,31 +145,145 @@ export default class ModularGameScene extends Phaser.Scene {
 
     
     
+    /**
+     * Receives scene start data.
+     * @param {Object} [data] - Optional start data
+     * @param {Object} [data.replay] - Recording from InputRecorder.toJSON() to play back instead of live input
+     */
+    init(data) {
+        this.replayRecording = data && data.replay ? data.replay : null;
+    }
+
     /**
      * Creates and initializes the game scene, modules, and player.
-     * Sets up starfield, input, physics, collision handlers, player, terrain, HUD, collectibles, and effects.
-     * Binds resize event and prepares scene for gameplay.
+     * Builds the simulation (input, physics, player, terrain, collectibles) first,
+     * then the presentation layer (starfield, HUD, effects, particles) on top of it.
      */
     create() {
         // Particle texture debug dot removed; confirmed working
         console.log('ModularGameScene create method started - initializing game');
         
+        this.createSimulation();
+        this.createPresentation();
+    }
+    
+    /**
+     * Builds everything the game rules need: seeded randomness, input, physics world,
+     * rotation tracking, player body, terrain and collectibles. Nothing here depends
+     * on rendering, so the headless simulation harness can call it on its own.
+     */
+    createSimulation() {
+        // A replay must regenerate the exact same world, so its recorded seed wins over StartScene's
+        this.gameSeed = this.replayRecording ? this.replayRecording.seed : window.gameSeed;
+        
         // Initialize with the seed from StartScene if available
-        if (window.gameSeed) {
-            console.log('Using game seed:', window.gameSeed);
+        if (this.gameSeed) {
+            console.log('Using game seed:', this.gameSeed);
             // Create a seeded random function
-            this.seededRandom = initializeRandomWithSeed(window.gameSeed);
+            this.seededRandom = initializeRandomWithSeed(this.gameSeed);
+            // Separate stream for pickups so terrain stays identical however many spawns roll
+            this.collectibleRandom = initializeRandomWithSeed(`${this.gameSeed}:collectibles`);
+            // And for glitch zones, so their placement is fixed by the seed alone
+            this.glitchZoneRandom = initializeRandomWithSeed(`${this.gameSeed}:glitch-zones`);
+            this.chunkRandom = initializeRandomWithSeed(`${this.gameSeed}:chunks`);
+            this.hazardRandom = initializeRandomWithSeed(`${this.gameSeed}:hazards`);
         } else {
             console.warn('No game seed found, using default Math.random');
             // Fallback to standard Math.random
             this.seededRandom = Math.random;
+            this.collectibleRandom = Math.random;
+            this.glitchZoneRandom = Math.random;
+            this.chunkRandom = Math.random;
+            this.hazardRandom = Math.random;
         }
         
         // Reset core game variables
         this.lives = PhysicsConfig.extraLives.initialLives;
         this.gameOverShown = false;
+        this.paused = false;
+        // Clock and tweens keep their paused flag across a restart from the pause menu
+        this.time.paused = false;
+        this.tweens.resumeAll();
         this.score = 0;
+        this.lastGlitchZone = null;
+        
+        // Per-run tallies for summaries (headless simulation, results screens)
+        this.runStats = {
+            crashes: 0,
+            flips: 0,
+            bestCombo: 0,  // Highest combo multiplier landed
+            topSpeed: 0,   // Highest speed reached, in the HUD's units
+            scoreBySource: { distance: 0, blueTerrain: 0, tricks: 0, landings: 0, maxLifeBonus: 0 },
+            landings: { perfect: 0, clean: 0, sketchy: 0 }, // Graded landings by grade
+            hazardHits: 0,
+            causeOfDeath: null // Set when a crash ends the run
+        };
+        
+        // Initialize the InputController module
+        this.inputController = new InputController(this);
+        this.setupInputRecording();
+        
+        // Configure physics
+        // No world boundaries - allowing free movement
+        // This matches the original GameScene which removed setBounds call
+        // to eliminate the walls that were blocking player movement
+        this.matter.world.setGravity(0, PhysicsConfig.physics.gravityY);
+        
+        // Simulation clock - every physics step has the same length regardless of frame rate
+        this.fixedTimestep = new FixedTimestep({
+            tickRate: PhysicsConfig.physics.tickRate,
+            maxStepsPerFrame: PhysicsConfig.physics.maxStepsPerFrame
+        });
+        this.previousBodyState = null;
         
+        // Initialize rotation system with proper callbacks for landing evaluations
+        this.rotationSystem = new RotationSystem({
+            onCleanLanding: (_speedMultiplier) => {
+                // Clean landings no longer boost speed; multiplier always 1.0
+                this.currentSpeedMultiplier = 1.0;
+                // We log for analytics/debug but do not apply a multiplier
+                console.log('Clean landing! No speed boost applied.');
+                this.onLanded();
+            },
+            onCrash: () => {
+                console.log('Crashed!');
+                // Handle the crash - implementation below
+                this.handleCrash('bad-landing');
+            },
+            onWobble: () => {
+                console.log('Wobble landing!'); // No toast for wobbles
+                this.onLanded();
+            }
+        });
+        // Names and scores the tricks of each jump; banked by onLanded()
+        this.trickSystem = new TrickSystem();
+        // Runs picked-up effects; hooked into physics, input and addScore()
+        this.effects = new EffectManager(this);
+        // Handling values the controls read, so pickups never touch PhysicsConfig
+        this.playerStats = new PlayerStats();
+        
+        // Set up collision detection
+        this.setupCollisionHandlers();
+        
+        // Create player character
+        this.createPlayer();
+        
+        // Distance and altitude drop are measured from the spawn point
+        this.distanceTracker = new DistanceTracker({ startX: this.player.x });
+        this.runStats.startY = this.runStats.lowestY = this.player.y;
+        this.avalanche = new DataAvalanche(this, { startX: this.player.x, startTime: this.fixedTimestep.simTime });
+        
+        // Initialize modules
+        this.initializeTerrainManager();
+        this.initializeCollectibleManager();
+        this.initializeHazardManager();
+    }
+    
+    /**
+     * Builds everything that only affects what is drawn: background, HUD, explosion
+     * effects, terrain particle emitters and render interpolation.
+     */
+    createPresentation() {
         // Add player-following parallax starfield background (always behind everything else)
         const { width, height } = this.cameras.main;
         console.log(`Creating player-following starfield with dimensions ${width}x${height}`);
@@ -174,45 +324,12 @@ export default class ModularGameScene extends Phaser.Scene {
 
         // Setup world
         this.cameras.main.setBackgroundColor('#000000');
-        
-        // Initialize the InputController module
-        this.inputController = new InputController(this);
-        
-        // Configure physics
-        // No world boundaries - allowing free movement
-        // This matches the original GameScene which removed setBounds call
-        // to eliminate the walls that were blocking player movement
-        this.matter.world.setGravity(0, PhysicsConfig.physics.gravityY);
-        
-        // Initialize rotation system with proper callbacks for landing evaluations
-        this.rotationSystem = new RotationSystem({
-            onCleanLanding: (_speedMultiplier) => {
-                // Clean landings no longer boost speed; multiplier always 1.0
-                this.currentSpeedMultiplier = 1.0;
-                // We log for analytics/debug but do not apply a multiplier
-                console.log('Clean landing! No speed boost applied.');
-            },
-            onCrash: () => {
-                console.log('Crashed!');
-                // Handle the crash - implementation below
-                this.handleCrash();
-            },
-            onWobble: () => {
-                console.log('Wobble landing!'); // No toast for wobbles
-            }
-        });
-        
-        // Set up collision detection
-        this.setupCollisionHandlers();
-        
-        // Create player character
-        this.createPlayer();
+        this.setupRenderInterpolation();
         
         // Initialize modules
-        this.initializeTerrainManager();
         this.initializeHudDisplay();
-        this.initializeCollectibleManager();
         this.initializeExplosionEffects();
+        this.loadPersonalBest();
 
         // --- Terrain Particle Emitters Setup (FIXED) ---
         // Create independent particle emitters for each effect using correct Phaser 3.90+ syntax
@@ -295,6 +412,111 @@ export default class ModularGameScene extends Phaser.Scene {
 
         // Set up the resize handler
         this.scale.on('resize', this.handleResize, this);
+        
+        this.setupPauseTriggers();
+        this.applyTouchSettings();
+    }
+    
+    /**
+     * Shows, updates or removes the on-screen touch buttons to match the touch
+     * settings. Replays ignore live input, so they never get the buttons.
+     */
+    applyTouchSettings() {
+        const show = shouldShowTouchControls(this.settings.get('touchControls')) &&
+            !this.inputController.isPlayingBack();
+        
+        if (!show) {
+            if (this.touchControls) {
+                this.inputController.setTouchControls(null);
+                this.touchControls.destroy();
+                this.touchControls = null;
+            }
+            return;
+        }
+        
+        if (this.touchControls) {
+            this.touchControls.setLayout(this.settings.get('touchLayout'));
+            this.touchControls.setOpacity(this.settings.get('touchOpacity'));
+            return;
+        }
+        
+        this.touchControls = new TouchControls(this, {
+            layout: this.settings.get('touchLayout'),
+            opacity: this.settings.get('touchOpacity'),
+            onPause: () => this.pauseGame('player')
+        });
+        this.touchControls.create();
+        this.inputController.setTouchControls(this.touchControls);
+    }
+    
+    /**
+     * Pauses on Esc, and (when the autoPause setting is on) when the tab is hidden
+     * or a gamepad disconnects. Browser-level listeners are dropped when the scene shuts down.
+     */
+    setupPauseTriggers() {
+        this.settings = new SettingsStore();
+        
+        this.input.keyboard.on('keydown-ESC', () => this.pauseGame('player'));
+        
+        const onVisibilityChange = () => {
+            if (document.hidden && this.settings.get('autoPause')) this.pauseGame('hidden');
+        };
+        const onGamepadDisconnected = () => {
+            if (this.settings.get('autoPause')) this.pauseGame('gamepad');
+        };
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        window.addEventListener('gamepaddisconnected', onGamepadDisconnected);
+        
+        this.events.once('shutdown', () => {
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            window.removeEventListener('gamepaddisconnected', onGamepadDisconnected);
+        });
+    }
+    
+    /**
+     * Freezes the run and opens the pause menu on top of it. The Matter world, timers,
+     * tweens and the update loop all stop, so nothing moves until resumeGame().
+     * @param {string} [reason='player'] - What paused the game: 'player', 'hidden' or 'gamepad'
+     * @returns {boolean} True if the game was paused by this call
+     */
+    pauseGame(reason = 'player') {
+        // A run that is already over has nothing left to pause
+        if (this.paused || this.gameOverShown) {
+            return false;
+        }
+        
+        this.paused = true;
+        this.matter.world.pause();
+        this.time.paused = true;
+        this.tweens.pauseAll();
+        this.scene.launch('PauseScene', { reason });
+        this.scene.pause();
+        return true;
+    }
+    
+    /**
+     * Picks the run up where pauseGame() left it
+     */
+    resumeGame() {
+        if (!this.paused) {
+            return;
+        }
+        
+        this.paused = false;
+        // Settings and controls may have changed in the pause menu
+        if (this.settings) {
+            this.settings.load();
+            this.applyTouchSettings();
+        }
+        this.inputController.reloadBindings();
+        // Keys released while paused never reached this scene, so start from nothing held,
+        // and don't let the paused time turn into a burst of catch-up steps
+        this.inputController.releaseAll();
+        this.fixedTimestep.reset();
+        this.matter.world.resume();
+        this.time.paused = false;
+        this.tweens.resumeAll();
+        this.scene.resume();
     }
     
     /**
@@ -334,11 +556,18 @@ export default class ModularGameScene extends Phaser.Scene {
                     }
                 }
                 
-                // Check if player collided with extra life
-                if ((bodyA === this.player.body && bodyB.label === 'extraLife') ||
-                    (bodyB === this.player.body && bodyA.label === 'extraLife')) {
-                    const lifeBody = bodyA.label === 'extraLife' ? bodyA : bodyB;
-                    this.collectExtraLife(lifeBody);
+                // Check if player collided with a collectible
+                if ((bodyA === this.player.body && bodyB.label === COLLECTIBLE_LABEL) ||
+                    (bodyB === this.player.body && bodyA.label === COLLECTIBLE_LABEL)) {
+                    const collectibleBody = bodyA.label === COLLECTIBLE_LABEL ? bodyA : bodyB;
+                    this.collectPickup(collectibleBody);
+                }
+                
+                // Check if player ran into a hazard
+                if ((bodyA === this.player.body && bodyB.label === HAZARD_LABEL) ||
+                    (bodyB === this.player.body && bodyA.label === HAZARD_LABEL)) {
+                    const hazardBody = bodyA.label === HAZARD_LABEL ? bodyA : bodyB;
+                    this.hitHazard(hazardBody);
                 }
             }
         });
@@ -425,6 +654,9 @@ export default class ModularGameScene extends Phaser.Scene {
      * Draws terrain for the start of the game.
      */
     initializeTerrainManager() {
+        // Hand-made chunks loaded in preload(); invalid files are skipped with a warning
+        this.chunkLibrary = ChunkLibrary.fromCache(this.cache.json);
+        
         // Create and initialize terrain manager
         this.terrain = new TerrainManager(this);
         this.terrain.setSeededRandom(this.seededRandom);
@@ -458,6 +690,16 @@ export default class ModularGameScene extends Phaser.Scene {
         this.collectibles.init(PhysicsConfig);
     }
     
+    /**
+     * Initializes the hazard manager with the hazards loaded in preload().
+     */
+    initializeHazardManager() {
+        // Invalid hazard files are skipped with a warning
+        this.hazardLibrary = HazardLibrary.fromCache(this.cache.json);
+        this.hazards = new HazardManager(this, this.terrain, this.hazardLibrary);
+        this.hazards.init();
+    }
+    
     /**
      * Initializes the explosion effects manager for player and sled explosions.
      */
@@ -467,11 +709,8 @@ export default class ModularGameScene extends Phaser.Scene {
     }
     
     /**
-     * Main update loop - runs player physics and game logic
-     * Matches the physics implementation of the original GameScene
-     */
-    /**
-     * Main update loop for the scene. Handles player physics, controls, terrain, collectibles, camera, and HUD.
+     * Main update loop for the scene. Advances the simulation in fixed steps, then
+     * updates what only affects how the frame looks: particles, camera and HUD.
      *
      * @param {number} time - Current time in ms since game start.
      * @param {number} delta - Time elapsed since last frame in ms.
@@ -485,31 +724,96 @@ export default class ModularGameScene extends Phaser.Scene {
         // Comprehensive safety check - if we're missing any critical objects, don't proceed with update
         // This is important for clean scene transitions, especially during game over
         if (!this.scene || !this.scene.isActive || !this.player || !this.player.body || 
-            !this.inputController || this.gameOverShown) {
+            !this.inputController) {
             return;
         }
 
+        // Run physics, controls and trick tracking at a constant tick rate so a run
+        // plays the same on a 60Hz and a 144Hz monitor, and replays stay in sync
+        this.fixedTimestep.advance(delta, this.fixedUpdate);
+
+        // A step may have ended the run or restarted the scene
+        if (!this.player || !this.player.body || this.gameOverShown) {
+            return;
+        }
+
+        this.updateTerrainEffects();
+
+        // --- Camera follow clamp logic ---
+        // Never let the camera center fall more than 400px in X or 200px in Y from the player
+        const cam = this.cameras.main;
+        const cameraCenterX = cam.scrollX + cam.width / 2;
+        const cameraCenterY = cam.scrollY + cam.height / 2;
+        const maxLagX = 400;
+        const maxLagY = 200;
+        if (this.player.x - cameraCenterX > maxLagX) {
+            cam.scrollX = this.player.x - maxLagX - cam.width / 2;
+        }
+        if (this.player.x - cameraCenterX < -maxLagX) {
+            cam.scrollX = this.player.x + maxLagX - cam.width / 2;
+        }
+        if (this.player.y - cameraCenterY > maxLagY) {
+            cam.scrollY = this.player.y - maxLagY - cam.height / 2;
+        }
+        if (this.player.y - cameraCenterY < -maxLagY) {
+            cam.scrollY = this.player.y + maxLagY - cam.height / 2;
+        }
+
+        this.updatePersonalBestMarker();
+        this.avalanche.draw(cam);
+        
+        // Update HUD
+        this.updateHud();
+    }
+
+    /**
+     * Runs one fixed simulation step: Matter physics, ground detection, terrain
+     * friction and points, input, controls, terrain streaming and collectibles.
+     *
+     * @param {number} stepMs - Length of the step in ms.
+     * @returns {boolean} False to stop stepping for this frame (e.g. the scene is restarting).
+     */
+    fixedUpdate(stepMs) {
+        if (!this.player || !this.player.body || !this.inputController || this.paused) {
+            return false;
+        }
+
+        // Keep where the body was so rendering can interpolate between steps
+        this.capturePreviousBodyState();
+        this.matter.world.step(stepMs);
+
+        // Let a game-over crash play out under physics, but stop all game logic
+        if (this.gameOverShown) {
+            return true;
+        }
+        
+        this.effects.update(this.fixedTimestep.simTime, stepMs);
+        this.terrain.expireColorModifiers(this.fixedTimestep.simTime);
+        this.playerStats.expireModifiers(this.fixedTimestep.simTime);
+        this.trackRunStats();
+        
+        // Slow motion slows the avalanche along with the physics
+        const avalancheStepMs = stepMs * this.matter.world.engine.timing.timeScale;
+        if (this.avalanche.update(this.fixedTimestep.simTime, avalancheStepMs, this.player.x)) {
+            this.handleCrash(AVALANCHE_CAUSE, { fatal: true });
+            return true;
+        }
+
         // --- Buffered ground detection ---
         // --- Improved buffered ground detection with stickiness ---
         if (!this.onGround && this.terrain && this.player && this.player.body) {
             const cfg = PhysicsConfig;
             const px = this.player.x;
             const py = this.player.y;
-            const segments = this.terrain.getTerrainSegments?.();
-            if (segments && segments.length) {
-                for (let i = 0; i < segments.length; i++) {
-                    const seg = segments[i];
-                    if (px >= seg.x && px <= seg.endX) {
-                        // Linear interpolate terrain Y at px
-                        const t = (px - seg.x) / (seg.endX - seg.x);
-                        const terrainY = seg.y + t * (seg.endY - seg.y);
-                        // Make buffer more forgiving (now 30px above, 40px below)
-                        if (py >= terrainY - 30 && py <= terrainY + 40) {
-                            this.onGround = true;
-                            this.groundStickyFrames = 6; // Stay on ground for 6 frames after leaving
-                            break;
-                        }
-                    }
+            const seg = this.terrain.getSegmentAt(px);
+            if (seg) {
+                // Surface height at px (follows the curve on spline segments)
+                const terrainY = this.terrain.getSegmentHeightAt(seg, px);
+                // Make buffer more forgiving (now 30px above, 40px below)
+                if (py >= terrainY - 30 && py <= terrainY + 40) {
+                    this.onGround = true;
+                    // Stay on ground for 6 frames' worth of steps (100ms) after leaving
+                    this.groundStickyFrames = Math.round(6 * REFERENCE_FRAME_MS / stepMs);
                 }
             }
         } else if (!this.onGround && this.groundStickyFrames > 0) {
@@ -527,7 +831,7 @@ export default class ModularGameScene extends Phaser.Scene {
         if (this.onGround && this.inputController && this.player && this.player.body && !this.inputController.isWalkMode()) {
             // Apply a small force in the downhill direction based on the terrain slope, not player orientation
                 const slopeAngleRad = this.currentSlopeAngle;
-                const downhillForce = PhysicsConfig.movement.downhillBiasForce;
+                const downhillForce = this.playerStats.get('downhillBiasForce');
                 // Always push down the hill: x = cos, y = sin (flip sign if needed)
                 Body.applyForce(this.player.body,
                     this.player.body.position,
@@ -545,32 +849,15 @@ export default class ModularGameScene extends Phaser.Scene {
         let currentTerrainType = null;
         let currentTerrainAngle = 0;
         let segmentColor = null;
-        const segments = this.terrain.getTerrainSegments();
-        let currentSegment = null;
-        for (let i = 0; i < segments.length; i++) {
-            const seg = segments[i];
-            if (this.player.x >= seg.x && this.player.x <= seg.endX) {
-                segmentColor = seg.color;
-                currentTerrainAngle = seg.angle;
-                currentSegment = seg;
-                
-                // Debug: Show color comparison in detail
-                console.log('[DEBUG] Found matching segment:', {
-                    segColor: seg.color,
-                    segColorHex: seg.color.toString(16),
-                    neonGreen: this.neonGreen,
-                    neonGreenHex: this.neonGreen.toString(16),
-                    neonBlue: this.neonBlue,
-                    neonBlueHex: this.neonBlue.toString(16), 
-                    neonPink: this.neonPink,
-                    neonPinkHex: this.neonPink.toString(16)
-                });
-                
-                if (segmentColor === this.neonGreen) currentTerrainType = 'green';
-                else if (segmentColor === this.neonBlue) currentTerrainType = 'blue';
-                else if (segmentColor === this.neonPink) currentTerrainType = 'magenta';
-                break;
-            }
+        const currentSegment = this.terrain.getSegmentAt(this.player.x);
+        if (currentSegment) {
+            const seg = currentSegment;
+            segmentColor = seg.color;
+            currentTerrainAngle = this.terrain.getSegmentSlopeAt(seg, this.player.x);
+            
+            if (segmentColor === this.neonGreen) currentTerrainType = 'green';
+            else if (segmentColor === this.neonBlue) currentTerrainType = 'blue';
+            else if (segmentColor === this.neonPink) currentTerrainType = 'magenta';
         }
         // --- DEBUG: Terrain detection ---
         console.log('[TERRAIN DETECTION]', {
@@ -604,15 +891,14 @@ export default class ModularGameScene extends Phaser.Scene {
                 Body.set(this.player.body, 'frictionStatic', 0.08);
                 // Award points every 100ms based on speed
                 if (!this.terrainTypeTimer) this.terrainTypeTimer = 0;
-                this.terrainTypeTimer += delta;
+                this.terrainTypeTimer += stepMs;
                 const velocity = this.player.body.velocity;
                 const playerSpeed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
                 const base = playerSpeed - PhysicsConfig.blueSpeedThreshold;
                 const gain = PhysicsConfig.bluePoints * Math.max(0, base);
-                console.log('[BLUE POINTS CHECK]', {onGround: this.onGround, playerSpeed, blueSpeedThreshold: PhysicsConfig.blueSpeedThreshold, gain, delta, timer: this.terrainTypeTimer});
                 if (this.terrainTypeTimer >= 100) {
                     if (gain > 0) {
-                        this.score += gain;
+                        this.addScore(gain, 'blueTerrain');
                         console.log('[BLUE POINTS AWARDED]', {score: this.score, gain});
                     }
                     this.terrainTypeTimer -= 100;
@@ -635,80 +921,19 @@ export default class ModularGameScene extends Phaser.Scene {
             this.terrainTypeTimer = 0;
         }
 
-        // --- PARTICLE EMITTER ACTIVATION (FIXED) ---
-        // Turn off all emitters first
-        this.greenStreakEmitter.stop();
-        this.blueBlingEmitter.stop();
-        this.magentaFlickerEmitter.stop();
-
-        // CRITICAL DEBUG: Show exact state every few frames
-        if (this.time.now % 1000 < 50) { // Log every second approximately
-            console.log('[CRITICAL DEBUG]', {
-                onGround: this.onGround,
-                currentTerrainType: currentTerrainType,
-                segmentColor: segmentColor,
-                neonGreen: this.neonGreen,
-                neonBlue: this.neonBlue,
-                neonPink: this.neonPink,
-                segmentCount: segments.length,
-                playerX: this.player.x,
-                playerY: this.player.y
-            });
-            
-            // Also show on screen for easy debugging
-            if (!this.debugText) {
-                this.debugText = this.add.text(10, 10, '', { 
-                    fontSize: '16px', 
-                    fill: '#ffffff',
-                    backgroundColor: '#000000aa'
-                }).setScrollFactor(0);
-            }
-            this.debugText.setText([
-                `onGround: ${this.onGround}`,
-                `terrainType: ${currentTerrainType}`,
-                `segmentColor: ${segmentColor ? segmentColor.toString(16) : 'null'}`,
-                `segments: ${segments.length}`,
-                `playerY: ${Math.round(this.player.y)}`
-            ].join('\n'));
-        }
+        // Remember what's underfoot for the per-frame particle effects
+        this.lastTerrainType = currentTerrainType;
+        this.lastTerrainAngle = currentTerrainAngle;
 
-        // Activate the appropriate emitter based on terrain type
-        if (currentTerrainType === 'green' && this.onGround) {
-            this.greenStreakEmitter.setPosition(this.player.x, this.player.y + 18);
-            // Update angle based on terrain slope
-            this.greenStreakEmitter.setConfig({
-                angle: { 
-                    min: Phaser.Math.RadToDeg(currentTerrainAngle) - 10, 
-                    max: Phaser.Math.RadToDeg(currentTerrainAngle) + 10 
-                }
-            });
-            this.greenStreakEmitter.start();
-            console.log('[DEBUG] Green emitter started at:', this.player.x, this.player.y + 18, 'onGround:', this.onGround);
-        } else if (currentTerrainType === 'blue' && this.onGround) {
-            this.blueBlingEmitter.setPosition(this.player.x, this.player.y + 10);
-            this.blueBlingEmitter.start();
-            console.log('[DEBUG] Blue emitter started at:', this.player.x, this.player.y + 10, 'onGround:', this.onGround);
-        } else if (currentTerrainType === 'magenta' && this.onGround) {
-            this.magentaFlickerEmitter.setPosition(this.player.x, this.player.y + 15);
-            this.magentaFlickerEmitter.start();
-            console.log('[DEBUG] Magenta emitter started at:', this.player.x, this.player.y + 15, 'onGround:', this.onGround);
-        } else {
-            console.log('[DEBUG] No emitter activated - TerrainType:', currentTerrainType, 'onGround:', this.onGround);
-        }
-        
-        // Debug log for emitter activity
-        const activeEmitters = [];
-        if (this.greenStreakEmitter.on) activeEmitters.push('green');
-        if (this.blueBlingEmitter.on) activeEmitters.push('blue');
-        if (this.magentaFlickerEmitter.on) activeEmitters.push('magenta');
-        if (activeEmitters.length > 0) {
-            console.log('[DEBUG] Active particle emitters:', activeEmitters);
+        // Warn once when the player crosses into a glitch zone
+        const glitchZone = currentSegment ? currentSegment.glitchZone : null;
+        if (glitchZone !== null && glitchZone !== this.lastGlitchZone) {
+            this.hud.showToast('⚠ GLITCH ZONE ⚠', 1500);
         }
+        this.lastGlitchZone = glitchZone;
 
-        this.lastTerrainType = currentTerrainType;
-
-        // Update input controller
-        const input = this.inputController.update();
+        // Update input controller; active effects may change what the controls see
+        const input = this.effects.modifyInput(this.inputController.update());
         
         // Detect transitions between ground and air states
         const groundStateChanged = this.prevGroundState !== this.onGround;
@@ -727,11 +952,12 @@ export default class ModularGameScene extends Phaser.Scene {
             }
             // Cancel all movement/rotation actions (WASD) on any ground/air transition
             if (this.inputController && this.inputController.manette) {
-                const actions = this.inputController.manette.actions;
-                actions.rotateCounterClockwise = false;
-                actions.rotateClockwise = false;
-                actions.trickAction = false;
-                actions.brakeAction = false;
+                this.inputController.manette.cancelUntilReleased([
+                    'rotateCounterClockwise',
+                    'rotateClockwise',
+                    'trickAction',
+                    'brakeAction'
+                ]);
             }
             // Land flips/tricks when transitioning from air to ground
             if (this.onGround && !this.prevGroundState) {
@@ -748,17 +974,22 @@ export default class ModularGameScene extends Phaser.Scene {
         // Handle walking mode if active
         if (this.inputController.isWalkMode()) {
             this.handleWalkingMode(input);
-            return; // Skip other controls when in walk mode
+            return true; // Skip other controls when in walk mode
         }
         
         // Handle standard sledding controls
-        this.handleSleddingControls(input, delta);
+        this.handleSleddingControls(input, stepMs);
+        // The controls set the spin outright, so effects that change it go after them
+        this.effects.applySpin(stepMs);
         
         // Update terrain
         this.terrain.update(this.player.x);
         
         // Update collectibles
-        this.collectibles.update(time, this.player.x);
+        this.collectibles.update(this.fixedTimestep.simTime, this.player.x);
+        
+        // Place hazards on the new terrain
+        this.hazards.update(this.player.x);
 
         // --- Failsafe: Prevent player from falling through terrain ---
         // If the player sprite is ever below the terrain at the same x,
@@ -777,7 +1008,7 @@ export default class ModularGameScene extends Phaser.Scene {
                 player: !!this.player,
                 body: this.player ? !!this.player.body : 'n/a'
             });
-            return;
+            return true;
         }
 
         // Optionally check terrain bounds if TerrainManager supports it
@@ -794,7 +1025,7 @@ export default class ModularGameScene extends Phaser.Scene {
             console.warn('[Failsafe] No valid terrain at x:', this.player.x, 'Player y:', this.player.y);
             // Optionally: teleport to a safe spawn, or freeze player
             // this.respawnPlayer();
-            return;
+            return true;
         }
 
         // Use a dynamic epsilon based on vertical speed
@@ -834,36 +1065,137 @@ export default class ModularGameScene extends Phaser.Scene {
         if (this.player.y > this.cameras.main.worldView.bottom + 800) {
             console.log("Player fell too far. Restarting.");
             this.scene.restart();
+            return false;
         }
         if (this.player.x < this.cameras.main.worldView.left - 400) {
             console.log("Player went too far left. Restarting.");
             this.scene.restart();
+            return false;
         }
-        
-        // --- Camera follow clamp logic ---
-        // Never let the camera center fall more than 400px in X or 200px in Y from the player
-        const cam = this.cameras.main;
-        const cameraCenterX = cam.scrollX + cam.width / 2;
-        const cameraCenterY = cam.scrollY + cam.height / 2;
-        const maxLagX = 400;
-        const maxLagY = 200;
-        if (this.player.x - cameraCenterX > maxLagX) {
-            cam.scrollX = this.player.x - maxLagX - cam.width / 2;
+
+        return true;
+    }
+
+    /**
+     * Updates terrain particle emitters for the surface the player was on during
+     * the last simulation step.
+     */
+    updateTerrainEffects() {
+        const currentTerrainType = this.lastTerrainType;
+        const currentTerrainAngle = this.lastTerrainAngle || 0;
+
+        // --- PARTICLE EMITTER ACTIVATION (FIXED) ---
+        // Turn off all emitters first
+        this.greenStreakEmitter.stop();
+        this.blueBlingEmitter.stop();
+        this.magentaFlickerEmitter.stop();
+
+        // Players can switch the trails off in settings
+        if (this.settings && !this.settings.get('particles')) {
+            return;
         }
-        if (this.player.x - cameraCenterX < -maxLagX) {
-            cam.scrollX = this.player.x + maxLagX - cam.width / 2;
+
+        // Activate the appropriate emitter based on terrain type
+        if (currentTerrainType === 'green' && this.onGround) {
+            this.greenStreakEmitter.setPosition(this.player.x, this.player.y + 18);
+            // Update angle based on terrain slope
+            this.greenStreakEmitter.setConfig({
+                angle: { 
+                    min: Phaser.Math.RadToDeg(currentTerrainAngle) - 10, 
+                    max: Phaser.Math.RadToDeg(currentTerrainAngle) + 10 
+                }
+            });
+            this.greenStreakEmitter.start();
+            console.log('[DEBUG] Green emitter started at:', this.player.x, this.player.y + 18, 'onGround:', this.onGround);
+        } else if (currentTerrainType === 'blue' && this.onGround) {
+            this.blueBlingEmitter.setPosition(this.player.x, this.player.y + 10);
+            this.blueBlingEmitter.start();
+            console.log('[DEBUG] Blue emitter started at:', this.player.x, this.player.y + 10, 'onGround:', this.onGround);
+        } else if (currentTerrainType === 'magenta' && this.onGround) {
+            this.magentaFlickerEmitter.setPosition(this.player.x, this.player.y + 15);
+            this.magentaFlickerEmitter.start();
+            console.log('[DEBUG] Magenta emitter started at:', this.player.x, this.player.y + 15, 'onGround:', this.onGround);
+        } else {
+            console.log('[DEBUG] No emitter activated - TerrainType:', currentTerrainType, 'onGround:', this.onGround);
         }
-        if (this.player.y - cameraCenterY > maxLagY) {
-            cam.scrollY = this.player.y - maxLagY - cam.height / 2;
+        
+        // Debug log for emitter activity
+        const activeEmitters = [];
+        if (this.greenStreakEmitter.on) activeEmitters.push('green');
+        if (this.blueBlingEmitter.on) activeEmitters.push('blue');
+        if (this.magentaFlickerEmitter.on) activeEmitters.push('magenta');
+        if (activeEmitters.length > 0) {
+            console.log('[DEBUG] Active particle emitters:', activeEmitters);
         }
-        if (this.player.y - cameraCenterY < -maxLagY) {
-            cam.scrollY = this.player.y + maxLagY - cam.height / 2;
+    }
+
+    /**
+     * Records the player body's pose before a physics step.
+     */
+    capturePreviousBodyState() {
+        const body = this.player.body;
+        this.previousBodyState = {
+            x: body.position.x,
+            y: body.position.y,
+            angle: body.angle
+        };
+    }
+
+    /**
+     * Moves the player body to a pose blended between the last two steps just
+     * before rendering. Without this the player visibly stutters whenever the
+     * frame rate isn't a multiple of the tick rate.
+     */
+    applyRenderInterpolation() {
+        if (!this.player || !this.player.body || !this.previousBodyState || !this.fixedTimestep) {
+            this.renderRestoreState = null;
+            return;
         }
 
-        // Update HUD
-        this.updateHud();
+        const body = this.player.body;
+        const prev = this.previousBodyState;
+        const alpha = this.fixedTimestep.alpha;
+        this.renderRestoreState = {
+            body,
+            x: body.position.x,
+            y: body.position.y,
+            angle: body.angle
+        };
+
+        // Only the rendered pose changes; restoreSimulationState() undoes this after the frame is drawn
+        body.position.x = prev.x + (body.position.x - prev.x) * alpha;
+        body.position.y = prev.y + (body.position.y - prev.y) * alpha;
+        body.angle = prev.angle + (body.angle - prev.angle) * alpha;
     }
 
+    /**
+     * Puts the player body back to its true simulated pose after rendering.
+     */
+    restoreSimulationState() {
+        const restore = this.renderRestoreState;
+        if (!restore) return;
+
+        restore.body.position.x = restore.x;
+        restore.body.position.y = restore.y;
+        restore.body.angle = restore.angle;
+        this.renderRestoreState = null;
+    }
+
+    /**
+     * Hooks render interpolation into the game's render step for the lifetime of the scene.
+     */
+    setupRenderInterpolation() {
+        const CoreEvents = getPhaser().Core.Events;
+        this.game.events.on(CoreEvents.PRE_RENDER, this.applyRenderInterpolation, this);
+        this.game.events.on(CoreEvents.POST_RENDER, this.restoreSimulationState, this);
+
+        // Game-level listeners outlive the scene, so drop them however the scene ends
+        this.events.once('shutdown', () => {
+            this.restoreSimulationState();
+            this.game.events.off(CoreEvents.PRE_RENDER, this.applyRenderInterpolation, this);
+            this.game.events.off(CoreEvents.POST_RENDER, this.restoreSimulationState, this);
+        });
+    }
     
     /**
      * Handles player controls and physics in walking mode.
@@ -934,7 +1266,7 @@ export default class ModularGameScene extends Phaser.Scene {
         // Always use a speed multiplier of 1.0; clean landings do not affect speed
         this.currentSpeedMultiplier = 1.0;
         // Only apply the minimum constant boost when on ground
-        const minBoostForce = PhysicsConfig.movement.minBoostStrength;
+        const minBoostForce = this.playerStats.get('minBoostStrength');
         // No additional speed boost from landing multipliers
         const totalBoostForce = minBoostForce;
         // The force is applied in the direction of current movement
@@ -950,14 +1282,16 @@ export default class ModularGameScene extends Phaser.Scene {
      * Processes rotation, tricks, braking, tucking, parachuting, and jumping.
      *
      * @param {Object} input - Current input state from InputController.
-     * @param {number} delta - Time elapsed since last frame in ms.
+     * @param {number} stepMs - Length of the simulation step in ms.
      */
-    handleSleddingControls(input, delta) {
+    handleSleddingControls(input, stepMs) {
         const Body = getPhaser().Physics.Matter.Matter.Body;
-        const groundRotVel = PhysicsConfig.rotation.groundRotationVel;
-        const airRotVel = PhysicsConfig.rotation.airRotationVel;
+        const groundRotVel = this.playerStats.get('groundRotationVel');
+        const airRotVel = this.playerStats.get('airRotationVel');
         const pushForce = PhysicsConfig.movement.pushForce;
         let deltaRotation = 0;
+        // Angular velocity is per 60fps frame, so a shorter step turns proportionally less
+        const stepScale = stepMs / REFERENCE_FRAME_MS;
         
         // -----------------------------------------------------------------
         // W/S KEYS - ROTATION CONTROLS
@@ -966,12 +1300,12 @@ export default class ModularGameScene extends Phaser.Scene {
             // W key for counter-clockwise rotation in air
             if (input.rotateCounterClockwise) {
                 Body.setAngularVelocity(this.player.body, -airRotVel);
-                deltaRotation = -Phaser.Math.RadToDeg(airRotVel);
+                deltaRotation = -Phaser.Math.RadToDeg(airRotVel) * stepScale;
             }
             // S key for clockwise rotation in air
             else if (input.rotateClockwise) {
                 Body.setAngularVelocity(this.player.body, airRotVel);
-                deltaRotation = Phaser.Math.RadToDeg(airRotVel);
+                deltaRotation = Phaser.Math.RadToDeg(airRotVel) * stepScale;
             }
             // If neither rotation key is pressed, stop rotation immediately
             else {
@@ -990,15 +1324,23 @@ export default class ModularGameScene extends Phaser.Scene {
         else {
             Body.setAngularVelocity(this.player.body, 0);
             
+            // On touchdown, keep the angle the sled landed at for the landing grade,
+            // before it is eased onto the slope
+            if (!this.rotationSystem.isGrounded) {
+                this.touchdownAngle = Phaser.Math.RadToDeg(this.player.body.angle);
+            }
+            
             // Rotate player to match terrain angle - critical for hugging the terrain
-            this.playerHitTerrain(this.currentSlopeAngle);
+            this.playerHitTerrain(this.currentSlopeAngle, stepMs);
             
-            // Update rotation system with current ground state
+            // Update rotation system with current ground state; a landing is judged
+            // against the slope under the player
             const currentAngleDeg = Phaser.Math.RadToDeg(this.player.body.angle);
             this.rotationSystem.update({
                 grounded: this.onGround,
                 currentAngle: currentAngleDeg,
-                deltaRotation: 0
+                deltaRotation: 0,
+                terrainAngle: this.getSlopeUnderPlayer()
             });
         }
         
@@ -1033,10 +1375,10 @@ export default class ModularGameScene extends Phaser.Scene {
                 }
                 
                 // Dramatically reduce horizontal velocity while airbraking (80% reduction per second)
-                // Calculate the delta reduction based on frame rate
+                // Calculate the reduction for this step's share of a second
                 const currentVelocity = this.player.body.velocity;
                 const reductionRate = 1.2; // 80% reduction per second (matching GameScene)
-                const frameReduction = reductionRate / 60; // Assuming 60fps, adjust per frame
+                const frameReduction = reductionRate * (stepMs / 1000);
                 
                 // Apply reduction as new velocity, not a force
                 const newXVel = currentVelocity.x * (1 - frameReduction);
@@ -1101,7 +1443,7 @@ export default class ModularGameScene extends Phaser.Scene {
                 if (this.parachuteEffectiveness > 0) {
                     // Transition from 100% to 0% over exactly 1 second
                     const reductionRate = 1.0; // 100% reduction per second = 100% over 1 second
-                    this.parachuteEffectiveness -= (delta / 1000) * reductionRate;
+                    this.parachuteEffectiveness -= (stepMs / 1000) * reductionRate;
                     
                     // Clamp to minimum of 0 (no effect after 2 seconds)
                     this.parachuteEffectiveness = Math.max(0, this.parachuteEffectiveness);
@@ -1121,7 +1463,11 @@ export default class ModularGameScene extends Phaser.Scene {
                 const currentVelocity = this.player.body.velocity;
                 // Calculate factor based on effectiveness (0.8 at full effectiveness, 1.0 at 0% effectiveness)
                 // At 0% effectiveness, there should be no parachute effect (factor of 1.0)
-                const effectiveFactor = Phaser.Math.Linear(1.0, 0.8, this.parachuteEffectiveness);
+                // The factor is tuned per 60fps frame, so it is rescaled to this step's length
+                const effectiveFactor = scalePerFrameFactor(
+                    Phaser.Math.Linear(1.0, 0.8, this.parachuteEffectiveness),
+                    stepMs
+                );
                 
                 // Only reduce downward velocity
                 if (currentVelocity.y > 0) {
@@ -1173,8 +1519,8 @@ export default class ModularGameScene extends Phaser.Scene {
             const vx = this.player.body.velocity.x;
             const absSpeed = Math.abs(vx);
             const maxSpeed = PhysicsConfig.jump.minSpeedForMaxJump;
-            const maxJump = PhysicsConfig.jump.jumpVelocity;
-            const minJump = PhysicsConfig.jump.minJumpVelocity;
+            const maxJump = this.playerStats.get('jumpVelocity');
+            const minJump = this.playerStats.get('minJumpVelocity');
             // Linear interpolation for jump velocity based on current speed
             let jumpVel = maxJump;
             if (absSpeed < maxSpeed) {
@@ -1197,14 +1543,24 @@ export default class ModularGameScene extends Phaser.Scene {
         
 
         
-        // Track rotations for flips
-        // (Removed invalid update call; all valid updates above use full state object)
-
+        // Track named tricks while airborne; they are scored when the landing is judged
+        if (!this.onGround) {
+            const completed = this.trickSystem.update({
+                rotation: this.rotationSystem.rotationSinceTakeoff,
+                airBraking: this.isAirBraking,
+                parachuting: this.isParachuting && this.parachuteEffectiveness > 0,
+                stepMs
+            });
+            if (completed.length > 0) {
+                this.hud.updateCombo(this.trickSystem.getCombo());
+            }
+        }
     }
     
     /**
      * Called when a flip or partial flip landing is detected.
-     * Applies a one-time velocity impulse and awards points.
+     * Applies a one-time velocity impulse and counts the flips. Points come from
+     * the trick combo, see bankTricks().
      *
      * @param {number} fullFlips - Number of full flips completed.
      * @param {number} partialFlip - Fractional part of a flip (0.0–1.0).
@@ -1217,57 +1573,231 @@ export default class ModularGameScene extends Phaser.Scene {
             return; // No significant rotation
         }
         
-        let points = 0;
-        let message = '';
-        
-        // Award points based on rotation amount
-        if (fullFlips >= 2) {
-            points = 1000 * fullFlips;
-            message = `DOUBLE FLIP! +${points}`;
-        } else if (fullFlips >= 1) {
-            points = 500;
-            message = `FLIP! +${points}`;
-        } else if (partialFlip >= 0.5) {
-            points = 100;
-            message = `Half Flip! +${points}`;
-        }
+        this.runStats.flips += fullFlips;
         
         // Apply a one-time spring-like impulse for flip landing (see flip-impulse.js)
         // This is a single, non-sticky reward: no lingering speed multiplier.
         applyFlipImpulse(this.player, fullFlips, partialFlip);
         this.currentSpeedMultiplier = 1.0; // Always reset after landing reward!
+    }
+    
+    /**
+     * Scores a landing that wasn't a crash: banks the trick combo and, after a real
+     * jump rather than a bump, grades the touchdown
+     */
+    onLanded() {
+        const airtimeMs = this.trickSystem.airtimeMs;
+        this.bankTricks();
+        if (airtimeMs >= PhysicsConfig.landing.minAirtimeMs) {
+            this.gradeTouchdown();
+        }
+    }
+    
+    /**
+     * Grades the last touchdown against the slope under the player, adds the grade's
+     * bonus or penalty and shows it
+     * @returns {string} The grade: 'perfect', 'clean' or 'sketchy'
+     */
+    gradeTouchdown() {
+        const grade = gradeLanding(this.touchdownAngle, this.getSlopeUnderPlayer());
+        
+        // A penalty never takes the score below zero
+        const points = Math.max(PhysicsConfig.landing.points[grade], -this.score);
+        this.runStats.landings[grade]++;
+        this.addScore(points, 'landings');
         
-        // Update score and show toast
+        const { label, color } = LANDING_GRADES[grade];
+        this.hud.showToast(`${label} LANDING ${points >= 0 ? '+' : ''}${points}`, 1500, color);
+        return grade;
+    }
+    
+    /**
+     * Terrain angle under the player, falling back to the slope of the last terrain
+     * body touched where no segment is generated
+     * @returns {number} Slope angle in degrees
+     */
+    getSlopeUnderPlayer() {
+        const slope = this.terrain.getSlopeAngleAt(this.player.x);
+        return Phaser.Math.RadToDeg(slope !== null ? slope : this.currentSlopeAngle);
+    }
+    
+    /**
+     * Scores the jump's trick combo after a landing that wasn't a crash
+     */
+    bankTricks() {
+        const combo = this.trickSystem.land();
+        if (!combo) return;
+        
+        this.addScore(combo.points, 'tricks');
+        this.runStats.bestCombo = Math.max(this.runStats.bestCombo, combo.multiplier);
+        this.hud.showComboResult(`x${combo.multiplier.toFixed(2)} +${combo.points}`, true);
+        this.hud.showToast(`${combo.names.join(' + ')}! +${combo.points}`, 2000);
+    }
+    
+    /**
+     * Adds points to the score and to the run's per-source breakdown, after active
+     * effects have had their say
+     * @param {number} points - Points to add
+     * @param {string} source - Where they came from, e.g. 'distance', 'blueTerrain', 'tricks' or 'maxLifeBonus'
+     */
+    addScore(points, source) {
+        points = this.effects.modifyScore(points, source);
+        if (!points) return;
         this.score += points;
-        if (points > 0) {
-            this.hud.showToast(message, 2000);
+        this.runStats.scoreBySource[source] = (this.runStats.scoreBySource[source] || 0) + points;
+    }
+    
+    /**
+     * Updates the run's distance, deepest point and top speed after a physics step,
+     * scoring new meters travelled
+     */
+    trackRunStats() {
+        const { velocity } = this.player.body;
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+        this.runStats.topSpeed = Math.max(this.runStats.topSpeed, speed);
+        this.runStats.lowestY = Math.max(this.runStats.lowestY, this.player.y); // y grows downward
+        
+        const { points, passedPersonalBest } = this.distanceTracker.update(this.player.x);
+        this.addScore(points, 'distance');
+        if (passedPersonalBest) {
+            this.hud.showToast('NEW PERSONAL BEST!', 2000, '#00ff88');
         }
     }
     
     /**
-     * Handles collection of an extra life collectible.
-     * Increments lives or awards points if at max lives.
+     * Looks up the best distance in Pascal's Ledger. Once it is known, the distance
+     * tracker watches for it and updatePersonalBestMarker() marks it in the world.
+     * Without IndexedDB the run simply has no marker.
+     */
+    loadPersonalBest() {
+        this.personalBestMarker = null;
+        const tracker = this.distanceTracker;
+        new PascalsLedger().getBestDistance()
+            .then(meters => {
+                // Ignore a lookup that finishes after the run it was for
+                if (meters <= 0 || tracker !== this.distanceTracker) return;
+                tracker.setPersonalBest(meters);
+                this.personalBestMarker = { x: tracker.xForMeters(meters), meters, graphics: null, label: null, passed: false };
+            })
+            .catch(error => console.warn('Personal best unavailable:', error.message));
+    }
+    
+    /**
+     * Draws the personal best marker once the terrain under it exists, and turns it
+     * green when the player passes it
+     */
+    updatePersonalBestMarker() {
+        const marker = this.personalBestMarker;
+        if (!marker) return;
+        
+        if (!marker.graphics) {
+            const groundY = this.terrain.findTerrainHeightAt(marker.x);
+            if (groundY === null) return; // Terrain not generated that far yet
+            
+            marker.groundY = groundY;
+            marker.graphics = this.add.graphics();
+            marker.label = this.add.text(marker.x, groundY - 230, `PB ${Math.floor(marker.meters)}m`, {
+                font: '18px Arial',
+                fill: '#ff00ff',
+                stroke: '#000000',
+                strokeThickness: 4
+            }).setOrigin(0.5, 1);
+            this.drawPersonalBestMarker(0xff00ff);
+        }
+        
+        if (!marker.passed && this.distanceTracker.passedPersonalBest) {
+            marker.passed = true;
+            marker.label.setText('NEW PB').setColor('#00ff88');
+            this.drawPersonalBestMarker(0x00ff88);
+        }
+    }
+    
+    /**
+     * Draws the personal best marker's beam from the ground up
+     * @param {number} color - Beam colour
+     * @private
+     */
+    drawPersonalBestMarker(color) {
+        const { graphics, x, groundY } = this.personalBestMarker;
+        graphics.clear();
+        graphics.lineStyle(10, color, 0.25).beginPath();
+        graphics.moveTo(x, groundY - 220);
+        graphics.lineTo(x, groundY).strokePath();
+        graphics.lineStyle(3, color, 1).beginPath();
+        graphics.moveTo(x, groundY - 220);
+        graphics.lineTo(x, groundY).strokePath();
+    }
+    
+    /**
+     * Handles collection of a collectible: takes it out of the world and applies
+     * its effect (see lib/PowerUps.js for what each type does).
      *
-     * @param {MatterJS.BodyType} colliderBody - The body of the collected extra life.
+     * @param {MatterJS.BodyType} colliderBody - The body of the collected collectible.
      * @returns {boolean} True if collected, false otherwise.
      */
-    collectExtraLife(colliderBody) {
-        // Delegate to collectible manager
-        const success = this.collectibles.collectExtraLife(colliderBody, () => {
-            // Life collected callback
-            if (this.lives < PhysicsConfig.extraLives.maxLives) {
-                this.lives++;
-                this.hud.showToast('Extra Life!', 2000);
-                this.hud.updateLivesDisplay(this.lives, PhysicsConfig.extraLives.maxLives);
-            } else {
-                // Already at max lives, give points instead
-                const pointsForExtraLife = 1000;
-                this.score += pointsForExtraLife;
-                this.hud.showToast(`Max Lives! +${pointsForExtraLife} points`, 2000);
-            }
-        });
+    collectPickup(colliderBody) {
+        const type = this.collectibles.collect(colliderBody);
+        if (!type) return false;
         
-        return success;
+        this.effects.apply(type, this.fixedTimestep.simTime);
+        return true;
+    }
+    
+    /**
+     * Handles the player running into a hazard: crash, speed cut or physics scramble,
+     * as its definition's onHit says (see lib/HazardLibrary.js).
+     *
+     * @param {MatterJS.BodyType} colliderBody - The body of the hazard that was hit.
+     * @returns {boolean} True if the hazard took effect, false otherwise.
+     */
+    hitHazard(colliderBody) {
+        if (this.gameOverShown) return false;
+        
+        const hazard = this.hazards.hit(colliderBody);
+        if (!hazard) return false;
+        
+        this.runStats.hazardHits++;
+        this.hazards.applyHit(hazard, this.fixedTimestep.simTime);
+        return true;
+    }
+    
+    /**
+     * The player's current speed.
+     *
+     * @returns {number} Speed in pixels per step.
+     */
+    getPlayerSpeed() {
+        const velocity = this.player.body.velocity;
+        return Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+    }
+    
+    /**
+     * Keeps the sled at or above a speed, keeping its direction. Does nothing in
+     * walking mode or when standing still.
+     *
+     * @param {number} minSpeed - Slowest the sled may go, in pixels per step.
+     */
+    holdPlayerSpeed(minSpeed) {
+        if (this.inputController.isWalkMode()) return;
+        
+        const speed = this.getPlayerSpeed();
+        if (speed <= 0 || speed >= minSpeed) return;
+        
+        const Body = getPhaser().Physics.Matter.Matter.Body;
+        const velocity = this.player.body.velocity;
+        const scale = minSpeed / speed;
+        Body.setVelocity(this.player.body, { x: velocity.x * scale, y: velocity.y * scale });
+    }
+    
+    /**
+     * Slows down (or restores) the physics and tweens. Simulation time keeps its pace,
+     * so timed effects and replays are unaffected.
+     *
+     * @param {number} timeScale - 1 for normal speed, below 1 for slow motion.
+     */
+    setSlowMotion(timeScale) {
+        this.matter.world.engine.timing.timeScale = timeScale;
+        this.tweens.timeScale = timeScale;
     }
     
     /**
@@ -1280,8 +1810,9 @@ export default class ModularGameScene extends Phaser.Scene {
      * This is crucial for making the player "hug" the terrain.
      *
      * @param {number} terrainAngleRad - The angle of the terrain in radians.
+     * @param {number} [stepMs] - Length of the simulation step in ms (defaults to one 60fps frame).
      */
-    playerHitTerrain(terrainAngleRad) {
+    playerHitTerrain(terrainAngleRad, stepMs = REFERENCE_FRAME_MS) {
         // Rotate player gently toward terrain angle on touchdown
         const targetDeg = Phaser.Math.RadToDeg(terrainAngleRad);
         const currentDeg = this.player.angle;
@@ -1289,8 +1820,10 @@ export default class ModularGameScene extends Phaser.Scene {
 
         // Only adjust if difference is significant
         if (Math.abs(diff) > 2) {
-            // Use slopeAlignmentFactor to make the rotation smooth
-            this.player.setAngle(currentDeg + diff * PhysicsConfig.rotation.slopeAlignmentFactor);
+            // Use slopeAlignmentFactor to make the rotation smooth; it is tuned per 60fps
+            // frame, so shorter steps close a correspondingly smaller share of the gap
+            const alignment = 1 - scalePerFrameFactor(1 - PhysicsConfig.rotation.slopeAlignmentFactor, stepMs);
+            this.player.setAngle(currentDeg + diff * alignment);
         }
     }
     
@@ -1302,13 +1835,32 @@ export default class ModularGameScene extends Phaser.Scene {
      * Handles player crashes due to bad landings.
      * Uses a life if available, otherwise triggers game over.
      * Matches the original GameScene implementation.
+     * @param {string} [cause='bad-landing'] - What caused the crash; recorded in the ledger if it ends the run
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.fatal=false] - End the run whatever lives are left; nothing can negate it
      */
-    handleCrash() {
+    handleCrash(cause = 'bad-landing', { fatal = false } = {}) {
+        // Tricks not yet landed are lost with the crash, even one a backup negates,
+        // so the next jump starts a fresh airtime
+        if (this.trickSystem.fail() > 0) {
+            this.hud.showComboResult('COMBO LOST', false);
+        }
+        
+        // A Hashed Backup (lib/PowerUps.js) negates the rest of the crash
+        if (!fatal && this.effects.absorbCrash(cause)) {
+            return;
+        }
+        
+        this.runStats.crashes++;
+        
         // Reset player velocity on crash
         const Body = getPhaser().Physics.Matter.Matter.Body;
         Body.setVelocity(this.player.body, { x: 0, y: 0 });
         
         // Use a life if available, otherwise trigger game over
+        if (fatal) {
+            this.lives = 0;
+        }
         if (this.lives > 0) {
             this.lives--;
             
@@ -1353,6 +1905,7 @@ export default class ModularGameScene extends Phaser.Scene {
             // No lives left and game over hasn't been shown yet
             console.log('No lives left, game over...');
             this.gameOverShown = true; // Mark as shown to prevent multiple displays
+            this.runStats.causeOfDeath = cause;
             
             // Create explosion effect for the player and sled using our effects module
             if (this.explosionEffects) {
@@ -1389,18 +1942,60 @@ export default class ModularGameScene extends Phaser.Scene {
                 duration: 300
             });
             
-            // Return to StartScene after a delay
+            // Build the summary now, while score and position still describe the finished run
+            const summary = this.createRunSummary(cause);
+            
+            // Show the results after a delay; replays go straight back to the start screen
+            // so watching a run does not record it in the ledger twice
             this.time.delayedCall(1500, () => {
-                // Proper cleanup before returning to start screen
+                // Proper cleanup before leaving the scene
                 this.cleanupBeforeRestart();
-                // Go back to StartScene instead of restarting
-                this.scene.start('StartScene');
+                if (this.replayRecording) {
+                    this.scene.start('StartScene');
+                } else {
+                    this.scene.start('ResultsScene', { run: summary });
+                }
             });
         }
     }
     
     /**
-     * Updates the HUD display with player stats, score, and lives.
+     * Describes the finished run for Pascal's Ledger
+     * @param {string} causeOfDeath - What ended the run
+     * @returns {{score: number, distance: number, seed: string, flips: number, causeOfDeath: string, date: string}}
+     *     Run summary; distance is in meters
+     */
+    createLedgerEntry(causeOfDeath) {
+        return {
+            score: Math.floor(this.score),
+            distance: this.distanceTracker.meters,
+            seed: this.gameSeed ? String(this.gameSeed) : 'unseeded',
+            flips: this.runStats.flips,
+            causeOfDeath,
+            date: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Describes the finished run for the results screen: the ledger fields plus the breakdown
+     * @param {string} causeOfDeath - What ended the run
+     * @returns {Object} Ledger entry fields, plus scoreBySource, altitudeDrop (meters),
+     *     topSpeed (HUD units) and bestCombo
+     */
+    createRunSummary(causeOfDeath) {
+        return {
+            ...this.createLedgerEntry(causeOfDeath),
+            scoreBySource: Object.fromEntries(
+                Object.entries(this.runStats.scoreBySource).map(([source, points]) => [source, Math.floor(points)])
+            ),
+            altitudeDrop: (this.runStats.lowestY - this.runStats.startY) / TerrainConfig.pixelsPerMeter,
+            topSpeed: this.runStats.topSpeed,
+            bestCombo: this.runStats.bestCombo
+        };
+    }
+    
+    /**
+     * Updates the HUD display with player stats, score, lives and power-up timers.
      */
     updateHud() {
         if (!this.player || !this.hud) return;
@@ -1410,7 +2005,11 @@ export default class ModularGameScene extends Phaser.Scene {
         const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
         
         // Update HUD elements (show integer score only)
-        this.hud.update(this.player, Math.floor(this.score), speed, this.lives, PhysicsConfig.extraLives.maxLives);
+        this.hud.update(this.player, Math.floor(this.score), speed, this.lives, PhysicsConfig.extraLives.maxLives,
+            this.distanceTracker.meters);
+        this.hud.updateEffectTimers(this.effects.getTimers(this.fixedTimestep.simTime));
+        this.hud.updateColorOdds(this.terrain.getColorOdds());
+        this.hud.updateAvalancheWarning(this.avalanche.getWarning(this.player.x));
     }
     
 
@@ -1427,6 +2026,44 @@ export default class ModularGameScene extends Phaser.Scene {
         if (this.hud) {
             this.hud.handleResize(gameSize);
         }
+        if (this.touchControls) {
+            this.touchControls.handleResize(gameSize);
+        }
+    }
+    
+    /**
+     * Records live input for this run, or feeds a recording back in when replaying.
+     */
+    setupInputRecording() {
+        this.inputRecorder = null;
+        
+        if (this.replayRecording) {
+            try {
+                this.inputController.setPlayback(new InputPlayback(this.replayRecording));
+                console.log('Replaying recorded run with seed:', this.gameSeed);
+                return;
+            } catch (error) {
+                // A broken recording shouldn't leave the player with a dead scene
+                console.error('Could not start replay, falling back to live input:', error);
+            }
+        }
+        
+        this.inputRecorder = new InputRecorder(this.gameSeed || null);
+        this.inputRecorder.start();
+        this.inputController.setRecorder(this.inputRecorder);
+    }
+    
+    /**
+     * Stops recording and exposes the finished run as window.lastRunRecording
+     * so it can be copied or handed to window.replayRun().
+     */
+    saveRunRecording() {
+        if (!this.inputRecorder) return;
+        
+        this.inputRecorder.stop();
+        window.lastRunRecording = this.inputRecorder.toJSON();
+        console.log(`Run recording saved (${window.lastRunRecording.frameCount} frames)`);
+        this.inputRecorder = null;
     }
     
     /**
@@ -1444,6 +2081,9 @@ export default class ModularGameScene extends Phaser.Scene {
         // Remove resize event listener
         this.scale.off('resize', this.handleResize, this);
         
+        // Keep the finished run replayable before the input controller goes away
+        this.saveRunRecording();
+        
         // Clean up modules
         if (this.inputController) {
             this.inputController.destroy();
@@ -1460,14 +2100,48 @@ export default class ModularGameScene extends Phaser.Scene {
             this.hud = null;
         }
         
+        if (this.touchControls) {
+            this.touchControls.destroy();
+            this.touchControls = null;
+        }
+        
         if (this.collectibles) {
             this.collectibles.destroy();
             this.collectibles = null;
         }
         
+        if (this.hazards) {
+            this.hazards.destroy();
+            this.hazards = null;
+        }
+        
         // Clean up rotation system
         if (this.rotationSystem) {
             this.rotationSystem = null;
         }
+        
+        if (this.effects) {
+            this.effects.clear();
+            this.effects = null;
+        }
+        
+        if (this.playerStats) {
+            this.playerStats.reset();
+            this.playerStats = null;
+        }
+        
+        // Slow motion cut short by the restart must not carry over
+        if (this.matter && this.matter.world) {
+            this.setSlowMotion(1);
+        }
+        
+        if (this.avalanche) {
+            this.avalanche.destroy();
+            this.avalanche = null;
+        }
+        
+        // A personal best lookup still in flight must not reach the next run
+        this.distanceTracker = null;
+        this.personalBestMarker = null;
     }
 }
@@ -0,0 +1,193 @@
+// js/PauseScene.js
+// Pause overlay drawn over a suspended ModularGameScene
+// ------------------------------------------------------
+
+// Phaser is loaded globally via CDN in index.html - no import needed
+
+/**
+ * Key of the scene this overlay pauses
+ * @type {string}
+ */
+const GAME_SCENE_KEY = 'ModularGameScene';
+
+/**
+ * Headline shown for each reason the game was paused
+ * @type {Object<string, string>}
+ */
+const PAUSE_REASON_TEXT = {
+    player: 'PAUSED',
+    hidden: 'PAUSED - WELCOME BACK',
+    gamepad: 'CONTROLLER DISCONNECTED'
+};
+
+/**
+ * Pause menu. ModularGameScene.pauseGame() suspends the game (Matter world, timers,
+ * tweens, update loop) and launches this scene on top of it. Picking an entry either
+ * resumes the game or leaves it.
+ *
+ * Start data: `{ reason }`, one of the PAUSE_REASON_TEXT keys.
+ *
+ * @extends Phaser.Scene
+ */
+export default class PauseScene extends Phaser.Scene {
+    /**
+     * Constructs the PauseScene.
+     */
+    constructor() {
+        super({ key: 'PauseScene' });
+        this.key = 'PauseScene';
+    }
+
+    /**
+     * Receives why the game was paused.
+     * @param {Object} [data] - Start data
+     * @param {string} [data.reason='player'] - What paused the game
+     */
+    init(data) {
+        this.reason = data && data.reason ? data.reason : 'player';
+        this.selectedIndex = 0;
+        this.menuTexts = [];
+        this.leaving = false;
+    }
+
+    /**
+     * Draws the overlay and the menu.
+     */
+    create() {
+        const { width, height } = this.cameras.main;
+
+        // Dim the frozen game rather than hiding it
+        this.add.rectangle(0, 0, width, height, 0x000022, 0.75).setOrigin(0);
+
+        this.add.text(width / 2, height * 0.25, PAUSE_REASON_TEXT[this.reason] || PAUSE_REASON_TEXT.player, {
+            fontFamily: '"Press Start 2P"',
+            fontSize: '32px',
+            color: '#ff00ff',
+            stroke: '#ffffff',
+            strokeThickness: 2
+        }).setOrigin(0.5);
+
+        this.items = [
+            { label: 'RESUME', run: () => this.resumeGame() },
+            { label: 'RESTART SEED', run: () => this.restartGame() },
+            { label: 'SETTINGS', run: () => this.openSettings() },
+            { label: 'QUIT TO MENU', run: () => this.quitGame() }
+        ];
+
+        this.items.forEach((item, index) => {
+            const text = this.add.text(width / 2, height * 0.42 + index * 48, item.label, {
+                fontFamily: '"Press Start 2P"',
+                fontSize: '20px',
+                color: '#00ffff'
+            }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+            text.on('pointerover', () => this.select(index));
+            text.on('pointerdown', () => this.activate(index));
+            this.menuTexts.push(text);
+        });
+        this.select(0);
+
+        this.add.text(width / 2, height * 0.88, 'W/S OR ARROWS - ENTER TO PICK - ESC TO RESUME', {
+            fontFamily: '"Press Start 2P"',
+            fontSize: '12px',
+            color: '#ffffff'
+        }).setOrigin(0.5);
+
+        this.input.keyboard.on('keydown', this.handleKey, this);
+        this.events.once('shutdown', this.shutdown, this);
+    }
+
+    /**
+     * Highlights a menu entry
+     * @param {number} index - Entry to highlight
+     */
+    select(index) {
+        this.selectedIndex = (index + this.items.length) % this.items.length;
+        this.menuTexts.forEach((text, i) => {
+            const selected = i === this.selectedIndex;
+            text.setColor(selected ? '#ffff00' : '#00ffff');
+            text.setText(selected ? `> ${this.items[i].label} <` : this.items[i].label);
+        });
+    }
+
+    /**
+     * Runs a menu entry
+     * @param {number} index - Entry to run
+     */
+    activate(index) {
+        if (this.leaving) return;
+        this.items[index].run();
+    }
+
+    /**
+     * Keyboard navigation
+     * @param {KeyboardEvent} event - Key event from Phaser
+     */
+    handleKey(event) {
+        switch (event.key) {
+            case 'ArrowUp':
+            case 'w':
+            case 'W':
+                this.select(this.selectedIndex - 1);
+                break;
+            case 'ArrowDown':
+            case 's':
+            case 'S':
+                this.select(this.selectedIndex + 1);
+                break;
+            case 'Enter':
+            case ' ':
+                this.activate(this.selectedIndex);
+                break;
+            case 'Escape':
+                this.activate(0);
+                break;
+        }
+    }
+
+    /**
+     * Closes the overlay and lets the game carry on
+     */
+    resumeGame() {
+        this.leaving = true;
+        this.scene.stop();
+        this.scene.get(GAME_SCENE_KEY).resumeGame();
+    }
+
+    /**
+     * Starts a fresh run on the seed being played
+     */
+    restartGame() {
+        this.leaving = true;
+        const game = this.scene.get(GAME_SCENE_KEY);
+        // A replay's seed is the recording's, not the one StartScene left behind
+        window.gameSeed = game.gameSeed || null;
+        game.cleanupBeforeRestart();
+        // Starting a scene that is paused restarts it; this overlay shuts down on the way
+        this.scene.start(GAME_SCENE_KEY);
+    }
+
+    /**
+     * Opens the settings screen; it wakes this overlay again when closed
+     */
+    openSettings() {
+        this.scene.launch('SettingsScene', { returnTo: this.key });
+        this.scene.sleep();
+    }
+
+    /**
+     * Abandons the run and goes back to the start screen
+     */
+    quitGame() {
+        this.leaving = true;
+        this.scene.get(GAME_SCENE_KEY).cleanupBeforeRestart();
+        this.scene.stop(GAME_SCENE_KEY);
+        this.scene.start('StartScene');
+    }
+
+    /**
+     * Removes the keyboard listener when leaving the scene.
+     */
+    shutdown() {
+        this.input.keyboard.off('keydown', this.handleKey, this);
+    }
+}
@@ -0,0 +1,247 @@
+// js/ResultsScene.js
+// Game-over results: run breakdown, ledger placement and seed actions
+// ------------------------------------------------------
+
+// Phaser is loaded globally via CDN in index.html - no import needed
+import PascalsLedger, { LEDGER_TOP_COUNT } from './lib/PascalsLedger.js';
+import { generateGameSeed } from './utils/seed-generator.js';
+import { copyTextToClipboard } from './utils/clipboard.js';
+
+/**
+ * Labels for each score source tracked by ModularGameScene.addScore()
+ * @type {Object<string, string>}
+ */
+export const SCORE_SOURCE_LABELS = {
+    distance: 'METERS',
+    blueTerrain: 'BLUE TERRAIN',
+    tricks: 'TRICKS',
+    landings: 'LANDINGS',
+    maxLifeBonus: 'MAX LIFE BONUS'
+};
+
+/**
+ * Builds the label/value rows shown on the results screen
+ * @param {Object} run - Summary from ModularGameScene.createRunSummary()
+ * @returns {Array<{label: string, value: string}>} Rows, top to bottom
+ */
+export function buildResultRows(run) {
+    const bySource = run.scoreBySource || {};
+    const sourceRows = Object.keys({ ...SCORE_SOURCE_LABELS, ...bySource }).map(source => ({
+        label: `  ${SCORE_SOURCE_LABELS[source] || source.toUpperCase()}`,
+        value: String(Math.floor(bySource[source] || 0))
+    }));
+
+    return [
+        { label: 'SCORE', value: String(Math.floor(run.score)) },
+        ...sourceRows,
+        { label: 'DISTANCE', value: `${Math.round(run.distance)}m` },
+        { label: 'ALTITUDE DROP', value: `${Math.round(run.altitudeDrop || 0)}m` },
+        { label: 'TOP SPEED', value: String(Math.round(run.topSpeed || 0)) },
+        { label: 'BEST COMBO', value: `${run.bestCombo || 0}x` },
+        { label: 'FLIPS', value: String(run.flips || 0) },
+        { label: 'END', value: String(run.causeOfDeath).replace(/-/g, ' ').toUpperCase() }
+    ];
+}
+
+/**
+ * Shown when a run ends. Lists where the score came from and how the run went,
+ * records it in Pascal's Ledger, and offers retry-same-seed, new-seed and copy-seed.
+ *
+ * Start data: `{ run }`, the summary built by ModularGameScene.createRunSummary().
+ *
+ * @extends Phaser.Scene
+ */
+export default class ResultsScene extends Phaser.Scene {
+    /**
+     * Constructs the ResultsScene.
+     */
+    constructor() {
+        super({ key: 'ResultsScene' });
+        this.key = 'ResultsScene';
+        this.ledger = new PascalsLedger();
+    }
+
+    /**
+     * Receives the finished run.
+     * @param {Object} data - Start data
+     * @param {Object} data.run - Run summary
+     */
+    init(data) {
+        this.run = data && data.run ? data.run : null;
+        this.ledgerEntry = null;
+        this.leaving = false;
+    }
+
+    /**
+     * Draws the breakdown and the actions, then records the run.
+     */
+    create() {
+        const { width, height } = this.cameras.main;
+
+        // Same arcade backdrop as the start screen
+        const background = this.add.graphics();
+        background.fillStyle(0x000022, 1);
+        background.fillRect(0, 0, width, height);
+        for (let y = 0; y < height; y += 4) {
+            background.lineStyle(1, 0x000000, 0.1);
+            background.lineBetween(0, y, width, y);
+        }
+        background.lineStyle(8, 0x00ffff, 1);
+        background.strokeRect(4, 4, width - 8, height - 8);
+
+        this.add.text(width / 2, height * 0.08, 'RUN COMPLETE', {
+            fontFamily: '"Press Start 2P"',
+            fontSize: '32px',
+            color: '#00ffff',
+            stroke: '#ffffff',
+            strokeThickness: 2
+        }).setOrigin(0.5);
+
+        if (!this.run) {
+            // Nothing to show (scene opened by hand); fall back to the menu
+            this.scene.start('StartScene');
+            return;
+        }
+
+        const rows = buildResultRows(this.run);
+        const top = height * 0.17;
+        const rowHeight = Math.min(32, (height * 0.52) / rows.length);
+        const style = { fontFamily: '"Press Start 2P"', fontSize: '14px', color: '#ffffff' };
+        rows.forEach((row, index) => {
+            const y = top + rowHeight * index;
+            // Score sources are indented under the total and drawn dimmer
+            const color = row.label.startsWith(' ') ? '#aaaaff' : '#ffffff';
+            this.add.text(width * 0.3, y, row.label, { ...style, color }).setOrigin(0, 0.5);
+            this.add.text(width * 0.7, y, row.value, { ...style, color: '#ffff00' }).setOrigin(1, 0.5);
+        });
+
+        const seedY = top + rowHeight * rows.length + 16;
+        this.add.text(width / 2, seedY, `SEED: ${this.run.seed}`, {
+            fontFamily: 'monospace',
+            fontSize: '14px',
+            color: '#00ff88'
+        }).setOrigin(0.5);
+
+        this.statusText = this.add.text(width / 2, seedY + 32, '', {
+            fontFamily: '"Press Start 2P"',
+            fontSize: '14px',
+            color: '#ff00ff'
+        }).setOrigin(0.5);
+
+        this.createActions(height * 0.9);
+
+        this.input.keyboard.on('keydown', this.handleKey, this);
+        this.events.once('shutdown', this.shutdown, this);
+
+        this.recordRun();
+    }
+
+    /**
+     * Draws the action row; every action also has a key
+     * @param {number} y - Row position
+     */
+    createActions(y) {
+        const { width } = this.cameras.main;
+        const actions = [
+            { label: '[R] RETRY SEED', run: () => this.retrySameSeed() },
+            { label: '[N] NEW SEED', run: () => this.startNewSeed() },
+            { label: '[C] COPY SEED', run: () => this.copySeed() },
+            { label: '[L] LEDGER', run: () => this.openLedger() },
+            { label: '[ENTER] MENU', run: () => this.leave('StartScene') }
+        ];
+
+        actions.forEach((action, index) => {
+            const text = this.add.text(width * (index + 1) / (actions.length + 1), y, action.label, {
+                fontFamily: '"Press Start 2P"',
+                fontSize: '12px',
+                color: '#00ffff'
+            }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+            text.on('pointerover', () => text.setColor('#ffffff'));
+            text.on('pointerout', () => text.setColor('#00ffff'));
+            text.on('pointerdown', action.run);
+        });
+    }
+
+    /**
+     * Stores the run in Pascal's Ledger and shows where it placed.
+     * Storage failures only cost the placement line; every action still works.
+     */
+    async recordRun() {
+        try {
+            this.ledgerEntry = await this.ledger.recordRun(this.run);
+            const rank = await this.ledger.getRank(this.ledgerEntry.id);
+            if (!this.scene.isActive()) return;
+
+            if (rank !== null && rank <= LEDGER_TOP_COUNT) {
+                this.statusText.setText(`NEW TOP ${LEDGER_TOP_COUNT} RUN - RANK ${rank} - PRESS L TO SIGN`);
+            }
+        } catch (error) {
+            console.warn('ResultsScene: run not recorded -', error.message);
+        }
+    }
+
+    /**
+     * Keyboard shortcuts for the actions
+     * @param {KeyboardEvent} event - Key event from Phaser
+     */
+    handleKey(event) {
+        switch (event.key.toUpperCase()) {
+            case 'R': this.retrySameSeed(); break;
+            case 'N': this.startNewSeed(); break;
+            case 'C': this.copySeed(); break;
+            case 'L': this.openLedger(); break;
+            case 'ENTER':
+            case 'ESCAPE': this.leave('StartScene'); break;
+        }
+    }
+
+    /**
+     * Plays the same course again
+     */
+    retrySameSeed() {
+        // 'unseeded' is only a ledger label; replaying it means a fresh random course
+        window.gameSeed = this.run.seed === 'unseeded' ? null : this.run.seed;
+        this.leave('ModularGameScene');
+    }
+
+    /**
+     * Plays a new course
+     */
+    startNewSeed() {
+        window.gameSeed = generateGameSeed();
+        this.leave('ModularGameScene');
+    }
+
+    /**
+     * Copies the seed so it can be shared
+     */
+    copySeed() {
+        copyTextToClipboard(this.run.seed);
+        this.statusText.setText('SEED COPIED TO CLIPBOARD');
+    }
+
+    /**
+     * Opens Pascal's Ledger, passing the stored entry so a Top-10 run can be signed
+     */
+    openLedger() {
+        this.leave('LedgerScene', this.ledgerEntry ? { entry: this.ledgerEntry } : {});
+    }
+
+    /**
+     * Starts another scene once, however many keys or clicks arrive
+     * @param {string} key - Scene to start
+     * @param {Object} [data] - Start data
+     */
+    leave(key, data) {
+        if (this.leaving) return;
+        this.leaving = true;
+        this.scene.start(key, data);
+    }
+
+    /**
+     * Removes the keyboard listener when leaving the scene.
+     */
+    shutdown() {
+        this.input.keyboard.off('keydown', this.handleKey, this);
+    }
+}
@@ -0,0 +1,191 @@
+// js/SettingsScene.js
+// Settings screen: toggles saved through SettingsStore
+// ------------------------------------------------------
+
+// Phaser is loaded globally via CDN in index.html - no import needed
+import SettingsStore, { SETTING_CHOICES } from './lib/SettingsStore.js';
+
+/**
+ * Settings shown on the screen, top to bottom. `format` turns a value into its label;
+ * on/off settings don't need one.
+ * @type {Array<{name: string, label: string, format: (Function|undefined)}>}
+ */
+const SETTING_ITEMS = [
+    { name: 'particles', label: 'TERRAIN PARTICLES' },
+    { name: 'autoPause', label: 'AUTO-PAUSE' },
+    { name: 'touchControls', label: 'TOUCH CONTROLS', format: value => value.toUpperCase() },
+    { name: 'touchLayout', label: 'TOUCH LAYOUT', format: value => (value === 'left' ? 'LEFT-HANDED' : 'RIGHT-HANDED') },
+    { name: 'touchOpacity', label: 'TOUCH OPACITY', format: value => `${Math.round(value * 100)}%` }
+];
+
+/**
+ * Lists the player's settings and saves every change straight away.
+ *
+ * Start data: `{ returnTo }`, the scene to go back to. A sleeping scene (the pause
+ * menu) is woken; anything else is started. Defaults to StartScene.
+ *
+ * @extends Phaser.Scene
+ */
+export default class SettingsScene extends Phaser.Scene {
+    /**
+     * Constructs the SettingsScene.
+     */
+    constructor() {
+        super({ key: 'SettingsScene' });
+        this.key = 'SettingsScene';
+    }
+
+    /**
+     * Receives where to go back to.
+     * @param {Object} [data] - Start data
+     * @param {string} [data.returnTo='StartScene'] - Scene to return to
+     */
+    init(data) {
+        this.returnTo = data && data.returnTo ? data.returnTo : 'StartScene';
+        this.settings = new SettingsStore();
+        this.selectedIndex = 0;
+        this.menuTexts = [];
+    }
+
+    /**
+     * Draws the settings list.
+     */
+    create() {
+        const { width, height } = this.cameras.main;
+
+        this.add.rectangle(0, 0, width, height, 0x000022, 0.9).setOrigin(0);
+
+        this.add.text(width / 2, height * 0.2, 'SETTINGS', {
+            fontFamily: '"Press Start 2P"',
+            fontSize: '32px',
+            color: '#ff00ff',
+            stroke: '#ffffff',
+            strokeThickness: 2
+        }).setOrigin(0.5);
+
+        this.items = [
+            ...SETTING_ITEMS.map(item => ({ ...item, run: () => this.change(item.name) })),
+            { label: 'CONTROLS', run: () => this.openControls() },
+            { label: 'RESET DEFAULTS', run: () => this.resetDefaults() },
+            { label: 'BACK', run: () => this.close() }
+        ];
+
+        this.items.forEach((item, index) => {
+            const text = this.add.text(width / 2, height * 0.32 + index * 40, '', {
+                fontFamily: '"Press Start 2P"',
+                fontSize: '16px',
+                color: '#00ffff'
+            }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+            text.on('pointerover', () => this.select(index));
+            text.on('pointerdown', () => this.items[index].run());
+            this.menuTexts.push(text);
+        });
+        this.select(0);
+
+        this.add.text(width / 2, height * 0.88, 'W/S OR ARROWS - ENTER TO CHANGE - ESC TO GO BACK', {
+            fontFamily: '"Press Start 2P"',
+            fontSize: '12px',
+            color: '#ffffff'
+        }).setOrigin(0.5);
+
+        this.input.keyboard.on('keydown', this.handleKey, this);
+        this.events.once('shutdown', this.shutdown, this);
+    }
+
+    /**
+     * Text for one entry, with the current value for settings
+     * @param {Object} item - Menu entry
+     * @returns {string} Label to draw
+     */
+    describe(item) {
+        if (!item.name) return item.label;
+        const value = this.settings.get(item.name);
+        return `${item.label}: ${item.format ? item.format(value) : (value ? 'ON' : 'OFF')}`;
+    }
+
+    /**
+     * Highlights an entry and refreshes every label
+     * @param {number} index - Entry to highlight
+     */
+    select(index) {
+        this.selectedIndex = (index + this.items.length) % this.items.length;
+        this.menuTexts.forEach((text, i) => {
+            const selected = i === this.selectedIndex;
+            const label = this.describe(this.items[i]);
+            text.setColor(selected ? '#ffff00' : '#00ffff');
+            text.setText(selected ? `> ${label} <` : label);
+        });
+    }
+
+    /**
+     * Flips an on/off setting, or moves a setting with choices on to the next one
+     * @param {string} name - Setting name
+     */
+    change(name) {
+        const value = this.settings.get(name);
+        const choices = SETTING_CHOICES[name];
+        this.settings.set(name, choices ? choices[(choices.indexOf(value) + 1) % choices.length] : !value);
+        this.select(this.selectedIndex);
+    }
+
+    /**
+     * Opens the control bindings screen; it wakes this one again when closed
+     */
+    openControls() {
+        this.scene.launch('ControlsScene', { returnTo: this.key });
+        this.scene.sleep();
+    }
+
+    /**
+     * Puts every setting back to its default
+     */
+    resetDefaults() {
+        this.settings.reset();
+        this.select(this.selectedIndex);
+    }
+
+    /**
+     * Keyboard navigation
+     * @param {KeyboardEvent} event - Key event from Phaser
+     */
+    handleKey(event) {
+        switch (event.key) {
+            case 'ArrowUp':
+            case 'w':
+            case 'W':
+                this.select(this.selectedIndex - 1);
+                break;
+            case 'ArrowDown':
+            case 's':
+            case 'S':
+                this.select(this.selectedIndex + 1);
+                break;
+            case 'Enter':
+            case ' ':
+                this.items[this.selectedIndex].run();
+                break;
+            case 'Escape':
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Goes back to the scene that opened the settings
+     */
+    close() {
+        if (this.scene.isSleeping(this.returnTo)) {
+            this.scene.stop();
+            this.scene.wake(this.returnTo);
+        } else {
+            this.scene.start(this.returnTo);
+        }
+    }
+
+    /**
+     * Removes the keyboard listener when leaving the scene.
+     */
+    shutdown() {
+        this.input.keyboard.off('keydown', this.handleKey, this);
+    }
+}
@@ -6,6 +6,7 @@
 // Import crypto library for SHA-256 hashing
 import { generateGameSeed } from './utils/seed-generator.js';
 import StarfieldParallax from './background/StarfieldParallax.js';
+import { copyTextToClipboard } from './utils/clipboard.js';
 
 /**
  * Start screen scene for Bitstream Bluffs.
@@ -674,7 +675,7 @@ export default class StartScene extends Phaser.Scene {
         this.add.text(
             width / 2,
             height * 0.9,
-            'CLICK START GAME ABOVE OR PRESS SPACE/ENTER TO START',
+            'CLICK START GAME ABOVE OR PRESS SPACE/ENTER TO START - L FOR THE LEDGER - O FOR OPTIONS',
             {
                 fontFamily: 'VT323',
                 fontSize: '22px',
@@ -690,6 +691,18 @@ export default class StartScene extends Phaser.Scene {
         // Setup keyboard controls
         this.input.keyboard.on('keydown-SPACE', this.startGame, this);
         this.input.keyboard.on('keydown-ENTER', this.startGame, this);
+        this.input.keyboard.on('keydown-L', () => {
+            // L is also a valid seed character
+            if (!this.isEditingSeed) {
+                this.scene.start('LedgerScene');
+            }
+        });
+        this.input.keyboard.on('keydown-O', () => {
+            // Settings and control bindings; O is a seed character too
+            if (!this.isEditingSeed) {
+                this.scene.start('SettingsScene', { returnTo: 'StartScene' });
+            }
+        });
         
         // Setup gamepad controls (checked in update)
         // Only set up gamepad events if the gamepad is available
@@ -1004,35 +1017,7 @@ export default class StartScene extends Phaser.Scene {
      * @param {string} text - The text to copy.
      */
     copyTextToClipboard(text) {
-        // This function uses the Navigator clipboard API when available
-        // or falls back to document.execCommand for older browsers
-        if (navigator.clipboard && window.isSecureContext) {
-            // Navigator clipboard API is available
-            navigator.clipboard.writeText(text)
-                .catch(err => {
-                    console.error('Could not copy text: ', err);
-                });
-        } else {
-            // Fallback for browsers that don't support clipboard API
-            // Create temporary element
-            const textArea = document.createElement("textarea");
-            textArea.value = text;
-            
-            // Make the textarea out of viewport
-            textArea.style.position = "fixed";
-            textArea.style.left = "-999999px";
-            textArea.style.top = "-999999px";
-            document.body.appendChild(textArea);
-            textArea.focus();
-            textArea.select();
-            
-            try {
-                document.execCommand('copy');
-            } catch (err) {
-                console.error('Failed to copy: ', err);
-            }
-            
-            document.body.removeChild(textArea);
-        }
+        // Shared with the results screen
+        copyTextToClipboard(text);
     }
 }
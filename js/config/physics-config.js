@@ -15,6 +15,8 @@ const PhysicsConfig = {
     // Core physics system properties
     physics: {
         gravityY: 1.0,       // Default gravity (Matter.js uses 1 by default)
+        tickRate: 120,       // Fixed simulation steps per second, independent of monitor refresh rate
+        maxStepsPerFrame: 8, // Cap on catch-up steps after a slow frame
     },
     
     // Player physics body properties
@@ -65,16 +67,89 @@ const PhysicsConfig = {
     tricks: {
         wobbleLandingSpeedFactor: 0.7, // Speed retention on wobble landing (0-1)
         cleanLandingMultiplierMax: 2.5, // Maximum speed multiplier for clean landings
+        comboStep: 0.25,               // Combo multiplier added per unique trick (DESIGN-DOC §6.1)
+        airtimeBonusPerSecond: 0.25,   // Trick value grows by this fraction per second in the air
+        maxAirtimeModifier: 2,         // Cap on the airtime modifier
+        minGrabMs: 250,                // How long air brake or parachute must be held to count as a trick
+    },
+    
+    // Landing grades, judged against the slope under the sled (see utils/landing-grade.js)
+    landing: {
+        perfectMaxDeg: 5,              // At most this far off the slope: Perfect
+        cleanMaxDeg: 15,               // At most this far off: Clean; any further (without crashing): Sketchy
+        minAirtimeMs: 250,             // Shorter hops, e.g. off bumps, aren't graded
+        points: {                      // Score bonus (or penalty) per grade
+            perfect: 20,               // DESIGN-DOC §6.1 "Style Bonus"
+            clean: 5,
+            sketchy: -10
+        }
+    },
+    
+    // Distance scoring; the meter scale is TerrainConfig.pixelsPerMeter
+    distance: {
+        pointsPerMeter: 1              // DESIGN-DOC §6.1 "+1 pt per meter"
     },
     
     // Extra lives system
     extraLives: {
         initialLives: 2,               // Starting number of lives
         maxLives: 5,                   // Maximum number of lives
-        minTimeToNextLife: 30000,      // Minimum ms between life spawns (30 sec)
-        maxTimeToNextLife: 120000,     // Maximum ms between life spawns (2 min)
-        spawnDistance: 600,            // How far ahead lives spawn
-        collectibleRadius: 20,         // Collision radius for collectibles
+    },
+    
+    // Collectible spawning; which type spawns is up to the spawn weights in lib/PowerUps.js
+    collectibles: {
+        minTimeToNextSpawn: 30000,     // Minimum ms between spawns (30 sec)
+        maxTimeToNextSpawn: 120000,    // Maximum ms between spawns (2 min)
+        spawnChance: 0.2,              // Chance per physics step once a spawn is due
+        maxActive: 2,                  // Most collectibles in the world at once
+        spawnDistance: 600,            // How far ahead collectibles spawn
+        radius: 20,                    // Collision radius for collectibles
+    },
+    
+    // Data avalanche (todo.txt), the pursuer behind the player; distances in pixels
+    avalanche: {
+        startGap: 1500,                // How far behind the spawn point it starts
+        graceMs: 5000,                 // It holds still for the start of the run
+        baseSpeed: 250,                // Pixels per second once it moves...
+        acceleration: 4,               // ...gaining this much per second of run
+        maxSpeed: 1400,                // Top speed, about a fast sled
+        maxGap: 2500,                  // Never further behind the player than this
+        warningDistance: 1000,         // HUD warning inside this gap
+        wallWidth: 600,                // How much of the wall is drawn behind its front edge
+    },
+    
+    // Timed power-ups (DESIGN-DOC §7); their spawn weight falls as the run gets longer
+    powerUps: {
+        spawnWeight: 0.1,              // Weight of each power-up at the start of a run
+        falloffMeters: 1000,           // Distance at which that weight has halved (it keeps falling after)
+        packetBurst: {
+            speedMultiplier: 1.3,      // +30% speed...
+            durationMs: 3000           // ...for 3 s
+        },
+        clockPulse: {
+            timeScale: 0.5,            // Physics and tweens run at half speed...
+            durationMs: 1000           // ...for 1 s of simulation time
+        },
+        // Terrain colour shifts (todo.txt); factors scale TerrainManager's colour weights
+        colorShift: {
+            durationMs: 20000,         // Only segments generated in this window are affected
+            powerDownWeight: 0.03,     // Spawn weight of Packet Loss; unlike power-ups it doesn't fall with distance
+            firewall: { magenta: 0.5 },
+            blueShift: { blue: 2 },
+            greenShift: { green: 2 },
+            packetLoss: { blue: 0.5, green: 0.5 }
+        },
+        // Player stat modifiers (todo.txt); factors multiply the values in lib/PlayerStats.js
+        statShift: {
+            durationMs: 10000,         // How long each pickup's multiplier lasts
+            powerDownWeight: 0.03,     // Spawn weight of each power-down; flat like Packet Loss
+            overclock: { speed: 1.25 },
+            throttle: { speed: 0.75 },
+            uplink: { jump: 1.2 },     // Jump velocity, so about 1.44× the height
+            lagSpike: { jump: 0.8 },
+            spinCycle: { rotation: 1.3 },
+            frameDrop: { rotation: 0.7 }
+        }
     }
 };
 
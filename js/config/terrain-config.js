@@ -0,0 +1,115 @@
+// terrain-config.js
+// Configuration parameters for procedural terrain generation
+// Adjust these values to change the shape of the slopes
+
+/**
+ * Configuration parameters for procedural terrain generation.
+ * `generator` picks the strategy TerrainManager uses for new segments; `glitchZones`
+ * periodically overrides it with noise sections.
+ * @namespace TerrainConfig
+ */
+const TerrainConfig = {
+    generator: 'straight', // 'straight' (classic 100px ramps) or 'spline' (smooth Catmull-Rom curves)
+    pixelsPerMeter: 20,    // World pixels per meter of distance travelled
+
+    // Slope bands both generators draw from: drop in pixels per 100px of run (negative climbs).
+    // How often each band is picked comes from the difficulty milestones below
+    slopeBands: {
+        moderate: { min: 35, max: 70 },
+        steep: { min: 70, max: 120 },
+        mild: { min: -15, max: 25 },
+        upslope: { min: -40, max: -10 },
+    },
+
+    // Difficulty curve: each milestone applies from its distance (meters) until the next one.
+    // Later milestones only list what they change; the rest carries over.
+    //   slopeWeights  - relative chance of each slope band
+    //   slopeVariance - widens every band's range around its centre (1 = as listed above)
+    //   colorWeights  - relative share of blue, magenta and green segments
+    //   hazardDensity - hazards per 100m; read through TerrainManager.getDifficultyAt() by hazard spawning
+    difficulty: [
+        {
+            distance: 0,
+            slopeWeights: { moderate: 60, steep: 25, mild: 10, upslope: 5 },
+            slopeVariance: 1,
+            colorWeights: { blue: 1, magenta: 1, green: 1 },
+            hazardDensity: 0,
+        },
+        {
+            distance: 1000,
+            slopeWeights: { moderate: 55, steep: 27, mild: 10, upslope: 8 },
+            slopeVariance: 1.2,
+            colorWeights: { magenta: 1.3 },
+            hazardDensity: 0.5,
+        },
+        {
+            distance: 2500,
+            slopeWeights: { moderate: 50, steep: 28, mild: 10, upslope: 12 },
+            slopeVariance: 1.4,
+            colorWeights: { magenta: 1.6 },
+            hazardDensity: 1,
+        },
+        {
+            distance: 5000,
+            slopeWeights: { moderate: 45, steep: 30, mild: 9, upslope: 16 },
+            slopeVariance: 1.6,
+            colorWeights: { magenta: 2 },
+            hazardDensity: 1.5,
+        },
+    ],
+
+    // Classic generator: straight segments picked from the slope bands
+    straight: {
+        segmentWidth: 100,   // Horizontal length of each segment in pixels
+        subSegmentCount: 5,  // Collision rectangles per segment
+    },
+
+    // Spline generator: Catmull-Rom curve through seeded control points placed with the slope bands
+    spline: {
+        controlSpacing: 300,    // Horizontal distance between control points (one segment per span)
+        samplesPerSegment: 12,  // Sub-segments each curve is sampled into for collision and drawing
+        noiseAmplitude: 30,     // Max seeded jitter (px) added to each control point's height
+        maxRise: 0.6,           // Steepest climb between control points, as rise per horizontal pixel
+        maxDrop: 1.5,           // Steepest descent between control points, as drop per horizontal pixel
+    },
+
+    // Landability checks run on every new segment (see TerrainValidator)
+    validation: {
+        enabled: true,
+        landingAngleMarginDeg: 5, // Degrees kept clear of RotationSystem's fail range
+        maxUpwardTurnDeg: 60,     // Sharpest upward bend between neighbouring spans, e.g. a drop into an upslope
+        climbHeightFactor: 0.8,   // Longest continuous climb, as a share of a full jump's height
+        windowSegments: 8,        // Placed segments looked back over when checking a new one
+    },
+
+    // Collision strips and floor blocks are recycled instead of recreated as terrain scrolls
+    bodyPool: {
+        enabled: true,
+    },
+
+    // Hand-made chunks from public/data/chunks, spliced into the procedural terrain
+    chunks: {
+        enabled: true,
+        firstChunkAfter: 4000,  // Pixels of procedural terrain before the first chunk can appear
+        minGap: 1500,           // Fewest pixels of procedural terrain between two chunks
+        chance: 0.15,           // Chance per procedural segment, once the gap has passed, of starting a chunk
+    },
+
+    // Glitch zones: seeded 1-D noise sections interleaved with the regular terrain (DESIGN-DOC §5)
+    glitchZones: {
+        enabled: true,
+        firstZoneAfter: 6000,   // Pixels of regular terrain guaranteed before the first zone can start
+        minInterval: 4000,      // Fewest pixels of regular terrain between zones
+        maxInterval: 8000,      // Most pixels of regular terrain between zones
+        minLength: 1200,        // Shortest zone in pixels
+        maxLength: 2000,        // Longest zone in pixels
+        segmentWidth: 40,       // Zone segments are short so the noise reads as jagged bumps
+        amplitude: 320,         // Height scale of the noise in pixels
+        wavelength: 380,        // Pixels per noise lattice cell; lower is bumpier
+        octaves: 3,             // Noise layers; each adds finer detail
+        descentSlope: 0.45,     // Underlying downhill trend so the player keeps moving
+        exitBlendLength: 400,   // Pixels over which the noise fades back into normal slopes
+    },
+};
+
+export default TerrainConfig;
@@ -0,0 +1,168 @@
+// js/headless/benchmark-terrain.js
+// Compares pooled terrain bodies against create/destroy in a headless run
+// ------------------------------------------------------
+
+/**
+ * @fileoverview Scrolls a TerrainManager through a long seeded course on the headless
+ * Matter engine, once creating and destroying collision bodies directly and once with
+ * BodyPool, and prints one JSON line per mode plus a comparison line. Each mode reports
+ * tick times (the terrain update plus a physics step), garbage collections seen by a
+ * PerformanceObserver, and how many bodies were created.
+ *
+ * Usage:
+ *   npm run benchmark:terrain -- --seed abc --ticks 20000 --speed 14
+ *
+ * The npm script passes --expose-gc so each mode starts from a collected heap.
+ *
+ * @module benchmark-terrain
+ */
+
+import { PerformanceObserver, performance } from 'perf_hooks';
+import { Matter, installHeadlessGlobals } from './headless-phaser.js';
+import { attachHeadlessSystems } from './headless-scene.js';
+import { loadChunkData } from './headless-data.js';
+import { initializeRandomWithSeed } from '../utils/seed-generator.js';
+import ChunkLibrary from '../lib/ChunkLibrary.js';
+
+/**
+ * Parses `--name value` pairs from the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object<string, string>} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return options;
+}
+
+/**
+ * Value at a percentile of a sorted list
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number} The value
+ */
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * Lets pending callbacks (such as PerformanceObserver deliveries) run
+ * @returns {Promise<void>} Resolves on the next turn of the event loop
+ */
+function yieldToEventLoop() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Scrolls one terrain course and measures it
+ * @param {Function} TerrainManager - TerrainManager class (imported after the globals exist)
+ * @param {Object} options - Benchmark options
+ * @param {string} options.seed - Terrain seed
+ * @param {number} options.ticks - Ticks to measure
+ * @param {number} options.speed - Pixels the stand-in player moves per tick
+ * @param {boolean} options.bodyPool - Whether TerrainManager recycles bodies
+ * @returns {Promise<Object>} Measurements for the mode
+ */
+async function runMode(TerrainManager, { seed, ticks, speed, bodyPool }) {
+    Matter.Common._nextId = 0;
+    if (global.gc) global.gc();
+
+    const scene = {
+        seededRandom: initializeRandomWithSeed(seed),
+        glitchZoneRandom: initializeRandomWithSeed(`${seed}:glitch-zones`),
+        chunkRandom: initializeRandomWithSeed(`${seed}:chunks`)
+    };
+    attachHeadlessSystems(scene);
+    loadChunkData(scene.cache.json);
+    scene.chunkLibrary = ChunkLibrary.fromCache(scene.cache.json);
+
+    let bodiesCreated = 0;
+    const addRectangle = scene.matter.add.rectangle;
+    scene.matter.add.rectangle = (...args) => {
+        bodiesCreated++;
+        return addRectangle(...args);
+    };
+
+    const terrain = new TerrainManager(scene, { bodyPool });
+    terrain.init();
+
+    // Fill the lookahead before timing so both modes measure steady scrolling
+    let playerX = 0;
+    for (let i = 0; i < 200; i++) {
+        terrain.update(playerX);
+    }
+
+    const gcEvents = [];
+    const observer = new PerformanceObserver(list => gcEvents.push(...list.getEntries()));
+    observer.observe({ entryTypes: ['gc'] });
+
+    const tickTimes = new Float64Array(ticks);
+    const heapBefore = process.memoryUsage().heapUsed;
+    for (let i = 0; i < ticks; i++) {
+        // GC entries are delivered on the event loop, so let it turn now and then (outside the timing)
+        if (i % 500 === 0) await yieldToEventLoop();
+        const start = performance.now();
+        playerX += speed;
+        terrain.update(playerX);
+        scene.matter.world.step();
+        tickTimes[i] = performance.now() - start;
+    }
+    const heapAfter = process.memoryUsage().heapUsed;
+
+    await yieldToEventLoop();
+    observer.disconnect();
+
+    const sorted = Array.from(tickTimes).sort((a, b) => a - b);
+    const total = sorted.reduce((sum, t) => sum + t, 0);
+    const gcTime = gcEvents.reduce((sum, entry) => sum + entry.duration, 0);
+
+    terrain.destroy();
+
+    return {
+        mode: bodyPool ? 'pooled' : 'create-destroy',
+        seed,
+        ticks,
+        distance: playerX,
+        bodiesCreated,
+        meanTickMs: +(total / ticks).toFixed(4),
+        p95TickMs: +percentile(sorted, 0.95).toFixed(4),
+        p99TickMs: +percentile(sorted, 0.99).toFixed(4),
+        gcCount: gcEvents.length,
+        gcMs: +gcTime.toFixed(2),
+        heapGrowthKb: Math.round((heapAfter - heapBefore) / 1024)
+    };
+}
+
+const options = parseArgs(process.argv.slice(2));
+const settings = {
+    seed: options.seed || 'bitstream',
+    ticks: parseInt(options.ticks || '20000', 10),
+    speed: parseFloat(options.speed || '14')
+};
+
+installHeadlessGlobals();
+// Imported after the globals exist, since TerrainManager uses the global Phaser
+const { default: TerrainManager } = await import('../lib/TerrainManager.js');
+
+// Terrain generation logs nothing per tick, but chunk loading may warn; keep output to JSON
+const warn = console.warn;
+console.warn = () => {};
+const baseline = await runMode(TerrainManager, { ...settings, bodyPool: false });
+const pooled = await runMode(TerrainManager, { ...settings, bodyPool: true });
+console.warn = warn;
+
+console.log(JSON.stringify(baseline));
+console.log(JSON.stringify(pooled));
+console.log(JSON.stringify({
+    comparison: 'pooled vs create-destroy',
+    bodiesCreated: `${pooled.bodiesCreated} vs ${baseline.bodiesCreated}`,
+    meanTickChange: `${(((pooled.meanTickMs - baseline.meanTickMs) / baseline.meanTickMs) * 100).toFixed(1)}%`,
+    p99TickChange: `${(((pooled.p99TickMs - baseline.p99TickMs) / baseline.p99TickMs) * 100).toFixed(1)}%`,
+    gcCount: `${pooled.gcCount} vs ${baseline.gcCount}`,
+    gcMs: `${pooled.gcMs} vs ${baseline.gcMs}`
+}));
@@ -0,0 +1,86 @@
+// js/headless/headless-data.js
+// Reads the game's JSON data files from disk for headless runs
+// ------------------------------------------------------
+
+/**
+ * @fileoverview In the browser, data files under `public/data/` arrive through Phaser's
+ * loader. Headless runs have no loader, so this module reads the same files from disk
+ * and puts them into the scene's JSON cache under the keys the loader would use.
+ *
+ * @module headless-data
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { join } from 'path';
+import { CHUNK_MANIFEST_KEY, CHUNK_DATA_PATH } from '../lib/ChunkLibrary.js';
+import { HAZARD_MANIFEST_KEY, HAZARD_DATA_PATH } from '../lib/HazardLibrary.js';
+
+/**
+ * The folder Vite serves static files from
+ * @type {string}
+ */
+export const PUBLIC_DIR = fileURLToPath(new URL('../../public/', import.meta.url));
+
+/**
+ * Parsed files by path, so batches of runs read each file once
+ * @type {Map<string, Object>}
+ */
+const fileCache = new Map();
+
+/**
+ * Reads and parses a JSON file, using the in-process cache
+ * @param {string} path - Absolute file path
+ * @returns {Object} Parsed JSON
+ */
+function readJson(path) {
+    if (!fileCache.has(path)) {
+        fileCache.set(path, JSON.parse(readFileSync(path, 'utf8')));
+    }
+    return fileCache.get(path);
+}
+
+/**
+ * Loads a manifest and every file it lists into a JSON cache
+ * @param {Object} jsonCache - Cache with add(key, data)
+ * @param {string} dataDir - Folder holding `manifest.json` and the files
+ * @param {string} manifestKey - Cache key of the manifest
+ * @param {string} listKey - Manifest property that lists the files
+ * @param {string} filePrefix - Cache key prefix of each file
+ */
+function loadManifestData(jsonCache, dataDir, manifestKey, listKey, filePrefix) {
+    const manifestPath = join(dataDir, 'manifest.json');
+    if (!existsSync(manifestPath)) return;
+
+    const manifest = readJson(manifestPath);
+    jsonCache.add(manifestKey, manifest);
+    (manifest[listKey] || []).forEach(file => {
+        // Like a failed browser load, a missing or malformed file is left out of the cache
+        // and the library's fromCache reports it
+        try {
+            jsonCache.add(`${filePrefix}:${file}`, readJson(join(dataDir, file)));
+        } catch {
+            // Skipped on purpose
+        }
+    });
+}
+
+/**
+ * Loads the chunk manifest and every chunk file it lists into a JSON cache,
+ * mirroring ChunkLibrary.queueLoad
+ * @param {Object} jsonCache - Cache with add(key, data), such as scene.cache.json
+ * @param {string} [publicDir=PUBLIC_DIR] - Folder containing `data/chunks/`
+ */
+export function loadChunkData(jsonCache, publicDir = PUBLIC_DIR) {
+    loadManifestData(jsonCache, join(publicDir, CHUNK_DATA_PATH), CHUNK_MANIFEST_KEY, 'chunks', 'chunk');
+}
+
+/**
+ * Loads the hazard manifest and every hazard file it lists into a JSON cache,
+ * mirroring HazardLibrary.queueLoad
+ * @param {Object} jsonCache - Cache with add(key, data), such as scene.cache.json
+ * @param {string} [publicDir=PUBLIC_DIR] - Folder containing `data/hazards/`
+ */
+export function loadHazardData(jsonCache, publicDir = PUBLIC_DIR) {
+    loadManifestData(jsonCache, join(publicDir, HAZARD_DATA_PATH), HAZARD_MANIFEST_KEY, 'hazards', 'hazard');
+}
@@ -0,0 +1,80 @@
+// js/headless/headless-phaser.js
+// Minimal Phaser namespace for running game logic in Node
+// ------------------------------------------------------
+
+/**
+ * @fileoverview Builds the subset of the Phaser namespace the gameplay modules touch
+ * (math helpers, Matter physics and core event names) out of Phaser's own CommonJS
+ * sources in node_modules. The physics is the exact Matter build that ships with
+ * Phaser, so headless runs collide, integrate and resolve the same way the game does -
+ * only rendering, audio and input devices are missing.
+ *
+ * @module headless-phaser
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Phaser's bundled Matter.js (Body, Bodies, Engine, Composite, Events, ...)
+ * @type {Object}
+ */
+export const Matter = require('phaser/src/physics/matter-js/CustomMain.js');
+
+/**
+ * Phaser's Matter transform component (x, y, angle, setPosition, setAngle, ...).
+ * Mixed into headless game objects so they read and write their body like real ones.
+ * @type {Object}
+ */
+export const MatterTransform = require('phaser/src/physics/matter-js/components/Transform.js');
+
+/**
+ * Phaser.Math.Vector2, needed by the transform component's position setters
+ * @type {Function}
+ */
+export const Vector2 = require('phaser/src/math/Vector2.js');
+
+/**
+ * Headless stand-in for the global Phaser namespace.
+ * @namespace HeadlessPhaser
+ */
+const HeadlessPhaser = {
+    Math: require('phaser/src/math/index.js'),
+    Geom: {
+        Circle: require('phaser/src/geom/circle/Circle.js')
+    },
+    Core: {
+        Events: require('phaser/src/core/events/index.js')
+    },
+    Physics: {
+        Matter: { Matter }
+    },
+    // Scenes are plain classes headlessly; systems are attached by attachHeadlessSystems()
+    Scene: class {}
+};
+
+/**
+ * Installs the headless Phaser namespace (and a bare window) as globals, unless a
+ * Phaser with Matter physics is already present. Must run before gameplay modules
+ * that reference the global Phaser are imported.
+ * @returns {Object} The Phaser namespace now in use
+ */
+export function installHeadlessGlobals() {
+    const existing = globalThis.Phaser;
+    if (!existing || !existing.Physics || !existing.Physics.Matter) {
+        globalThis.Phaser = HeadlessPhaser;
+    }
+
+    // Manette registers a Tab listener and the scene publishes recordings on window
+    if (typeof globalThis.window === 'undefined') {
+        globalThis.window = {
+            addEventListener() {},
+            removeEventListener() {}
+        };
+    }
+
+    return globalThis.Phaser;
+}
+
+export default HeadlessPhaser;
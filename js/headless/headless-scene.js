@@ -0,0 +1,321 @@
+// js/headless/headless-scene.js
+// Attaches stand-in Phaser scene systems so a scene's simulation runs in Node
+// ------------------------------------------------------
+
+/**
+ * @fileoverview Gives a scene instance everything its simulation code reaches for -
+ * `matter`, `time`, `cameras`, `scene`, `input`, `cache` - backed by a real Matter engine,
+ * a simulated clock and an in-memory JSON cache. Everything that only draws (`add`, `make`, `tweens`, `textures`,
+ * `scale`) is replaced by null objects that accept any call and remember assigned
+ * properties, so gameplay code can keep positioning sprites without a renderer.
+ *
+ * @module headless-scene
+ * @requires headless-phaser
+ */
+
+import { Matter, MatterTransform, Vector2 } from './headless-phaser.js';
+
+const { Engine, Composite, Events, Body, Bodies } = Matter;
+
+/**
+ * Maps Phaser's lowercase world event names to Matter engine event names.
+ * @type {Object<string, string>}
+ */
+const WORLD_EVENT_NAMES = {
+    collisionstart: 'collisionStart',
+    collisionactive: 'collisionActive',
+    collisionend: 'collisionEnd',
+    beforeupdate: 'beforeUpdate',
+    afterupdate: 'afterUpdate'
+};
+
+/**
+ * Creates an object that accepts any method call (returning itself, so chains work)
+ * and stores any property assigned to it.
+ * @param {Object} [props] - Initial property values
+ * @returns {Proxy} The null object
+ */
+export function createNullObject(props = {}) {
+    const target = { ...props };
+    const proxy = new Proxy(target, {
+        get(obj, prop, receiver) {
+            if (prop in obj) return Reflect.get(obj, prop, receiver);
+            // Keep the object from looking like a promise or a primitive
+            if (prop === 'then' || typeof prop === 'symbol') return undefined;
+            return () => proxy;
+        }
+    });
+    return proxy;
+}
+
+/**
+ * Creates an in-memory stand-in for Phaser's JSON cache (`scene.cache.json`).
+ * @returns {{add: Function, get: Function, exists: Function}} The cache
+ */
+export function createJsonCache() {
+    const entries = new Map();
+    return {
+        add(key, data) {
+            entries.set(key, data);
+            return this;
+        },
+        get: key => entries.get(key),
+        exists: key => entries.has(key)
+    };
+}
+
+/**
+ * A `scene.time` replacement driven by simulation steps instead of the browser clock.
+ */
+export class SimulationClock {
+    constructor() {
+        this.now = 0;
+        this.events = [];
+    }
+
+    /**
+     * Schedules a callback after a delay of simulated time
+     * @param {number} delay - Delay in ms
+     * @param {Function} callback - Function to call
+     * @param {Array} [args] - Arguments for the callback
+     * @param {Object} [scope] - `this` for the callback
+     * @returns {{remove: Function}} Handle that cancels the call
+     */
+    delayedCall(delay, callback, args = [], scope = null) {
+        const event = { at: this.now + delay, callback, args, scope, removed: false };
+        event.remove = () => { event.removed = true; };
+        this.events.push(event);
+        return event;
+    }
+
+    /**
+     * Advances simulated time and fires every callback that has come due, in order
+     * @param {number} ms - Time to advance in ms
+     */
+    advance(ms) {
+        this.now += ms;
+        const due = this.events
+            .filter(event => !event.removed && event.at <= this.now)
+            .sort((a, b) => a.at - b.at);
+        this.events = this.events.filter(event => !event.removed && event.at > this.now);
+        due.forEach(event => event.callback.apply(event.scope, event.args || []));
+    }
+
+    /**
+     * Cancels every pending callback
+     */
+    removeAllEvents() {
+        this.events = [];
+    }
+}
+
+/**
+ * Camera stand-in that keeps its view centred on the followed object, so
+ * worldView-based checks (fell too far, went too far left) behave sensibly.
+ * @param {number} width - Viewport width in pixels
+ * @param {number} height - Viewport height in pixels
+ * @returns {Object} Camera-like object
+ */
+function createHeadlessCamera(width, height) {
+    const camera = createNullObject({
+        width,
+        height,
+        centerX: width / 2,
+        centerY: height / 2,
+        scrollX: 0,
+        scrollY: 0,
+        followTarget: null,
+        followOffset: { x: 0, y: 0 },
+        startFollow(target) {
+            this.followTarget = target;
+            return this;
+        },
+        setFollowOffset(x = 0, y = 0) {
+            this.followOffset = { x, y };
+            return this;
+        }
+    });
+
+    Object.defineProperty(camera, 'worldView', {
+        get() {
+            const target = camera.followTarget;
+            const cx = target ? target.x - camera.followOffset.x : camera.scrollX + width / 2;
+            const cy = target ? target.y - camera.followOffset.y : camera.scrollY + height / 2;
+            const left = cx - width / 2;
+            const top = cy - height / 2;
+            return {
+                x: left,
+                y: top,
+                width,
+                height,
+                left,
+                top,
+                right: left + width,
+                bottom: top + height,
+                centerX: cx,
+                centerY: cy
+            };
+        }
+    });
+
+    return camera;
+}
+
+/**
+ * Gives a game object the Matter component behaviour Phaser adds in matter.add.gameObject
+ * @param {Object} gameObject - Game object to extend
+ * @param {Object} world - Headless matter world
+ * @returns {Object} The same game object
+ */
+function addMatterComponents(gameObject, world) {
+    gameObject._tempVec2 = new Vector2();
+    gameObject._scaleX = 1;
+    gameObject._scaleY = 1;
+    gameObject.renderFlags = 15;
+
+    Object.keys(MatterTransform).forEach(key => {
+        const member = MatterTransform[key];
+        if (member && typeof member === 'object' && (member.get || member.set)) {
+            Object.defineProperty(gameObject, key, { ...member, configurable: true });
+        } else {
+            gameObject[key] = member;
+        }
+    });
+
+    gameObject.setExistingBody = function (body, addToWorld = true) {
+        if (this.body) world.remove(this.body);
+        this.body = body;
+        body.parts.forEach(part => { part.gameObject = this; });
+        if (addToWorld) world.add(body);
+        return this;
+    };
+
+    return gameObject;
+}
+
+/**
+ * Creates the `scene.matter` stand-in around a fresh Matter engine
+ * @returns {Object} Matter-plugin-like object with add, world and body
+ */
+function createHeadlessMatter() {
+    const engine = Engine.create();
+
+    const world = {
+        engine,
+        localWorld: engine.world,
+        enabled: true,
+        pause() {
+            this.enabled = false;
+            return this;
+        },
+        resume() {
+            this.enabled = true;
+            return this;
+        },
+        add(body) {
+            Composite.add(engine.world, body);
+            return this;
+        },
+        remove(body) {
+            Composite.remove(engine.world, body, true);
+            return this;
+        },
+        setGravity(x = 0, y = 1, scale) {
+            engine.gravity.x = x;
+            engine.gravity.y = y;
+            if (scale !== undefined) engine.gravity.scale = scale;
+            return this;
+        },
+        on(event, callback, context) {
+            Events.on(engine, WORLD_EVENT_NAMES[event] || event, context ? callback.bind(context) : callback);
+            return this;
+        },
+        off(event) {
+            Events.off(engine, WORLD_EVENT_NAMES[event] || event);
+            return this;
+        },
+        step(delta = 1000 / 60) {
+            Engine.update(engine, delta);
+        }
+    };
+
+    const matter = {
+        world,
+        body: Body,
+        bodies: Bodies,
+        add: {
+            rectangle(x, y, width, height, options) {
+                const body = Bodies.rectangle(x, y, width, height, options);
+                world.add(body);
+                return body;
+            },
+            circle(x, y, radius, options, maxSides) {
+                const body = Bodies.circle(x, y, radius, options, maxSides);
+                world.add(body);
+                return body;
+            },
+            gameObject(gameObject) {
+                return addMatterComponents(gameObject, world);
+            }
+        }
+    };
+
+    return matter;
+}
+
+/**
+ * Attaches headless scene systems to a scene instance.
+ * @param {Phaser.Scene} scene - Scene to prepare (constructed but not yet created)
+ * @param {Object} [options] - Options
+ * @param {number} [options.width=1280] - Viewport width used for camera maths
+ * @param {number} [options.height=720] - Viewport height used for camera maths
+ * @returns {{clock: SimulationClock, matter: Object, status: {ended: boolean, reason: (string|null)}}}
+ *     Handles the harness uses to drive and observe the scene
+ */
+export function attachHeadlessSystems(scene, { width = 1280, height = 720 } = {}) {
+    const status = { ended: false, reason: null };
+    const clock = new SimulationClock();
+    const matter = createHeadlessMatter();
+
+    // Display lists and the loader simply swallow calls; containers remember their scene
+    scene.add = createNullObject({
+        container: (x, y) => createNullObject({ scene, x, y, visible: true }),
+        triangle: (x, y) => createNullObject({ scene, x, y, visible: true }),
+        rectangle: (x, y) => createNullObject({ scene, x, y, visible: true }),
+        circle: (x, y) => createNullObject({ scene, x, y, visible: true }),
+        sprite: (x, y) => createNullObject({ scene, x, y, visible: true })
+    });
+    scene.make = createNullObject();
+    scene.load = createNullObject();
+    scene.tweens = createNullObject();
+    scene.scale = createNullObject();
+    scene.events = createNullObject();
+    scene.game = createNullObject({ events: createNullObject() });
+    scene.textures = createNullObject({ exists: () => false });
+
+    scene.matter = matter;
+    scene.time = clock;
+    scene.cameras = { main: createHeadlessCamera(width, height) };
+    scene.cache = { json: createJsonCache() };
+    scene.input = { keyboard: createNullObject(), gamepad: null };
+
+    // Leaving the scene ends the simulated run
+    scene.scene = {
+        key: 'ModularGameScene',
+        isActive: () => !status.ended,
+        restart() {
+            status.ended = true;
+            status.reason = status.reason || 'restart';
+        },
+        start(key) {
+            status.ended = true;
+            status.reason = status.reason || `start:${key}`;
+        },
+        // Overlays such as the pause menu have nothing to draw headlessly
+        launch() {},
+        pause() {},
+        resume() {}
+    };
+
+    return { clock, matter, status };
+}
@@ -0,0 +1,46 @@
+// js/headless/simulate-cli.js
+// Command-line entry point for headless simulation runs
+// ------------------------------------------------------
+
+/**
+ * @fileoverview Runs one or many seeded headless simulations and prints one JSON
+ * summary per line, so CI can pipe results into a file or a quick jq check.
+ *
+ * Usage:
+ *   npm run simulate -- --seed abc --runs 100 --ticks 7200 --script path/to/recording.json
+ *
+ * With --runs greater than 1, run i uses the seed `<seed>-<i>`.
+ *
+ * @module simulate-cli
+ */
+
+import { readFileSync } from 'fs';
+import { simulateRun } from './simulate-run.js';
+
+/**
+ * Parses `--name value` pairs from the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object<string, string>} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const baseSeed = options.seed || 'bitstream';
+const runs = Math.max(1, parseInt(options.runs || '1', 10));
+const maxTicks = parseInt(options.ticks || '7200', 10);
+const inputScript = options.script ? JSON.parse(readFileSync(options.script, 'utf8')) : [];
+
+for (let i = 0; i < runs; i++) {
+    const seed = runs > 1 ? `${baseSeed}-${i}` : baseSeed;
+    const summary = await simulateRun({ seed, inputScript, maxTicks });
+    console.log(JSON.stringify(summary));
+}
@@ -0,0 +1,138 @@
+// js/headless/simulate-run.js
+// Runs a complete seeded game in Node and summarises the result
+// ------------------------------------------------------
+
+/**
+ * @fileoverview Headless simulation harness. Boots the real ModularGameScene simulation
+ * (TerrainManager, RotationSystem, CollectibleManager and the sledding rules) on top of
+ * Phaser's Matter engine without a renderer, feeds it a scripted input sequence through
+ * InputPlayback, and steps it at the fixed tick rate. Tests and CI use it to check real
+ * gameplay code instead of re-implemented physics mocks.
+ *
+ * @module simulate-run
+ * @requires headless-phaser
+ * @requires headless-scene
+ */
+
+import { Matter, installHeadlessGlobals } from './headless-phaser.js';
+import { attachHeadlessSystems, createNullObject } from './headless-scene.js';
+import { loadChunkData, loadHazardData } from './headless-data.js';
+import { RECORDING_FORMAT_VERSION } from '../lib/InputRecorder.js';
+
+/**
+ * Console methods silenced while a quiet run is in progress. The scene logs every
+ * tick, which would dominate CI time across thousands of runs.
+ * @type {Array<string>}
+ */
+const QUIET_CONSOLE_METHODS = ['log', 'debug', 'info', 'warn'];
+
+/**
+ * Turns an input script into a recording InputPlayback understands
+ * @param {string} seed - Seed for the run
+ * @param {Object|Array<{frame: number, actions: Array<string>}>} inputScript - A recording
+ *     from InputRecorder.toJSON() or just its events array
+ * @param {number} maxTicks - Length of the run in ticks
+ * @returns {Object} Recording object
+ */
+function toRecording(seed, inputScript, maxTicks) {
+    const events = Array.isArray(inputScript) ? inputScript : (inputScript && inputScript.events) || [];
+    return {
+        version: RECORDING_FORMAT_VERSION,
+        seed,
+        frameCount: maxTicks,
+        events: [...events].sort((a, b) => a.frame - b.frame)
+    };
+}
+
+/**
+ * Simulates one run without a browser.
+ * @param {Object} options - Run options
+ * @param {string} options.seed - Game seed; the same seed and script always give the same result
+ * @param {Object|Array} [options.inputScript=[]] - Recording or events array ({ frame, actions })
+ *     where frame is a tick number and actions lists held inputs such as 'jump' or 'rotateClockwise'
+ * @param {number} [options.maxTicks=7200] - Most ticks to simulate (60 seconds at 120Hz)
+ * @param {boolean} [options.quiet=true] - Silence the scene's console logging during the run
+ * @returns {Promise<{seed: string, ticks: number, simTime: number, distance: number, score: number,
+ *     crashes: number, flips: number, landings: Object, hazardHits: number, lives: number,
+ *     causeOfDeath: string|null, endReason: string}>} Run summary; distance is in pixels and landings counts graded landings by grade
+ * @throws {Error} If no seed is given
+ */
+export async function simulateRun({ seed, inputScript = [], maxTicks = 7200, quiet = true } = {}) {
+    if (seed === undefined || seed === null || seed === '') {
+        throw new Error('simulateRun: a seed is required for a reproducible run');
+    }
+
+    const silenced = {};
+    if (quiet) {
+        QUIET_CONSOLE_METHODS.forEach(method => {
+            silenced[method] = console[method];
+            console[method] = () => {};
+        });
+    }
+
+    try {
+        installHeadlessGlobals();
+        // Imported after the globals exist, since the scene extends the global Phaser.Scene
+        const { default: ModularGameScene } = await import('../ModularGameScene.js');
+
+        // Matter hands out body ids from a module-wide counter and pairs are ordered by id,
+        // so restart it to keep each run independent of how many ran before it
+        Matter.Common._nextId = 0;
+
+        const scene = new ModularGameScene();
+        const { clock, status } = attachHeadlessSystems(scene);
+        loadChunkData(scene.cache.json);
+        loadHazardData(scene.cache.json);
+
+        scene.init({ replay: toRecording(String(seed), inputScript, maxTicks) });
+        scene.createSimulation();
+        // Simulation code still shows toasts; headlessly they go nowhere
+        scene.hud = createNullObject();
+
+        const stepMs = scene.fixedTimestep.stepMs;
+        const startX = scene.player.x;
+        let maxX = startX;
+        let ticks = 0;
+
+        while (ticks < maxTicks && !status.ended) {
+            clock.advance(stepMs);
+            scene.fixedTimestep.advance(stepMs, scene.fixedUpdate);
+            ticks++;
+
+            if (scene.player && scene.player.body) {
+                maxX = Math.max(maxX, scene.player.x);
+            }
+            if (scene.gameOverShown) {
+                status.ended = true;
+                status.reason = 'gameOver';
+            }
+        }
+
+        const summary = {
+            seed: String(seed),
+            ticks,
+            simTime: ticks * stepMs,
+            distance: maxX - startX,
+            score: scene.score,
+            crashes: scene.runStats.crashes,
+            flips: scene.runStats.flips,
+            bestCombo: scene.runStats.bestCombo,
+            topSpeed: scene.runStats.topSpeed,
+            scoreBySource: { ...scene.runStats.scoreBySource },
+            landings: { ...scene.runStats.landings },
+            hazardHits: scene.runStats.hazardHits,
+            lives: scene.lives,
+            causeOfDeath: scene.runStats.causeOfDeath,
+            endReason: status.ended ? status.reason : 'maxTicks'
+        };
+
+        scene.cleanupBeforeRestart();
+        return summary;
+    } finally {
+        Object.keys(silenced).forEach(method => {
+            console[method] = silenced[method];
+        });
+    }
+}
+
+export default simulateRun;
@@ -0,0 +1,140 @@
+// js/lib/BodyPool.js
+// Reusable static Matter rectangles for terrain collision
+// ------------------------------------------------------
+
+/**
+ * @fileoverview BodyPool hands out static Matter rectangles and takes them back when the
+ * terrain they belonged to scrolls away. A released body leaves the physics world and
+ * waits in the pool; the next acquire() reshapes it in place, then moves it with
+ * Body.setPosition / Body.setAngle and adds it back. That way a long run no longer
+ * allocates (and garbage-collects) a fresh body, vertex list and bounds for every
+ * collision strip and floor block.
+ *
+ * Only static rectangles are supported. Static bodies have infinite mass, so changing
+ * their size does not need mass or inertia to be recomputed.
+ *
+ * @module BodyPool
+ */
+
+/**
+ * A pool of static rectangle bodies that all share the same body options.
+ */
+export default class BodyPool {
+    /**
+     * @param {Object} matter - The scene's Matter plugin (`scene.matter`), providing add, world and body
+     * @param {Object} [bodyOptions={}] - Matter body options used for every body (label, friction, collisionFilter...)
+     */
+    constructor(matter, bodyOptions = {}) {
+        this.matter = matter;
+        this.bodyOptions = { ...bodyOptions, isStatic: true };
+        this.free = [];
+        this.activeCount = 0;
+        this.stats = { created: 0, reused: 0, released: 0 };
+        this.scratchPosition = { x: 0, y: 0 }; // Reused for setPosition calls
+    }
+
+    /**
+     * Takes a body from the pool, or creates one if the pool is empty, and places it in the world
+     * @param {number} x - Centre x
+     * @param {number} y - Centre y
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @param {number} [angle=0] - Rotation in radians
+     * @returns {Object} Matter body, already added to the world
+     */
+    acquire(x, y, width, height, angle = 0) {
+        this.activeCount++;
+
+        if (this.free.length === 0) {
+            this.stats.created++;
+            return this.matter.add.rectangle(x, y, width, height, BodyPool.bodyOptionsFor(this.bodyOptions, angle));
+        }
+
+        const body = this.free.pop();
+        this.stats.reused++;
+        this.reshape(body, x, y, width, height, angle);
+        this.matter.world.add(body);
+        return body;
+    }
+
+    /**
+     * Copies body options for one new body
+     * Matter keeps the collisionFilter object it is given, so each body gets its own copy
+     * @param {Object} options - Shared body options
+     * @param {number} angle - Rotation in radians
+     * @returns {Object} Options for a single body
+     */
+    static bodyOptionsFor(options, angle) {
+        const copy = { ...options, angle };
+        if (options.collisionFilter) {
+            copy.collisionFilter = { ...options.collisionFilter };
+        }
+        return copy;
+    }
+
+    /**
+     * Removes a body from the world and keeps it for reuse
+     * @param {Object} body - Body previously returned by acquire()
+     */
+    release(body) {
+        if (!body || this.free.includes(body)) return;
+
+        this.matter.world.remove(body);
+        this.free.push(body);
+        this.activeCount--;
+        this.stats.released++;
+    }
+
+    /**
+     * Resizes and moves a pooled body without creating new vertices
+     * The body is turned back to angle 0 first, so its axes line up with x and y and
+     * the vertices can be written directly as an axis-aligned box
+     * @param {Object} body - Body to reshape
+     * @param {number} x - Centre x
+     * @param {number} y - Centre y
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @param {number} angle - Rotation in radians
+     * @private
+     */
+    reshape(body, x, y, width, height, angle) {
+        const Body = this.matter.body;
+        Body.setAngle(body, 0);
+
+        // Same corner order as Bodies.rectangle: top-left, top-right, bottom-right, bottom-left
+        const { x: cx, y: cy } = body.position;
+        const halfW = width / 2;
+        const halfH = height / 2;
+        const [topLeft, topRight, bottomRight, bottomLeft] = body.vertices;
+        topLeft.x = cx - halfW; topLeft.y = cy - halfH;
+        topRight.x = cx + halfW; topRight.y = cy - halfH;
+        bottomRight.x = cx + halfW; bottomRight.y = cy + halfH;
+        bottomLeft.x = cx - halfW; bottomLeft.y = cy + halfH;
+
+        // Snap the axes back to exact unit vectors so rounding does not build up over many reuses
+        body.axes.forEach(axis => {
+            axis.x = Math.round(axis.x);
+            axis.y = Math.round(axis.y);
+        });
+
+        this.scratchPosition.x = x;
+        this.scratchPosition.y = y;
+        Body.setPosition(body, this.scratchPosition);
+        Body.setAngle(body, angle);
+    }
+
+    /**
+     * Number of bodies waiting in the pool
+     * @returns {number} Free body count
+     */
+    get freeCount() {
+        return this.free.length;
+    }
+
+    /**
+     * Drops every pooled body; active bodies are left to their owner
+     */
+    clear() {
+        this.free = [];
+    }
+}
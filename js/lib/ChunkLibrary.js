@@ -0,0 +1,213 @@
+// js/lib/ChunkLibrary.js
+// Hand-authored terrain chunks loaded from JSON
+// ------------------------------------------------------
+
+/**
+ * @fileoverview ChunkLibrary holds hand-made terrain pieces (kickers, dips, drops, landing
+ * ramps) authored as JSON polylines under `public/data/chunks/`. `manifest.json` lists the
+ * chunk files; each chunk looks like:
+ *
+ *     {
+ *       "id": "kicker",              // unique id
+ *       "type": "kicker",            // free-form category for gameplay and tooling
+ *       "weight": 3,                 // relative chance of being picked (default 1)
+ *       "minDistance": 0,            // meters before this chunk may appear (default 0)
+ *       "color": "blue",             // default colour for every span: blue, magenta or green
+ *       "colors": ["blue", "green"], // optional colour per span, overriding "color"
+ *       "points": [[0, 0], [120, 60]] // [x, y] offsets from the chunk start; x strictly increasing
+ *     }
+ *
+ * Points are relative, so a chunk can be dropped in at whatever height the terrain has
+ * reached. Chunks are validated when added; invalid files are skipped with a warning
+ * rather than breaking the run.
+ *
+ * @module ChunkLibrary
+ */
+
+/**
+ * Cache key of the chunk manifest
+ * @type {string}
+ */
+export const CHUNK_MANIFEST_KEY = 'chunkManifest';
+
+/**
+ * Folder the chunk files are served from, relative to the page
+ * @type {string}
+ */
+export const CHUNK_DATA_PATH = 'data/chunks';
+
+/**
+ * Colour names a chunk may use, matching the terrain types the scene understands
+ * @type {Array<string>}
+ */
+export const CHUNK_COLORS = ['blue', 'magenta', 'green'];
+
+/**
+ * Checks a chunk definition against the schema
+ * @param {Object} definition - Parsed chunk JSON
+ * @returns {Array<string>} Problems found; empty if the chunk is valid
+ */
+export function validateChunk(definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object') {
+        return ['chunk must be an object'];
+    }
+
+    const { id, type, weight = 1, minDistance = 0, color, colors, points } = definition;
+
+    if (typeof id !== 'string' || id.length === 0) errors.push('"id" must be a non-empty string');
+    if (typeof type !== 'string' || type.length === 0) errors.push('"type" must be a non-empty string');
+    if (typeof weight !== 'number' || !(weight > 0)) errors.push('"weight" must be a positive number');
+    if (typeof minDistance !== 'number' || !(minDistance >= 0)) errors.push('"minDistance" must be a number >= 0');
+    if (!CHUNK_COLORS.includes(color)) errors.push(`"color" must be one of ${CHUNK_COLORS.join(', ')}`);
+
+    if (!Array.isArray(points) || points.length < 2) {
+        errors.push('"points" must list at least two [x, y] pairs');
+        return errors;
+    }
+
+    const pairsValid = points.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite));
+    if (!pairsValid) {
+        errors.push('every point must be an [x, y] pair of finite numbers');
+        return errors;
+    }
+
+    if (points[0][0] !== 0 || points[0][1] !== 0) errors.push('the first point must be [0, 0]');
+    for (let i = 1; i < points.length; i++) {
+        if (points[i][0] <= points[i - 1][0]) {
+            errors.push(`point ${i} must be to the right of point ${i - 1}`);
+            break;
+        }
+    }
+
+    if (colors !== undefined) {
+        if (!Array.isArray(colors) || colors.length !== points.length - 1) {
+            errors.push('"colors" must have one entry per span (points.length - 1)');
+        } else if (!colors.every(c => CHUNK_COLORS.includes(c))) {
+            errors.push(`"colors" entries must be one of ${CHUNK_COLORS.join(', ')}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * A validated set of terrain chunks with seeded weighted selection.
+ */
+export default class ChunkLibrary {
+    /**
+     * @param {Array<Object>} [definitions=[]] - Chunk definitions to add
+     * @throws {Error} If a definition is invalid or reuses an id
+     */
+    constructor(definitions = []) {
+        this.chunks = [];
+        definitions.forEach(definition => this.add(definition));
+    }
+
+    /**
+     * Validates and adds a chunk
+     * @param {Object} definition - Parsed chunk JSON
+     * @returns {Object} The stored chunk, with defaults filled in
+     * @throws {Error} If the definition is invalid or its id is already taken
+     */
+    add(definition) {
+        const errors = validateChunk(definition);
+        if (errors.length === 0 && this.get(definition.id)) {
+            errors.push(`duplicate id "${definition.id}"`);
+        }
+        if (errors.length > 0) {
+            const label = definition && definition.id ? `"${definition.id}"` : '(no id)';
+            throw new Error(`Invalid terrain chunk ${label}: ${errors.join('; ')}`);
+        }
+
+        const chunk = {
+            weight: 1,
+            minDistance: 0,
+            ...definition,
+            colors: definition.colors || definition.points.slice(1).map(() => definition.color)
+        };
+        this.chunks.push(chunk);
+        return chunk;
+    }
+
+    /**
+     * Looks up a chunk by id
+     * @param {string} id - Chunk id
+     * @returns {Object|undefined} The chunk, if present
+     */
+    get(id) {
+        return this.chunks.find(chunk => chunk.id === id);
+    }
+
+    /**
+     * Number of chunks in the library
+     * @returns {number} Chunk count
+     */
+    get size() {
+        return this.chunks.length;
+    }
+
+    /**
+     * Picks a chunk by weight from those allowed at a distance
+     * @param {Function} random - Seeded random function
+     * @param {number} distanceMeters - Distance travelled when the chunk would start
+     * @returns {Object|null} The chosen chunk, or null if none is allowed yet
+     */
+    pick(random, distanceMeters) {
+        const eligible = this.chunks.filter(chunk => chunk.minDistance <= distanceMeters);
+        if (eligible.length === 0) return null;
+
+        const total = eligible.reduce((sum, chunk) => sum + chunk.weight, 0);
+        let roll = random() * total;
+        for (const chunk of eligible) {
+            roll -= chunk.weight;
+            if (roll < 0) return chunk;
+        }
+        return eligible[eligible.length - 1];
+    }
+
+    /**
+     * Queues the manifest and every chunk file it lists on a Phaser loader
+     * Skips loading if the manifest is already cached (for example after a restart)
+     * @param {Phaser.Scene} scene - Scene whose loader and JSON cache to use
+     */
+    static queueLoad(scene) {
+        if (scene.cache.json.exists(CHUNK_MANIFEST_KEY)) return;
+
+        scene.load.once(`filecomplete-json-${CHUNK_MANIFEST_KEY}`, (key, type, manifest) => {
+            (manifest.chunks || []).forEach(file => {
+                scene.load.json(`chunk:${file}`, `${CHUNK_DATA_PATH}/${file}`);
+            });
+        });
+        scene.load.json(CHUNK_MANIFEST_KEY, `${CHUNK_DATA_PATH}/manifest.json`);
+    }
+
+    /**
+     * Builds a library from the chunk files in a JSON cache
+     * Missing or invalid chunks are skipped with a warning so bad data never stops a run
+     * @param {Object} jsonCache - Cache with get(key) and exists(key), such as scene.cache.json
+     * @returns {ChunkLibrary} Library of every valid chunk listed in the manifest
+     */
+    static fromCache(jsonCache) {
+        const library = new ChunkLibrary();
+        const manifest = jsonCache && jsonCache.exists(CHUNK_MANIFEST_KEY) ? jsonCache.get(CHUNK_MANIFEST_KEY) : null;
+        if (!manifest) {
+            console.warn('ChunkLibrary: no chunk manifest loaded, terrain will be fully procedural');
+            return library;
+        }
+
+        (manifest.chunks || []).forEach(file => {
+            const key = `chunk:${file}`;
+            if (!jsonCache.exists(key)) {
+                console.warn(`ChunkLibrary: ${file} is listed in the manifest but did not load`);
+                return;
+            }
+            try {
+                library.add(jsonCache.get(key));
+            } catch (error) {
+                console.warn(`ChunkLibrary: skipping ${file} - ${error.message}`);
+            }
+        });
+        return library;
+    }
+}
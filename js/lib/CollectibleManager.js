@@ -1,37 +1,48 @@
 // js/lib/CollectibleManager.js
-// Handles all collectible items like extra lives
+// Handles all collectible items like extra lives and power-ups
 // ------------------------------------------------------
 
 /**
  * @fileoverview CollectibleManager module handles spawning, updating, and collecting 
- * of in-game pickups such as extra lives. It manages their lifecycle including positioning,
- * physics integration, collection effects, and cleanup.
+ * of in-game pickups. It manages their lifecycle including positioning, physics
+ * integration, collection effects, and cleanup. What each pickup is and does comes
+ * from the CollectibleRegistry; this module only places, animates and removes them.
  * 
  * @module CollectibleManager
  */
 
+import { createCollectibleRegistry } from './PowerUps.js';
+
 /**
- * Manages all collectible items like extra lives throughout the game
+ * Label of every collectible's Matter body; the type is on `body.collectibleType`
+ * @type {string}
  */
+export const COLLECTIBLE_LABEL = 'collectible';
+
 /**
- * Manages all collectible items like extra lives throughout the game.
+ * Manages all collectible items throughout the game.
  */
 export default class CollectibleManager {
     /**
      * Creates a new CollectibleManager instance
      * @param {Phaser.Scene} scene - The scene this manager is attached to
      * @param {TerrainManager} terrainManager - Reference to the terrain manager for placement
+     * @param {CollectibleRegistry} [registry] - Collectible types; defaults to every type in PowerUps
      */
-    constructor(scene, terrainManager) {
+    constructor(scene, terrainManager, registry = createCollectibleRegistry()) {
         this.scene = scene;
         this.terrainManager = terrainManager;
+        this.registry = registry;
         
         // Collectibles state
-        this.extraLives = []; // Array to store extra life objects
-        this.lastLifeCollectTime = 0; // Track time between spawns
+        this.items = []; // Spawned collectibles: { type, sprite, body, collected }
+        this.nextSpawnTime = 0; // Simulation time of the next spawn attempt
         
         // Import physics configuration from scene to avoid circular dependencies
         this.physicsConfig = null;
+        
+        // Seeded random function - initialized by scene
+        this.seededRandom = null;
     }
     
     /**
@@ -42,8 +53,11 @@ export default class CollectibleManager {
         // Store physics config for use in this manager
         this.physicsConfig = physicsConfig;
         
-        // Ensure we have the extra life texture
-        this.createExtraLifeTexture();
+        // Spawns use their own seeded stream so a replayed run gets the same pickups
+        this.seededRandom = this.scene.collectibleRandom || Math.random;
+        
+        // Ensure every type has a texture
+        this.registry.getAll().forEach(type => this.createTexture(type));
     }
     
     /**
@@ -54,21 +68,20 @@ export default class CollectibleManager {
     update(currentTime, playerX) {
         if (!this.physicsConfig) return;
         
-        // Manage extra lives spawning
-        this.manageExtraLives(currentTime);
+        // Manage spawning
+        this.manageSpawning(currentTime);
         
         // Clean up off-screen collectibles
         this.cleanupOffscreenCollectibles(playerX);
     }
     
     /**
-     * Manages the spawning cycle of extra life collectibles
-     * Based on elapsed time and randomization
-     * Matches the original GameScene implementation
+     * Manages the spawning cycle of collectibles
+     * Based on elapsed time and randomization; the type is picked by spawn weight
      * @param {number} currentTime - Current game time
      * @private
      */
-    manageExtraLives(currentTime) {
+    manageSpawning(currentTime) {
         if (!this.physicsConfig) return;
         
         // Multiple safety checks to avoid crashing
@@ -80,34 +93,27 @@ export default class CollectibleManager {
             return; // Exit early if player doesn't exist or isn't initialized
         }
         
+        const config = this.physicsConfig.collectibles;
         try {
-            // Clean up off-screen collectibles (safely)
-            this.cleanupOffscreenCollectibles(this.scene.player.x);
-            
             // Only spawn if conditions are all met
-            const nextLifeAvailableTime = this.nextLifeAvailableTime || 0;
-            
-            const canSpawn = currentTime > nextLifeAvailableTime && 
-                          Array.isArray(this.extraLives) && 
-                          this.extraLives.length < 2 && 
-                          this.scene.lives < this.physicsConfig.extraLives.maxLives;
-                          
-            if (canSpawn) {
-                // Only spawn with a 20% chance each cycle - prevents too many spawns
-                if (Math.random() < 0.2) {
-                    console.log('Spawning new extra life collectible');
-                    this.spawnExtraLife();
-                    // Update next available time regardless of successful spawn
-                    this.nextLifeAvailableTime = currentTime + Phaser.Math.Between(
-                        this.physicsConfig.extraLives.minTimeToNextLife, 
-                        this.physicsConfig.extraLives.maxTimeToNextLife
+            const canSpawn = currentTime > this.nextSpawnTime && this.items.length < config.maxActive;
+            
+            // Only spawn with a small chance each step - prevents too many spawns
+            if (canSpawn && this.seededRandom() < config.spawnChance) {
+                const type = this.registry.pick(this.seededRandom, this.scene);
+                if (type) {
+                    console.log(`Spawning new ${type.id} collectible`);
+                    this.spawn(type);
+                    this.nextSpawnTime = currentTime + this.randomBetween(
+                        config.minTimeToNextSpawn, 
+                        config.maxTimeToNextSpawn
                     );
                 }
             }
         } catch (error) {
-            console.error('Error in manageExtraLives:', error);
+            console.error('Error in manageSpawning:', error);
             // Reset collectibles array if there was an error
-            this.extraLives = [];
+            this.items = [];
         }
     }
     
@@ -121,309 +127,279 @@ export default class CollectibleManager {
         // Calculate viewport boundaries (with buffer)
         const viewportLeft = playerX - 2000;
         
-        // Loop through all extra lives
-        let i = 0;
-        while (i < this.extraLives.length) {
-            const life = this.extraLives[i];
-            
-            if (!life || !life.sprite || !life.sprite.active) {
-                // Remove invalid entries
-                this.extraLives.splice(i, 1);
-                continue;
+        this.items = this.items.filter(item => {
+            if (!item || !item.sprite || !item.sprite.active) {
+                return false; // Remove invalid entries
             }
-            
-            // If life is off-screen to the left
-            if (life.sprite.x < viewportLeft) {
-                // Remove matter body safely
-                if (life.body && life.body.id) {
-                    this.scene.matter.world.remove(life.body);
-                }
-                
-                // Destroy the sprite
-                life.sprite.destroy();
-                
-                // Remove from array
-                this.extraLives.splice(i, 1);
-            } else {
-                // Move to next item
-                i++;
+            if (item.body.position.x >= viewportLeft) {
+                return true;
             }
-        }
+            // Off-screen to the left
+            this.removeItem(item);
+            return false;
+        });
     }
     
     /**
-     * Spawns an extra life collectible in the game world
-     * Places it on terrain ahead of the player with proper physics
-     * Matches the original GameScene implementation
-     * @returns {Object|undefined} The created extra life object or undefined on failure
+     * Removes a collectible's body and sprite
+     * @param {Object} item - Spawned collectible
      * @private
      */
-    spawnExtraLife() {
+    removeItem(item) {
+        // Remove matter body safely
+        if (item.body && item.body.id) {
+            this.scene.matter.world.remove(item.body);
+        }
+        if (item.sprite) {
+            item.sprite.destroy();
+        }
+    }
+    
+    /**
+     * Spawns a collectible in the game world
+     * Places it above the terrain ahead of the player as a static sensor that hovers
+     * @param {Object} type - Registered collectible type
+     * @returns {Object|undefined} The spawned collectible or undefined on failure
+     */
+    spawn(type) {
         if (!this.physicsConfig) return;
+        const config = this.physicsConfig.collectibles;
         
         try {
             // Check terrain manager exists
             if (!this.terrainManager) {
-                console.warn('Cannot spawn extra life: terrain manager not available');
+                console.warn(`Cannot spawn ${type.id}: terrain manager not available`);
                 return;
             }
             
             // Get player position safely
             const player = this.scene.player;
             if (!player || !player.body || !player.body.position) {
-                console.warn('Cannot spawn extra life: player not available');
+                console.warn(`Cannot spawn ${type.id}: player not available`);
                 return;
             }
-
-            const playerPos = player.body.position;
-            
-            // Ensure texture exists
-            if (!this.scene.textures.exists('extraLife')) {
-                this.createExtraLifeTexture();
-            }
             
             // Calculate a safe position in front of the player
-            const spawnX = playerPos.x + this.physicsConfig.extraLives.spawnDistance;
+            const spawnX = player.body.position.x + config.spawnDistance;
             
             // Find the terrain height directly below the spawn point
             const terrainHeight = this.terrainManager.findTerrainHeightAt(spawnX);
-            if (!terrainHeight) {
-                console.warn('Cannot spawn extra life: no terrain at spawn point');
+            if (terrainHeight === null) {
+                console.warn(`Cannot spawn ${type.id}: no terrain at spawn point`);
                 return;
             }
             
             // Calculate player sprite height (approximated from player body + sled height)
             const playerSpriteHeight = 50; // Player body height from create() method
             
-            // Position powerup above terrain but not too high (less than 7 player sprite heights)
+            // Position the pickup above terrain but not too high (less than 7 player sprite heights)
             const maxHeightAboveTerrain = playerSpriteHeight * 6;
             const minHeightAboveTerrain = playerSpriteHeight * 2; // At least 2 sprite heights for safety
             
             // Random height between min and max, but ensure it's at a reasonable height
-            const heightAboveTerrain = Phaser.Math.Between(minHeightAboveTerrain, maxHeightAboveTerrain);
+            const heightAboveTerrain = this.randomBetween(minHeightAboveTerrain, maxHeightAboveTerrain);
             const spawnY = terrainHeight - heightAboveTerrain; // Subtract because Y increases downward
             
             // Create static sprite for the collectible
-            const lifeSprite = this.scene.add.sprite(spawnX, spawnY, 'extraLife');
-            lifeSprite.setScale(0.5); // Scale to appropriate size
-            lifeSprite.setDepth(10);  // Set depth to ensure it appears above terrain
+            this.createTexture(type);
+            const sprite = this.scene.add.sprite(spawnX, spawnY, type.texture);
+            sprite.setScale(0.5); // Scale to appropriate size
+            sprite.setDepth(10);  // Set depth to ensure it appears above terrain
             
             // Create a STATIC circular collision area that won't be affected by gravity
-            const lifeBody = this.scene.matter.add.circle(
-                spawnX, 
-                spawnY, 
-                this.physicsConfig.extraLives.collectibleRadius,
-                {
-                    isSensor: true,
-                    isExtraLife: true,
-                    label: 'extraLife',
-                    isStatic: true, // Make it static so it doesn't fall
-                }
-            );
+            const body = this.scene.matter.add.circle(spawnX, spawnY, config.radius, {
+                isSensor: true,
+                label: COLLECTIBLE_LABEL,
+                isStatic: true // Make it static so it doesn't fall
+            });
+            body.collectibleType = type.id;
             
             // Store references to link the sprite and physics body
-            lifeSprite.collider = lifeBody;
-            lifeBody.gameObject = lifeSprite;
+            sprite.collider = body;
+            body.gameObject = sprite;
             
-            // Store original Y position for hover animation
-            lifeSprite.originalY = spawnY;
+            const item = { type, sprite, body, collected: false };
+            this.items.push(item);
+            this.addHoverAnimation(item, spawnY);
             
-            // Store in our tracking object
-            const extraLife = {
-                sprite: lifeSprite,
-                body: lifeBody,
-                collected: false
-            };
-            
-            // Add to our tracking array
-            this.extraLives.push(extraLife);
-            
-            // Calculate hover distance (approximately 3 sprite widths) - matching original
-            const spriteWidth = this.physicsConfig.extraLives.collectibleRadius * 2;
-            const hoverDistance = spriteWidth * 3;
-            
-            // Instead of tweening the physics body directly, use a dummy object
-            const hoverController = { y: 0 };
-            
-            // Add hover animation with tweens
-            this.scene.tweens.add({
-                targets: hoverController,
-                y: 1,                      // Normalize from 0 to 1 for easier math
-                duration: 2000,            // 2 seconds for one direction
-                ease: 'Sine.easeInOut',    // Smooth sine wave motion
-                yoyo: true,                // Makes it go back down
-                repeat: -1,                // Repeat indefinitely
-                onUpdate: () => {
-                    // Safety checks for scene transition/destruction
-                    if (!this.scene || !this.scene.scene || !this.scene.scene.isActive) {
-                        return; // Skip update if scene is gone or not active
+            console.log(`Spawned ${type.id} at X: ${spawnX}, Y: ${spawnY} (${heightAboveTerrain}px above terrain)`);
+            return item;
+        } catch (error) {
+            console.error(`Error spawning ${type.id}:`, error);
+        }
+    }
+    
+    /**
+     * Bobs a collectible up and down. The body is static, so a dummy value is tweened
+     * and the body moved to match.
+     * @param {Object} item - Spawned collectible
+     * @param {number} spawnY - Resting Y position
+     * @private
+     */
+    addHoverAnimation(item, spawnY) {
+        const { body, sprite } = item;
+        
+        // Calculate hover distance (approximately 3 sprite widths) - matching original
+        const hoverDistance = this.physicsConfig.collectibles.radius * 2 * 3;
+        
+        // Instead of tweening the physics body directly, use a dummy object
+        const hoverController = { y: 0 };
+        
+        this.scene.tweens.add({
+            targets: hoverController,
+            y: 1,                      // Normalize from 0 to 1 for easier math
+            duration: 2000,            // 2 seconds for one direction
+            ease: 'Sine.easeInOut',    // Smooth sine wave motion
+            yoyo: true,                // Makes it go back down
+            repeat: -1,                // Repeat indefinitely
+            onUpdate: () => {
+                // Safety checks for scene transition/destruction
+                if (!this.scene || !this.scene.scene || !this.scene.scene.isActive) {
+                    return; // Skip update if scene is gone or not active
+                }
+                
+                // Safety check for Matter physics engine
+                if (!this.scene.matter || !this.scene.matter.body || !this.scene.matter.world) {
+                    return; // Matter physics has been destroyed
+                }
+                
+                // Check if objects still exist and are valid
+                if (!body || !body.position || !sprite || sprite.destroyed || item.collected) {
+                    return; // Objects no longer exist
+                }
+                
+                try {
+                    // If somehow the body became non-static, make it static again
+                    if (!body.isStatic) {
+                        this.scene.matter.body.setStatic(body, true);
                     }
                     
-                    // Safety check for Matter physics engine
-                    if (!this.scene.matter || !this.scene.matter.body || !this.scene.matter.world) {
-                        return; // Matter physics has been destroyed
-                    }
+                    // Calculate Y position based on sine wave (0-1 normalized value)
+                    const offset = Math.sin(hoverController.y * Math.PI) * hoverDistance;
                     
-                    // Check if objects still exist and are valid
-                    if (!lifeBody || !lifeBody.position || !lifeSprite || lifeSprite.destroyed) {
-                        return; // Objects no longer exist
-                    }
+                    // Update the static body position directly
+                    this.scene.matter.body.setPosition(body, {
+                        x: body.position.x,
+                        y: spawnY - offset
+                    });
                     
-                    try {
-                        // If somehow the body became non-static, make it static again
-                        if (!lifeBody.isStatic) {
-                            this.scene.matter.body.setStatic(lifeBody, true);
-                        }
-                        
-                        // Calculate Y position based on sine wave (0-1 normalized value)
-                        const offset = Math.sin(hoverController.y * Math.PI) * hoverDistance;
-                        
-                        // Update the static body position directly
-                        this.scene.matter.body.setPosition(lifeBody, {
-                            x: lifeBody.position.x,
-                            y: spawnY - offset
-                        });
-                        
-                        // Update sprite to match collider
-                        lifeSprite.x = lifeBody.position.x;
-                        lifeSprite.y = lifeBody.position.y;
-                    } catch (error) {
-                        // Silently fail if any operation fails
-                        // This can happen during scene transitions
-                    }
+                    // Update sprite to match collider
+                    sprite.x = body.position.x;
+                    sprite.y = body.position.y;
+                } catch (error) {
+                    // Silently fail if any operation fails
+                    // This can happen during scene transitions
                 }
-            });
-            
-            console.log(`Spawned extra life at X: ${spawnX}, Y: ${spawnY} (${heightAboveTerrain}px above terrain)`);
-        } catch (error) {
-            console.error('Error spawning extra life:', error);
-        }
+            }
+        });
     }
     
     /**
-     * Handles the collection of an extra life by the player
-     * Includes visual effects and physics cleanup
-     * @param {MatterJS.Body} collider - The body that collided with the extra life
-     * @param {Function} callback - Callback to execute after collection (e.g., increase lives)
-     * @returns {boolean} Whether the collection was successful
+     * Collects the collectible a body belongs to: removes it from the world and plays
+     * the pickup effect. Applying what it does is up to the caller (see EffectManager).
+     * @param {MatterJS.Body} collider - The collectible's body the player touched
+     * @returns {Object|null} The collected type, or null if the body is unknown or already collected
      */
-    collectExtraLife(collider, callback) {
+    collect(collider) {
         try {
-            // Find the matching extra life in our array
-            const foundIndex = this.extraLives.findIndex(life => life.body === collider);
-            if (foundIndex === -1) return;
-            
-            const extraLife = this.extraLives[foundIndex];
-            if (!extraLife || extraLife.collected) return;
+            const item = this.items.find(candidate => candidate.body === collider);
+            if (!item || item.collected) return null;
             
             // Mark as collected so we don't process it multiple times
-            extraLife.collected = true;
-            
-            // Create collection animation/effect
-            const x = extraLife.sprite.x;
-            const y = extraLife.sprite.y;
+            item.collected = true;
+            this.items = this.items.filter(candidate => candidate !== item);
             
-            // Create a shockwave effect (expanding circle)
-            const shockwave = this.scene.add.circle(x, y, 10, 0xffff00, 0.4);
-            shockwave.setDepth(20);
-            
-            this.scene.tweens.add({
-                targets: shockwave,
-                radius: 100,
-                alpha: 0,
-                duration: 500,
-                ease: 'Power2',
-                onComplete: () => {
-                    shockwave.destroy();
-                }
-            });
-            
-            // Create particle effect
-            for (let i = 0; i < 20; i++) {
-                const particle = this.scene.add.circle(x, y, 2, 0xffff00);
-                particle.setDepth(21);
-                
-                const angle = Math.random() * Math.PI * 2;
-                const speed = 2 + Math.random() * 3;
-                const destX = x + Math.cos(angle) * 100 * speed;
-                const destY = y + Math.sin(angle) * 100 * speed;
-                
-                this.scene.tweens.add({
-                    targets: particle,
-                    x: destX,
-                    y: destY,
-                    alpha: 0,
-                    duration: 500 + Math.random() * 500,
-                    onComplete: () => {
-                        particle.destroy();
-                    }
-                });
+            // Remove Matter body safely
+            if (item.body && item.body.id) {
+                this.scene.matter.world.remove(item.body);
             }
             
-            // Remove Matter body safely
-            if (extraLife.body && extraLife.body.id) {
-                this.scene.matter.world.remove(extraLife.body);
+            this.playCollectEffect(item);
+            return item.type;
+        } catch (error) {
+            console.error('Error collecting collectible:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Shockwave, particles and a scale-out of the sprite, in the type's colour
+     * @param {Object} item - Collected collectible
+     * @private
+     */
+    playCollectEffect(item) {
+        const { x, y } = item.sprite;
+        const color = item.type.color;
+        
+        // Create a shockwave effect (expanding circle)
+        const shockwave = this.scene.add.circle(x, y, 10, color, 0.4);
+        shockwave.setDepth(20);
+        
+        this.scene.tweens.add({
+            targets: shockwave,
+            radius: 100,
+            alpha: 0,
+            duration: 500,
+            ease: 'Power2',
+            onComplete: () => {
+                shockwave.destroy();
             }
+        });
+        
+        // Create particle effect
+        for (let i = 0; i < 20; i++) {
+            const particle = this.scene.add.circle(x, y, 2, color);
+            particle.setDepth(21);
+            
+            const angle = Math.random() * Math.PI * 2;
+            const speed = 2 + Math.random() * 3;
+            const destX = x + Math.cos(angle) * 100 * speed;
+            const destY = y + Math.sin(angle) * 100 * speed;
             
-            // Destroy the sprite with a scaling/fading effect
             this.scene.tweens.add({
-                targets: extraLife.sprite,
-                scaleX: 2,
-                scaleY: 2,
+                targets: particle,
+                x: destX,
+                y: destY,
                 alpha: 0,
-                duration: 300,
+                duration: 500 + Math.random() * 500,
                 onComplete: () => {
-                    extraLife.sprite.destroy();
-                    
-                    // Remove from our array
-                    this.extraLives.splice(foundIndex, 1);
-                    
-                    // Call the provided callback if any
-                    if (callback) callback();
+                    particle.destroy();
                 }
             });
-            
-            // Update the last collection time
-            this.lastLifeCollectTime = this.scene.time.now;
-            
-            return true; // Return true to indicate successful collection
-        } catch (error) {
-            console.error('Error collecting extra life:', error);
-            return false;
         }
+        
+        // Destroy the sprite with a scaling/fading effect
+        this.scene.tweens.add({
+            targets: item.sprite,
+            scaleX: 2,
+            scaleY: 2,
+            alpha: 0,
+            duration: 300,
+            onComplete: () => {
+                item.sprite.destroy();
+            }
+        });
     }
     
     /**
-     * Creates the texture for extra life collectibles
-     * Generates a yellow triangle pointing upward
+     * Creates a type's fallback texture if its image isn't loaded
+     * @param {Object} type - Registered collectible type
      * @private
      */
-    createExtraLifeTexture() {
+    createTexture(type) {
         try {
             // Skip if texture already exists
-            if (this.scene.textures.exists('extraLife')) return;
+            if (!type.drawTexture || this.scene.textures.exists(type.texture)) return;
             
             const size = 40;
             const graphics = this.scene.make.graphics({x: 0, y: 0, add: false});
-            
-            // Draw triangle
-            graphics.fillStyle(0xffff00, 1); // Yellow
-            graphics.lineStyle(2, 0x000000, 1);
-            
-            // Draw a triangle (pointing up)
-            graphics.beginPath();
-            graphics.moveTo(size / 2, 0);
-            graphics.lineTo(0, size);
-            graphics.lineTo(size, size);
-            graphics.closePath();
-            graphics.fillPath();
-            graphics.strokePath();
+            type.drawTexture(graphics, size);
             
             // Generate texture from graphics
-            graphics.generateTexture('extraLife', size, size);
+            graphics.generateTexture(type.texture, size, size);
             graphics.destroy();
         } catch (error) {
-            console.error('Error creating extraLife texture:', error);
+            console.error(`Error creating ${type.texture} texture:`, error);
         }
     }
     
@@ -433,7 +409,17 @@ export default class CollectibleManager {
      * @returns {Array<Object>} Array of all active collectible objects
      */
     getCollectibles() {
-        return this.extraLives;
+        return this.items;
+    }
+    
+    /**
+     * Returns a seeded random integer between min and max (inclusive)
+     * @param {number} min - Lowest possible value
+     * @param {number} max - Highest possible value
+     * @returns {number} Random integer in the range [min, max]
+     */
+    randomBetween(min, max) {
+        return Math.floor(this.seededRandom() * (max - min + 1)) + min;
     }
     
     /**
@@ -443,18 +429,11 @@ export default class CollectibleManager {
      */
     reset() {
         // Clean up all existing collectibles
-        this.extraLives.forEach(life => {
-            if (life.body && life.body.id) {
-                this.scene.matter.world.remove(life.body);
-            }
-            if (life.sprite) {
-                life.sprite.destroy();
-            }
-        });
+        this.items.forEach(item => this.removeItem(item));
         
         // Reset arrays and timers
-        this.extraLives = [];
-        this.lastLifeCollectTime = 0;
+        this.items = [];
+        this.nextSpawnTime = 0;
     }
     
     /**
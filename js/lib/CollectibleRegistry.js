@@ -0,0 +1,120 @@
+// js/lib/CollectibleRegistry.js
+// Catalogue of collectible types and how often each one spawns
+// ------------------------------------------------------
+
+/**
+ * @fileoverview CollectibleRegistry holds every kind of pickup the game can spawn.
+ * A type is a plain object that declares everything the rest of the game needs to
+ * know about it, so adding a pickup means registering a type rather than editing
+ * CollectibleManager or the scene:
+ *
+ * - `id`, `name` (HUD label), `texture` and `color` (neon tint for effects and HUD)
+ * - `drawTexture(graphics, size)`: draws a fallback texture when `texture` isn't loaded
+ * - `spawnWeight`: a number, or `(scene) => number`; 0 keeps the type from spawning.
+ *   Weights are shares of the spawns; when all weights add up to less than 1, the
+ *   rest is the chance that nothing spawns.
+ * - `duration`: how long the effect lasts in ms; 0 for instant pickups, Infinity for
+ *   effects that last until used up
+ * - `onPickup(scene, effect)` and `onExpire(scene, effect)`
+ * - `hooks`: optional `physics(scene, stepMs, effect)`, `spin(scene, stepMs, effect)`,
+ *   `score(points, source)`, `input(input)` and `crash(scene, cause)`, run by EffectManager
+ *   while the effect is active
+ *
+ * No Phaser dependencies.
+ *
+ * @module CollectibleRegistry
+ */
+
+/**
+ * Defaults for optional type fields
+ * @type {Object}
+ */
+const TYPE_DEFAULTS = {
+    color: 0xffffff,
+    drawTexture: null,
+    spawnWeight: 1,
+    duration: 0,
+    onPickup: () => {},
+    onExpire: () => {},
+    hooks: {}
+};
+
+/**
+ * Registry of collectible types.
+ */
+export default class CollectibleRegistry {
+    /**
+     * @param {Array<Object>} [types=[]] - Types to register straight away
+     */
+    constructor(types = []) {
+        this.types = new Map();
+        types.forEach(type => this.register(type));
+    }
+
+    /**
+     * Adds a collectible type, replacing any type with the same id
+     * @param {Object} type - Type definition; see the module description
+     * @returns {Object} The registered type, with defaults filled in
+     * @throws {Error} If the id, name or texture is missing
+     */
+    register(type) {
+        if (!type || !type.id) throw new Error('Collectible type needs an id');
+        if (!type.name) throw new Error(`Collectible type '${type.id}' needs a name`);
+        if (!type.texture) throw new Error(`Collectible type '${type.id}' needs a texture`);
+
+        const registered = Object.freeze({ ...TYPE_DEFAULTS, ...type, hooks: { ...type.hooks } });
+        this.types.set(type.id, registered);
+        return registered;
+    }
+
+    /**
+     * Looks up a type
+     * @param {string} id - Type id
+     * @returns {Object|undefined} The type, if registered
+     */
+    get(id) {
+        return this.types.get(id);
+    }
+
+    /**
+     * Every registered type, in registration order
+     * @returns {Array<Object>} Types
+     */
+    getAll() {
+        return [...this.types.values()];
+    }
+
+    /**
+     * Current spawn weight of a type
+     * @param {Object} type - Registered type
+     * @param {Object} scene - Game scene, for weights that depend on the run
+     * @returns {number} Weight, 0 or more
+     */
+    getSpawnWeight(type, scene) {
+        const weight = typeof type.spawnWeight === 'function' ? type.spawnWeight(scene) : type.spawnWeight;
+        return Math.max(0, weight || 0);
+    }
+
+    /**
+     * Picks the type to spawn next, in proportion to the spawn weights. Weights adding
+     * up to less than 1 leave room for nothing to spawn.
+     * @param {Function} random - Seeded random function returning [0, 1)
+     * @param {Object} scene - Game scene, for weights that depend on the run
+     * @returns {Object|null} The picked type, or null if nothing spawns
+     */
+    pick(random, scene) {
+        const weighted = this.getAll().map(type => ({ type, weight: this.getSpawnWeight(type, scene) }));
+        const total = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+        if (total <= 0) return null;
+
+        let roll = random() * Math.max(1, total);
+        if (roll >= total) return null;
+        for (const { type, weight } of weighted) {
+            if (weight <= 0) continue;
+            if (roll < weight) return type;
+            roll -= weight;
+        }
+        // Rounding can leave the roll a hair past the last weight
+        return [...weighted].reverse().find(entry => entry.weight > 0).type;
+    }
+}
@@ -0,0 +1,156 @@
+// js/lib/DataAvalanche.js
+// The wall of corrupted data that chases the player down the mountain
+// ------------------------------------------------------
+
+/**
+ * @fileoverview DataAvalanche is a pursuer that follows the player from behind
+ * (todo.txt "the data avalanche"). Its front edge moves right at a speed that grows with
+ * the run's simulation time, and it never falls more than `maxGap` behind, so riding
+ * fast only buys time while walking or stalling lets it catch up. Touching it ends the
+ * run whatever lives are left.
+ *
+ * The chase runs on simulation time and the physics step, so a replay is caught at
+ * exactly the same tick. Drawing is separate (draw()) and only happens in the browser.
+ *
+ * @module DataAvalanche
+ */
+
+import PhysicsConfig from '../config/physics-config.js';
+import TerrainConfig from '../config/terrain-config.js';
+
+/**
+ * Cause of death recorded when the avalanche catches the player
+ * @type {string}
+ */
+export const AVALANCHE_CAUSE = 'data-avalanche';
+
+/**
+ * Neon colours of the glitch slices
+ * @type {Array<number>}
+ */
+const GLITCH_COLORS = [0xff00ff, 0x00ffff, 0x00ff88, 0xffffff];
+
+/**
+ * Chases the player and draws itself as a glitching wall.
+ */
+export default class DataAvalanche {
+    /**
+     * @param {Phaser.Scene} scene - The scene this avalanche is attached to
+     * @param {Object} options - Options
+     * @param {number} options.startX - Player spawn x; the avalanche starts startGap behind it
+     * @param {number} [options.startTime=0] - Simulation time the run started at, in ms
+     * @param {Object} [options.config=PhysicsConfig.avalanche] - Chase settings
+     */
+    constructor(scene, { startX, startTime = 0, config = PhysicsConfig.avalanche }) {
+        this.scene = scene;
+        this.config = config;
+        this.startTime = startTime;
+        this.x = startX - config.startGap; // Front edge
+        this.speed = 0; // Pixels per second, as of the last update
+        this.graphics = null; // Created on the first draw()
+    }
+
+    /**
+     * Speed of the front edge after some time
+     * @param {number} elapsedMs - Simulation time since the run started
+     * @returns {number} Speed in pixels per second; 0 during the grace period
+     */
+    getSpeedAt(elapsedMs) {
+        const { graceMs, baseSpeed, acceleration, maxSpeed } = this.config;
+        if (elapsedMs < graceMs) return 0;
+        return Math.min(maxSpeed, baseSpeed + acceleration * (elapsedMs - graceMs) / 1000);
+    }
+
+    /**
+     * Advances the avalanche by one physics step
+     * @param {number} now - Simulation time in ms
+     * @param {number} stepMs - Length of the step in ms, already scaled by any slow motion
+     * @param {number} playerX - Player world x
+     * @returns {boolean} True if it has caught the player
+     */
+    update(now, stepMs, playerX) {
+        this.speed = this.getSpeedAt(now - this.startTime);
+        this.x += this.speed * stepMs / 1000;
+
+        // Drag it along behind a player who has pulled far ahead
+        this.x = Math.max(this.x, playerX - this.config.maxGap);
+        return this.x >= playerX;
+    }
+
+    /**
+     * How far the player is ahead of the front edge
+     * @param {number} playerX - Player world x
+     * @returns {number} Gap in pixels; 0 or less once caught
+     */
+    getGap(playerX) {
+        return playerX - this.x;
+    }
+
+    /**
+     * Proximity warning for the HUD
+     * @param {number} playerX - Player world x
+     * @returns {{meters: number, proximity: number}|null} Gap in meters and how close it is
+     *     (0 at the warning distance, 1 on contact), or null while it is further away
+     */
+    getWarning(playerX) {
+        const gap = this.getGap(playerX);
+        const { warningDistance } = this.config;
+        if (gap >= warningDistance) return null;
+        return {
+            meters: Math.max(0, gap) / TerrainConfig.pixelsPerMeter,
+            proximity: Math.min(1, 1 - gap / warningDistance)
+        };
+    }
+
+    /**
+     * Draws the wall for the current camera view: a dark body of scrolling glitch
+     * slices in neon colours, with a bright ragged front edge
+     * @param {Phaser.Cameras.Scene2D.Camera} camera - Main camera
+     */
+    draw(camera) {
+        if (!this.graphics) {
+            this.graphics = this.scene.add.graphics().setDepth(50);
+        }
+        const graphics = this.graphics;
+        graphics.clear();
+
+        const view = camera.worldView;
+        if (this.x < view.left - 50) return; // Still behind the screen
+        const left = Math.max(view.left - 50, this.x - this.config.wallWidth);
+
+        const top = view.top - 50;
+        const height = view.height + 100;
+        graphics.fillStyle(0x0a0014, 0.85);
+        graphics.fillRect(left, top, this.x - left, height);
+
+        // Visual only, so Math.random is fine here: it never touches the seeded streams
+        const sliceHeight = 12;
+        for (let y = top; y < top + height; y += sliceHeight) {
+            if (Math.random() < 0.45) continue;
+            const color = GLITCH_COLORS[Math.floor(Math.random() * GLITCH_COLORS.length)];
+            const length = 20 + Math.random() * 160;
+            const jitter = (Math.random() - 0.5) * 40;
+            graphics.fillStyle(color, 0.25 + Math.random() * 0.5);
+            graphics.fillRect(this.x - length + jitter, y, length, sliceHeight - 3);
+        }
+
+        graphics.lineStyle(4, 0xff00ff, 0.9);
+        graphics.beginPath();
+        graphics.moveTo(this.x, top);
+        for (let y = top; y <= top + height; y += 24) {
+            graphics.lineTo(this.x + (Math.random() - 0.5) * 16, y);
+        }
+        graphics.strokePath();
+    }
+
+    /**
+     * Removes the wall's graphics
+     */
+    destroy() {
+        if (this.graphics) {
+            this.graphics.destroy();
+            this.graphics = null;
+        }
+        this.scene = null;
+    }
+}
@@ -0,0 +1,75 @@
+// js/lib/DifficultyCurve.js
+// Distance-based difficulty settings for terrain generation
+// ------------------------------------------------------
+
+/**
+ * @fileoverview DifficultyCurve turns the milestone list in TerrainConfig.difficulty into
+ * the settings that apply at a given distance. Each milestone only needs to list the values
+ * it changes; everything else carries over from the milestone before it. Settings change in
+ * steps as the run passes each milestone, so a designer can see exactly where the terrain
+ * gets harder.
+ *
+ * @module DifficultyCurve
+ */
+
+/**
+ * Resolves difficulty milestones by distance travelled.
+ */
+export default class DifficultyCurve {
+    /**
+     * @param {Array<Object>} milestones - Milestones keyed by `distance` in meters, in any order.
+     *     The first milestone must list every setting.
+     * @throws {Error} If there are no milestones
+     */
+    constructor(milestones) {
+        if (!Array.isArray(milestones) || milestones.length === 0) {
+            throw new Error('DifficultyCurve: at least one milestone is required');
+        }
+
+        const sorted = [...milestones].sort((a, b) => a.distance - b.distance);
+
+        // Fill each milestone's gaps from the one before it, so lookups never need to merge.
+        // Weight tables such as colorWeights are merged key by key
+        this.milestones = [];
+        sorted.forEach((milestone, i) => {
+            const resolved = { ...(i > 0 ? this.milestones[i - 1] : {}) };
+            Object.entries(milestone).forEach(([key, value]) => {
+                resolved[key] = value && typeof value === 'object' && !Array.isArray(value)
+                    ? { ...resolved[key], ...value }
+                    : value;
+            });
+            this.milestones.push(resolved);
+        });
+    }
+
+    /**
+     * Gets the settings in effect at a distance
+     * Distances before the first milestone use the first milestone
+     * @param {number} distanceMeters - Distance from the start of the run in meters
+     * @returns {Object} Resolved milestone settings
+     */
+    getSettingsAt(distanceMeters) {
+        let active = this.milestones[0];
+        for (let i = 1; i < this.milestones.length; i++) {
+            if (distanceMeters < this.milestones[i].distance) break;
+            active = this.milestones[i];
+        }
+        return active;
+    }
+
+    /**
+     * Picks an index from a list of weights
+     * @param {Array<number>} weights - Relative weights; they do not need to add up to 1
+     * @param {number} r - Random value in [0, 1)
+     * @returns {number} Index of the chosen weight
+     */
+    static pickWeighted(weights, r) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let cumulative = 0;
+        for (let i = 0; i < weights.length; i++) {
+            cumulative += weights[i] / total;
+            if (r < cumulative) return i;
+        }
+        return weights.length - 1;
+    }
+}
@@ -0,0 +1,90 @@
+// js/lib/DistanceTracker.js
+// Measures how far the player has travelled and scores it
+// ------------------------------------------------------
+
+/**
+ * @fileoverview DistanceTracker turns the player's furthest x position into meters
+ * and distance points (DESIGN-DOC §6.1 "+1 pt per meter"). Only new ground counts:
+ * sliding back and forward again scores nothing twice. It also watches for the
+ * player passing their personal best distance, so the scene can mark it.
+ *
+ * No Phaser dependencies; the scene feeds it the player's x every physics step.
+ *
+ * @module DistanceTracker
+ */
+
+import TerrainConfig from '../config/terrain-config.js';
+import PhysicsConfig from '../config/physics-config.js';
+
+/**
+ * Tracks distance travelled in one run.
+ */
+export default class DistanceTracker {
+    /**
+     * @param {Object} options - Options
+     * @param {number} options.startX - World x the distance is measured from
+     * @param {number} [options.pixelsPerMeter=TerrainConfig.pixelsPerMeter] - World pixels per meter
+     * @param {number} [options.pointsPerMeter=PhysicsConfig.distance.pointsPerMeter] - Points per whole meter
+     * @param {number} [options.personalBest=0] - Best distance so far in meters; 0 for none
+     */
+    constructor({
+        startX,
+        pixelsPerMeter = TerrainConfig.pixelsPerMeter,
+        pointsPerMeter = PhysicsConfig.distance.pointsPerMeter,
+        personalBest = 0
+    }) {
+        this.startX = startX;
+        this.pixelsPerMeter = pixelsPerMeter;
+        this.pointsPerMeter = pointsPerMeter;
+        this.maxX = startX;
+        this.metersScored = 0;  // Whole meters already turned into points
+        this.setPersonalBest(personalBest);
+    }
+
+    /**
+     * Furthest distance reached
+     * @returns {number} Meters from the start
+     */
+    get meters() {
+        return (this.maxX - this.startX) / this.pixelsPerMeter;
+    }
+
+    /**
+     * World x of a distance, e.g. to place a marker
+     * @param {number} meters - Distance from the start in meters
+     * @returns {number} World x
+     */
+    xForMeters(meters) {
+        return this.startX + meters * this.pixelsPerMeter;
+    }
+
+    /**
+     * Sets the distance to beat. Known late (the ledger loads asynchronously), so it
+     * may arrive mid-run; a best already passed then counts as passed.
+     * @param {number} meters - Best distance in meters; 0 for none
+     */
+    setPersonalBest(meters) {
+        this.personalBest = meters;
+        this.passedPersonalBest = meters > 0 && this.meters > meters;
+    }
+
+    /**
+     * Advances to the player's current position
+     * @param {number} x - Player world x
+     * @returns {{points: number, passedPersonalBest: boolean}} Points earned by this move,
+     *     and whether it took the player past their personal best
+     */
+    update(x) {
+        this.maxX = Math.max(this.maxX, x);
+
+        const wholeMeters = Math.floor(this.meters);
+        const points = (wholeMeters - this.metersScored) * this.pointsPerMeter;
+        this.metersScored = wholeMeters;
+
+        const passedPersonalBest = !this.passedPersonalBest && this.personalBest > 0 && this.meters > this.personalBest;
+        if (passedPersonalBest) {
+            this.passedPersonalBest = true;
+        }
+        return { points, passedPersonalBest };
+    }
+}
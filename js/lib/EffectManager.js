@@ -0,0 +1,172 @@
+// js/lib/EffectManager.js
+// Runs picked-up effects for their duration and routes the scene's hooks through them
+// ------------------------------------------------------
+
+/**
+ * @fileoverview EffectManager applies collectible effects and keeps timed ones running
+ * until they expire. Time is the scene's simulation time, so effects last exactly as
+ * long in a replay as they did in the recorded run.
+ *
+ * While an effect is active, its type's hooks (see CollectibleRegistry) take part in
+ * the scene's simulation:
+ *
+ * - `physics(scene, stepMs, effect)`: called every physics step, e.g. to push the player
+ * - `spin(scene, stepMs, effect)`: called every sledding step after the controls have set
+ *   the sled's angular velocity, so a change to the spin is not overwritten
+ * - `score(points, source)`: can change points passed to ModularGameScene.addScore()
+ * - `input(input)`: can change the input state before the controls read it
+ * - `crash(scene, cause)`: returning true absorbs a crash, which ends the effect
+ *
+ * Picking up a timed effect that is already active restarts its timer instead of
+ * stacking a second copy.
+ *
+ * No Phaser dependencies.
+ *
+ * @module EffectManager
+ */
+
+/**
+ * Tracks active effects.
+ */
+export default class EffectManager {
+    /**
+     * @param {Object} scene - Game scene passed to the type callbacks and hooks
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.active = []; // { type, startedAt, endsAt }, in pickup order
+    }
+
+    /**
+     * Applies a picked-up collectible's effect
+     * @param {Object} type - Registered collectible type
+     * @param {number} now - Simulation time in ms
+     * @returns {Object|null} The active effect, or null for an instant pickup
+     */
+    apply(type, now) {
+        const running = this.active.find(effect => effect.type.id === type.id);
+        if (running) {
+            running.endsAt = now + type.duration;
+            return running;
+        }
+
+        const effect = { type, startedAt: now, endsAt: now + type.duration };
+        type.onPickup(this.scene, effect);
+        if (type.duration <= 0) {
+            return null;
+        }
+        this.active.push(effect);
+        return effect;
+    }
+
+    /**
+     * Expires finished effects, then runs the physics hooks of the rest. Call once per
+     * physics step.
+     * @param {number} now - Simulation time in ms
+     * @param {number} stepMs - Length of the step in ms
+     */
+    update(now, stepMs) {
+        const expired = this.active.filter(effect => now >= effect.endsAt);
+        this.active = this.active.filter(effect => now < effect.endsAt);
+        expired.forEach(effect => effect.type.onExpire(this.scene, effect));
+
+        this.active.forEach(effect => {
+            if (effect.type.hooks.physics) {
+                effect.type.hooks.physics(this.scene, stepMs, effect);
+            }
+        });
+    }
+
+    /**
+     * Runs the spin hooks of active effects. Call after the controls have set this
+     * step's angular velocity.
+     * @param {number} stepMs - Length of the step in ms
+     */
+    applySpin(stepMs) {
+        this.active.forEach(effect => {
+            if (effect.type.hooks.spin) {
+                effect.type.hooks.spin(this.scene, stepMs, effect);
+            }
+        });
+    }
+
+    /**
+     * Whether an effect is running
+     * @param {string} id - Collectible type id
+     * @returns {boolean} True while it is active
+     */
+    isActive(id) {
+        return this.active.some(effect => effect.type.id === id);
+    }
+
+    /**
+     * Ends an effect early, e.g. a one-shot effect that has been used up
+     * @param {string} id - Collectible type id
+     * @returns {boolean} True if it was active
+     */
+    end(id) {
+        const effect = this.active.find(candidate => candidate.type.id === id);
+        if (!effect) return false;
+        this.active = this.active.filter(candidate => candidate !== effect);
+        effect.type.onExpire(this.scene, effect);
+        return true;
+    }
+
+    /**
+     * Active effects with their time left, for the HUD
+     * @param {number} now - Simulation time in ms
+     * @returns {Array<{id: string, name: string, color: number, remainingMs: number}>} Effects, in pickup order
+     */
+    getTimers(now) {
+        return this.active.map(({ type, endsAt }) => ({
+            id: type.id,
+            name: type.name,
+            color: type.color,
+            remainingMs: Math.max(0, endsAt - now)
+        }));
+    }
+
+    /**
+     * Passes points through the score hooks of active effects
+     * @param {number} points - Points about to be added
+     * @param {string} source - Score source, as given to addScore()
+     * @returns {number} Points to add
+     */
+    modifyScore(points, source) {
+        return this.active.reduce(
+            (current, effect) => (effect.type.hooks.score ? effect.type.hooks.score(current, source) : current),
+            points
+        );
+    }
+
+    /**
+     * Passes the step's input state through the input hooks of active effects
+     * @param {Object} input - Input state from InputController.update()
+     * @returns {Object} Input state for the controls
+     */
+    modifyInput(input) {
+        return this.active.reduce(
+            (current, effect) => (effect.type.hooks.input ? effect.type.hooks.input({ ...current }) : current),
+            input
+        );
+    }
+
+    /**
+     * Offers a crash to the active effects' crash hooks, oldest effect first
+     * @param {string} cause - What caused the crash, as given to handleCrash()
+     * @returns {boolean} True if an effect absorbed it; that effect has ended
+     */
+    absorbCrash(cause) {
+        const absorber = this.active.find(effect => effect.type.hooks.crash && effect.type.hooks.crash(this.scene, cause));
+        if (!absorber) return false;
+        this.end(absorber.type.id);
+        return true;
+    }
+
+    /**
+     * Drops every effect without running expiry callbacks, for a restart
+     */
+    clear() {
+        this.active = [];
+    }
+}
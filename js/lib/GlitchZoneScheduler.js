@@ -0,0 +1,132 @@
+// js/lib/GlitchZoneScheduler.js
+// Schedules and shapes pure-noise "glitch zone" terrain sections
+// ------------------------------------------------------
+
+/**
+ * @fileoverview Glitch zones are short difficulty spikes from the hybrid recipe in
+ * DESIGN-DOC §5: every so often TerrainManager stops asking its regular generator for
+ * slopes and follows a seeded 1-D Perlin heightmap instead. A zone starts at the exact
+ * height the regular terrain reached and fades its noise out over an exit blend, so
+ * the regular generator picks up again from a plain downhill slope.
+ *
+ * Zone placement and shape draw only from their own random stream, which keeps them
+ * deterministic for a given game seed.
+ *
+ * @module GlitchZoneScheduler
+ * @requires noise
+ */
+
+import TerrainConfig from '../config/terrain-config.js';
+import { createNoise1D, fractalNoise1D } from '../utils/noise.js';
+
+/**
+ * Decides where glitch zones go and shapes the segments inside them.
+ */
+export default class GlitchZoneScheduler {
+    /**
+     * @param {Function} random - Seeded random function reserved for glitch zones
+     * @param {Object} [config=TerrainConfig.glitchZones] - Zone settings
+     */
+    constructor(random, config = TerrainConfig.glitchZones) {
+        this.random = random;
+        this.config = config;
+        this.noise = createNoise1D(random);
+
+        this.activeZone = null;   // Zone currently being generated, if any
+        this.nextZoneStartX = Infinity;
+        this.zoneCount = 0;
+    }
+
+    /**
+     * Restarts the schedule for a new run
+     * @param {number} startX - X position where the terrain starts
+     */
+    reset(startX) {
+        this.activeZone = null;
+        this.zoneCount = 0;
+        this.nextZoneStartX = this.config.enabled
+            ? startX + this.config.firstZoneAfter + this.randomBetween(this.config.minInterval, this.config.maxInterval)
+            : Infinity;
+    }
+
+    /**
+     * Shapes the next segment if it belongs to a glitch zone
+     * @param {number} prevX - Start x of the new segment
+     * @param {number} prevY - Start y of the new segment
+     * @returns {{endX: number, endY: number, zoneId: number, isEntry: boolean, isExit: boolean}|null}
+     *     The zone segment, or null if regular terrain should be generated here
+     */
+    next(prevX, prevY) {
+        let isEntry = false;
+
+        if (!this.activeZone) {
+            if (prevX < this.nextZoneStartX) {
+                return null;
+            }
+            this.activeZone = this.createZone(prevX, prevY);
+            isEntry = true;
+        }
+
+        const zone = this.activeZone;
+        const endX = Math.min(prevX + this.config.segmentWidth, zone.endX);
+        const isExit = endX >= zone.endX;
+
+        if (isExit) {
+            this.activeZone = null;
+            this.nextZoneStartX = endX + this.randomBetween(this.config.minInterval, this.config.maxInterval);
+        }
+
+        return { endX, endY: this.heightAt(zone, endX), zoneId: zone.id, isEntry, isExit };
+    }
+
+    /**
+     * Starts a zone at the given point
+     * @param {number} startX - Zone start x
+     * @param {number} startY - Terrain height where the zone starts
+     * @returns {Object} Zone description
+     * @private
+     */
+    createZone(startX, startY) {
+        this.zoneCount++;
+        return {
+            id: this.zoneCount,
+            startX,
+            startY,
+            endX: startX + this.randomBetween(this.config.minLength, this.config.maxLength),
+            // Whole-number offsets keep the noise at exactly 0 where the zone begins
+            noiseOffset: this.randomBetween(0, 255)
+        };
+    }
+
+    /**
+     * Height of a zone's surface at an x position
+     * A steady downhill trend keeps the player moving; the noise on top fades out over
+     * the exit blend with zero slope at the very end, so the join is smooth
+     * @param {Object} zone - Zone description
+     * @param {number} x - X position inside the zone
+     * @returns {number} Surface height
+     * @private
+     */
+    heightAt(zone, x) {
+        const { amplitude, wavelength, octaves, descentSlope, exitBlendLength } = this.config;
+        const distance = x - zone.startX;
+        const trend = zone.startY + descentSlope * distance;
+
+        const n = fractalNoise1D(this.noise, distance / wavelength + zone.noiseOffset, octaves);
+        const blend = Phaser.Math.Clamp((zone.endX - x) / exitBlendLength, 0, 1);
+        const envelope = blend * blend * (3 - 2 * blend); // smoothstep
+
+        return trend + n * amplitude * envelope;
+    }
+
+    /**
+     * Returns a random integer between min and max (inclusive) from the zone stream
+     * @param {number} min - Lowest possible value
+     * @param {number} max - Highest possible value
+     * @returns {number} Random integer in the range [min, max]
+     * @private
+     */
+    randomBetween(min, max) {
+        return Math.floor(this.random() * (max - min + 1)) + min;
+    }
+}
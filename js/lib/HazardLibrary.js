@@ -0,0 +1,207 @@
+// js/lib/HazardLibrary.js
+// Hazard definitions loaded from JSON
+// ------------------------------------------------------
+
+/**
+ * @fileoverview HazardLibrary holds the hazards of DESIGN-DOC §7, authored as JSON under
+ * `public/data/hazards/` like the terrain chunks. `manifest.json` lists the hazard files;
+ * each hazard looks like:
+ *
+ *     {
+ *       "id": "packet-spike",            // unique id; also the cause of death it records
+ *       "name": "Packet Spike",          // display name
+ *       "sprite": "hazard-packet-spike", // texture key; drawn as a silhouette if not loaded
+ *       "placement": "on",               // "on" a segment, or "between" two segments
+ *       "weight": 2,                     // relative chance of being picked (default 1)
+ *       "minDistance": 2500,             // meters before this hazard may appear (default 0)
+ *       "size": { "width": 60, "height": 30 }, // sensor body size in pixels
+ *       "onHit": { "type": "crash" }     // see HAZARD_EFFECTS for the types and their fields
+ *     }
+ *
+ * Hazards are validated when added; invalid files are skipped with a warning rather
+ * than breaking the run.
+ *
+ * @module HazardLibrary
+ */
+
+/**
+ * Cache key of the hazard manifest
+ * @type {string}
+ */
+export const HAZARD_MANIFEST_KEY = 'hazardManifest';
+
+/**
+ * Folder the hazard files are served from, relative to the page
+ * @type {string}
+ */
+export const HAZARD_DATA_PATH = 'data/hazards';
+
+/**
+ * Where a hazard may be placed
+ * @type {Array<string>}
+ */
+export const HAZARD_PLACEMENTS = ['on', 'between'];
+
+/**
+ * onHit types and the fields each one needs:
+ * - `crash`: crashes the player, costing a life
+ * - `speedCut`: multiplies the player's speed by `factor` (between 0 and 1)
+ * - `scramble`: scrambles controls and spin for `durationMs`
+ * @type {Object<string, Function>}
+ */
+export const HAZARD_EFFECTS = {
+    crash: () => [],
+    speedCut: ({ factor }) => (typeof factor === 'number' && factor >= 0 && factor < 1
+        ? [] : ['"onHit.factor" must be a number from 0 up to 1']),
+    scramble: ({ durationMs }) => (typeof durationMs === 'number' && durationMs > 0
+        ? [] : ['"onHit.durationMs" must be a positive number'])
+};
+
+/**
+ * Checks a hazard definition against the schema
+ * @param {Object} definition - Parsed hazard JSON
+ * @returns {Array<string>} Problems found; empty if the hazard is valid
+ */
+export function validateHazard(definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object') {
+        return ['hazard must be an object'];
+    }
+
+    const { id, name, sprite, placement, weight = 1, minDistance = 0, size, onHit } = definition;
+
+    if (typeof id !== 'string' || id.length === 0) errors.push('"id" must be a non-empty string');
+    if (typeof name !== 'string' || name.length === 0) errors.push('"name" must be a non-empty string');
+    if (typeof sprite !== 'string' || sprite.length === 0) errors.push('"sprite" must be a non-empty string');
+    if (!HAZARD_PLACEMENTS.includes(placement)) errors.push(`"placement" must be one of ${HAZARD_PLACEMENTS.join(', ')}`);
+    if (typeof weight !== 'number' || !(weight > 0)) errors.push('"weight" must be a positive number');
+    if (typeof minDistance !== 'number' || !(minDistance >= 0)) errors.push('"minDistance" must be a number >= 0');
+
+    if (!size || !(size.width > 0) || !(size.height > 0)) {
+        errors.push('"size" must have a positive width and height');
+    }
+
+    if (!onHit || !HAZARD_EFFECTS[onHit.type]) {
+        errors.push(`"onHit.type" must be one of ${Object.keys(HAZARD_EFFECTS).join(', ')}`);
+    } else {
+        errors.push(...HAZARD_EFFECTS[onHit.type](onHit));
+    }
+
+    return errors;
+}
+
+/**
+ * A validated set of hazards with seeded weighted selection.
+ */
+export default class HazardLibrary {
+    /**
+     * @param {Array<Object>} [definitions=[]] - Hazard definitions to add
+     * @throws {Error} If a definition is invalid or reuses an id
+     */
+    constructor(definitions = []) {
+        this.hazards = [];
+        definitions.forEach(definition => this.add(definition));
+    }
+
+    /**
+     * Validates and adds a hazard
+     * @param {Object} definition - Parsed hazard JSON
+     * @returns {Object} The stored hazard, with defaults filled in
+     * @throws {Error} If the definition is invalid or its id is already taken
+     */
+    add(definition) {
+        const errors = validateHazard(definition);
+        if (errors.length === 0 && this.get(definition.id)) {
+            errors.push(`duplicate id "${definition.id}"`);
+        }
+        if (errors.length > 0) {
+            const label = definition && definition.id ? `"${definition.id}"` : '(no id)';
+            throw new Error(`Invalid hazard ${label}: ${errors.join('; ')}`);
+        }
+
+        const hazard = { weight: 1, minDistance: 0, ...definition };
+        this.hazards.push(hazard);
+        return hazard;
+    }
+
+    /**
+     * Looks up a hazard by id
+     * @param {string} id - Hazard id
+     * @returns {Object|undefined} The hazard, if present
+     */
+    get(id) {
+        return this.hazards.find(hazard => hazard.id === id);
+    }
+
+    /**
+     * Number of hazards in the library
+     * @returns {number} Hazard count
+     */
+    get size() {
+        return this.hazards.length;
+    }
+
+    /**
+     * Picks a hazard by weight from those allowed at a distance
+     * @param {Function} random - Seeded random function
+     * @param {number} distanceMeters - Distance of the spot the hazard would go
+     * @returns {Object|null} The chosen hazard, or null if none is allowed yet
+     */
+    pick(random, distanceMeters) {
+        const eligible = this.hazards.filter(hazard => hazard.minDistance <= distanceMeters);
+        if (eligible.length === 0) return null;
+
+        const total = eligible.reduce((sum, hazard) => sum + hazard.weight, 0);
+        let roll = random() * total;
+        for (const hazard of eligible) {
+            roll -= hazard.weight;
+            if (roll < 0) return hazard;
+        }
+        return eligible[eligible.length - 1];
+    }
+
+    /**
+     * Queues the manifest and every hazard file it lists on a Phaser loader
+     * Skips loading if the manifest is already cached (for example after a restart)
+     * @param {Phaser.Scene} scene - Scene whose loader and JSON cache to use
+     */
+    static queueLoad(scene) {
+        if (scene.cache.json.exists(HAZARD_MANIFEST_KEY)) return;
+
+        scene.load.once(`filecomplete-json-${HAZARD_MANIFEST_KEY}`, (key, type, manifest) => {
+            (manifest.hazards || []).forEach(file => {
+                scene.load.json(`hazard:${file}`, `${HAZARD_DATA_PATH}/${file}`);
+            });
+        });
+        scene.load.json(HAZARD_MANIFEST_KEY, `${HAZARD_DATA_PATH}/manifest.json`);
+    }
+
+    /**
+     * Builds a library from the hazard files in a JSON cache
+     * Missing or invalid hazards are skipped with a warning so bad data never stops a run
+     * @param {Object} jsonCache - Cache with get(key) and exists(key), such as scene.cache.json
+     * @returns {HazardLibrary} Library of every valid hazard listed in the manifest
+     */
+    static fromCache(jsonCache) {
+        const library = new HazardLibrary();
+        const manifest = jsonCache && jsonCache.exists(HAZARD_MANIFEST_KEY) ? jsonCache.get(HAZARD_MANIFEST_KEY) : null;
+        if (!manifest) {
+            console.warn('HazardLibrary: no hazard manifest loaded, the run will have no hazards');
+            return library;
+        }
+
+        (manifest.hazards || []).forEach(file => {
+            const key = `hazard:${file}`;
+            if (!jsonCache.exists(key)) {
+                console.warn(`HazardLibrary: ${file} is listed in the manifest but did not load`);
+                return;
+            }
+            try {
+                library.add(jsonCache.get(key));
+            } catch (error) {
+                console.warn(`HazardLibrary: skipping ${file} - ${error.message}`);
+            }
+        });
+        return library;
+    }
+}
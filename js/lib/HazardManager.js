@@ -0,0 +1,365 @@
+// js/lib/HazardManager.js
+// Places hazards along the terrain and applies what they do on contact
+// ------------------------------------------------------
+
+/**
+ * @fileoverview HazardManager puts the hazards from HazardLibrary into the world as
+ * terrain is generated. Each new segment gets a seeded roll against the difficulty
+ * curve's `hazardDensity` (hazards per 100m), so hazards only appear once the run
+ * reaches the milestones that allow them. A hazard sits "on" a segment, standing on its
+ * surface, or "between" two segments, sunk into the joint.
+ *
+ * Every hazard is a static Matter sensor exactly the size in its definition, and its
+ * silhouette is drawn to that same box (DESIGN-DOC pillar 2, "Readable Chaos"), so what
+ * the player sees is what hits them. The scene routes sensor contacts to hit(), then
+ * applies the hazard's `onHit` with applyHit().
+ *
+ * Placement draws from its own seeded stream, so terrain and pickups stay identical
+ * whether or not hazards are placed.
+ *
+ * @module HazardManager
+ */
+
+import HazardLibrary from './HazardLibrary.js';
+import TerrainConfig from '../config/terrain-config.js';
+
+/**
+ * Label of every hazard's Matter body
+ * @type {string}
+ */
+export const HAZARD_LABEL = 'hazard';
+
+/**
+ * Id of the effect a physics scramble runs through EffectManager
+ * @type {string}
+ */
+export const SCRAMBLE_EFFECT_ID = 'scramble';
+
+/**
+ * How often a physics scramble rolls a new spin, in ms
+ * @type {number}
+ */
+const SCRAMBLE_JOLT_MS = 250;
+
+/**
+ * Largest spin a physics scramble adds, in radians per 60fps frame like the rotation velocities
+ * @type {number}
+ */
+const SCRAMBLE_MAX_SPIN = 0.08;
+
+/**
+ * Silhouettes by sprite key, drawn to the hazard's collision size when the sprite isn't loaded
+ * @type {Object<string, Function>}
+ */
+const SILHOUETTES = {
+    // Black gap with a torn magenta rim and cyan scanlines
+    'hazard-glitch-chasm': (graphics, width, height) => {
+        graphics.fillStyle(0x000000, 1);
+        graphics.fillRect(0, 0, width, height);
+        graphics.lineStyle(3, 0xff00ff, 1);
+        graphics.beginPath();
+        graphics.moveTo(0, 0);
+        for (let x = 0; x <= width; x += 10) {
+            graphics.lineTo(x, (x / 10) % 2 === 0 ? 0 : 6);
+        }
+        graphics.strokePath();
+        graphics.lineStyle(1, 0x00ffff, 0.8);
+        for (let y = 10; y < height; y += 6) {
+            graphics.lineBetween(4, y, width - 4, y);
+        }
+    },
+    // Stack of red and orange bricks, brightest at the top
+    'hazard-overflow-firewall': (graphics, width, height) => {
+        const rows = Math.floor(height / 10);
+        for (let row = 0; row < rows; row++) {
+            graphics.fillStyle(row % 2 === 0 ? 0xff3300 : 0xff8800, 1);
+            graphics.fillRect(0, height - (row + 1) * 10, width, 8);
+        }
+        graphics.lineStyle(2, 0xffff00, 1);
+        graphics.strokeRect(1, 1, width - 2, height - 2);
+    },
+    // Row of red spikes with white edges
+    'hazard-packet-spike': (graphics, width, height) => {
+        const count = 3;
+        const spikeWidth = width / count;
+        graphics.fillStyle(0xff0033, 1);
+        graphics.lineStyle(2, 0xffffff, 1);
+        for (let i = 0; i < count; i++) {
+            graphics.beginPath();
+            graphics.moveTo(i * spikeWidth, height);
+            graphics.lineTo(i * spikeWidth + spikeWidth / 2, 0);
+            graphics.lineTo((i + 1) * spikeWidth, height);
+            graphics.closePath();
+            graphics.fillPath();
+            graphics.strokePath();
+        }
+    },
+    // Green vent at the bottom with a plume of grey and green data blocks above it
+    'hazard-garbage-data-vent': (graphics, width, height) => {
+        graphics.fillStyle(0x00ff66, 1);
+        graphics.fillRect(width * 0.2, height - 16, width * 0.6, 16);
+        const blocks = [[0.3, 0.75, 0x00ff66], [0.5, 0.6, 0x888888], [0.25, 0.45, 0x00ff66],
+            [0.55, 0.3, 0x888888], [0.35, 0.15, 0x00ff66], [0.5, 0.02, 0x888888]];
+        for (const [x, y, color] of blocks) {
+            graphics.fillStyle(color, 0.9);
+            graphics.fillRect(width * x, height * y, width * 0.25, width * 0.25);
+        }
+        graphics.lineStyle(2, 0x00ff66, 0.6);
+        graphics.strokeRect(1, 1, width - 2, height - 2);
+    }
+};
+
+/**
+ * Silhouette for sprite keys without one of their own: a red box with a cross
+ * @param {Phaser.GameObjects.Graphics} graphics - Graphics to draw into
+ * @param {number} width - Texture width
+ * @param {number} height - Texture height
+ */
+function drawDefaultSilhouette(graphics, width, height) {
+    graphics.fillStyle(0xff0000, 0.6);
+    graphics.fillRect(0, 0, width, height);
+    graphics.lineStyle(2, 0xffffff, 1);
+    graphics.strokeRect(1, 1, width - 2, height - 2);
+    graphics.lineBetween(0, 0, width, height);
+    graphics.lineBetween(width, 0, 0, height);
+}
+
+/**
+ * Builds the EffectManager effect for a physics scramble: rotation controls swap and
+ * the sled takes random spin jolts
+ * @param {number} durationMs - How long the scramble lasts
+ * @param {Function} random - Seeded random function for the jolts
+ * @returns {Object} Effect type for EffectManager.apply()
+ */
+export function createScrambleEffect(durationMs, random) {
+    return {
+        id: SCRAMBLE_EFFECT_ID,
+        name: 'SCRAMBLED',
+        color: 0x00ff66,
+        duration: durationMs,
+        onPickup: () => {},
+        onExpire: () => {},
+        hooks: {
+            input: input => ({
+                ...input,
+                rotateClockwise: input.rotateCounterClockwise,
+                rotateCounterClockwise: input.rotateClockwise
+            }),
+            // A new random spin every SCRAMBLE_JOLT_MS, added on top of whatever the controls
+            // set. Spin is a velocity, so it turns the sled as far at any tick rate.
+            spin: (scene, stepMs, effect) => {
+                effect.nextJoltIn = (effect.nextJoltIn ?? 0) - stepMs;
+                if (effect.nextJoltIn <= 0) {
+                    effect.jolt = (random() * 2 - 1) * SCRAMBLE_MAX_SPIN;
+                    effect.nextJoltIn += SCRAMBLE_JOLT_MS;
+                }
+                const body = scene.player.body;
+                scene.matter.body.setAngularVelocity(body, body.angularVelocity + effect.jolt);
+            }
+        }
+    };
+}
+
+/**
+ * Manages the hazards placed in the world.
+ */
+export default class HazardManager {
+    /**
+     * @param {Phaser.Scene} scene - The scene this manager is attached to
+     * @param {TerrainManager} terrainManager - Terrain to place hazards on
+     * @param {HazardLibrary} [library] - Hazard definitions; defaults to an empty library
+     */
+    constructor(scene, terrainManager, library = new HazardLibrary()) {
+        this.scene = scene;
+        this.terrainManager = terrainManager;
+        this.library = library;
+
+        this.items = []; // Placed hazards: { definition, x, body, sprite, hit }
+        this.placedUpToX = -Infinity; // Segments starting before this x have had their roll
+
+        // Seeded random function - initialized in init()
+        this.seededRandom = null;
+    }
+
+    /**
+     * Initializes the hazard system
+     */
+    init() {
+        this.seededRandom = this.scene.hazardRandom || Math.random;
+        this.placedUpToX = this.terrainManager.terrainStartX;
+        this.library.hazards.forEach(definition => this.createTexture(definition));
+    }
+
+    /**
+     * Places hazards on newly generated terrain and removes those far behind. Call once
+     * per physics step, after the terrain has been updated.
+     * @param {number} playerX - Current player X position
+     */
+    update(playerX) {
+        if (!this.seededRandom) return;
+
+        // New segments are only ever appended, and old ones are spliced off the front, so
+        // count back from the end to the first segment not yet rolled
+        const segments = this.terrainManager.getTerrainSegments();
+        let first = segments.length;
+        while (first > 0 && segments[first - 1].x >= this.placedUpToX) {
+            first--;
+        }
+        for (let i = first; i < segments.length; i++) {
+            this.placedUpToX = segments[i].endX;
+            this.rollForSegment(segments[i]);
+        }
+
+        this.items = this.items.filter(item => {
+            if (item.x >= playerX - 2000) return true;
+            this.removeItem(item);
+            return false;
+        });
+    }
+
+    /**
+     * Decides whether a new segment gets a hazard, and which
+     * @param {Object} segment - Terrain segment
+     * @private
+     */
+    rollForSegment(segment) {
+        // Hand-made chunks are designed as a whole, so hazards leave them alone
+        if (segment.chunk || this.library.size === 0) return;
+
+        const { hazardDensity } = this.terrainManager.getDifficultyAt(segment.x);
+        const lengthMeters = (segment.endX - segment.x) / TerrainConfig.pixelsPerMeter;
+        if (!(this.seededRandom() < hazardDensity * lengthMeters / 100)) return;
+
+        const meters = Math.max(0, segment.x - this.terrainManager.terrainStartX) / TerrainConfig.pixelsPerMeter;
+        const definition = this.library.pick(this.seededRandom, meters);
+        if (definition) {
+            this.place(definition, segment);
+        }
+    }
+
+    /**
+     * Places a hazard on a segment: standing on its surface partway along, or sunk into
+     * the joint with the segment before it
+     * @param {Object} definition - Hazard definition
+     * @param {Object} segment - Terrain segment
+     * @returns {Object} The placed hazard
+     */
+    place(definition, segment) {
+        const { width, height } = definition.size;
+        const between = definition.placement === 'between';
+        const x = between ? segment.x : segment.x + (0.25 + 0.5 * this.seededRandom()) * (segment.endX - segment.x);
+        const surfaceY = this.terrainManager.getSegmentHeightAt(segment, x);
+        const angle = this.terrainManager.getSegmentSlopeAt(segment, x);
+
+        // Standing hazards rest on the surface; "between" hazards are centred on it
+        const lift = between ? 0 : height / 2;
+        const centerX = x + Math.sin(angle) * lift;
+        const centerY = surfaceY - Math.cos(angle) * lift;
+
+        const body = this.scene.matter.add.rectangle(centerX, centerY, width, height, {
+            isStatic: true,
+            isSensor: true,
+            label: HAZARD_LABEL,
+            angle
+        });
+        body.hazardId = definition.id;
+
+        this.createTexture(definition);
+        const sprite = this.scene.add.image(centerX, centerY, definition.sprite);
+        sprite.setRotation(angle);
+        sprite.setDepth(9); // Under pickups, over terrain
+
+        const item = { definition, x, body, sprite, hit: false };
+        this.items.push(item);
+        return item;
+    }
+
+    /**
+     * Registers a contact with a hazard's body. Each hazard only hits once.
+     * @param {MatterJS.Body} collider - The hazard's body the player touched
+     * @returns {Object|null} The hazard's definition, or null if the body is unknown or already hit
+     */
+    hit(collider) {
+        const item = this.items.find(candidate => candidate.body === collider);
+        if (!item || item.hit) return null;
+
+        item.hit = true;
+        if (item.sprite) {
+            item.sprite.setAlpha(0.35);
+        }
+        return item.definition;
+    }
+
+    /**
+     * Applies a hazard's onHit to the scene
+     * @param {Object} definition - Hazard definition returned by hit()
+     * @param {number} now - Simulation time in ms
+     */
+    applyHit(definition, now) {
+        const scene = this.scene;
+        const { onHit } = definition;
+
+        if (onHit.type === 'crash') {
+            scene.handleCrash(definition.id);
+        } else if (onHit.type === 'speedCut') {
+            const { velocity } = scene.player.body;
+            scene.matter.body.setVelocity(scene.player.body, {
+                x: velocity.x * onHit.factor,
+                y: velocity.y * onHit.factor
+            });
+            scene.hud.showToast(`${definition.name}! Speed cut`, 1500, '#ff8800');
+        } else if (onHit.type === 'scramble') {
+            scene.effects.apply(createScrambleEffect(onHit.durationMs, this.seededRandom), now);
+            scene.hud.showToast(`${definition.name}! Physics scrambled`, 1500, '#00ff66');
+        }
+    }
+
+    /**
+     * Creates a hazard's silhouette texture if its sprite isn't loaded
+     * @param {Object} definition - Hazard definition
+     * @private
+     */
+    createTexture(definition) {
+        try {
+            if (this.scene.textures.exists(definition.sprite)) return;
+
+            const { width, height } = definition.size;
+            const graphics = this.scene.make.graphics({ x: 0, y: 0, add: false });
+            (SILHOUETTES[definition.sprite] || drawDefaultSilhouette)(graphics, width, height);
+            graphics.generateTexture(definition.sprite, width, height);
+            graphics.destroy();
+        } catch (error) {
+            console.error(`Error creating ${definition.sprite} texture:`, error);
+        }
+    }
+
+    /**
+     * Gets all placed hazards
+     * @returns {Array<Object>} Placed hazards
+     */
+    getHazards() {
+        return this.items;
+    }
+
+    /**
+     * Removes a hazard's body and sprite
+     * @param {Object} item - Placed hazard
+     * @private
+     */
+    removeItem(item) {
+        if (item.body && item.body.id) {
+            this.scene.matter.world.remove(item.body);
+        }
+        if (item.sprite) {
+            item.sprite.destroy();
+        }
+    }
+
+    /**
+     * Cleans up all resources used by the hazard manager
+     */
+    destroy() {
+        this.items.forEach(item => this.removeItem(item));
+        this.items = [];
+    }
+}
@@ -27,8 +27,13 @@ export default class HudDisplay {
         // UI elements
         this.speedText = null;
         this.altitudeDropText = null;
+        this.distanceText = null;
         this.pointsText = null;
         this.livesDisplay = null;
+        this.comboText = null;
+        this.effectTimers = null;
+        this.colorOdds = null;
+        this.avalancheWarning = null;
         this.toastContainer = null;
         
         // Colors
@@ -36,6 +41,7 @@ export default class HudDisplay {
         this.neonBlue = 0x00ffff;
         this.neonPink = 0xff00ff;
         this.neonRed = 0xff0000;
+        this.neonGreen = 0x00ff88;
         
         // Track initial Y position at start of run for altitude drop
         this.initialY = 0;
@@ -43,7 +49,7 @@ export default class HudDisplay {
     
     /**
      * Initializes all HUD elements
-     * Creates speed, altitude, score, and lives displays
+     * Creates speed, altitude, distance, score, and lives displays
      */
     init() {
         // Create HUD text elements
@@ -69,6 +75,17 @@ export default class HudDisplay {
             }
         ).setScrollFactor(0).setDepth(100);
         
+        this.distanceText = this.scene.add.text(
+            10, 70, 
+            'Distance: 0m', 
+            {
+                font: '18px Arial',
+                fill: '#00ffff',  // Neon blue
+                stroke: '#000000',
+                strokeThickness: 4
+            }
+        ).setScrollFactor(0).setDepth(100);
+        
         this.pointsText = this.scene.add.text(
             this.scene.cameras.main.width / 2, 10, 
             'Points: 0', 
@@ -86,6 +103,49 @@ export default class HudDisplay {
             20
         ).setScrollFactor(0).setDepth(100);
         
+        // Running trick combo (top right, under the lives; DESIGN-DOC §7 "UI")
+        this.comboText = this.scene.add.text(
+            this.scene.cameras.main.width - 10, 40,
+            '',
+            {
+                font: '18px Arial',
+                fill: '#ff00ff',  // Neon pink
+                stroke: '#000000',
+                strokeThickness: 4,
+                align: 'right'
+            }
+        ).setOrigin(1, 0).setScrollFactor(0).setDepth(100);
+        
+        // Countdown of each active power-up (left, under the distance)
+        this.effectTimers = this.scene.add.container(10, 100).setScrollFactor(0).setDepth(100);
+        
+        // Odds of each terrain colour for upcoming segments (top right, under the combo)
+        this.colorOdds = this.scene.add.container(
+            this.scene.cameras.main.width - 10, 70
+        ).setScrollFactor(0).setDepth(100);
+        [['green', this.neonGreen], ['magenta', this.neonPink], ['blue', this.neonBlue]].forEach(([name, color], i) => {
+            const text = this.scene.add.text(-i * 60, 0, '', {
+                font: '16px Arial',
+                fill: `#${color.toString(16).padStart(6, '0')}`,
+                stroke: '#000000',
+                strokeThickness: 4
+            }).setOrigin(1, 0);
+            text.colorName = name;
+            this.colorOdds.add(text);
+        });
+        
+        // Data avalanche proximity warning (top center, under the points; hidden until close)
+        this.avalancheWarning = this.scene.add.text(
+            this.scene.cameras.main.width / 2, 44,
+            '',
+            {
+                font: '20px Arial',
+                fill: '#ff3333',
+                stroke: '#000000',
+                strokeThickness: 4
+            }
+        ).setOrigin(0.5, 0).setScrollFactor(0).setDepth(100).setVisible(false);
+        
         // Initialize toast message container (bottom center)
         this.initToastSystem();
         
@@ -120,8 +180,9 @@ export default class HudDisplay {
      * @param {number} speed - Current player speed
      * @param {number} lives - Current lives remaining
      * @param {number} maxLives - Maximum possible lives
+     * @param {number} [distance=0] - Distance travelled in meters
      */
-    update(player, score, speed, lives, maxLives) {
+    update(player, score, speed, lives, maxLives, distance = 0) {
         if (!player) return;
         
         // Update speed display
@@ -130,6 +191,9 @@ export default class HudDisplay {
         // Update altitude drop display
         this.updateAltitudeDrop(player.y);
         
+        // Update distance display
+        this.updateDistance(distance);
+        
         // Update score display
         this.updateScore(score);
         
@@ -158,6 +222,16 @@ export default class HudDisplay {
         }
     }
     
+    /**
+     * Updates the distance display
+     * @param {number} meters - Distance travelled in meters
+     */
+    updateDistance(meters) {
+        if (this.distanceText) {
+            this.distanceText.setText(`Distance: ${Math.floor(meters)}m`);
+        }
+    }
+    
     /**
      * Updates the score display
      * @param {number} score - Current game score
@@ -198,18 +272,113 @@ export default class HudDisplay {
         }
     }
     
+    /**
+     * Shows the trick combo being built in the air
+     * @param {{names: Array<string>, multiplier: number}|null} combo - Current combo, or null to hide it
+     */
+    updateCombo(combo) {
+        if (!this.comboText) return;
+        if (this.comboResultTimer) {
+            this.comboResultTimer.remove();
+            this.comboResultTimer = null;
+        }
+        this.comboText.setColor('#ff00ff');
+        this.comboText.setText(combo ? `${combo.names.join(' + ')}\nCOMBO x${combo.multiplier.toFixed(2)}` : '');
+    }
+    
+    /**
+     * Shows how a combo ended in place of the running combo, then clears it
+     * @param {string} message - e.g. the points banked or 'COMBO LOST'
+     * @param {boolean} landed - True for a banked combo, false for a lost one
+     * @param {number} [duration=1500] - How long to show it in milliseconds
+     */
+    showComboResult(message, landed, duration = 1500) {
+        if (!this.comboText) return;
+        this.updateCombo(null);
+        this.comboText.setColor(landed ? '#ffff00' : '#ff0000');
+        this.comboText.setText(message);
+        this.comboResultTimer = this.scene.time.delayedCall(duration, () => {
+            this.comboResultTimer = null;
+            this.comboText.setText('');
+        });
+    }
+    
+    /**
+     * Shows a countdown row per active power-up, in the power-up's colour
+     * @param {Array<{id: string, name: string, color: number, remainingMs: number}>} timers - Active
+     *     effects from EffectManager.getTimers()
+     */
+    updateEffectTimers(timers) {
+        if (!this.effectTimers) return;
+        
+        // Rebuild the rows only when the set of effects changed
+        const rows = this.effectTimers.getAll();
+        if (rows.length !== timers.length || rows.some((row, i) => row.effectId !== timers[i].id)) {
+            this.effectTimers.removeAll(true);
+            timers.forEach((timer, i) => {
+                const row = this.scene.add.text(0, i * 24, '', {
+                    font: '18px Arial',
+                    fill: `#${timer.color.toString(16).padStart(6, '0')}`,
+                    stroke: '#000000',
+                    strokeThickness: 4
+                });
+                row.effectId = timer.id;
+                this.effectTimers.add(row);
+            });
+        }
+        
+        // Effects that last until used up have no countdown
+        this.effectTimers.getAll().forEach((row, i) => {
+            const { name, remainingMs } = timers[i];
+            row.setText(Number.isFinite(remainingMs) ? `${name} ${(remainingMs / 1000).toFixed(1)}s` : name);
+        });
+    }
+    
+    /**
+     * Shows the chance of each terrain colour for upcoming segments
+     * @param {{blue: number, magenta: number, green: number}} odds - Chances from
+     *     TerrainManager.getColorOdds()
+     */
+    updateColorOdds(odds) {
+        if (!this.colorOdds) return;
+        
+        this.colorOdds.getAll().forEach(text => {
+            text.setText(`${Math.round(odds[text.colorName] * 100)}%`);
+        });
+    }
+    
+    /**
+     * Shows or hides the data avalanche warning. It blinks faster the closer the
+     * avalanche gets.
+     * @param {{meters: number, proximity: number}|null} warning - From DataAvalanche.getWarning();
+     *     null hides it
+     */
+    updateAvalancheWarning(warning) {
+        if (!this.avalancheWarning) return;
+        
+        if (!warning) {
+            this.avalancheWarning.setVisible(false);
+            return;
+        }
+        const blinkMs = 600 - 450 * warning.proximity;
+        this.avalancheWarning
+            .setText(`⚠ DATA AVALANCHE ${Math.floor(warning.meters)}m`)
+            .setVisible(Math.floor(this.scene.time.now / blinkMs) % 2 === 0);
+    }
+    
     /**
      * Shows a toast notification message
      * @param {string} message - Message to display
      * @param {number} [duration=2000] - Duration to show the message in milliseconds
+     * @param {string} [color='#ffff00'] - Text colour
      */
-    showToast(message, duration = 2000) {
+    showToast(message, duration = 2000, color = '#ffff00') {
         if (!this.toastContainer) return;
         
         // Create toast text
         const toast = this.scene.add.text(0, 0, message, {
             font: '24px Arial',
-            fill: '#ffff00', // Neon yellow for visibility
+            fill: color, // Neon yellow by default for visibility
             stroke: '#000000',
             strokeThickness: 4,
             backgroundColor: 'rgba(0,0,0,0.5)',
@@ -277,10 +446,22 @@ export default class HudDisplay {
             this.pointsText.x = width / 2;
         }
         
+        if (this.avalancheWarning) {
+            this.avalancheWarning.x = width / 2;
+        }
+        
         if (this.livesDisplay) {
             this.livesDisplay.x = width - 20;
         }
         
+        if (this.comboText) {
+            this.comboText.x = width - 10;
+        }
+        
+        if (this.colorOdds) {
+            this.colorOdds.x = width - 10;
+        }
+        
         // Reposition toast container
         this.positionToastContainer();
     }
@@ -402,8 +583,14 @@ export default class HudDisplay {
         // Clean up HUD elements
         if (this.speedText) this.speedText.destroy();
         if (this.altitudeDropText) this.altitudeDropText.destroy();
+        if (this.distanceText) this.distanceText.destroy();
         if (this.pointsText) this.pointsText.destroy();
         if (this.livesDisplay) this.livesDisplay.destroy();
+        if (this.comboResultTimer) this.comboResultTimer.remove();
+        if (this.comboText) this.comboText.destroy();
+        if (this.effectTimers) this.effectTimers.destroy();
+        if (this.colorOdds) this.colorOdds.destroy();
+        if (this.avalancheWarning) this.avalancheWarning.destroy();
         if (this.toastContainer) this.toastContainer.destroy();
         
         this.scene = null;
@@ -0,0 +1,343 @@
+// js/lib/InputBindings.js
+// Maps physical keys, buttons and stick directions to game actions
+// ------------------------------------------------------
+
+/**
+ * @fileoverview Control bindings for Manette. A profile maps every action name
+ * (`jump`, `rotateClockwise`, `brakeAction`, ...) to the keyboard keys and gamepad
+ * inputs that trigger it:
+ *
+ * - Keys are Phaser key names (`Phaser.Input.Keyboard.KeyCodes`), e.g. 'W', 'SPACE', 'UP'.
+ * - Gamepad inputs are 'button:<index>' or 'stick:<up|down|left|right>' (left stick).
+ *
+ * keyNameForCode() needs the global Phaser; everything else is plain data.
+ *
+ * There are PROFILE_COUNT profiles, one of them active. All of them are saved in
+ * localStorage under `bindings`; a missing or unreadable save gives default profiles.
+ * The storage object is injectable, like SettingsStore's.
+ *
+ * @module InputBindings
+ */
+
+/**
+ * localStorage key holding every profile
+ * @type {string}
+ */
+export const BINDINGS_STORAGE_KEY = 'bindings';
+
+/**
+ * Number of profiles the player can switch between
+ * @type {number}
+ */
+export const PROFILE_COUNT = 3;
+
+/**
+ * Most keys one action can have
+ * @type {number}
+ */
+export const KEYS_PER_ACTION = 2;
+
+/**
+ * Which actions can be active at the same time. Sled actions only apply in sled mode
+ * and walk actions only in walk mode, so a sled and a walk action may share an input
+ * (A brakes while sledding and walks left on foot). Common actions apply in both.
+ * @type {Object<string, string>}
+ */
+export const ACTION_MODES = {
+    rotateCounterClockwise: 'sled',
+    rotateClockwise: 'sled',
+    brakeAction: 'sled',
+    trickAction: 'sled',
+    walkLeft: 'walk',
+    walkRight: 'walk',
+    jump: 'common',
+    toggleWalkMode: 'common'
+};
+
+/**
+ * Bindings matching the controls the game always had: WASD or arrows, Space, Tab,
+ * left stick, A/R2 to jump and LB to toggle walk mode.
+ * @type {Object}
+ */
+export const DEFAULT_PROFILE = Object.freeze({
+    keyboard: {
+        rotateCounterClockwise: ['W', 'UP'],
+        rotateClockwise: ['S', 'DOWN'],
+        brakeAction: ['A', 'LEFT'],
+        trickAction: ['D', 'RIGHT'],
+        walkLeft: ['A', 'LEFT'],
+        walkRight: ['D', 'RIGHT'],
+        jump: ['SPACE'],
+        toggleWalkMode: ['TAB']
+    },
+    gamepad: {
+        rotateCounterClockwise: ['stick:up'],
+        rotateClockwise: ['stick:down'],
+        brakeAction: ['stick:left'],
+        trickAction: ['stick:right'],
+        walkLeft: ['stick:left'],
+        walkRight: ['stick:right'],
+        jump: ['button:0', 'button:7'],
+        toggleWalkMode: ['button:4']
+    },
+    stickDeadzone: 0.2
+});
+
+/**
+ * Deep copy of the default profile
+ * @returns {Object} A fresh default profile
+ */
+export function createDefaultProfile() {
+    return JSON.parse(JSON.stringify(DEFAULT_PROFILE));
+}
+
+/**
+ * Phaser key name for a DOM keyCode, e.g. 87 -> 'W'. Uses the global Phaser's KeyCodes table.
+ * @param {number} keyCode - KeyboardEvent.keyCode
+ * @returns {string|null} Key name, or null if Phaser has no name for it
+ */
+export function keyNameForCode(keyCode) {
+    const keyCodes = globalThis.Phaser?.Input?.Keyboard?.KeyCodes || {};
+    return Object.keys(keyCodes).find(name => keyCodes[name] === keyCode) || null;
+}
+
+/**
+ * Whether two actions can be active at the same time
+ * @param {string} a - Action name
+ * @param {string} b - Action name
+ * @returns {boolean} True if they share a mode
+ */
+function activeTogether(a, b) {
+    const modeA = ACTION_MODES[a];
+    const modeB = ACTION_MODES[b];
+    return modeA === modeB || modeA === 'common' || modeB === 'common';
+}
+
+/**
+ * Finds inputs bound to two actions that can be active at the same time
+ * @param {Object} profile - Bindings profile
+ * @returns {Array<{device: string, input: string, actions: Array<string>}>} One entry per
+ *     clashing pair of actions
+ */
+export function findConflicts(profile) {
+    const conflicts = [];
+    ['keyboard', 'gamepad'].forEach(device => {
+        const owners = {};
+        Object.keys(ACTION_MODES).forEach(action => {
+            (profile[device][action] || []).forEach(input => {
+                (owners[input] || []).forEach(other => {
+                    if (activeTogether(action, other)) {
+                        conflicts.push({ device, input, actions: [other, action] });
+                    }
+                });
+                owners[input] = [...(owners[input] || []), action];
+            });
+        });
+    });
+    return conflicts;
+}
+
+/**
+ * Checks a saved profile, keeping only well-formed entries and filling gaps from the defaults
+ * @param {Object} saved - Profile read from storage
+ * @returns {Object} Usable profile
+ */
+function sanitizeProfile(saved) {
+    const profile = createDefaultProfile();
+    if (!saved || typeof saved !== 'object') return profile;
+
+    ['keyboard', 'gamepad'].forEach(device => {
+        Object.keys(ACTION_MODES).forEach(action => {
+            const inputs = saved[device] && saved[device][action];
+            if (Array.isArray(inputs) && inputs.every(input => typeof input === 'string')) {
+                profile[device][action] = inputs.slice(0, device === 'keyboard' ? KEYS_PER_ACTION : undefined);
+            }
+        });
+    });
+    if (Number.isFinite(saved.stickDeadzone) && saved.stickDeadzone >= 0 && saved.stickDeadzone < 1) {
+        profile.stickDeadzone = saved.stickDeadzone;
+    }
+    return profile;
+}
+
+/**
+ * The player's binding profiles, persisted in localStorage.
+ */
+export default class InputBindings {
+    /**
+     * @param {Object} [options] - Options
+     * @param {Storage|null} [options.storage=globalThis.localStorage] - Where profiles are kept
+     * @param {string} [options.key=BINDINGS_STORAGE_KEY] - Storage key
+     */
+    constructor({ storage = InputBindings.defaultStorage(), key = BINDINGS_STORAGE_KEY } = {}) {
+        this.storage = storage;
+        this.key = key;
+        this.load();
+    }
+
+    /**
+     * localStorage if this environment has one; reading it can throw when storage is blocked
+     * @returns {Storage|null} localStorage, or null
+     */
+    static defaultStorage() {
+        try {
+            return globalThis.localStorage || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Re-reads every profile from storage
+     */
+    load() {
+        this.activeIndex = 0;
+        this.profiles = Array.from({ length: PROFILE_COUNT }, () => createDefaultProfile());
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key) || 'null');
+            if (!saved) return;
+            if (Array.isArray(saved.profiles)) {
+                this.profiles = this.profiles.map((profile, i) => sanitizeProfile(saved.profiles[i]));
+            }
+            if (Number.isInteger(saved.active) && saved.active >= 0 && saved.active < PROFILE_COUNT) {
+                this.activeIndex = saved.active;
+            }
+        } catch (error) {
+            console.warn('InputBindings: saved bindings unreadable, using defaults -', error.message);
+        }
+    }
+
+    /**
+     * Writes every profile to storage. A failed write is logged, and the bindings
+     * still apply for this session.
+     */
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ active: this.activeIndex, profiles: this.profiles }));
+        } catch (error) {
+            console.warn('InputBindings: bindings not saved -', error.message);
+        }
+    }
+
+    /**
+     * The active profile. Treat it as read-only; change it through the methods below.
+     * @returns {Object} Active profile
+     */
+    get profile() {
+        return this.profiles[this.activeIndex];
+    }
+
+    /**
+     * Switches to another profile and saves
+     * @param {number} index - Profile index, 0 to PROFILE_COUNT - 1
+     * @throws {Error} If there is no such profile
+     */
+    setActiveProfile(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= PROFILE_COUNT) {
+            throw new Error(`No bindings profile ${index}`);
+        }
+        this.activeIndex = index;
+        this.save();
+    }
+
+    /**
+     * Keys bound to an action in the active profile
+     * @param {string} action - Action name
+     * @returns {Array<string>} Phaser key names
+     */
+    getKeys(action) {
+        return this.profile.keyboard[action] || [];
+    }
+
+    /**
+     * Gamepad inputs bound to an action in the active profile
+     * @param {string} action - Action name
+     * @returns {Array<string>} Inputs such as 'button:0' or 'stick:left'
+     */
+    getGamepadInputs(action) {
+        return this.profile.gamepad[action] || [];
+    }
+
+    /**
+     * Actions a key triggers in the active profile
+     * @param {string} keyName - Phaser key name
+     * @returns {Array<string>} Action names
+     */
+    getActionsForKey(keyName) {
+        return Object.keys(ACTION_MODES).filter(action => this.getKeys(action).includes(keyName));
+    }
+
+    /**
+     * Binds a key to one of an action's key slots and saves. Other actions keep the
+     * key; use findConflicts() to warn about clashes.
+     * @param {string} action - Action name
+     * @param {number} slot - Key slot, 0 to KEYS_PER_ACTION - 1
+     * @param {string|null} keyName - Phaser key name, or null to clear the slot
+     * @returns {Array<Object>} Conflicts in the active profile after the change
+     * @throws {Error} If the action or slot does not exist
+     */
+    bindKey(action, slot, keyName) {
+        this.checkAction(action);
+        if (!Number.isInteger(slot) || slot < 0 || slot >= KEYS_PER_ACTION) {
+            throw new Error(`No key slot ${slot}`);
+        }
+
+        const keys = [...this.getKeys(action)];
+        if (keyName) {
+            keys[Math.min(slot, keys.length)] = keyName;
+        } else {
+            keys.splice(slot, 1);
+        }
+        // A key listed twice for one action is not a second binding
+        this.profile.keyboard[action] = keys.filter((key, i) => keys.indexOf(key) === i);
+        this.save();
+        return this.getConflicts();
+    }
+
+    /**
+     * Replaces an action's gamepad inputs with a single input and saves
+     * @param {string} action - Action name
+     * @param {string|null} input - 'button:<index>' or 'stick:<direction>', or null to unbind
+     * @returns {Array<Object>} Conflicts in the active profile after the change
+     * @throws {Error} If the action does not exist or the input is malformed
+     */
+    bindGamepad(action, input) {
+        this.checkAction(action);
+        if (input && !/^(button:\d+|stick:(up|down|left|right))$/.test(input)) {
+            throw new Error(`Unknown gamepad input "${input}"`);
+        }
+        this.profile.gamepad[action] = input ? [input] : [];
+        this.save();
+        return this.getConflicts();
+    }
+
+    /**
+     * Puts the active profile back to the default bindings and saves
+     */
+    resetProfile() {
+        this.profiles[this.activeIndex] = createDefaultProfile();
+        this.save();
+    }
+
+    /**
+     * Clashing inputs in the active profile
+     * @returns {Array<{device: string, input: string, actions: Array<string>}>} Conflicts
+     */
+    getConflicts() {
+        return findConflicts(this.profile);
+    }
+
+    /**
+     * @param {string} action - Action name to check
+     * @throws {Error} If the action does not exist
+     * @private
+     */
+    checkAction(action) {
+        if (!ACTION_MODES[action]) {
+            throw new Error(`Unknown action "${action}"`);
+        }
+    }
+}
@@ -3,9 +3,11 @@
 // ------------------------------------------------------
 
 /**
- * @fileoverview InputController module manages all player input from keyboard and gamepad.
+ * @fileoverview InputController module manages all player input from keyboard, gamepad and touch.
  * It provides a unified interface for checking input state regardless of input method (keyboard,
  * gamepad, etc.). This module simplifies the main game logic by abstracting away input handling.
+ * Each frame's state can be handed to an InputRecorder, and an InputPlayback driver can stand in
+ * for live input so a recorded run replays through the same code path.
  * 
  * @module InputController
  * @requires Manette
@@ -28,7 +30,6 @@ export default class InputController {
      */
     constructor(scene) {
         this.scene = scene;
-        this.cursors = null;
         this.manette = null;
         
         // Input state tracking - these get updated each frame
@@ -43,6 +44,11 @@ export default class InputController {
         this.parachute = false;
         this.toggleWalkMode = false;
         
+        // Optional run recording / replay hooks (see InputRecorder and InputPlayback)
+        this.recorder = null;
+        this.playback = null;
+        this.playbackWalkMode = false; // Last walkMode value seen in the replay
+        
         // State tracking for "just pressed" detection
         this.prevState = {
             jump: false,
@@ -58,22 +64,17 @@ export default class InputController {
      * @private
      */
     init() {
-        // Initialize cursor keys
-        this.cursors = this.scene.input.keyboard.createCursorKeys();
-        
         // Initialize Manette controller for unified input handling
-        // The Manette class already sets up key bindings internally
+        // Keys and gamepad inputs come from the saved InputBindings profile; the defaults are:
+        // - rotateCounterClockwise (W or Up)
+        // - rotateClockwise (S or Down)
+        // - trickAction (D or Right)
+        // - brakeAction (A or Left)
+        // - walkLeft (A or Left in walk mode)
+        // - walkRight (D or Right in walk mode)
+        // - toggleWalkMode (Tab)
+        // - jump (Space)
         this.manette = new Manette(this.scene);
-        
-        // Note: Manette.js already has built-in mappings for all these actions:
-        // - rotateCounterClockwise (W key)
-        // - rotateClockwise (S key)
-        // - trickAction (D key)
-        // - brakeAction (A key)
-        // - walkLeft (A key in walk mode)
-        // - walkRight (D key in walk mode)
-        // - toggleWalkMode (Tab key)
-        // - jump (Space key)
     }
     
     /**
@@ -81,6 +82,11 @@ export default class InputController {
      * @returns {Object} Current input state for all actions
      */
     update() {
+        // During a replay the recorded actions replace live input entirely
+        if (this.playback) {
+            return this.applyPlaybackState(this.playback.next());
+        }
+        
         // First, update Manette controller
         this.manette.update();
         
@@ -92,8 +98,8 @@ export default class InputController {
         // In walk mode, W/S don't do anything, A/D move left/right
         if (this.manette.isWalkMode()) {
             // Walking mode controls
-            this.left = this.manette.isActionActive('walkLeft') || this.cursors.left.isDown;
-            this.right = this.manette.isActionActive('walkRight') || this.cursors.right.isDown;
+            this.left = this.manette.isActionActive('walkLeft');
+            this.right = this.manette.isActionActive('walkRight');
             
             // W/S do nothing in walking mode
             this.rotateCounterClockwise = false;
@@ -102,26 +108,26 @@ export default class InputController {
             // Sledding mode controls - mimic GameScene exactly
             
             // A key for brake/drag
-            this.brakeAction = this.manette.isActionActive('brakeAction') || this.cursors.left.isDown;
+            this.brakeAction = this.manette.isActionActive('brakeAction');
             
             // D key for tuck/trick
-            this.trickAction = this.manette.isActionActive('trickAction') || this.cursors.right.isDown;
+            this.trickAction = this.manette.isActionActive('trickAction');
             
             // W key for counter-clockwise rotation
-            this.rotateCounterClockwise = this.manette.isActionActive('rotateCounterClockwise') || this.cursors.up.isDown;
+            this.rotateCounterClockwise = this.manette.isActionActive('rotateCounterClockwise');
             
             // S key for clockwise rotation
-            this.rotateClockwise = this.manette.isActionActive('rotateClockwise') || this.cursors.down.isDown;
+            this.rotateClockwise = this.manette.isActionActive('rotateClockwise');
         }
         
         // Space for jump in both modes
-        this.jump = this.manette.isActionActive('jump') || this.cursors.space.isDown;
+        this.jump = this.manette.isActionActive('jump');
         
         // Toggle walk mode
         this.toggleWalkMode = this.manette.actions.toggleWalkMode;
         
-        // Return current input state object - useful for debugging and testing
-        return {
+        // Build current input state object - useful for debugging and testing
+        const state = {
             left: this.left,
             right: this.right,
             up: this.up,
@@ -139,6 +145,78 @@ export default class InputController {
             justPressedJump: this.isJumpJustPressed(),
             walkMode: this.manette.isWalkMode()
         };
+        
+        // Record the frame if this run is being captured for replay
+        if (this.recorder) {
+            this.recorder.record(state);
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Attaches a recorder that receives the input state of every frame
+     * @param {InputRecorder|null} recorder - Recorder to feed, or null to stop recording
+     */
+    setRecorder(recorder) {
+        this.recorder = recorder;
+    }
+    
+    /**
+     * Attaches a playback driver whose recorded actions replace live input
+     * @param {InputPlayback|null} playback - Playback driver, or null to return to live input
+     */
+    setPlayback(playback) {
+        this.playback = playback;
+        this.playbackWalkMode = this.isWalkMode();
+    }
+    
+    /**
+     * Checks if input is currently coming from a replay
+     * @returns {boolean} True if a playback driver is attached
+     */
+    isPlayingBack() {
+        return this.playback !== null;
+    }
+    
+    /**
+     * Mirrors a replayed input state onto this controller
+     * Keeps walk mode and the individual getters in sync with the replay,
+     * so scene code that queries the controller sees the recorded values
+     * @param {Object} state - Input state produced by InputPlayback.next()
+     * @returns {Object} The same state object
+     * @private
+     */
+    applyPlaybackState(state) {
+        this.prevState.jump = this.jump;
+        this.prevState.walkMode = this.isWalkMode();
+        
+        // Walk mode lives on Manette, so route recorded toggles through setWalkMode.
+        // Only react when the recorded value changes: the game forces walk mode itself
+        // after a crash, and a script that never mentions walkMode must not undo that
+        if (state.walkMode !== this.playbackWalkMode) {
+            this.playbackWalkMode = state.walkMode;
+            if (state.walkMode !== this.isWalkMode()) {
+                this.setWalkMode(state.walkMode);
+            }
+        }
+        
+        this.left = state.left;
+        this.right = state.right;
+        this.up = state.up;
+        this.down = state.down;
+        this.jump = state.jump;
+        this.tuck = state.tuck;
+        this.drag = state.drag;
+        this.airBrake = state.airBrake;
+        this.parachute = state.parachute;
+        this.toggleWalkMode = state.toggleWalkMode;
+        this.rotateCounterClockwise = state.rotateCounterClockwise;
+        this.rotateClockwise = state.rotateClockwise;
+        this.brakeAction = state.brakeAction;
+        this.trickAction = state.trickAction;
+        
+        return state;
     }
     
     /**
@@ -272,21 +350,55 @@ export default class InputController {
         return this.toggleWalkMode;
     }
     
+    /**
+     * Feeds the on-screen touch buttons into Manette's actions
+     * @param {TouchControls|null} touchControls - Overlay to read, or null to stop
+     */
+    setTouchControls(touchControls) {
+        if (this.manette) {
+            this.manette.setTouchControls(touchControls);
+        }
+    }
+    
+    /**
+     * Picks up bindings changed on the controls screen
+     */
+    reloadBindings() {
+        if (this.manette) {
+            this.manette.reloadBindings();
+        }
+    }
+    
+    /**
+     * Treats every key and button as released. Used after the scene was paused,
+     * since key-up events that happen meanwhile never arrive.
+     */
+    releaseAll() {
+        if (this.manette) {
+            this.manette.releaseAll();
+        }
+        if (this.scene && this.scene.input && this.scene.input.keyboard) {
+            this.scene.input.keyboard.resetKeys();
+        }
+        this.jump = false;
+        this.prevState.jump = false;
+    }
+    
     /**
      * Cleans up event listeners and resources
      * Called when the controller is no longer needed
      */
     destroy() {
-        // The Manette class doesn't have a destroy method
-        // Just nullify the reference to allow garbage collection
         if (this.manette) {
-            // Clean up any references to avoid memory leaks
+            // Drop Manette's window listener, then its references to avoid memory leaks
+            this.manette.destroy();
             this.manette.scene = null;
             this.manette.gamepad = null;
             this.manette = null;
         }
         
-        this.cursors = null;
+        this.recorder = null;
+        this.playback = null;
         this.scene = null;
     }
 }
@@ -0,0 +1,127 @@
+// js/lib/InputPlayback.js
+// Plays back recorded input in place of live keyboard/gamepad input
+// ------------------------------------------------------
+
+/**
+ * @fileoverview InputPlayback module turns a recording made by InputRecorder back
+ * into the per-frame input state objects that InputController.update() returns.
+ * The game scene consumes them exactly like live input, so a replay runs the real
+ * gameplay code with the original seed and the original actions.
+ *
+ * @module InputPlayback
+ * @requires InputRecorder
+ */
+
+import { RECORDING_FORMAT_VERSION } from './InputRecorder.js';
+
+/**
+ * Every key of the state object produced by InputController.update().
+ * Playback always returns all of them so consumers never see undefined.
+ * @type {Array<string>}
+ */
+const INPUT_STATE_KEYS = [
+    'left',
+    'right',
+    'up',
+    'down',
+    'jump',
+    'tuck',
+    'drag',
+    'airBrake',
+    'parachute',
+    'toggleWalkMode',
+    'rotateCounterClockwise',
+    'rotateClockwise',
+    'brakeAction',
+    'trickAction',
+    'justPressedJump',
+    'walkMode'
+];
+
+/**
+ * Replays a recorded run frame by frame.
+ */
+export default class InputPlayback {
+    /**
+     * Creates a new InputPlayback instance
+     * @param {Object} recording - Recording produced by InputRecorder.toJSON()
+     * @throws {Error} If the recording is missing or uses an unsupported format version
+     */
+    constructor(recording) {
+        if (!recording || !Array.isArray(recording.events)) {
+            throw new Error('InputPlayback: recording must contain an events array');
+        }
+        if (recording.version !== RECORDING_FORMAT_VERSION) {
+            throw new Error(`InputPlayback: unsupported recording version ${recording.version}`);
+        }
+
+        this.seed = recording.seed ?? null;
+        this.events = recording.events;
+        this.frameCount = typeof recording.frameCount === 'number'
+            ? recording.frameCount
+            : this.getLastEventFrame() + 1;
+
+        this.reset();
+    }
+
+    /**
+     * Rewinds playback to the first frame
+     */
+    reset() {
+        this.frame = 0;
+        this.eventIndex = 0;
+        this.activeActions = new Set();
+        this.prevJump = false;
+    }
+
+    /**
+     * Returns the input state for the next frame and advances playback
+     * @returns {Object} Input state in the same shape as InputController.update()
+     */
+    next() {
+        // Apply every event scheduled up to this frame (events hold the full action set)
+        while (this.eventIndex < this.events.length &&
+               this.events[this.eventIndex].frame <= this.frame) {
+            this.activeActions = new Set(this.events[this.eventIndex].actions);
+            this.eventIndex++;
+        }
+
+        const state = {};
+        for (const key of INPUT_STATE_KEYS) {
+            state[key] = this.activeActions.has(key);
+        }
+
+        // Once the recording runs out, release every action but stay in the
+        // same movement mode so the player isn't toggled out of walk mode
+        if (this.isFinished()) {
+            for (const key of INPUT_STATE_KEYS) {
+                if (key !== 'walkMode') state[key] = false;
+            }
+        }
+
+        // Edge detection is derived rather than recorded, matching InputController
+        state.justPressedJump = state.jump && !this.prevJump;
+        this.prevJump = state.jump;
+
+        this.frame++;
+        return state;
+    }
+
+    /**
+     * Checks whether every recorded frame has been played
+     * @returns {boolean} True once playback has passed the last recorded frame
+     */
+    isFinished() {
+        return this.frame >= this.frameCount;
+    }
+
+    /**
+     * Gets the frame number of the final recorded event
+     * @returns {number} Frame of the last event, or -1 for an empty recording
+     * @private
+     */
+    getLastEventFrame() {
+        if (this.events.length === 0) return -1;
+        return this.events[this.events.length - 1].frame;
+    }
+}
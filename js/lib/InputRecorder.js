@@ -0,0 +1,112 @@
+// js/lib/InputRecorder.js
+// Records per-frame input state so a run can be replayed
+// ------------------------------------------------------
+
+/**
+ * @fileoverview InputRecorder module captures the action state returned by
+ * InputController.update() on every frame, together with the game seed. Only
+ * frames where the set of held actions changes are stored, so a multi-minute
+ * run stays small enough to paste into a bug report. Recordings are plain JSON
+ * and are played back with InputPlayback.
+ *
+ * @module InputRecorder
+ */
+
+/**
+ * Version of the recording format. Bump whenever the JSON shape or the meaning
+ * of a frame changes so InputPlayback can reject recordings it does not understand.
+ * v2: frames are fixed simulation steps rather than render frames.
+ * @type {number}
+ */
+export const RECORDING_FORMAT_VERSION = 2;
+
+/**
+ * Input state keys that are derived from other keys and therefore not stored.
+ * justPressedJump is recomputed from the jump history during playback.
+ * @type {Array<string>}
+ */
+const DERIVED_KEYS = ['justPressedJump'];
+
+/**
+ * Records the input actions of a run so it can be reproduced later.
+ */
+export default class InputRecorder {
+    /**
+     * Creates a new InputRecorder instance
+     * @param {string|null} [seed=null] - The game seed the recorded run was generated from
+     */
+    constructor(seed = null) {
+        this.seed = seed;
+        this.isRecording = false;
+
+        // Recording data
+        this.frameCount = 0;
+        this.events = []; // [{ frame, actions }] - one entry per change of held actions
+        this.lastActionsKey = null;
+    }
+
+    /**
+     * Starts a fresh recording, discarding any previously recorded frames
+     * @param {string|null} [seed] - Seed to store with the recording (defaults to the constructor seed)
+     */
+    start(seed = this.seed) {
+        this.seed = seed;
+        this.frameCount = 0;
+        this.events = [];
+        this.lastActionsKey = null;
+        this.isRecording = true;
+    }
+
+    /**
+     * Stops recording. Recorded frames are kept until start() is called again.
+     */
+    stop() {
+        this.isRecording = false;
+    }
+
+    /**
+     * Records the input state for one frame
+     * @param {Object} inputState - State object returned by InputController.update()
+     */
+    record(inputState) {
+        if (!this.isRecording || !inputState) return;
+
+        const actions = InputRecorder.getActiveActions(inputState);
+        const actionsKey = actions.join('|');
+
+        // Only store frames where something changed - held keys span many frames
+        if (actionsKey !== this.lastActionsKey) {
+            this.events.push({ frame: this.frameCount, actions });
+            this.lastActionsKey = actionsKey;
+        }
+
+        this.frameCount++;
+    }
+
+    /**
+     * Lists the actions that are active in an input state object
+     * @param {Object} inputState - State object returned by InputController.update()
+     * @returns {Array<string>} Sorted names of all active (true) actions
+     */
+    static getActiveActions(inputState) {
+        return Object.keys(inputState)
+            .filter(key => !DERIVED_KEYS.includes(key) && inputState[key] === true)
+            .sort();
+    }
+
+    /**
+     * Serializes the recording to a plain JSON-compatible object
+     * @returns {{version: number, seed: (string|null), frameCount: number, events: Array<{frame: number, actions: Array<string>}>}}
+     */
+    toJSON() {
+        return {
+            version: RECORDING_FORMAT_VERSION,
+            seed: this.seed,
+            frameCount: this.frameCount,
+            events: this.events.map(event => ({
+                frame: event.frame,
+                actions: [...event.actions]
+            }))
+        };
+    }
+}
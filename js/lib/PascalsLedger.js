@@ -0,0 +1,285 @@
+// js/lib/PascalsLedger.js
+// Local leaderboard of finished runs, persisted in IndexedDB
+// ------------------------------------------------------
+
+/**
+ * @fileoverview Pascal's Ledger keeps every finished run on this device (DESIGN-DOC §6.2):
+ * score, distance, seed, date, flips and what ended the run, plus initials once the
+ * player enters them on the Top-10. Storage is IndexedDB, which the browser keeps
+ * across sessions. The IndexedDB factory is injectable, so tests run against
+ * fake-indexeddb under jsdom.
+ *
+ * Every method returns a promise. When IndexedDB is missing (some private browsing
+ * modes) they reject, and callers should carry on without the ledger.
+ *
+ * @module PascalsLedger
+ */
+
+/**
+ * Name of the IndexedDB database
+ * @type {string}
+ */
+export const LEDGER_DB_NAME = 'bitstream-bluffs';
+
+/**
+ * Schema version; bump it and extend upgrade() when the stores change
+ * @type {number}
+ */
+export const LEDGER_DB_VERSION = 1;
+
+/**
+ * Object store holding one record per finished run
+ * @type {string}
+ */
+export const LEDGER_STORE = 'runs';
+
+/**
+ * How many runs the Top-10 view shows
+ * @type {number}
+ */
+export const LEDGER_TOP_COUNT = 10;
+
+/**
+ * Characters allowed in initials. The design doc leaves room for longer names later,
+ * so the length is a parameter everywhere rather than a hard 3.
+ * @type {number}
+ */
+export const INITIALS_LENGTH = 3;
+
+/**
+ * Cleans player-typed initials: upper case letters and digits only, cut to length
+ * @param {string} input - Raw text
+ * @param {number} [length=INITIALS_LENGTH] - Most characters kept
+ * @returns {string} Clean initials (may be empty)
+ */
+export function normalizeInitials(input, length = INITIALS_LENGTH) {
+    return String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, length);
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Resolves with request.result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Waits for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction in progress
+ * @returns {Promise<void>} Resolves once the transaction completes
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Ledger transaction aborted'));
+    });
+}
+
+/**
+ * Orders runs for the leaderboard: highest score first, earlier run first on a tie
+ * @param {Object} a - Run record
+ * @param {Object} b - Run record
+ * @returns {number} Sort order
+ */
+function compareRuns(a, b) {
+    return (b.score - a.score) || a.date.localeCompare(b.date) || (a.id - b.id);
+}
+
+/**
+ * Device-local leaderboard backed by IndexedDB.
+ */
+export default class PascalsLedger {
+    /**
+     * @param {Object} [options] - Options
+     * @param {IDBFactory} [options.indexedDB=globalThis.indexedDB] - IndexedDB implementation to use
+     * @param {string} [options.dbName=LEDGER_DB_NAME] - Database name
+     */
+    constructor({ indexedDB = globalThis.indexedDB, dbName = LEDGER_DB_NAME } = {}) {
+        this.indexedDB = indexedDB;
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB exists in this environment
+     * @returns {boolean} True if the ledger can be used
+     */
+    get available() {
+        return !!this.indexedDB;
+    }
+
+    /**
+     * Builds the record stored for a finished run, checking the fields
+     * @param {Object} run - Finished run
+     * @param {number} run.score - Final score
+     * @param {number} run.distance - Distance travelled in meters
+     * @param {string} run.seed - Seed the run was played on
+     * @param {number} [run.flips=0] - Flips landed
+     * @param {string} run.causeOfDeath - What ended the run, e.g. 'bad-landing'
+     * @param {string} [run.date] - ISO timestamp; defaults to now
+     * @returns {Object} Record ready to store (without id)
+     * @throws {Error} If score or distance are not finite numbers, or the seed or cause is missing
+     */
+    static createRecord({ score, distance, seed, flips = 0, causeOfDeath, date = new Date().toISOString() }) {
+        if (!Number.isFinite(score)) throw new Error('Ledger run needs a numeric score');
+        if (!Number.isFinite(distance)) throw new Error('Ledger run needs a numeric distance');
+        if (!seed) throw new Error('Ledger run needs the seed it was played on');
+        if (!causeOfDeath) throw new Error('Ledger run needs a cause of death');
+
+        return {
+            score: Math.floor(score),
+            distance: Math.max(0, Math.round(distance)),
+            seed: String(seed),
+            date,
+            flips: Math.max(0, Math.floor(flips)),
+            causeOfDeath: String(causeOfDeath),
+            initials: null
+        };
+    }
+
+    /**
+     * Opens (and on first use creates) the database; later calls reuse the connection
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (!this.dbPromise) {
+            if (!this.available) {
+                return Promise.reject(new Error('IndexedDB is not available; the ledger is disabled'));
+            }
+            const request = this.indexedDB.open(this.dbName, LEDGER_DB_VERSION);
+            request.onupgradeneeded = () => PascalsLedger.upgrade(request.result);
+            this.dbPromise = promisifyRequest(request);
+            // A failed open should be retried next time rather than cached
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Creates the object stores for a new database
+     * @param {IDBDatabase} db - Database being upgraded
+     * @private
+     */
+    static upgrade(db) {
+        if (!db.objectStoreNames.contains(LEDGER_STORE)) {
+            const store = db.createObjectStore(LEDGER_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('score', 'score');
+        }
+    }
+
+    /**
+     * Runs one operation inside a transaction on the runs store
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store; returns an IDBRequest or nothing
+     * @returns {Promise<*>} Result of the request, once the transaction has committed
+     * @private
+     */
+    async withStore(mode, operation) {
+        const db = await this.open();
+        const transaction = db.transaction(LEDGER_STORE, mode);
+        const request = operation(transaction.objectStore(LEDGER_STORE));
+        const [result] = await Promise.all([request ? promisifyRequest(request) : undefined, transactionDone(transaction)]);
+        return result;
+    }
+
+    /**
+     * Stores a finished run
+     * @param {Object} run - See createRecord()
+     * @returns {Promise<Object>} The stored record, including its id
+     */
+    async recordRun(run) {
+        const record = PascalsLedger.createRecord(run);
+        const id = await this.withStore('readwrite', store => store.add(record));
+        return { ...record, id };
+    }
+
+    /**
+     * Signs a stored run with the player's initials
+     * @param {number} id - Run id from recordRun()
+     * @param {string} initials - Typed initials; cleaned with normalizeInitials()
+     * @param {number} [length=INITIALS_LENGTH] - Most characters kept
+     * @returns {Promise<Object>} The updated record
+     * @throws {Error} If the run does not exist or the initials are empty after cleaning
+     */
+    async setInitials(id, initials, length = INITIALS_LENGTH) {
+        const clean = normalizeInitials(initials, length);
+        if (!clean) throw new Error('Initials need at least one letter or digit');
+
+        const record = await this.getRun(id);
+        if (!record) throw new Error(`No ledger entry with id ${id}`);
+
+        const updated = { ...record, initials: clean };
+        await this.withStore('readwrite', store => store.put(updated));
+        return updated;
+    }
+
+    /**
+     * Looks up one run
+     * @param {number} id - Run id
+     * @returns {Promise<Object|undefined>} The record, if present
+     */
+    getRun(id) {
+        return this.withStore('readonly', store => store.get(id));
+    }
+
+    /**
+     * Every stored run, in leaderboard order
+     * @returns {Promise<Array<Object>>} All records
+     */
+    async getAllRuns() {
+        const runs = await this.withStore('readonly', store => store.getAll());
+        return runs.sort(compareRuns);
+    }
+
+    /**
+     * The best runs on this device
+     * @param {number} [limit=LEDGER_TOP_COUNT] - How many to return
+     * @returns {Promise<Array<Object>>} Records, best first
+     */
+    async getTopRuns(limit = LEDGER_TOP_COUNT) {
+        return (await this.getAllRuns()).slice(0, limit);
+    }
+
+    /**
+     * Longest distance of any stored run, the personal best shown during a run
+     * @returns {Promise<number>} Distance in meters, or 0 with no runs stored
+     */
+    async getBestDistance() {
+        const runs = await this.withStore('readonly', store => store.getAll());
+        return runs.reduce((best, run) => Math.max(best, run.distance), 0);
+    }
+
+    /**
+     * Leaderboard position of a run
+     * @param {number} id - Run id
+     * @returns {Promise<number|null>} 1-based rank, or null if the run is not stored
+     */
+    async getRank(id) {
+        const index = (await this.getAllRuns()).findIndex(run => run.id === id);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Deletes every stored run
+     * @returns {Promise<void>} Resolves once the store is empty
+     */
+    async clear() {
+        await this.withStore('readwrite', store => store.clear());
+    }
+
+    /**
+     * Closes the database connection; the next call opens it again
+     */
+    close() {
+        if (this.dbPromise) {
+            this.dbPromise.then(db => db.close(), () => {});
+            this.dbPromise = null;
+        }
+    }
+}
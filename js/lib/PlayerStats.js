@@ -0,0 +1,113 @@
+// js/lib/PlayerStats.js
+// Per-run player handling values, with timed multipliers on top
+// ------------------------------------------------------
+
+/**
+ * @fileoverview PlayerStats copies the handling values the controls read (speed forces,
+ * jump velocities, rotation velocities) out of PhysicsConfig at the start of a run.
+ * Pickups change them through timed multipliers on three stats:
+ *
+ * - `speed`: the downhill bias force and the passive speed boost
+ * - `jump`: the jump velocities, so the jump rises faster and higher
+ * - `rotation`: the ground and air rotation velocities
+ *
+ * Multipliers stack (two +20% jump boosts give 1.44×) and expire on simulation time, so
+ * they last as long in a replay as in the recorded run. PhysicsConfig itself is never
+ * written to, so nothing carries over from one run to the next.
+ *
+ * No Phaser dependencies.
+ *
+ * @module PlayerStats
+ */
+
+import PhysicsConfig from '../config/physics-config.js';
+
+/**
+ * Handling values grouped by the stat that scales them
+ * @type {Object<string, Array<string>>}
+ */
+export const STAT_VALUES = {
+    speed: ['downhillBiasForce', 'minBoostStrength'],
+    jump: ['jumpVelocity', 'minJumpVelocity'],
+    rotation: ['groundRotationVel', 'airRotationVel']
+};
+
+/**
+ * One run's player stats.
+ */
+export default class PlayerStats {
+    /**
+     * @param {Object} [config=PhysicsConfig] - Physics configuration to read the base values from
+     */
+    constructor(config = PhysicsConfig) {
+        this.base = Object.freeze({
+            downhillBiasForce: config.movement.downhillBiasForce,
+            minBoostStrength: config.movement.minBoostStrength,
+            jumpVelocity: config.jump.jumpVelocity,
+            minJumpVelocity: config.jump.minJumpVelocity,
+            groundRotationVel: config.rotation.groundRotationVel,
+            airRotationVel: config.rotation.airRotationVel
+        });
+        this.modifiers = []; // { id, multipliers: { speed, jump, rotation }, expiresAt }
+    }
+
+    /**
+     * Current value of a handling value, with every active multiplier applied
+     * @param {string} name - Value name, e.g. 'jumpVelocity' (see STAT_VALUES)
+     * @returns {number} Value
+     * @throws {Error} If the name is unknown
+     */
+    get(name) {
+        if (!(name in this.base)) throw new Error(`Unknown player stat value '${name}'`);
+        const stat = Object.keys(STAT_VALUES).find(key => STAT_VALUES[key].includes(name));
+        return this.base[name] * this.getMultiplier(stat);
+    }
+
+    /**
+     * Combined multiplier of a stat
+     * @param {string} stat - 'speed', 'jump' or 'rotation'
+     * @returns {number} Product of the active multipliers; 1 when none
+     */
+    getMultiplier(stat) {
+        return this.modifiers.reduce((product, { multipliers }) => product * (multipliers[stat] ?? 1), 1);
+    }
+
+    /**
+     * Adds a timed modifier. Modifiers stack, including several with the same id.
+     * @param {string} id - What added it, e.g. a collectible type id
+     * @param {Object} multipliers - Factor per stat ('speed', 'jump', 'rotation'); stats
+     *     left out are unchanged
+     * @param {number} now - Simulation time in ms
+     * @param {number} durationMs - How long it lasts
+     * @returns {Object} The modifier
+     * @throws {Error} If a stat is unknown
+     */
+    addModifier(id, multipliers, now, durationMs) {
+        Object.keys(multipliers).forEach(stat => {
+            if (!STAT_VALUES[stat]) throw new Error(`Unknown player stat '${stat}'`);
+        });
+        const modifier = { id, multipliers: { ...multipliers }, expiresAt: now + durationMs };
+        this.modifiers.push(modifier);
+        return modifier;
+    }
+
+    /**
+     * Drops modifiers whose time is up. Call once per physics step.
+     * @param {number} now - Simulation time in ms
+     * @returns {Array<Object>} The modifiers that expired
+     */
+    expireModifiers(now) {
+        const expired = this.modifiers.filter(modifier => now >= modifier.expiresAt);
+        if (expired.length > 0) {
+            this.modifiers = this.modifiers.filter(modifier => now < modifier.expiresAt);
+        }
+        return expired;
+    }
+
+    /**
+     * Drops every modifier, back to the PhysicsConfig values
+     */
+    reset() {
+        this.modifiers = [];
+    }
+}
@@ -0,0 +1,392 @@
+// js/lib/PowerUps.js
+// The game's collectible types
+// ------------------------------------------------------
+
+/**
+ * @fileoverview Definitions of every pickup in the game, in the shape
+ * CollectibleRegistry expects. Effects act on the scene through its public state and
+ * methods (lives, hud, terrain, playerStats, addScore(), setSlowMotion() and so on),
+ * never on CollectibleManager.
+ *
+ * Power-ups get rarer the further the run goes (DESIGN-DOC §7: "Spawn probability
+ * scales inverse to current distance"), while an extra life stays as likely as ever
+ * whenever the player has room for one.
+ *
+ * @module PowerUps
+ */
+
+import PhysicsConfig from '../config/physics-config.js';
+import CollectibleRegistry from './CollectibleRegistry.js';
+
+/**
+ * Points awarded for an extra life picked up at max lives
+ * @type {number}
+ */
+export const MAX_LIFE_BONUS = 1000;
+
+/**
+ * Extra life: one more life, or bonus points when lives are already full
+ * @type {Object}
+ */
+export const EXTRA_LIFE = {
+    id: 'extraLife',
+    name: 'EXTRA LIFE',
+    texture: 'extraLife',
+    color: 0xffff00,
+    // Yellow triangle pointing up
+    drawTexture(graphics, size) {
+        graphics.fillStyle(0xffff00, 1);
+        graphics.lineStyle(2, 0x000000, 1);
+        graphics.beginPath();
+        graphics.moveTo(size / 2, 0);
+        graphics.lineTo(0, size);
+        graphics.lineTo(size, size);
+        graphics.closePath();
+        graphics.fillPath();
+        graphics.strokePath();
+    },
+    spawnWeight: scene => (scene.lives < PhysicsConfig.extraLives.maxLives ? 1 : 0),
+    onPickup(scene) {
+        if (scene.lives < PhysicsConfig.extraLives.maxLives) {
+            scene.lives++;
+            scene.hud.showToast('Extra Life!', 2000);
+            scene.hud.updateLivesDisplay(scene.lives, PhysicsConfig.extraLives.maxLives);
+        } else {
+            // Already at max lives, give points instead
+            scene.addScore(MAX_LIFE_BONUS, 'maxLifeBonus');
+            scene.hud.showToast(`Max Lives! +${MAX_LIFE_BONUS} points`, 2000);
+        }
+    }
+};
+
+/**
+ * Spawn weight of a power-up at the player's current distance: the configured weight
+ * at the start, halved by falloffMeters and falling from there
+ * @param {Object} scene - Game scene
+ * @returns {number} Spawn weight
+ */
+export function distanceSpawnWeight(scene) {
+    const { spawnWeight, falloffMeters } = PhysicsConfig.powerUps;
+    const meters = scene.distanceTracker ? scene.distanceTracker.meters : 0;
+    return spawnWeight / (1 + Math.max(0, meters) / falloffMeters);
+}
+
+/**
+ * Packet Burst: +30% speed for 3 s. The boosted speed is a floor, so slowing down
+ * (uphill, air brake) is pushed back up to it until the burst ends.
+ * @type {Object}
+ */
+export const PACKET_BURST = {
+    id: 'packetBurst',
+    name: 'PACKET BURST',
+    texture: 'packetBurst',
+    color: 0x00ffff,
+    // Cyan double chevron pointing forward
+    drawTexture(graphics, size) {
+        graphics.lineStyle(4, 0x00ffff, 1);
+        [0.15, 0.5].forEach(offset => {
+            graphics.beginPath();
+            graphics.moveTo(size * offset, size * 0.15);
+            graphics.lineTo(size * (offset + 0.35), size / 2);
+            graphics.lineTo(size * offset, size * 0.85);
+            graphics.strokePath();
+        });
+    },
+    spawnWeight: distanceSpawnWeight,
+    duration: PhysicsConfig.powerUps.packetBurst.durationMs,
+    onPickup(scene, effect) {
+        effect.boostSpeed = scene.getPlayerSpeed() * PhysicsConfig.powerUps.packetBurst.speedMultiplier;
+        scene.holdPlayerSpeed(effect.boostSpeed);
+        scene.hud.showToast('Packet Burst!', 2000, '#00ffff');
+    },
+    hooks: {
+        physics(scene, stepMs, effect) {
+            scene.holdPlayerSpeed(effect.boostSpeed);
+        }
+    }
+};
+
+/**
+ * Clock Pulse: one second of slow motion, counted in simulation time
+ * @type {Object}
+ */
+export const CLOCK_PULSE = {
+    id: 'clockPulse',
+    name: 'CLOCK PULSE',
+    texture: 'clockPulse',
+    color: 0xff00ff,
+    // Magenta clock face
+    drawTexture(graphics, size) {
+        graphics.lineStyle(3, 0xff00ff, 1);
+        graphics.strokeCircle(size / 2, size / 2, size / 2 - 2);
+        graphics.beginPath();
+        graphics.moveTo(size / 2, size * 0.2);
+        graphics.lineTo(size / 2, size / 2);
+        graphics.lineTo(size * 0.75, size / 2);
+        graphics.strokePath();
+    },
+    spawnWeight: distanceSpawnWeight,
+    duration: PhysicsConfig.powerUps.clockPulse.durationMs,
+    onPickup(scene) {
+        scene.setSlowMotion(PhysicsConfig.powerUps.clockPulse.timeScale);
+        scene.hud.showToast('Clock Pulse!', 2000, '#ff00ff');
+    },
+    onExpire(scene) {
+        scene.setSlowMotion(1);
+    }
+};
+
+/**
+ * Hashed Backup: the next crash is negated before it costs a life
+ * @type {Object}
+ */
+export const HASHED_BACKUP = {
+    id: 'hashedBackup',
+    name: 'HASHED BACKUP',
+    texture: 'hashedBackup',
+    color: 0x00ff66,
+    // Green hexagon around a hash sign
+    drawTexture(graphics, size) {
+        const center = size / 2;
+        const radius = size / 2 - 2;
+        const corners = [];
+        for (let i = 0; i < 6; i++) {
+            const angle = Math.PI / 6 + (i * Math.PI) / 3;
+            corners.push({ x: center + radius * Math.cos(angle), y: center + radius * Math.sin(angle) });
+        }
+        graphics.lineStyle(3, 0x00ff66, 1);
+        graphics.strokePoints(corners, true);
+        graphics.lineStyle(2, 0x00ff66, 1);
+        [0.4, 0.6].forEach(offset => {
+            graphics.lineBetween(size * offset, size * 0.3, size * offset, size * 0.7);
+            graphics.lineBetween(size * 0.3, size * offset, size * 0.7, size * offset);
+        });
+    },
+    spawnWeight: distanceSpawnWeight,
+    duration: Infinity,
+    onPickup(scene) {
+        scene.hud.showToast('Hashed Backup!', 2000, '#00ff66');
+    },
+    hooks: {
+        crash(scene) {
+            scene.hud.showToast('BACKUP RESTORED', 2000, '#00ff66');
+            return true;
+        }
+    }
+};
+
+/**
+ * Draws a diamond outline with a plus or minus inside, the shape shared by the
+ * terrain colour shifts
+ * @param {Phaser.GameObjects.Graphics} graphics - Graphics to draw into
+ * @param {number} size - Texture size in pixels
+ * @param {number} color - Line colour
+ * @param {boolean} plus - Plus sign (power-up) or minus sign (power-down)
+ */
+function drawColorShiftTexture(graphics, size, color, plus) {
+    const center = size / 2;
+    graphics.lineStyle(3, color, 1);
+    graphics.strokePoints([
+        { x: center, y: 2 },
+        { x: size - 2, y: center },
+        { x: center, y: size - 2 },
+        { x: 2, y: center }
+    ], true);
+    graphics.lineBetween(size * 0.3, center, size * 0.7, center);
+    if (plus) {
+        graphics.lineBetween(center, size * 0.3, center, size * 0.7);
+    }
+}
+
+/**
+ * Builds a pickup that shifts the odds of upcoming terrain colours for a while. The
+ * shift lives on TerrainManager, which stacks shifts and expires them itself, so the
+ * pickup is instant as far as EffectManager is concerned.
+ * @param {Object} options - Options
+ * @param {string} options.id - Type id; also the key of its factors in PhysicsConfig.powerUps.colorShift
+ * @param {string} options.name - HUD label
+ * @param {number} options.color - Neon colour of the pickup
+ * @param {boolean} options.plus - Draw a plus (power-up) rather than a minus (power-down)
+ * @param {Function} options.spawnWeight - Spawn weight as a function of the scene
+ * @returns {Object} Collectible type
+ */
+function createColorShift({ id, name, color, plus, spawnWeight }) {
+    return {
+        id,
+        name,
+        texture: id,
+        color,
+        drawTexture: (graphics, size) => drawColorShiftTexture(graphics, size, color, plus),
+        spawnWeight,
+        onPickup(scene, effect) {
+            const { durationMs } = PhysicsConfig.powerUps.colorShift;
+            scene.terrain.addColorModifier(id, PhysicsConfig.powerUps.colorShift[id], effect.startedAt, durationMs);
+            scene.hud.showToast(`${name}!`, 2000, `#${color.toString(16).padStart(6, '0')}`);
+        }
+    };
+}
+
+/**
+ * Firewall: halves the chance of magenta segments
+ * @type {Object}
+ */
+export const FIREWALL = createColorShift({
+    id: 'firewall', name: 'FIREWALL', color: 0xff8800, plus: true, spawnWeight: distanceSpawnWeight
+});
+
+/**
+ * Blue Shift: doubles the weight of blue segments
+ * @type {Object}
+ */
+export const BLUE_SHIFT = createColorShift({
+    id: 'blueShift', name: 'BLUE SHIFT', color: 0x00ffff, plus: true, spawnWeight: distanceSpawnWeight
+});
+
+/**
+ * Green Shift: doubles the weight of green segments
+ * @type {Object}
+ */
+export const GREEN_SHIFT = createColorShift({
+    id: 'greenShift', name: 'GREEN SHIFT', color: 0x00ff88, plus: true, spawnWeight: distanceSpawnWeight
+});
+
+/**
+ * Packet Loss (power-down): halves the weights of blue and green segments
+ * @type {Object}
+ */
+export const PACKET_LOSS = createColorShift({
+    id: 'packetLoss',
+    name: 'PACKET LOSS',
+    color: 0xff3333,
+    plus: false,
+    spawnWeight: () => PhysicsConfig.powerUps.colorShift.powerDownWeight
+});
+
+/**
+ * Draws a circle with an arrow pointing up or down, the shape shared by the player
+ * stat shifts
+ * @param {Phaser.GameObjects.Graphics} graphics - Graphics to draw into
+ * @param {number} size - Texture size in pixels
+ * @param {number} color - Line colour
+ * @param {boolean} up - Arrow up (power-up) or down (power-down)
+ */
+function drawStatShiftTexture(graphics, size, color, up) {
+    const center = size / 2;
+    const tip = up ? size * 0.2 : size * 0.8;
+    const tail = up ? size * 0.8 : size * 0.2;
+    graphics.lineStyle(3, color, 1);
+    graphics.strokeCircle(center, center, center - 2);
+    graphics.lineBetween(center, tail, center, tip);
+    graphics.lineBetween(center, tip, size * 0.3, (tip + center) / 2);
+    graphics.lineBetween(center, tip, size * 0.7, (tip + center) / 2);
+}
+
+/**
+ * Builds a pickup that scales a player stat for a while. Like the colour shifts, the
+ * timing lives in the scene's PlayerStats, where shifts stack.
+ * @param {Object} options - Options
+ * @param {string} options.id - Type id; also the key of its factors in PhysicsConfig.powerUps.statShift
+ * @param {string} options.name - HUD label
+ * @param {number} options.color - Neon colour of the pickup
+ * @param {boolean} options.up - Draw an up arrow (power-up) rather than a down arrow (power-down)
+ * @param {Function} options.spawnWeight - Spawn weight as a function of the scene
+ * @returns {Object} Collectible type
+ */
+function createStatShift({ id, name, color, up, spawnWeight }) {
+    return {
+        id,
+        name,
+        texture: id,
+        color,
+        drawTexture: (graphics, size) => drawStatShiftTexture(graphics, size, color, up),
+        spawnWeight,
+        onPickup(scene, effect) {
+            const { durationMs } = PhysicsConfig.powerUps.statShift;
+            scene.playerStats.addModifier(id, PhysicsConfig.powerUps.statShift[id], effect.startedAt, durationMs);
+            scene.hud.showToast(`${name}!`, 2000, `#${color.toString(16).padStart(6, '0')}`);
+        }
+    };
+}
+
+/**
+ * Spawn weight of the stat power-downs
+ * @returns {number} Spawn weight
+ */
+const statPowerDownWeight = () => PhysicsConfig.powerUps.statShift.powerDownWeight;
+
+/**
+ * Overclock: more speed
+ * @type {Object}
+ */
+export const OVERCLOCK = createStatShift({
+    id: 'overclock', name: 'OVERCLOCK', color: 0xffee00, up: true, spawnWeight: distanceSpawnWeight
+});
+
+/**
+ * Throttle (power-down): less speed
+ * @type {Object}
+ */
+export const THROTTLE = createStatShift({
+    id: 'throttle', name: 'THROTTLE', color: 0xffee00, up: false, spawnWeight: statPowerDownWeight
+});
+
+/**
+ * Uplink: higher jumps
+ * @type {Object}
+ */
+export const UPLINK = createStatShift({
+    id: 'uplink', name: 'UPLINK', color: 0x8866ff, up: true, spawnWeight: distanceSpawnWeight
+});
+
+/**
+ * Lag Spike (power-down): lower jumps
+ * @type {Object}
+ */
+export const LAG_SPIKE = createStatShift({
+    id: 'lagSpike', name: 'LAG SPIKE', color: 0x8866ff, up: false, spawnWeight: statPowerDownWeight
+});
+
+/**
+ * Spin Cycle: faster rotation
+ * @type {Object}
+ */
+export const SPIN_CYCLE = createStatShift({
+    id: 'spinCycle', name: 'SPIN CYCLE', color: 0xff66cc, up: true, spawnWeight: distanceSpawnWeight
+});
+
+/**
+ * Frame Drop (power-down): slower rotation
+ * @type {Object}
+ */
+export const FRAME_DROP = createStatShift({
+    id: 'frameDrop', name: 'FRAME DROP', color: 0xff66cc, up: false, spawnWeight: statPowerDownWeight
+});
+
+/**
+ * Every collectible type, in registration order
+ * @type {Array<Object>}
+ */
+export const POWER_UPS = [
+    EXTRA_LIFE,
+    PACKET_BURST,
+    CLOCK_PULSE,
+    HASHED_BACKUP,
+    FIREWALL,
+    BLUE_SHIFT,
+    GREEN_SHIFT,
+    PACKET_LOSS,
+    OVERCLOCK,
+    THROTTLE,
+    UPLINK,
+    LAG_SPIKE,
+    SPIN_CYCLE,
+    FRAME_DROP
+];
+
+/**
+ * Builds a registry holding every collectible type
+ * @returns {CollectibleRegistry} Registry
+ */
+export function createCollectibleRegistry() {
+    return new CollectibleRegistry(POWER_UPS);
+}
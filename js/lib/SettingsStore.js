@@ -0,0 +1,172 @@
+// js/lib/SettingsStore.js
+// Player settings, persisted in localStorage
+// ------------------------------------------------------
+
+/**
+ * @fileoverview Keeps the player's settings under the `settings` key in localStorage
+ * (DESIGN-DOC §8 "Save"). Values are checked against DEFAULT_SETTINGS and
+ * SETTING_CHOICES: an unknown name, a value of the wrong type or a value off the
+ * list is refused, and anything missing or corrupt in storage falls back to its default. The storage object is injectable, so tests can
+ * pass a stand-in.
+ *
+ * Storage can be missing or full (private browsing, quota). Reads then return the
+ * defaults and writes keep the value for this session only.
+ *
+ * @module SettingsStore
+ */
+
+/**
+ * localStorage key holding the settings JSON
+ * @type {string}
+ */
+export const SETTINGS_STORAGE_KEY = 'settings';
+
+/**
+ * Every setting and its default. Add new settings here; the type of the default is
+ * the type the setting must keep.
+ * @type {Object}
+ */
+export const DEFAULT_SETTINGS = Object.freeze({
+    particles: true,     // Particle trails on green, blue and magenta terrain
+    autoPause: true,     // Pause when the tab is hidden or the gamepad disconnects
+    touchControls: 'auto', // On-screen controls: 'auto' shows them on touch devices
+    touchLayout: 'right',  // 'right': buttons under the right thumb; 'left' mirrors them
+    touchOpacity: 0.5      // Opacity of the on-screen controls
+});
+
+/**
+ * Settings limited to a fixed list of values. Settings not listed here accept any
+ * value of the default's type.
+ * @type {Object<string, Array>}
+ */
+export const SETTING_CHOICES = Object.freeze({
+    touchControls: ['auto', 'on', 'off'],
+    touchLayout: ['right', 'left'],
+    touchOpacity: [0.25, 0.5, 0.75, 1]
+});
+
+/**
+ * Reads, validates and saves the player's settings.
+ */
+export default class SettingsStore {
+    /**
+     * @param {Object} [options] - Options
+     * @param {Storage|null} [options.storage=globalThis.localStorage] - Where settings are kept
+     * @param {string} [options.key=SETTINGS_STORAGE_KEY] - Storage key
+     */
+    constructor({ storage = SettingsStore.defaultStorage(), key = SETTINGS_STORAGE_KEY } = {}) {
+        this.storage = storage;
+        this.key = key;
+        this.values = { ...DEFAULT_SETTINGS };
+        this.load();
+    }
+
+    /**
+     * localStorage if this environment has one. Reading it can throw when storage is
+     * blocked, so it is wrapped rather than used as a plain default parameter.
+     * @returns {Storage|null} localStorage, or null
+     */
+    static defaultStorage() {
+        try {
+            return globalThis.localStorage || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Re-reads the settings from storage. Call it when another scene may have changed them.
+     * @returns {Object} Copy of the current settings
+     */
+    load() {
+        this.values = { ...DEFAULT_SETTINGS };
+        if (!this.storage) return this.getAll();
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key) || '{}');
+            Object.keys(DEFAULT_SETTINGS).forEach(name => {
+                if (saved && SettingsStore.isValid(name, saved[name])) {
+                    this.values[name] = saved[name];
+                }
+            });
+        } catch (error) {
+            console.warn('SettingsStore: saved settings unreadable, using defaults -', error.message);
+        }
+        return this.getAll();
+    }
+
+    /**
+     * Whether a value is acceptable for a setting
+     * @param {string} name - Setting name
+     * @param {*} value - Candidate value
+     * @returns {boolean} True if the setting exists, the value has its type and is
+     *     one of its SETTING_CHOICES, if it has any
+     */
+    static isValid(name, value) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS, name) ||
+            typeof value !== typeof DEFAULT_SETTINGS[name]) {
+            return false;
+        }
+        return !SETTING_CHOICES[name] || SETTING_CHOICES[name].includes(value);
+    }
+
+    /**
+     * Reads one setting
+     * @param {string} name - Setting name
+     * @returns {*} Its value
+     * @throws {Error} If there is no such setting
+     */
+    get(name) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS, name)) {
+            throw new Error(`Unknown setting "${name}"`);
+        }
+        return this.values[name];
+    }
+
+    /**
+     * All settings
+     * @returns {Object} Copy of the current settings
+     */
+    getAll() {
+        return { ...this.values };
+    }
+
+    /**
+     * Changes one setting and saves
+     * @param {string} name - Setting name
+     * @param {*} value - New value, of the same type as the default
+     * @returns {*} The value stored
+     * @throws {Error} If there is no such setting or the value has the wrong type
+     */
+    set(name, value) {
+        if (!SettingsStore.isValid(name, value)) {
+            throw new Error(`Invalid value for setting "${name}": ${JSON.stringify(value)}`);
+        }
+        this.values[name] = value;
+        this.save();
+        return value;
+    }
+
+    /**
+     * Puts every setting back to its default and saves
+     * @returns {Object} Copy of the defaults
+     */
+    reset() {
+        this.values = { ...DEFAULT_SETTINGS };
+        this.save();
+        return this.getAll();
+    }
+
+    /**
+     * Writes the settings to storage. A failed write is logged, and the values
+     * still apply for this session.
+     */
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('SettingsStore: settings not saved -', error.message);
+        }
+    }
+}
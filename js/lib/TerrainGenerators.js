@@ -0,0 +1,188 @@
+// js/lib/TerrainGenerators.js
+// Pluggable strategies for shaping new terrain segments
+// ------------------------------------------------------
+
+/**
+ * @fileoverview Terrain generator strategies used by TerrainManager. A generator only
+ * decides the shape of the next segment (where it ends and, optionally, the curve it
+ * follows). TerrainManager still owns colours, physics bodies and rendering, so every
+ * strategy gets collision, cleanup and neon drawing for free.
+ *
+ * All randomness goes through the manager's seeded random function, so the same seed
+ * always produces the same slopes.
+ *
+ * @module TerrainGenerators
+ */
+
+import TerrainConfig from '../config/terrain-config.js';
+
+/**
+ * Classic generator: straight segments with slopes from the difficulty-weighted slope bands.
+ */
+export class StraightSegmentGenerator {
+    /**
+     * @param {TerrainManager} manager - Terrain manager providing the seeded random helpers
+     * @param {Object} [config=TerrainConfig.straight] - Straight generator settings
+     */
+    constructor(manager, config = TerrainConfig.straight) {
+        this.manager = manager;
+        this.segmentWidth = config.segmentWidth;
+    }
+
+    /**
+     * Shapes the segment that starts at the given point
+     * @param {number} prevX - Start x of the new segment
+     * @param {number} prevY - Start y of the new segment
+     * @param {boolean} isFirstSegment - Whether this is the first segment of the run
+     * @returns {{endX: number, endY: number}} End point of the new segment
+     */
+    next(prevX, prevY, isFirstSegment) {
+        const manager = this.manager;
+        let newY = prevY;
+
+        if (isFirstSegment) {
+            // Steeper initial descent, matching GameScene
+            newY += manager.randomBetween(40, 70);
+        } else {
+            // Band odds shift towards steeper and uphill slopes as the run gets longer
+            newY += manager.pickSlopeDrop(prevX);
+        }
+
+        // Apply same clamping as GameScene to allow steeper descents
+        newY = Phaser.Math.Clamp(newY, prevY - 60, prevY + 150);
+
+        return { endX: prevX + this.segmentWidth, endY: newY };
+    }
+
+    /**
+     * Clears any state carried between segments
+     */
+    reset() {
+        // Straight segments only depend on the previous end point
+    }
+}
+
+/**
+ * Spline generator: each segment is one span of a uniform Catmull-Rom curve through
+ * seeded control points, so slopes flow into each other without corners.
+ *
+ * Control points are evenly spaced in x. That keeps x linear in the spline parameter,
+ * which lets height and tangent queries map an x position straight to t without solving
+ * for it.
+ */
+export class SplineSegmentGenerator {
+    /**
+     * @param {TerrainManager} manager - Terrain manager providing the seeded random helpers
+     * @param {Object} [config=TerrainConfig.spline] - Spline generator settings
+     */
+    constructor(manager, config = TerrainConfig.spline) {
+        this.manager = manager;
+        this.config = config;
+        this.controlYs = []; // Control point heights, starting with the one before the current span
+    }
+
+    /**
+     * Shapes the segment that starts at the given point
+     * @param {number} prevX - Start x of the new segment
+     * @param {number} prevY - Start y of the new segment
+     * @param {boolean} isFirstSegment - Whether this is the first segment of the run
+     * @returns {{endX: number, endY: number, curve: Object}} End point and curve of the new segment
+     */
+    next(prevX, prevY, isFirstSegment) {
+        if (isFirstSegment) {
+            // A phantom point level with the start gives the starting platform a flat tangent
+            this.controlYs = [prevY, prevY, prevY + this.manager.randomBetween(40, 70)];
+        } else if (this.controlYs.length < 2) {
+            // After a reset (glitch zone exit, chunk end, validator repair) the tangent at
+            // prevY is (y2 - y0) / 2 per span, so place the phantom point to make the new
+            // curve leave at the slope the last segment ended on
+            const nextY = this.nextControlY(prevY, prevX);
+            this.controlYs = [nextY - 2 * this.getEntrySlope() * this.config.controlSpacing, prevY, nextY];
+        }
+
+        // A span needs one control point beyond its end to know its exit tangent.
+        // controlYs[0] sits one spacing before prevX
+        while (this.controlYs.length < 4) {
+            const lastIndex = this.controlYs.length - 1;
+            const lastX = prevX + (lastIndex - 1) * this.config.controlSpacing;
+            this.controlYs.push(this.nextControlY(this.controlYs[lastIndex], lastX));
+        }
+
+        const [y0, y1, y2, y3] = this.controlYs;
+        this.controlYs.shift();
+
+        return {
+            endX: prevX + this.config.controlSpacing,
+            endY: y2,
+            curve: { type: 'catmull-rom', y0, y1, y2, y3 }
+        };
+    }
+
+    /**
+     * Picks the height of the next control point
+     * Uses the slope bands scaled to the control spacing, plus seeded noise
+     * so the curve does not settle into regular steps
+     * @param {number} prevY - Height of the previous control point
+     * @param {number} prevX - X position of the previous control point
+     * @returns {number} Height of the new control point
+     * @private
+     */
+    nextControlY(prevY, prevX) {
+        const { controlSpacing, noiseAmplitude, maxRise, maxDrop } = this.config;
+        const manager = this.manager;
+
+        // Slopes as drop per 100px, the same bands as the straight generator
+        const slope = manager.pickSlopeDrop(prevX);
+
+        const noise = (manager.seededRandom() * 2 - 1) * noiseAmplitude;
+        const newY = prevY + slope * (controlSpacing / 100) + noise;
+
+        return Phaser.Math.Clamp(newY, prevY - maxRise * controlSpacing, prevY + maxDrop * controlSpacing);
+    }
+
+    /**
+     * Slope the last placed segment ends on, limited to what the spline itself may climb or drop
+     * @returns {number} Drop per horizontal pixel (negative for a climb); 0 with no terrain yet
+     * @private
+     */
+    getEntrySlope() {
+        const segments = this.manager.getTerrainSegments();
+        const last = segments[segments.length - 1];
+        if (!last) return 0;
+
+        const slope = Math.tan(this.manager.getSegmentSlopeAt(last, last.endX));
+        return Phaser.Math.Clamp(slope, -this.config.maxRise, this.config.maxDrop);
+    }
+
+    /**
+     * Clears the control point queue so the next segment continues from the terrain's
+     * current slope with a fresh curve
+     */
+    reset() {
+        this.controlYs = [];
+    }
+}
+
+/**
+ * Generator strategies by the name used in TerrainConfig.generator
+ * @type {Object<string, Function>}
+ */
+export const TERRAIN_GENERATORS = {
+    straight: StraightSegmentGenerator,
+    spline: SplineSegmentGenerator
+};
+
+/**
+ * Creates the generator strategy registered under a name
+ * @param {string} name - Generator name ('straight' or 'spline')
+ * @param {TerrainManager} manager - Terrain manager the generator works for
+ * @returns {StraightSegmentGenerator|SplineSegmentGenerator} Generator instance
+ * @throws {Error} If no generator is registered under the name
+ */
+export function createTerrainGenerator(name, manager) {
+    const Generator = TERRAIN_GENERATORS[name];
+    if (!Generator) {
+        throw new Error(`Unknown terrain generator "${name}" (expected one of: ${Object.keys(TERRAIN_GENERATORS).join(', ')})`);
+    }
+    return new Generator(manager);
+}
@@ -6,10 +6,50 @@
  * @fileoverview TerrainManager module handles procedural terrain generation and physics.
  * It creates, renders, and manages terrain segments as the player traverses the game world,
  * providing proper collision detection and dynamically generating new terrain ahead of the player.
+ * The shape of each new segment comes from a pluggable generator strategy (see TerrainGenerators):
+ * straight ramps or smooth Catmull-Rom curves, chosen by TerrainConfig.generator. Every so often a
+ * GlitchZoneScheduler takes over for a short seeded-noise section before handing back. Slope and colour
+ * odds follow the distance-based DifficultyCurve from TerrainConfig.difficulty; timed colour modifiers
+ * (added by pickups) scale the colour odds on top of it. Hand-made chunks from
+ * the scene's ChunkLibrary are spliced in between procedural stretches. Every new segment passes through
+ * TerrainValidator, which reshapes anything the player could not survive. Collision bodies come from
+ * BodyPools and go back to them when their segment scrolls away.
  * 
  * @module TerrainManager
  */
 
+import TerrainConfig from '../config/terrain-config.js';
+import { createTerrainGenerator } from './TerrainGenerators.js';
+import GlitchZoneScheduler from './GlitchZoneScheduler.js';
+import DifficultyCurve from './DifficultyCurve.js';
+import TerrainValidator from './TerrainValidator.js';
+import BodyPool from './BodyPool.js';
+import { catmullRom, catmullRomDerivative } from '../utils/catmull-rom.js';
+
+/**
+ * Body options for the thin collision strips that follow the terrain surface
+ * @type {Object}
+ */
+const TERRAIN_BODY_OPTIONS = {
+    isStatic: true,
+    friction: 0.01,
+    label: 'terrain'
+};
+
+/**
+ * Body options for the deep anti-tunneling floor blocks under each segment
+ * @type {Object}
+ */
+const FLOOR_BODY_OPTIONS = {
+    isStatic: true,
+    friction: 0, // No friction to avoid affecting player physics when not needed
+    label: 'terrain_floor',
+    collisionFilter: {
+        category: 0x0002, // Floor category
+        mask: 0x0001     // Player category
+    }
+};
+
 /**
  * Manages the procedural terrain generation, physics, and rendering
  */
@@ -20,15 +60,18 @@ export default class TerrainManager {
     /**
      * Creates a new TerrainManager instance
      * @param {Phaser.Scene} scene - The scene this manager is attached to
+     * @param {Object} [options] - Optional overrides
+     * @param {string} [options.generator] - Generator strategy name; defaults to TerrainConfig.generator
+     * @param {boolean} [options.bodyPool] - Recycle collision bodies; defaults to TerrainConfig.bodyPool.enabled
      */
-    constructor(scene) {
+    constructor(scene, options = {}) {
         this.scene = scene;
         this.terrainGraphics = null;
         this.debugGraphics = null; // For visualizing physics bodies
         this.terrainSegments = [];
         
         // Terrain configuration
-        this.segmentWidth = 100;
+        this.segmentWidth = TerrainConfig.straight.segmentWidth;
         this.terrainStartX = -200;
         this.lastTerrainY = 500;
         this.worldBoundsPadding = 2000;
@@ -48,6 +91,35 @@ export default class TerrainManager {
         
         // Seeded random function - initialized by scene
         this.seededRandom = null;
+        
+        // Strategy that shapes each new segment
+        this.generatorType = options.generator || TerrainConfig.generator;
+        this.generator = createTerrainGenerator(this.generatorType, this);
+        this.glitchZones = null; // Created in init() once the seeded random streams exist
+        this.difficulty = new DifficultyCurve(TerrainConfig.difficulty);
+        
+        // Timed multipliers on the colour weights; they stack, and only reach segments
+        // generated while they last
+        this.colorModifiers = []; // { id, multipliers: { blue, magenta, green }, expiresAt }
+        
+        // Hand-made chunk splicing (library and random stream come from the scene in init())
+        this.chunkLibrary = null;
+        this.chunkRandom = null;
+        this.pendingChunkSpans = []; // Remaining spans of the chunk being laid down
+        this.nextChunkX = Infinity; // Earliest x where the next chunk may start
+        
+        // Landability checks and a running tally of repairs for reports
+        this.validator = new TerrainValidator();
+        this.validationStats = { checked: 0, repaired: 0, issues: {} };
+        this.glitchMarkerColor = 0xff3333;
+        
+        // Recycled collision bodies; null means bodies are created and destroyed directly
+        this.terrainBodyPool = null;
+        this.floorBodyPool = null;
+        if (options.bodyPool ?? TerrainConfig.bodyPool.enabled) {
+            this.terrainBodyPool = new BodyPool(scene.matter, TERRAIN_BODY_OPTIONS);
+            this.floorBodyPool = new BodyPool(scene.matter, FLOOR_BODY_OPTIONS);
+        }
     }
     
     /**
@@ -57,6 +129,14 @@ export default class TerrainManager {
         // Get seeded random function from scene if available
         this.seededRandom = this.scene.seededRandom || Math.random;
         
+        // Glitch zones get their own stream so their placement does not depend on how
+        // many draws the regular terrain has made
+        this.glitchZones = new GlitchZoneScheduler(this.scene.glitchZoneRandom || this.seededRandom);
+        
+        // Same for chunk placement
+        this.chunkLibrary = this.scene.chunkLibrary || null;
+        this.chunkRandom = this.scene.chunkRandom || this.seededRandom;
+        
         // Create graphics object for terrain rendering
         this.terrainGraphics = this.scene.add.graphics({ lineStyle: { width: 2, color: this.neonBlue } });
         
@@ -75,6 +155,14 @@ export default class TerrainManager {
         // Reset terrain state
         this.terrainSegments = [];
         this.lastTerrainY = 500; // Reset terrain starting point
+        this.generator.reset();
+        if (this.glitchZones) {
+            this.glitchZones.reset(this.terrainStartX);
+        }
+        this.pendingChunkSpans = [];
+        this.nextChunkX = this.terrainStartX + TerrainConfig.chunks.firstChunkAfter;
+        this.validationStats = { checked: 0, repaired: 0, issues: {} };
+        this.colorModifiers = [];
         
         // Generate initial flat segment
         this.generateNextTerrainSegment(true);
@@ -91,62 +179,74 @@ export default class TerrainManager {
         const prevX = prevSegment ? prevSegment.endX : this.terrainStartX;
         const prevY = this.lastTerrainY;
         
-        // Pick a new Y using the same probability distribution as GameScene
-        let newY = prevY;
-        
-        if (isFirstSegment) {
-            // Steeper initial descent, matching GameScene
-            newY += Phaser.Math.Between(40, 70);
-        } else {
-            // Use seeded random with same probability distribution as GameScene
-            const r = this.seededRandom();
-            
-            // Match GameScene probability distribution exactly
-            if (r < 0.60) {
-                // 60% chance: Moderate downslope (more common)
-                newY += Phaser.Math.Between(35, 70);
-            } else if (r < 0.85) {
-                // 25% chance: Steep downslope (more common)
-                newY += Phaser.Math.Between(70, 120);
-            } else if (r < 0.95) {
-                // 10% chance: Mild variation for interest
-                newY += Phaser.Math.Between(-15, 25);
-            } else {
-                // 5% chance: Occasional small upslope (less common/less steep)
-                newY -= Phaser.Math.Between(10, 40);
+        // A chunk in progress is finished first, then a glitch zone may take over, then a new
+        // chunk may start; otherwise the generator strategy decides where the segment ends
+        // and whether it curves
+        let chunkShape = null;
+        let zoneShape = null;
+        if (!isFirstSegment) {
+            chunkShape = this.pendingChunkSpans.shift() || null;
+            if (!chunkShape && this.glitchZones) {
+                zoneShape = this.glitchZones.next(prevX, prevY);
+            }
+            if (!chunkShape && !zoneShape) {
+                chunkShape = this.startChunk(prevX, prevY);
             }
         }
+        const shape = chunkShape || zoneShape || this.generator.next(prevX, prevY, isFirstSegment);
+        const newY = shape.endY;
         
-        // Apply same clamping as GameScene to allow steeper descents
-        newY = Phaser.Math.Clamp(newY, prevY - 60, prevY + 150);
+        // Regular terrain resumes from the zone's or chunk's end, so drop any curve state from before it
+        if ((zoneShape && zoneShape.isExit) || (chunkShape && chunkShape.isLast)) {
+            this.generator.reset();
+        }
         
-        // Calculate segment angle for physics
-        const segmentAngleRad = Math.atan2(newY - prevY, this.segmentWidth);
+        // Chunks bring their own colours; zone colours come from the zone stream,
+        // leaving the regular sequence untouched
+        let color;
+        if (chunkShape) {
+            color = this.colorFromName(chunkShape.color);
+        } else {
+            color = this.pickSegmentColor(prevX, zoneShape ? this.glitchZones.random : this.seededRandom);
+        }
+        
+        // Chord angle; curved segments report their exact tangent via getSegmentSlopeAt
+        const segmentAngleRad = Math.atan2(newY - prevY, shape.endX - prevX);
         
         // Create segment with same properties as GameScene
         const segment = {
             x: prevX,
             y: prevY,
-            endX: prevX + this.segmentWidth,
+            endX: shape.endX,
             endY: newY,
+            curve: shape.curve || null, // Catmull-Rom control heights for spline segments
+            glitchZone: zoneShape ? zoneShape.zoneId : null, // Glitch zone id, if inside one
+            glitchZoneEntry: zoneShape ? zoneShape.isEntry : false, // First segment of a zone (draws the marker)
+            chunk: chunkShape ? chunkShape.chunkId : null, // Hand-made chunk id, if part of one
+            chunkType: chunkShape ? chunkShape.chunkType : null,
             // Use same color selection logic as GameScene
             // Pick color randomly between blue, pink, and green for terrain variety
             // We want roughly equal distribution for visual diversity
-            color: (() => {
-                const r = this.seededRandom();
-                if (r < 1/3) return this.neonBlue;
-                if (r < 2/3) return this.neonPink;
-                return this.neonGreen;
-            })(),
+            color,
             angle: segmentAngleRad,
             bodies: [] // Track associated physics bodies for cleanup
         };
         
+        // Curves are sampled once here and reused for collision and drawing
+        if (segment.curve) {
+            segment.points = this.sampleSegment(segment, TerrainConfig.spline.samplesPerSegment);
+        }
+        
+        // Reshape the segment before any bodies exist if the player could not survive it
+        if (!isFirstSegment && TerrainConfig.validation.enabled) {
+            this.applyValidation(segment);
+        }
+        
         // Add to terrain segments array
         this.terrainSegments.push(segment);
         
         // Update last terrain Y for next segment
-        this.lastTerrainY = newY;
+        this.lastTerrainY = segment.endY;
         
         // Create sub-segments for collision like in GameScene
         this.createSubSegments(segment);
@@ -155,38 +255,211 @@ export default class TerrainManager {
         return segment;
     }
     
+    /**
+     * Runs the landability check on a new segment and repairs it if needed
+     * Whatever was going to follow the segment is moved along with its end
+     * @param {Object} segment - New segment, not yet placed
+     * @private
+     */
+    applyValidation(segment) {
+        const result = this.validator.repairSegment(segment, this.terrainSegments);
+        this.validationStats.checked++;
+        if (!result.repaired) return;
+        
+        this.validationStats.repaired++;
+        result.issues.forEach(issue => {
+            this.validationStats.issues[issue.type] = (this.validationStats.issues[issue.type] || 0) + 1;
+        });
+        
+        // The rest of a chunk keeps its shape, just shifted to the new end height
+        this.pendingChunkSpans.forEach(span => {
+            span.endY += result.deltaY;
+        });
+        
+        // Curve state no longer matches the terrain, so the next span starts a fresh curve
+        this.generator.reset();
+    }
+    
+    /**
+     * Reports on the landability of the terrain currently in memory
+     * @returns {{landable: boolean, spansChecked: number, issues: Array<Object>,
+     *     stats: {checked: number, repaired: number, issues: Object<string, number>}}}
+     *     Validation report plus how many segments were checked and repaired so far
+     */
+    getValidationReport() {
+        return {
+            ...this.validator.validate(this.terrainSegments),
+            stats: { ...this.validationStats, issues: { ...this.validationStats.issues } }
+        };
+    }
+    
+    /**
+     * Possibly starts a hand-made chunk at the given point
+     * The chunk's polyline is offset so its first point sits on the current terrain end
+     * @param {number} prevX - X where the chunk would start
+     * @param {number} prevY - Terrain height there (lastTerrainY)
+     * @returns {Object|null} The chunk's first span, or null to stay procedural
+     * @private
+     */
+    startChunk(prevX, prevY) {
+        if (!TerrainConfig.chunks.enabled || !this.chunkLibrary || this.chunkLibrary.size === 0) return null;
+        if (prevX < this.nextChunkX) return null;
+        if (this.chunkRandom() >= TerrainConfig.chunks.chance) return null;
+        
+        const meters = (prevX - this.terrainStartX) / TerrainConfig.pixelsPerMeter;
+        const chunk = this.chunkLibrary.pick(this.chunkRandom, meters);
+        if (!chunk) return null;
+        
+        const spans = chunk.points.slice(1).map(([x, y], i) => ({
+            endX: prevX + x,
+            endY: prevY + y,
+            color: chunk.colors[i],
+            chunkId: chunk.id,
+            chunkType: chunk.type,
+            isLast: i === chunk.points.length - 2
+        }));
+        
+        this.nextChunkX = spans[spans.length - 1].endX + TerrainConfig.chunks.minGap;
+        this.pendingChunkSpans = spans;
+        return this.pendingChunkSpans.shift();
+    }
+    
+    /**
+     * Maps a chunk colour name to the matching terrain colour
+     * @param {string} name - 'blue', 'magenta' or 'green'
+     * @returns {number} Terrain colour
+     */
+    colorFromName(name) {
+        return { blue: this.neonBlue, magenta: this.neonPink, green: this.neonGreen }[name];
+    }
+    
+    /**
+     * Gets the difficulty settings in effect at an x position
+     * @param {number} xPos - World x position
+     * @returns {Object} Resolved difficulty milestone (see TerrainConfig.difficulty)
+     */
+    getDifficultyAt(xPos) {
+        const meters = Math.max(0, xPos - this.terrainStartX) / TerrainConfig.pixelsPerMeter;
+        return this.difficulty.getSettingsAt(meters);
+    }
+    
+    /**
+     * Picks a seeded slope for terrain starting at an x position
+     * The band odds and spread come from the difficulty curve
+     * @param {number} xPos - World x position the slope starts at
+     * @returns {number} Drop in pixels per 100px of run (negative for upslopes)
+     */
+    pickSlopeDrop(xPos) {
+        const settings = this.getDifficultyAt(xPos);
+        const names = Object.keys(TerrainConfig.slopeBands);
+        const weights = names.map(name => settings.slopeWeights[name] || 0);
+        const band = TerrainConfig.slopeBands[names[DifficultyCurve.pickWeighted(weights, this.seededRandom())]];
+        
+        // Widen the band around its centre as variance grows
+        const centre = (band.min + band.max) / 2;
+        const halfSpan = (band.max - band.min) / 2 * settings.slopeVariance;
+        const min = Math.round(centre - halfSpan);
+        const max = Math.round(centre + halfSpan);
+        
+        // Pure climbs are drawn as a climb height and negated, the way the original table
+        // did it, so existing seeds keep generating the same terrain
+        if (max <= 0) {
+            return -this.randomBetween(-max, -min);
+        }
+        return this.randomBetween(min, max);
+    }
+    
+    /**
+     * Picks a segment colour using the current colour weights
+     * @param {number} xPos - World x position the segment starts at
+     * @param {Function} random - Random function to draw from
+     * @returns {number} Segment colour
+     */
+    pickSegmentColor(xPos, random) {
+        const { blue, magenta, green } = this.getColorWeights(xPos);
+        const index = DifficultyCurve.pickWeighted([blue, magenta, green], random());
+        return [this.neonBlue, this.neonPink, this.neonGreen][index];
+    }
+    
+    /**
+     * Gets the colour weights for a new segment: the difficulty curve's weights scaled
+     * by every active colour modifier
+     * @param {number} xPos - World x position the segment starts at
+     * @returns {{blue: number, magenta: number, green: number}} Relative weights
+     */
+    getColorWeights(xPos) {
+        const weights = { ...this.getDifficultyAt(xPos).colorWeights };
+        this.colorModifiers.forEach(({ multipliers }) => {
+            Object.entries(multipliers).forEach(([name, factor]) => {
+                weights[name] *= factor;
+            });
+        });
+        return weights;
+    }
+    
+    /**
+     * Gets the chance of each colour for the next segment generated, e.g. for the HUD
+     * @returns {{blue: number, magenta: number, green: number}} Chances adding up to 1
+     */
+    getColorOdds() {
+        const lastSegment = this.terrainSegments[this.terrainSegments.length - 1];
+        const weights = this.getColorWeights(lastSegment ? lastSegment.endX : this.terrainStartX);
+        const total = weights.blue + weights.magenta + weights.green;
+        return { blue: weights.blue / total, magenta: weights.magenta / total, green: weights.green / total };
+    }
+    
+    /**
+     * Adds a timed colour modifier. Modifiers stack, including several with the same id.
+     * Segments already generated keep their colour.
+     * @param {string} id - What added it, e.g. a collectible type id
+     * @param {Object} multipliers - Factor per colour name ('blue', 'magenta', 'green');
+     *     colours left out are unchanged
+     * @param {number} now - Simulation time in ms
+     * @param {number} durationMs - How long it lasts
+     * @returns {Object} The modifier
+     */
+    addColorModifier(id, multipliers, now, durationMs) {
+        const modifier = { id, multipliers: { ...multipliers }, expiresAt: now + durationMs };
+        this.colorModifiers.push(modifier);
+        return modifier;
+    }
+    
+    /**
+     * Drops colour modifiers whose time is up. Call once per physics step.
+     * @param {number} now - Simulation time in ms
+     * @returns {Array<Object>} The modifiers that expired
+     */
+    expireColorModifiers(now) {
+        const expired = this.colorModifiers.filter(modifier => now >= modifier.expiresAt);
+        if (expired.length > 0) {
+            this.colorModifiers = this.colorModifiers.filter(modifier => now < modifier.expiresAt);
+        }
+        return expired;
+    }
+    
     /**
      * Creates sub-segments for smoother collision detection
      * @param {Object} segment - The main segment to divide into sub-segments
      */
     createSubSegments(segment) {
         // Break the slope into sub-rectangles for smooth collision, just like GameScene
-        const subSegmentCount = 5; // Same as GameScene
+        const points = segment.points || this.sampleSegment(segment, TerrainConfig.straight.subSegmentCount);
         
-        for (let i = 0; i < subSegmentCount; i++) {
-            const t1 = i / subSegmentCount;
-            const t2 = (i + 1) / subSegmentCount;
-            
-            const x1 = Phaser.Math.Linear(segment.x, segment.endX, t1);
-            const y1 = Phaser.Math.Linear(segment.y, segment.endY, t1);
-            const x2 = Phaser.Math.Linear(segment.x, segment.endX, t2);
-            const y2 = Phaser.Math.Linear(segment.y, segment.endY, t2);
+        for (let i = 0; i < points.length - 1; i++) {
+            const { x: x1, y: y1 } = points[i];
+            const { x: x2, y: y2 } = points[i + 1];
             
             const centerX = (x1 + x2) / 2;
             const centerY = (y1 + y2) / 2;
             const length = Phaser.Math.Distance.Between(x1, y1, x2, y2);
             const thickness = 5; // Same as GameScene
             
-            // Create a static Matter rectangle (invisible, purely for collision)
-            const body = this.scene.matter.add.rectangle(
-                centerX, centerY, length, thickness, {
-                    isStatic: true,
-                    angle: Math.atan2(y2 - y1, x2 - x1),
-                    friction: 0.01,
-                    label: 'terrain',
-                    segmentId: this.terrainSegments.length - 1 // Associate with segment for cleanup
-                }
+            // Static Matter rectangle (invisible, purely for collision)
+            const body = this.acquireBody(
+                this.terrainBodyPool, TERRAIN_BODY_OPTIONS,
+                centerX, centerY, length, thickness, Math.atan2(y2 - y1, x2 - x1)
             );
+            body.segmentId = this.terrainSegments.length - 1; // Associate with segment for cleanup
             
             // Store terrain angle for collision callback, same as GameScene
             body.terrainAngle = body.angle;
@@ -195,7 +468,7 @@ export default class TerrainManager {
         
         // Create a single large safe floor block that starts 50px below the lowest point of the segment
         // This is much simpler and more reliable than trying to follow the terrain contour exactly
-        const lowestY = Math.max(segment.y, segment.endY); // Find the lowest (higher Y value) point of the segment
+        const lowestY = Math.max(...points.map(p => p.y)); // Find the lowest (higher Y value) point of the segment
         const safeFloorY = lowestY + 50; // Position floor 50 pixels below the lowest point
         
         // Create a rectangle that covers the entire segment width and extends down
@@ -203,26 +476,106 @@ export default class TerrainManager {
         const floorHeight = this.floorDepth; // How far down the floor extends
         
         // Create the floor body - positioned safely below terrain
-        const safeFloorBody = this.scene.matter.add.rectangle(
+        const safeFloorBody = this.acquireBody(
+            this.floorBodyPool, FLOOR_BODY_OPTIONS,
             segment.x + (floorWidth / 2), // Center X of segment
             safeFloorY + (floorHeight / 2), // Center Y starting 50px below terrain and extending down
             floorWidth, // Cover the entire segment width
-            floorHeight, // Extend down by floorDepth
-            {
-                isStatic: true,
-                friction: 0, // No friction to avoid affecting player physics when not needed
-                label: 'terrain_floor',
-                collisionFilter: {
-                    category: 0x0002, // Floor category
-                    mask: 0x0001     // Player category
-                }
-            }
+            floorHeight // Extend down by floorDepth
         );
         
         // Store the floor body for cleanup
         segment.floorBody = safeFloorBody;
         this.floorBodies.push(safeFloorBody);
     }
+    
+    /**
+     * Takes a static rectangle from a pool, or creates one when pooling is off
+     * @param {BodyPool|null} pool - Pool to draw from
+     * @param {Object} options - Matter body options used when pooling is off
+     * @param {number} x - Centre x
+     * @param {number} y - Centre y
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @param {number} [angle=0] - Rotation in radians
+     * @returns {Object} Matter body in the world
+     * @private
+     */
+    acquireBody(pool, options, x, y, width, height, angle = 0) {
+        if (pool) {
+            return pool.acquire(x, y, width, height, angle);
+        }
+        return this.scene.matter.add.rectangle(x, y, width, height, BodyPool.bodyOptionsFor(options, angle));
+    }
+    
+    /**
+     * Takes a segment's collision strips and floor block out of the world
+     * Pooled bodies go back to their pool for the next segment
+     * @param {Object} segment - Segment being dropped
+     * @private
+     */
+    releaseSegmentBodies(segment) {
+        if (segment.bodies) {
+            segment.bodies.forEach(body => {
+                if (this.terrainBodyPool) {
+                    this.terrainBodyPool.release(body);
+                } else {
+                    this.scene.matter.world.remove(body);
+                }
+            });
+            segment.bodies = [];
+        }
+        
+        if (segment.floorBody) {
+            if (this.floorBodyPool) {
+                this.floorBodyPool.release(segment.floorBody);
+            } else {
+                this.scene.matter.world.remove(segment.floorBody);
+            }
+            const idx = this.floorBodies.indexOf(segment.floorBody);
+            if (idx !== -1) {
+                this.floorBodies.splice(idx, 1);
+            }
+            segment.floorBody = null;
+        }
+    }
+    
+    /**
+     * Samples evenly spaced points along a segment, following its curve if it has one
+     * @param {Object} segment - The segment to sample
+     * @param {number} count - Number of sub-segments (returns count + 1 points)
+     * @returns {Array<{x: number, y: number}>} Points from the segment start to its end
+     */
+    sampleSegment(segment, count) {
+        const points = [];
+        for (let i = 0; i <= count; i++) {
+            const t = i / count;
+            const x = Phaser.Math.Linear(segment.x, segment.endX, t);
+            const y = segment.curve
+                ? catmullRom(segment.curve.y0, segment.curve.y1, segment.curve.y2, segment.curve.y3, t)
+                : Phaser.Math.Linear(segment.y, segment.endY, t);
+            points.push({ x, y });
+        }
+        return points;
+    }
+    
+    /**
+     * Strokes one segment's surface, as a smooth polyline for curved segments
+     * @param {Object} seg - The segment to draw
+     * @private
+     */
+    strokeSegmentPath(seg) {
+        this.terrainGraphics.beginPath();
+        this.terrainGraphics.moveTo(seg.x, seg.y);
+        if (seg.points) {
+            for (let i = 1; i < seg.points.length; i++) {
+                this.terrainGraphics.lineTo(seg.points[i].x, seg.points[i].y);
+            }
+        } else {
+            this.terrainGraphics.lineTo(seg.endX, seg.endY);
+        }
+        this.terrainGraphics.strokePath();
+    }
 
     
     /**
@@ -242,14 +595,16 @@ export default class TerrainManager {
         // Draw each segment using the same visual style as GameScene
         for (const seg of this.terrainSegments) {
             // Primary neon line (thinner, full brightness)
-            this.terrainGraphics.lineStyle(5, seg.color, 1).beginPath();
-            this.terrainGraphics.moveTo(seg.x, seg.y);
-            this.terrainGraphics.lineTo(seg.endX, seg.endY).strokePath();
+            this.terrainGraphics.lineStyle(5, seg.color, 1);
+            this.strokeSegmentPath(seg);
             
             // Secondary glow line (thicker, lower opacity)
-            this.terrainGraphics.lineStyle(8, seg.color, 0.3).beginPath();
-            this.terrainGraphics.moveTo(seg.x, seg.y);
-            this.terrainGraphics.lineTo(seg.endX, seg.endY).strokePath();
+            this.terrainGraphics.lineStyle(8, seg.color, 0.3);
+            this.strokeSegmentPath(seg);
+            
+            if (seg.glitchZoneEntry) {
+                this.drawGlitchZoneMarker(seg.x, seg.y);
+            }
             
             // Draw debug visualization for floor bodies if enabled
             if (this.showDebugBodies && this.debugGraphics) {
@@ -296,45 +651,128 @@ export default class TerrainManager {
     }
     
     /**
-     * Finds the terrain height at a specific X position
-     * Uses linear interpolation to determine the exact height
+     * Gets the surface height of one segment at a specific X position
+     * Follows the curve for spline segments and interpolates linearly otherwise
+     * @param {Object} segment - Segment containing xPos
      * @param {number} xPos - The x position to check
-     * @returns {number} The terrain height at the specified position
+     * @returns {number} The surface height at the specified position
      */
-    findTerrainHeightAt(xPos) {
-        for (let i = 0; i < this.terrainSegments.length; i++) {
-            const segment = this.terrainSegments[i];
-            if (xPos >= segment.x && xPos <= segment.endX) {
-                // Linear interpolation to find y value
-                const ratio = (xPos - segment.x) / this.segmentWidth;
-                const height = segment.y + (segment.endY - segment.y) * ratio;
-                return height;
-            }
+    getSegmentHeightAt(segment, xPos) {
+        const ratio = (xPos - segment.x) / (segment.endX - segment.x);
+        if (segment.curve) {
+            const { y0, y1, y2, y3 } = segment.curve;
+            return catmullRom(y0, y1, y2, y3, ratio);
         }
-        
-        // Default if no terrain found at that position
-        return 500;
+        return segment.y + (segment.endY - segment.y) * ratio;
     }
     
     /**
-     * Gets the slope angle (in radians) at a specific X position
-     * Used for physics calculations and player orientation
+     * Gets the surface slope angle (in radians) of one segment at a specific X position
+     * Uses the curve's tangent for spline segments
+     * @param {Object} segment - Segment containing xPos
      * @param {number} xPos - The x position to check
      * @returns {number} The slope angle in radians
      */
-    getSlopeAngleAt(xPos) {
-        for (let i = 0; i < this.terrainSegments.length; i++) {
-            const segment = this.terrainSegments[i];
-            if (xPos >= segment.x && xPos <= segment.endX) {
-                // Calculate angle based on segment slope
-                const deltaY = segment.endY - segment.y;
-                const deltaX = this.segmentWidth;
-                return Math.atan2(deltaY, deltaX);
+    getSegmentSlopeAt(segment, xPos) {
+        const width = segment.endX - segment.x;
+        if (segment.curve) {
+            const { y0, y1, y2, y3 } = segment.curve;
+            // dy/dt over dx/dt, where dx/dt is the segment width because x is linear in t
+            const ratio = (xPos - segment.x) / width;
+            return Math.atan2(catmullRomDerivative(y0, y1, y2, y3, ratio), width);
+        }
+        return Math.atan2(segment.endY - segment.y, width);
+    }
+    
+    /**
+     * Draws the warning gate at the start of a glitch zone
+     * A tall beam with offset scanline bars, visible well before the player reaches it
+     * @param {number} x - Zone start x
+     * @param {number} y - Terrain height at the zone start
+     * @private
+     */
+    drawGlitchZoneMarker(x, y) {
+        const top = y - 220;
+        
+        this.terrainGraphics.lineStyle(10, this.glitchMarkerColor, 0.25).beginPath();
+        this.terrainGraphics.moveTo(x, top);
+        this.terrainGraphics.lineTo(x, y).strokePath();
+        
+        this.terrainGraphics.lineStyle(3, this.glitchMarkerColor, 1).beginPath();
+        this.terrainGraphics.moveTo(x, top);
+        this.terrainGraphics.lineTo(x, y).strokePath();
+        
+        // Fixed offsets so the bars look torn without needing a random draw every redraw
+        const bars = [[-18, 30, 14], [6, 75, 22], [-10, 120, 10], [12, 165, 18]];
+        this.terrainGraphics.lineStyle(4, this.neonYellow, 0.9);
+        for (const [offset, depth, width] of bars) {
+            this.terrainGraphics.beginPath();
+            this.terrainGraphics.moveTo(x + offset - width / 2, top + depth);
+            this.terrainGraphics.lineTo(x + offset + width / 2, top + depth).strokePath();
+        }
+    }
+    
+    /**
+     * Finds the segment under a specific X position
+     * Segments are kept in x order and laid end to end, so a binary search on endX finds
+     * the segment in O(log n) however long the look-ahead buffer grows. Widths vary
+     * (chunks, glitch zones, spline spans), which rules out indexing by a fixed width.
+     * Where two segments meet, the earlier one is returned.
+     * @param {number} xPos - The x position to check
+     * @returns {Object|null} The segment, or null if there is no terrain at that position
+     */
+    getSegmentAt(xPos) {
+        const segments = this.terrainSegments;
+        let low = 0;
+        let high = segments.length - 1;
+        
+        // First segment whose end is at or past xPos
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (segments[mid].endX < xPos) {
+                low = mid + 1;
+            } else {
+                high = mid;
             }
         }
         
-        // Default to flat ground if no terrain found
-        return 0;
+        const segment = segments[low];
+        if (segment && xPos >= segment.x && xPos <= segment.endX) {
+            return segment;
+        }
+        return null;
+    }
+    
+    /**
+     * Gets the glitch zone id at a specific X position
+     * @param {number} xPos - The x position to check
+     * @returns {number|null} Zone id, or null on regular terrain or where there is no terrain
+     */
+    getGlitchZoneAt(xPos) {
+        const segment = this.getSegmentAt(xPos);
+        return segment ? segment.glitchZone : null;
+    }
+    
+    /**
+     * Finds the terrain height at a specific X position
+     * Follows the segment's curve, or interpolates linearly along straight segments
+     * @param {number} xPos - The x position to check
+     * @returns {number|null} The terrain height, or null if there is no terrain at that position
+     */
+    findTerrainHeightAt(xPos) {
+        const segment = this.getSegmentAt(xPos);
+        return segment ? this.getSegmentHeightAt(segment, xPos) : null;
+    }
+    
+    /**
+     * Gets the slope angle (in radians) at a specific X position
+     * Used for physics calculations and player orientation; follows the tangent on curves
+     * @param {number} xPos - The x position to check
+     * @returns {number|null} The slope angle in radians, or null if there is no terrain at that position
+     */
+    getSlopeAngleAt(xPos) {
+        const segment = this.getSegmentAt(xPos);
+        return segment ? this.getSegmentSlopeAt(segment, xPos) : null;
     }
     
     /**
@@ -374,30 +812,8 @@ export default class TerrainManager {
         
         // Remove the identified segments and their physics bodies
         if (segmentsToRemove.length > 0) {
-            // Remove physics bodies for each segment
-            segmentsToRemove.forEach(segment => {
-                // Remove main terrain body
-                if (segment.body) {
-                    this.scene.matter.world.remove(segment.body);
-                }
-                
-                // Remove floor body if it exists
-                if (segment.floorBody) {
-                    this.scene.matter.world.remove(segment.floorBody);
-                    // Also remove from our tracking array
-                    const idx = this.floorBodies.indexOf(segment.floorBody);
-                    if (idx !== -1) {
-                        this.floorBodies.splice(idx, 1);
-                    }
-                }
-                
-                // Remove any sub-segment bodies
-                if (segment.bodies) {
-                    segment.bodies.forEach(body => {
-                        this.scene.matter.world.remove(body);
-                    });
-                }
-            });
+            // Release physics bodies for each segment
+            segmentsToRemove.forEach(segment => this.releaseSegmentBodies(segment));
             
             // Remove visual segments
             this.terrainSegments.splice(0, segmentsToRemove.length);
@@ -419,20 +835,8 @@ export default class TerrainManager {
             
             // If segment is far behind the player
             if (segment.endX < viewportLeft) {
-                // Remove this segment's physics body safely
-                if (segment.body && segment.body.id) {
-                    this.scene.matter.world.remove(segment.body);
-                }
-                
-                // Remove floor body if it exists
-                if (segment.floorBody && segment.floorBody.id) {
-                    this.scene.matter.world.remove(segment.floorBody);
-                    // Also remove from our tracking array
-                    const idx = this.floorBodies.indexOf(segment.floorBody);
-                    if (idx !== -1) {
-                        this.floorBodies.splice(idx, 1);
-                    }
-                }
+                // Release this segment's physics bodies
+                this.releaseSegmentBodies(segment);
                 
                 // Remove from our array
                 this.terrainSegments.splice(i, 1);
@@ -460,21 +864,25 @@ export default class TerrainManager {
         this.seededRandom = seededRandomFn || Math.random;
     }
     
+    /**
+     * Returns a seeded random integer between min and max (inclusive)
+     * Phaser.Math.Between draws from Math.random, which would give the same seed
+     * different slopes on every run and break replays of recorded runs
+     * @param {number} min - Lowest possible value
+     * @param {number} max - Highest possible value
+     * @returns {number} Random integer in the range [min, max]
+     */
+    randomBetween(min, max) {
+        return Math.floor(this.seededRandom() * (max - min + 1)) + min;
+    }
+    
     /**
      * Resets the terrain system
      * Used when restarting the scene or resetting the game
      */
     reset() {
-        // Clean up all terrain bodies
-        this.terrainSegments.forEach(segment => {
-            if (segment.body && segment.body.id) {
-                this.scene.matter.world.remove(segment.body);
-            }
-            
-            if (segment.floorBody && segment.floorBody.id) {
-                this.scene.matter.world.remove(segment.floorBody);
-            }
-        });
+        // Clean up all terrain bodies; pooled ones are kept for the new terrain
+        this.terrainSegments.forEach(segment => this.releaseSegmentBodies(segment));
         
         // Clean up all floor bodies
         this.floorBodies.forEach(body => {
@@ -500,15 +908,11 @@ export default class TerrainManager {
      */
     destroy() {
         // Clean up all terrain bodies from Matter world
-        this.terrainSegments.forEach(segment => {
-            if (segment.body && segment.body.id) {
-                this.scene.matter.world.remove(segment.body);
-            }
-            
-            if (segment.floorBody && segment.floorBody.id) {
-                this.scene.matter.world.remove(segment.floorBody);
-            }
-        });
+        this.terrainSegments.forEach(segment => this.releaseSegmentBodies(segment));
+        if (this.terrainBodyPool) {
+            this.terrainBodyPool.clear();
+            this.floorBodyPool.clear();
+        }
         
         // Clean up all floor bodies
         this.floorBodies.forEach(body => {
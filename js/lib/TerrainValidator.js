@@ -0,0 +1,230 @@
+// js/lib/TerrainValidator.js
+// Checks new terrain against the player's physics and repairs unlandable spots
+// ------------------------------------------------------
+
+/**
+ * @fileoverview TerrainValidator makes sure every stretch of generated terrain can be
+ * survived. Its limits come from the game's own rules rather than hand-picked numbers:
+ *
+ * - Landing angle: the steepest surface a rider can settle onto without RotationSystem
+ *   calling it a fail or crash (the edge of the wobble range, minus a margin).
+ * - Climb height: how high a full jump lifts the rider under PhysicsConfig gravity.
+ *   A continuous climb taller than that can stop a run dead.
+ * - Transition: how sharply the surface may bend upward from one span to the next, so
+ *   a steep drop never runs straight into a wall.
+ *
+ * TerrainManager calls repairSegment() on every new segment before its physics bodies
+ * are built, and validate() returns a report for any list of segments.
+ *
+ * @module TerrainValidator
+ * @requires RotationSystem
+ */
+
+import PhysicsConfig from '../config/physics-config.js';
+import TerrainConfig from '../config/terrain-config.js';
+import RotationSystem from '../utils/RotationSystem.js';
+
+/**
+ * Matter's default gravity scale: world gravity 1 accelerates bodies by 0.001 px/ms²
+ * @type {number}
+ */
+const MATTER_GRAVITY_SCALE = 0.001;
+
+/**
+ * Length of the reference frame PhysicsConfig velocities are expressed in (60fps)
+ * @type {number}
+ */
+const VELOCITY_FRAME_MS = 1000 / 60;
+
+/**
+ * Slack allowed on every limit, so a span repaired to exactly the limit is not
+ * flagged again because of floating-point rounding
+ * @type {number}
+ */
+const TOLERANCE = 1e-6;
+
+/**
+ * Validates and repairs terrain segments for landability.
+ */
+export default class TerrainValidator {
+    /**
+     * @param {Object} [options] - Overrides, mostly for tests
+     * @param {Object} [options.physics=PhysicsConfig] - Physics settings providing jump and gravity
+     * @param {RotationSystem} [options.rotationSystem] - Landing rules to respect
+     * @param {Object} [options.config=TerrainConfig.validation] - Margins and transition limits
+     */
+    constructor({ physics = PhysicsConfig, rotationSystem = new RotationSystem(), config = TerrainConfig.validation } = {}) {
+        this.config = config;
+        this.maxLandingAngleDeg = TerrainValidator.findMaxLandingAngle(rotationSystem) - config.landingAngleMarginDeg;
+        this.maxClimbHeight = TerrainValidator.computeJumpHeight(physics) * config.climbHeightFactor;
+        this.maxUpwardTurnDeg = config.maxUpwardTurnDeg;
+    }
+
+    /**
+     * Finds the largest offset from the slope RotationSystem still accepts as a landing
+     * (safe or wobble), which is also the steepest slope a level sled can land on
+     * @param {RotationSystem} rotationSystem - Landing rules
+     * @returns {number} Angle in degrees
+     */
+    static findMaxLandingAngle(rotationSystem) {
+        let angle = 0;
+        while (angle < 180) {
+            const next = angle + 0.5;
+            const forward = rotationSystem.getStabilityState(next);
+            const backward = rotationSystem.getStabilityState(-next);
+            if (forward === 'fail' || forward === 'crash' || backward === 'fail' || backward === 'crash') break;
+            angle = next;
+        }
+        return angle;
+    }
+
+    /**
+     * Height of a full-strength jump: v² / 2g, with the jump velocity converted from
+     * px per 60fps frame and gravity from Matter's scale
+     * @param {Object} physics - PhysicsConfig-shaped settings
+     * @returns {number} Jump apex height in pixels
+     */
+    static computeJumpHeight(physics) {
+        const velocity = Math.abs(physics.jump.jumpVelocity) / VELOCITY_FRAME_MS; // px/ms
+        const gravity = physics.physics.gravityY * MATTER_GRAVITY_SCALE; // px/ms²
+        return (velocity * velocity) / (2 * gravity);
+    }
+
+    /**
+     * Breaks segments into straight spans, following sampled curves
+     * @param {Array<Object>} segments - Terrain segments in order
+     * @returns {Array<{x: number, y: number, endX: number, endY: number, angle: number, segmentIndex: number}>} Spans
+     */
+    static toSpans(segments) {
+        const spans = [];
+        segments.forEach((segment, segmentIndex) => {
+            const points = segment.points || [{ x: segment.x, y: segment.y }, { x: segment.endX, y: segment.endY }];
+            for (let i = 0; i < points.length - 1; i++) {
+                const a = points[i];
+                const b = points[i + 1];
+                spans.push({ x: a.x, y: a.y, endX: b.x, endY: b.y, angle: Math.atan2(b.y - a.y, b.x - a.x), segmentIndex });
+            }
+        });
+        return spans;
+    }
+
+    /**
+     * Checks one span against the limits, given the spans before it
+     * @param {Object} span - Span to check
+     * @param {Object|null} previous - Span right before it
+     * @param {number} climbBefore - Height already climbed by the uphill run leading into this span
+     * @returns {Array<{type: string, detail: string}>} Problems found
+     * @private
+     */
+    checkSpan(span, previous, climbBefore) {
+        const issues = [];
+        const angleDeg = Phaser.Math.RadToDeg(span.angle);
+
+        if (Math.abs(angleDeg) > this.maxLandingAngleDeg + TOLERANCE) {
+            issues.push({ type: 'steepLanding', detail: `${angleDeg.toFixed(1)}° is past the ${this.maxLandingAngleDeg}° landing limit` });
+        }
+
+        if (previous) {
+            const upwardTurn = Phaser.Math.RadToDeg(previous.angle - span.angle);
+            if (upwardTurn > this.maxUpwardTurnDeg + TOLERANCE) {
+                issues.push({ type: 'sharpTransition', detail: `surface bends up by ${upwardTurn.toFixed(1)}° (limit ${this.maxUpwardTurnDeg}°)` });
+            }
+        }
+
+        const climb = climbBefore + Math.max(0, span.y - span.endY);
+        if (climb > this.maxClimbHeight + TOLERANCE) {
+            issues.push({ type: 'unclimbable', detail: `${climb.toFixed(0)}px climb is taller than a ${this.maxClimbHeight.toFixed(0)}px jump allows` });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Height climbed by the uphill run that ends at the last span
+     * @param {Array<Object>} spans - Spans in order
+     * @returns {number} Climb in pixels (0 if the last span is not uphill)
+     * @private
+     */
+    static trailingClimb(spans) {
+        let climb = 0;
+        for (let i = spans.length - 1; i >= 0 && spans[i].endY < spans[i].y; i--) {
+            climb += spans[i].y - spans[i].endY;
+        }
+        return climb;
+    }
+
+    /**
+     * Validates a list of consecutive segments
+     * @param {Array<Object>} segments - Terrain segments in order
+     * @returns {{landable: boolean, spansChecked: number, issues: Array<{type: string, segmentIndex: number, x: number, detail: string}>}}
+     *     Report; landable is true when no issues were found
+     */
+    validate(segments) {
+        const spans = TerrainValidator.toSpans(segments);
+        const issues = [];
+        let climb = 0;
+
+        spans.forEach((span, i) => {
+            const previous = i > 0 ? spans[i - 1] : null;
+            this.checkSpan(span, previous, climb).forEach(issue => {
+                issues.push({ ...issue, segmentIndex: span.segmentIndex, x: span.x });
+            });
+            climb = span.endY < span.y ? climb + (span.y - span.endY) : 0;
+        });
+
+        return { landable: issues.length === 0, spansChecked: spans.length, issues };
+    }
+
+    /**
+     * Reshapes a new segment so it passes validation after the segments already placed.
+     * Only the new segment's end height changes: earlier segments already have physics
+     * bodies. A failing curve is straightened, since its shape is what failed.
+     * @param {Object} segment - New segment (not yet added to the terrain)
+     * @param {Array<Object>} placed - Segments already placed, in order
+     * @returns {{repaired: boolean, deltaY: number, issues: Array<Object>}} What was wrong and how far the end moved
+     */
+    repairSegment(segment, placed) {
+        const recent = placed.slice(-this.config.windowSegments);
+        const priorSpans = TerrainValidator.toSpans(recent);
+        const previous = priorSpans.length > 0 ? priorSpans[priorSpans.length - 1] : null;
+
+        // Check the new segment's own spans in context
+        let climb = TerrainValidator.trailingClimb(priorSpans);
+        let last = previous;
+        const issues = [];
+        TerrainValidator.toSpans([segment]).forEach(span => {
+            issues.push(...this.checkSpan(span, last, climb));
+            climb = span.endY < span.y ? climb + (span.y - span.endY) : 0;
+            last = span;
+        });
+
+        if (issues.length === 0) {
+            return { repaired: false, deltaY: 0, issues };
+        }
+
+        // Rebuild the segment as one straight span with the angle pulled inside every limit
+        const width = segment.endX - segment.x;
+        const limit = Phaser.Math.DegToRad(this.maxLandingAngleDeg);
+        let angle = Phaser.Math.Clamp(Math.atan2(segment.endY - segment.y, width), -limit, limit);
+
+        if (previous) {
+            angle = Math.max(angle, previous.angle - Phaser.Math.DegToRad(this.maxUpwardTurnDeg));
+            angle = Math.min(angle, limit);
+        }
+
+        const climbAllowance = this.maxClimbHeight - TerrainValidator.trailingClimb(priorSpans);
+        if (angle < 0 && -Math.tan(angle) * width > climbAllowance) {
+            angle = -Math.atan2(Math.max(0, climbAllowance), width);
+        }
+
+        const newEndY = segment.y + Math.tan(angle) * width;
+        const deltaY = newEndY - segment.endY;
+
+        segment.endY = newEndY;
+        segment.angle = angle;
+        segment.curve = null;
+        delete segment.points;
+
+        return { repaired: true, deltaY, issues };
+    }
+}
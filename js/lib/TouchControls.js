@@ -0,0 +1,323 @@
+// js/lib/TouchControls.js
+// On-screen touch buttons that drive Manette's actions
+// ------------------------------------------------------
+
+/**
+ * @fileoverview TouchControls draws round on-screen buttons over the game and tracks
+ * which of them are held, one finger per button, so the player can hold rotate with
+ * one thumb and jump with the other. Manette reads the held buttons each frame
+ * (see Manette.pollTouch()), so touch input reaches the game exactly like keys do,
+ * recordings included.
+ *
+ * Button positions are fractions of the screen, so they follow resizes. The two
+ * layouts are mirror images of each other. The brake and trick buttons walk left and
+ * right in walk mode, as A and D do on the keyboard.
+ *
+ * @module TouchControls
+ */
+
+/**
+ * Fingers the overlay must be able to track at once
+ * @type {number}
+ */
+export const TOUCH_POINTS = 3;
+
+/**
+ * Buttons for the right-handed layout: rotation and brake/trick under the left thumb,
+ * jump and the walk toggle under the right. Positions and radius are fractions of the
+ * screen width/height and of the shorter screen side.
+ * @type {Array<{name: string, label: string, actions: Array<string>, x: number, y: number, radius: number}>}
+ */
+const RIGHT_HANDED_BUTTONS = [
+    { name: 'brake', label: 'BRK', actions: ['brakeAction', 'walkLeft'], x: 0.08, y: 0.66, radius: 0.07 },
+    { name: 'trick', label: 'TRK', actions: ['trickAction', 'walkRight'], x: 0.21, y: 0.66, radius: 0.07 },
+    { name: 'rotateCounterClockwise', label: 'CCW', actions: ['rotateCounterClockwise'], x: 0.08, y: 0.86, radius: 0.07 },
+    { name: 'rotateClockwise', label: 'CW', actions: ['rotateClockwise'], x: 0.21, y: 0.86, radius: 0.07 },
+    { name: 'jump', label: 'JUMP', actions: ['jump'], x: 0.89, y: 0.83, radius: 0.1 },
+    { name: 'toggleWalkMode', label: 'WALK', actions: ['toggleWalkMode'], x: 0.91, y: 0.6, radius: 0.06 },
+    { name: 'pause', label: 'II', actions: [], x: 0.95, y: 0.2, radius: 0.05 }
+];
+
+/**
+ * Button sets by layout name (the `touchLayout` setting)
+ * @type {Object<string, Array<Object>>}
+ */
+export const TOUCH_LAYOUTS = {
+    right: RIGHT_HANDED_BUTTONS,
+    // The pause button stays top right in both layouts, away from the HUD's score
+    left: RIGHT_HANDED_BUTTONS.map(button => (button.name === 'pause' ? button : { ...button, x: 1 - button.x }))
+};
+
+/**
+ * Whether the browser reports a touch screen
+ * @param {Object} [env=globalThis] - Global object to inspect
+ * @returns {boolean} True on touch devices
+ */
+export function isTouchDevice(env = globalThis) {
+    const nav = env.navigator;
+    return !!((nav && nav.maxTouchPoints > 0) || (env.window && 'ontouchstart' in env.window));
+}
+
+/**
+ * Whether the overlay should be shown for a `touchControls` setting
+ * @param {string} mode - 'auto', 'on' or 'off'
+ * @param {Object} [env=globalThis] - Global object to inspect for 'auto'
+ * @returns {boolean} True to show the overlay
+ */
+export function shouldShowTouchControls(mode, env = globalThis) {
+    if (mode === 'on') return true;
+    if (mode === 'off') return false;
+    return isTouchDevice(env);
+}
+
+/**
+ * Places a layout's buttons on a screen
+ * @param {string} layout - Layout name, a TOUCH_LAYOUTS key
+ * @param {number} width - Screen width in pixels
+ * @param {number} height - Screen height in pixels
+ * @returns {Array<Object>} Buttons with x, y and radius in pixels
+ */
+export function layoutTouchButtons(layout, width, height) {
+    const unit = Math.min(width, height);
+    return (TOUCH_LAYOUTS[layout] || TOUCH_LAYOUTS.right).map(button => ({
+        ...button,
+        x: button.x * width,
+        y: button.y * height,
+        radius: button.radius * unit
+    }));
+}
+
+/**
+ * On-screen controls for touch screens.
+ */
+export default class TouchControls {
+    /**
+     * Creates the overlay; call create() to draw it and start listening.
+     * @param {Phaser.Scene} scene - Scene to draw in
+     * @param {Object} [options] - Options
+     * @param {string} [options.layout='right'] - Layout name, a TOUCH_LAYOUTS key
+     * @param {number} [options.opacity=0.5] - Opacity of released buttons, 0 to 1
+     * @param {Function} [options.onPause] - Called when the pause button is tapped
+     */
+    constructor(scene, { layout = 'right', opacity = 0.5, onPause = null } = {}) {
+        this.scene = scene;
+        this.layout = layout;
+        this.opacity = opacity;
+        this.onPause = onPause;
+
+        this.buttons = [];
+        this.visuals = [];
+        this.heldBy = new Map(); // pointer id -> name of the button it holds
+        this.togglePending = false;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+    }
+
+    /**
+     * Draws the buttons and starts tracking pointers
+     */
+    create() {
+        const input = this.scene.input;
+        // Phaser tracks a single touch unless told otherwise
+        const missing = TOUCH_POINTS - input.manager.pointersTotal;
+        if (missing > 0) {
+            input.addPointer(missing);
+        }
+
+        input.on('pointerdown', this.handlePointerDown);
+        input.on('pointermove', this.handlePointerMove);
+        input.on('pointerup', this.handlePointerUp);
+        input.on('pointerupoutside', this.handlePointerUp);
+
+        const { width, height } = this.scene.cameras.main;
+        this.build(width, height);
+    }
+
+    /**
+     * (Re)creates the button graphics for a screen size
+     * @param {number} width - Screen width in pixels
+     * @param {number} height - Screen height in pixels
+     * @private
+     */
+    build(width, height) {
+        this.visuals.forEach(({ circle, text }) => {
+            circle.destroy();
+            text.destroy();
+        });
+
+        this.buttons = layoutTouchButtons(this.layout, width, height);
+        this.visuals = this.buttons.map(button => ({
+            circle: this.scene.add.circle(button.x, button.y, button.radius, 0x00ffff, 0.25)
+                .setStrokeStyle(3, 0x00ffff)
+                .setScrollFactor(0)
+                .setDepth(150),
+            text: this.scene.add.text(button.x, button.y, button.label, {
+                fontFamily: '"Press Start 2P"',
+                fontSize: `${Math.max(8, Math.round(button.radius * 0.35))}px`,
+                color: '#ffffff'
+            }).setOrigin(0.5).setScrollFactor(0).setDepth(151)
+        }));
+        this.refresh();
+    }
+
+    /**
+     * Shows held buttons brighter than released ones
+     * @private
+     */
+    refresh() {
+        const held = new Set(this.heldBy.values());
+        this.buttons.forEach((button, i) => {
+            const { circle, text } = this.visuals[i];
+            const alpha = held.has(button.name) ? Math.min(1, this.opacity + 0.35) : this.opacity;
+            circle.setAlpha(alpha);
+            text.setAlpha(alpha);
+        });
+    }
+
+    /**
+     * The button under a screen position. Hit areas are a little larger than the
+     * drawn circles, since a thumb is less precise than a mouse.
+     * @param {number} x - Screen x
+     * @param {number} y - Screen y
+     * @returns {Object|null} The closest button in reach, or null
+     */
+    buttonAt(x, y) {
+        let closest = null;
+        let closestDistance = Infinity;
+        this.buttons.forEach(button => {
+            const distance = Math.hypot(x - button.x, y - button.y);
+            if (distance <= button.radius * 1.25 && distance < closestDistance) {
+                closest = button;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+
+    /**
+     * A finger touched the screen: hold a button, or tap pause / the walk toggle
+     * @param {Phaser.Input.Pointer} pointer - The pointer that went down
+     */
+    handlePointerDown(pointer) {
+        const button = this.buttonAt(pointer.x, pointer.y);
+        if (!button) return;
+
+        if (button.name === 'pause') {
+            if (this.onPause) this.onPause();
+        } else if (button.name === 'toggleWalkMode') {
+            this.togglePending = true;
+        } else {
+            this.heldBy.set(pointer.id, button.name);
+        }
+        this.refresh();
+    }
+
+    /**
+     * A finger slid: it holds whichever button it is on now, so rolling the thumb
+     * from CCW to CW switches rotation without lifting it
+     * @param {Phaser.Input.Pointer} pointer - The pointer that moved
+     */
+    handlePointerMove(pointer) {
+        if (!this.heldBy.has(pointer.id)) return;
+
+        const button = this.buttonAt(pointer.x, pointer.y);
+        if (button && button.name !== 'pause' && button.name !== 'toggleWalkMode') {
+            this.heldBy.set(pointer.id, button.name);
+        } else {
+            this.heldBy.delete(pointer.id);
+        }
+        this.refresh();
+    }
+
+    /**
+     * A finger lifted, inside the game or outside it
+     * @param {Phaser.Input.Pointer} pointer - The pointer that went up
+     */
+    handlePointerUp(pointer) {
+        if (this.heldBy.delete(pointer.id)) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Whether a held button triggers an action. Mode filtering is left to Manette.
+     * @param {string} action - Action name
+     * @returns {boolean} True if a finger is on a button for the action
+     */
+    isActionHeld(action) {
+        const held = new Set(this.heldBy.values());
+        return this.buttons.some(button => held.has(button.name) && button.actions.includes(action));
+    }
+
+    /**
+     * Reports a tap on the walk toggle once
+     * @returns {boolean} True if the toggle was tapped since the last call
+     */
+    consumeToggle() {
+        const pending = this.togglePending;
+        this.togglePending = false;
+        return pending;
+    }
+
+    /**
+     * Switches layout
+     * @param {string} layout - Layout name, a TOUCH_LAYOUTS key
+     */
+    setLayout(layout) {
+        if (layout === this.layout) return;
+        this.layout = layout;
+        this.releaseAll();
+        const { width, height } = this.scene.cameras.main;
+        this.build(width, height);
+    }
+
+    /**
+     * Changes how opaque the buttons are
+     * @param {number} opacity - Opacity of released buttons, 0 to 1
+     */
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        this.refresh();
+    }
+
+    /**
+     * Lets go of every button, e.g. after a pause swallowed the fingers lifting
+     */
+    releaseAll() {
+        this.heldBy.clear();
+        this.togglePending = false;
+        this.refresh();
+    }
+
+    /**
+     * Moves the buttons for a new screen size
+     * @param {Object} gameSize - New game size
+     * @param {number} gameSize.width - New game width
+     * @param {number} gameSize.height - New game height
+     */
+    handleResize(gameSize) {
+        this.releaseAll();
+        this.build(gameSize.width, gameSize.height);
+    }
+
+    /**
+     * Removes the buttons and the pointer listeners
+     */
+    destroy() {
+        const input = this.scene.input;
+        input.off('pointerdown', this.handlePointerDown);
+        input.off('pointermove', this.handlePointerMove);
+        input.off('pointerup', this.handlePointerUp);
+        input.off('pointerupoutside', this.handlePointerUp);
+
+        this.visuals.forEach(({ circle, text }) => {
+            circle.destroy();
+            text.destroy();
+        });
+        this.visuals = [];
+        this.buttons = [];
+        this.heldBy.clear();
+    }
+}
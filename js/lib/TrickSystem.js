@@ -0,0 +1,191 @@
+// js/lib/TrickSystem.js
+// Names the tricks done in one airtime and scores them as a combo
+// ------------------------------------------------------
+
+/**
+ * @fileoverview TrickSystem recognises named tricks during a jump and turns them into
+ * a combo (DESIGN-DOC §6.1 "Scoring"):
+ *
+ * - Each full rotation is a BACKFLIP (counter-clockwise) or a FRONTFLIP (clockwise).
+ *   A rotation done while holding a grab (air brake or parachute) is the grab variant,
+ *   e.g. PARACHUTE BACKFLIP. Less than one rotation but at least half is a HALF FLIP.
+ * - Holding the air brake or the parachute long enough is a trick of its own.
+ * - Trick value is base × airtime modifier, and every rotation is its own trick, so
+ *   value grows with rotation too.
+ * - The combo multiplier starts at ×1 and gains `comboStep` for every unique trick.
+ *   The combo is banked on landing and lost on a crash.
+ *
+ * The scene feeds it the rotation RotationSystem measured since takeoff; it has no
+ * Phaser dependencies.
+ *
+ * @module TrickSystem
+ */
+
+import PhysicsConfig from '../config/physics-config.js';
+
+/**
+ * Every named trick and its base value
+ * @type {Object<string, {name: string, points: number}>}
+ */
+export const TRICK_CATALOG = Object.freeze({
+    backflip: { name: 'BACKFLIP', points: 500 },
+    frontflip: { name: 'FRONTFLIP', points: 500 },
+    halfFlip: { name: 'HALF FLIP', points: 100 },
+    airBrake: { name: 'AIR BRAKE', points: 150 },
+    parachuteStall: { name: 'PARACHUTE STALL', points: 150 },
+    airBrakeBackflip: { name: 'AIR BRAKE BACKFLIP', points: 800 },
+    airBrakeFrontflip: { name: 'AIR BRAKE FRONTFLIP', points: 800 },
+    parachuteBackflip: { name: 'PARACHUTE BACKFLIP', points: 800 },
+    parachuteFrontflip: { name: 'PARACHUTE FRONTFLIP', points: 800 }
+});
+
+/**
+ * Flip trick by the grab held during the rotation, then by direction
+ * @type {Object<string, {back: string, front: string}>}
+ */
+const FLIP_TRICKS = {
+    none: { back: 'backflip', front: 'frontflip' },
+    airBrake: { back: 'airBrakeBackflip', front: 'airBrakeFrontflip' },
+    parachuteStall: { back: 'parachuteBackflip', front: 'parachuteFrontflip' }
+};
+
+/**
+ * Tracks the tricks of the current airtime.
+ */
+export default class TrickSystem {
+    /**
+     * @param {Object} [config=PhysicsConfig.tricks] - Tuning: comboStep, airtimeBonusPerSecond,
+     *     maxAirtimeModifier and minGrabMs
+     */
+    constructor(config = PhysicsConfig.tricks) {
+        this.config = config;
+        this.reset();
+    }
+
+    /**
+     * Forgets the current airtime
+     */
+    reset() {
+        this.inAir = false;
+        this.tricks = [];       // Trick ids in the order they were done
+        this.airtimeMs = 0;
+        this.rotation = 0;      // Degrees since takeoff, negative counter-clockwise
+        this.rotationsCounted = 0;
+        this.grabMs = { airBrake: 0, parachuteStall: 0 };
+        this.grabSinceLastRotation = null;
+    }
+
+    /**
+     * Advances one airborne physics step. The first call after a landing starts a new airtime.
+     * @param {Object} state - Airborne state
+     * @param {number} state.rotation - Rotation since takeoff in degrees, negative counter-clockwise
+     * @param {boolean} state.airBraking - Whether the air brake is held
+     * @param {boolean} state.parachuting - Whether the parachute is open
+     * @param {number} state.stepMs - Length of the step in ms
+     * @returns {Array<string>} Ids of the tricks completed during this step
+     */
+    update({ rotation, airBraking, parachuting, stepMs }) {
+        if (!this.inAir) {
+            this.reset();
+            this.inAir = true;
+        }
+        const completed = [];
+        this.airtimeMs += stepMs;
+        this.rotation = rotation;
+
+        // Grabs count once they have been held long enough, once per airtime
+        const held = { airBrake: airBraking, parachuteStall: parachuting };
+        Object.keys(held).forEach(grab => {
+            if (!held[grab]) return;
+            this.grabSinceLastRotation = grab;
+            const before = this.grabMs[grab];
+            this.grabMs[grab] += stepMs;
+            if (before < this.config.minGrabMs && this.grabMs[grab] >= this.config.minGrabMs) {
+                completed.push(grab);
+            }
+        });
+
+        // Every full rotation is a flip, named by direction and by any grab held during it
+        const rotations = Math.floor(Math.abs(rotation) / 360);
+        while (this.rotationsCounted < rotations) {
+            this.rotationsCounted++;
+            const flips = FLIP_TRICKS[this.grabSinceLastRotation || 'none'];
+            completed.push(rotation < 0 ? flips.back : flips.front);
+            this.grabSinceLastRotation = null;
+        }
+
+        this.tricks.push(...completed);
+        return completed;
+    }
+
+    /**
+     * Number of different tricks in the current combo
+     * @returns {number} Unique trick count
+     */
+    get uniqueCount() {
+        return new Set(this.tricks).size;
+    }
+
+    /**
+     * Current combo multiplier: ×1, plus comboStep per unique trick
+     * @returns {number} Multiplier
+     */
+    get multiplier() {
+        return 1 + this.uniqueCount * this.config.comboStep;
+    }
+
+    /**
+     * Trick value factor for the time spent in the air
+     * @returns {number} Modifier, 1 to maxAirtimeModifier
+     */
+    get airtimeModifier() {
+        const modifier = 1 + (this.airtimeMs / 1000) * this.config.airtimeBonusPerSecond;
+        return Math.min(this.config.maxAirtimeModifier, modifier);
+    }
+
+    /**
+     * The running combo, for the HUD
+     * @returns {{names: Array<string>, multiplier: number}|null} Trick names and multiplier,
+     *     or null without tricks
+     */
+    getCombo() {
+        if (this.tricks.length === 0) return null;
+        return { names: this.tricks.map(id => TRICK_CATALOG[id].name), multiplier: this.multiplier };
+    }
+
+    /**
+     * Banks the combo on a landing
+     * @returns {{tricks: Array<string>, names: Array<string>, multiplier: number, points: number}|null}
+     *     The landed combo, or null if there was nothing to score
+     */
+    land() {
+        // Half a rotation only counts when no full one was done
+        if (this.inAir && this.rotationsCounted === 0 && Math.abs(this.rotation) >= 180) {
+            this.tricks.push('halfFlip');
+        }
+
+        const combo = this.getCombo();
+        let result = null;
+        if (combo) {
+            const base = this.tricks.reduce((sum, id) => sum + TRICK_CATALOG[id].points, 0);
+            result = {
+                tricks: [...this.tricks],
+                names: combo.names,
+                multiplier: combo.multiplier,
+                points: Math.round(base * this.airtimeModifier * combo.multiplier)
+            };
+        }
+        this.reset();
+        return result;
+    }
+
+    /**
+     * Drops the combo after a crash
+     * @returns {number} How many tricks were lost
+     */
+    fail() {
+        const lost = this.tricks.length;
+        this.reset();
+        return lost;
+    }
+}
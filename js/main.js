@@ -9,12 +9,18 @@
 // Import config loader and physics config
 import configLoader from './config/config-loader.js';
 import PhysicsConfig from './config/physics-config.js';
+import TerrainConfig from './config/terrain-config.js';
 
 // Import game scenes
 import BootScene from './BootScene.js';
 import PreloadScene from './PreloadScene.js';
 import StartScene from './StartScene.js';
 import ModularGameScene from './ModularGameScene.js'; // New modular architecture
+import LedgerScene from './LedgerScene.js';
+import ResultsScene from './ResultsScene.js';
+import PauseScene from './PauseScene.js';
+import SettingsScene from './SettingsScene.js';
+import ControlsScene from './ControlsScene.js';
 
 // Import utility classes
 import './utils/RotationSystem.js';
@@ -98,7 +104,7 @@ function initializeGame() {
 
         // Important: Start with BootScene which should transition to PreloadScene, then StartScene
         // The order matters - first scene in the array is the one that starts first
-        scene: [ BootScene, PreloadScene, StartScene, ModularGameScene ]
+        scene: [ BootScene, PreloadScene, StartScene, ModularGameScene, PauseScene, SettingsScene, ControlsScene, ResultsScene, LedgerScene ]
     };
 
     console.log('Starting Phaser game with config:', config);
@@ -118,9 +124,26 @@ function initializeGame() {
         }
     });
     
-    // Make physics config available globally for easy tweaking in console
+    // Make physics and terrain config available globally for easy tweaking in console
+    // (TerrainConfig.generator takes effect on the next run)
     window.PhysicsConfig = PhysicsConfig;
+    window.TerrainConfig = TerrainConfig;
     window.game = game;
+
+    // Console helper for reproducing bugs: replays the last finished run
+    // (window.lastRunRecording) or any recording pasted from a bug report
+    window.replayRun = (recording = window.lastRunRecording) => {
+        if (!recording) {
+            console.warn('No recording to replay - finish a run first or pass one in');
+            return;
+        }
+        game.scene.getScenes(true).forEach(scene => {
+            if (scene.scene.key !== 'ModularGameScene') {
+                scene.scene.stop();
+            }
+        });
+        game.scene.start('ModularGameScene', { replay: recording });
+    };
 }
 
 // Initialize the game when document is loaded and fonts are ready
@@ -0,0 +1,96 @@
+// js/utils/FixedTimestep.js
+// Fixed-step accumulator that decouples the simulation from the render frame rate
+// ------------------------------------------------------
+
+/**
+ * @fileoverview FixedTimestep turns variable render frame deltas into a whole number
+ * of constant-length simulation steps. Leftover time is carried to the next frame and
+ * exposed as an interpolation factor, so the game plays identically on 60Hz and 144Hz
+ * monitors and recorded input replays tick-for-tick.
+ *
+ * @module FixedTimestep
+ */
+
+/**
+ * Frame length the original per-frame tuning values were written against (60fps)
+ * @type {number}
+ */
+export const REFERENCE_FRAME_MS = 1000 / 60;
+
+/**
+ * Converts a multiplier tuned to be applied once per 60fps frame into the multiplier
+ * that gives the same result per second when applied once per step of stepMs.
+ * @param {number} factor - Multiplier applied per 60fps frame (e.g. 0.8 keeps 80% each frame)
+ * @param {number} stepMs - Length of one simulation step in ms
+ * @returns {number} Equivalent multiplier for a single step
+ */
+export function scalePerFrameFactor(factor, stepMs) {
+    return Math.pow(factor, stepMs / REFERENCE_FRAME_MS);
+}
+
+/**
+ * Slack used when comparing accumulated time against the step length. Without it,
+ * floating point error turns two 8.33ms steps per 16.67ms frame into alternating 1 and 3.
+ * @type {number}
+ */
+const STEP_EPSILON = 1e-6;
+
+/**
+ * Accumulates frame time and runs the simulation in fixed-length steps.
+ */
+export default class FixedTimestep {
+    /**
+     * Creates a new FixedTimestep instance
+     * @param {Object} [options] - Timestep options
+     * @param {number} [options.tickRate=120] - Simulation steps per second
+     * @param {number} [options.maxStepsPerFrame=8] - Most steps run for one frame before excess time is dropped
+     */
+    constructor({ tickRate = 120, maxStepsPerFrame = 8 } = {}) {
+        this.stepMs = 1000 / tickRate;
+        this.maxStepsPerFrame = maxStepsPerFrame;
+        this.reset();
+    }
+
+    /**
+     * Clears accumulated time and the simulation clock
+     */
+    reset() {
+        this.accumulator = 0;
+        this.alpha = 0;
+        this.stepCount = 0;
+        this.simTime = 0;
+    }
+
+    /**
+     * Adds a frame's worth of time and runs as many whole steps as it covers
+     * @param {number} delta - Render frame time in ms
+     * @param {function(number): (boolean|void)} stepFn - Called once per step with the step length;
+     *     returning false stops stepping for this frame (e.g. the scene restarted)
+     * @returns {number} Number of steps that ran
+     */
+    advance(delta, stepFn) {
+        this.accumulator += Math.max(0, delta || 0);
+
+        let steps = 0;
+        while (this.accumulator + STEP_EPSILON >= this.stepMs && steps < this.maxStepsPerFrame) {
+            this.accumulator = Math.max(0, this.accumulator - this.stepMs);
+            this.stepCount++;
+            this.simTime += this.stepMs;
+            steps++;
+
+            if (stepFn(this.stepMs) === false) {
+                this.accumulator = 0;
+                break;
+            }
+        }
+
+        // After a long stall (tab switch, breakpoint) drop the backlog instead of
+        // trying to catch up, which would only make the next frame slower still
+        if (this.accumulator >= this.stepMs) {
+            this.accumulator %= this.stepMs;
+        }
+
+        this.alpha = this.accumulator / this.stepMs;
+        return steps;
+    }
+}
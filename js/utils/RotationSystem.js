@@ -5,6 +5,8 @@
 
 /**
  * Handles rotation physics, flip tracking, and landing evaluation for aerial tricks.
+ * Landings are judged by the player's angle relative to the terrain under them, so
+ * the angle ranges below are offsets from the slope rather than absolute angles.
  */
 export default class RotationSystem {
     /**
@@ -15,6 +17,7 @@ export default class RotationSystem {
         // Initialize state
         this.isGrounded = true;
         this.currentAngle = 0;
+        this.terrainAngle = 0;
         this.takeoffAngle = 0;
         this.rotationSinceTakeoff = 0;
         this.wasGrounded = true;
@@ -25,7 +28,7 @@ export default class RotationSystem {
         this.onWobbleCallback = config.onWobble || (() => {});
         this.onFlipCompleteCallback = config.onFlipComplete || (() => {});
 
-        // Angle thresholds (in degrees)
+        // Angle thresholds (in degrees, relative to the terrain angle)
         this.safeAngleRanges = [
             { min: 330, max: 360 },
             { min: 0, max: 30 }
@@ -49,12 +52,15 @@ export default class RotationSystem {
      * @param {boolean} state.grounded - Whether the player is currently on the ground
      * @param {number} state.currentAngle - Current angle in degrees (0-360)
      * @param {number} state.deltaRotation - Change in rotation since last update (degrees)
+     * @param {number} [state.terrainAngle=0] - Terrain angle under the player in degrees;
+     *     on the landing update this is the slope landed on
      */
     update(state) {
-        const { grounded, currentAngle, deltaRotation } = state;
+        const { grounded, currentAngle, deltaRotation, terrainAngle = 0 } = state;
         
-        // Store the current angle
+        // Store the current angle and the slope under the player
         this.currentAngle = this.normalizeAngle(currentAngle);
+        this.terrainAngle = this.normalizeAngle(terrainAngle);
         
         // Handle ground-to-air transition
         if (grounded !== this.isGrounded) {
@@ -102,7 +108,7 @@ export default class RotationSystem {
      * Handle landing event (transition from airborne to grounded)
      */
     handleLanding() {
-        const stabilityState = this.getStabilityState(this.currentAngle);
+        const stabilityState = this.getStabilityState(this.currentAngle, this.terrainAngle);
         const flipStats = this.getFlipStats();
         
         // Handle landing based on stability state
@@ -187,12 +193,13 @@ export default class RotationSystem {
     }
 
     /**
-     * Get the stability state for a given angle
+     * Get the stability state for a given angle on a given slope
      * @param {number} angle - Angle to evaluate (degrees)
+     * @param {number} [terrainAngle=0] - Terrain angle the angle is measured against (degrees)
      * @returns {string} Stability state: 'safe', 'wobble', 'fail', or 'crash'
      */
-    getStabilityState(angle) {
-        const normalizedAngle = this.normalizeAngle(angle);
+    getStabilityState(angle, terrainAngle = 0) {
+        const normalizedAngle = this.normalizeAngle(angle - terrainAngle);
         
         // Check safe zones
         for (const range of this.safeAngleRanges) {
@@ -0,0 +1,44 @@
+// js/utils/catmull-rom.js
+// Uniform Catmull-Rom spline evaluation for terrain curves
+// ----------------------------------------------------------------
+
+/**
+ * Evaluates one coordinate of a uniform Catmull-Rom spline between p1 and p2.
+ * The curve passes through every control point, which keeps segment joins exact.
+ *
+ * @param {number} p0 - Control value before the span
+ * @param {number} p1 - Control value at the start of the span (t = 0)
+ * @param {number} p2 - Control value at the end of the span (t = 1)
+ * @param {number} p3 - Control value after the span
+ * @param {number} t - Position along the span, 0-1
+ * @returns {number} Interpolated value
+ */
+export function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return 0.5 * (
+        (2 * p1) +
+        (-p0 + p2) * t +
+        (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+        (-p0 + 3 * p1 - 3 * p2 + p3) * t3
+    );
+}
+
+/**
+ * Derivative of catmullRom() with respect to t.
+ *
+ * @param {number} p0 - Control value before the span
+ * @param {number} p1 - Control value at the start of the span
+ * @param {number} p2 - Control value at the end of the span
+ * @param {number} p3 - Control value after the span
+ * @param {number} t - Position along the span, 0-1
+ * @returns {number} Rate of change per unit t
+ */
+export function catmullRomDerivative(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    return 0.5 * (
+        (-p0 + p2) +
+        2 * (2 * p0 - 5 * p1 + 4 * p2 - p3) * t +
+        3 * (-p0 + 3 * p1 - 3 * p2 + p3) * t2
+    );
+}
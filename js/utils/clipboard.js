@@ -0,0 +1,42 @@
+// js/utils/clipboard.js
+// Copies text to the system clipboard from any scene
+// ----------------------------------------------------------------
+
+/**
+ * Copies text to the clipboard using the best available method.
+ * Uses the Navigator clipboard API when available (secure contexts),
+ * or falls back to document.execCommand for older browsers.
+ * @param {string} text - The text to copy.
+ */
+export function copyTextToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        // Navigator clipboard API is available
+        navigator.clipboard.writeText(text)
+            .catch(err => {
+                console.error('Could not copy text: ', err);
+            });
+    } else {
+        // Fallback for browsers that don't support clipboard API
+        // Create temporary element
+        const textArea = document.createElement("textarea");
+        textArea.value = text;
+        
+        // Make the textarea out of viewport
+        textArea.style.position = "fixed";
+        textArea.style.left = "-999999px";
+        textArea.style.top = "-999999px";
+        document.body.appendChild(textArea);
+        textArea.focus();
+        textArea.select();
+        
+        try {
+            document.execCommand('copy');
+        } catch (err) {
+            console.error('Failed to copy: ', err);
+        }
+        
+        document.body.removeChild(textArea);
+    }
+}
+
+export default copyTextToClipboard;
@@ -0,0 +1,50 @@
+// js/utils/landing-grade.js
+// Grades a landing by how well the sled matched the slope at touchdown
+// ------------------------------------------------------
+
+/**
+ * @fileoverview Landing grades. A landing is judged by the angle between the sled and
+ * the terrain under it, not by the sled's absolute angle, so touching down parallel to
+ * a steep downslope is as good as landing flat on level ground. Thresholds and points
+ * live in `PhysicsConfig.landing`. Whether a landing is a crash at all is still decided
+ * by RotationSystem; only landings that aren't crashes get a grade.
+ *
+ * @module landing-grade
+ */
+
+import PhysicsConfig from '../config/physics-config.js';
+
+/**
+ * Every grade, best first, with how the HUD shows it
+ * @type {Object<string, {label: string, color: string}>}
+ */
+export const LANDING_GRADES = Object.freeze({
+    perfect: { label: 'PERFECT', color: '#00ff88' },
+    clean: { label: 'CLEAN', color: '#00ffff' },
+    sketchy: { label: 'SKETCHY', color: '#ff8800' }
+});
+
+/**
+ * Smallest angle between two directions
+ * @param {number} a - Angle in degrees
+ * @param {number} b - Angle in degrees
+ * @returns {number} Difference in degrees, 0 to 180
+ */
+export function angleDifference(a, b) {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+}
+
+/**
+ * Grades a landing
+ * @param {number} playerAngle - Sled angle at touchdown in degrees
+ * @param {number} slopeAngle - Terrain angle under the sled in degrees
+ * @param {Object} [thresholds=PhysicsConfig.landing] - perfectMaxDeg and cleanMaxDeg
+ * @returns {string} 'perfect', 'clean' or 'sketchy'
+ */
+export function gradeLanding(playerAngle, slopeAngle, thresholds = PhysicsConfig.landing) {
+    const offset = angleDifference(playerAngle, slopeAngle);
+    if (offset <= thresholds.perfectMaxDeg) return 'perfect';
+    if (offset <= thresholds.cleanMaxDeg) return 'clean';
+    return 'sketchy';
+}
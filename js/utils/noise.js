@@ -0,0 +1,70 @@
+// js/utils/noise.js
+// Seeded 1-D gradient (Perlin) noise for glitch zone terrain
+// ----------------------------------------------------------------
+
+/**
+ * Size of the gradient lattice. Noise repeats every PERIOD units, far longer
+ * than any glitch zone.
+ * @type {number}
+ */
+const PERIOD = 256;
+
+/**
+ * Perlin's quintic fade curve; gives the noise continuous slope and curvature
+ * @param {number} t - Position between lattice points, 0-1
+ * @returns {number} Eased weight
+ */
+function fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * Creates a 1-D Perlin noise function whose lattice gradients come from a seeded
+ * random function, so the same seed always gives the same heightmap.
+ *
+ * The noise is 0 at every integer x, which lets a zone start exactly at the
+ * terrain height it branches off from.
+ *
+ * @param {Function} random - Random function returning values in [0, 1)
+ * @returns {function(number): number} Noise function returning values in roughly [-0.5, 0.5]
+ */
+export function createNoise1D(random) {
+    const gradients = new Float64Array(PERIOD);
+    for (let i = 0; i < PERIOD; i++) {
+        gradients[i] = random() * 2 - 1;
+    }
+
+    return function noise(x) {
+        const i0 = Math.floor(x);
+        const t = x - i0;
+        const g0 = gradients[((i0 % PERIOD) + PERIOD) % PERIOD];
+        const g1 = gradients[(((i0 + 1) % PERIOD) + PERIOD) % PERIOD];
+        const n0 = g0 * t;
+        const n1 = g1 * (t - 1);
+        return n0 + (n1 - n0) * fade(t);
+    };
+}
+
+/**
+ * Sums octaves of a noise function for rougher, more detailed terrain
+ * @param {function(number): number} noise - Base noise function
+ * @param {number} x - Sample position
+ * @param {number} [octaves=3] - Number of layers; each doubles the frequency
+ * @param {number} [persistence=0.5] - Amplitude multiplier per layer
+ * @returns {number} Normalised noise value in roughly [-0.5, 0.5]
+ */
+export function fractalNoise1D(noise, x, octaves = 3, persistence = 0.5) {
+    let total = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let maxAmplitude = 0;
+
+    for (let i = 0; i < octaves; i++) {
+        total += noise(x * frequency) * amplitude;
+        maxAmplitude += amplitude;
+        amplitude *= persistence;
+        frequency *= 2;
+    }
+
+    return total / maxAmplitude;
+}
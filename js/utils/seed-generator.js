@@ -17,7 +17,10 @@ export function generateGameSeed() {
     // If we have an early generated seed, use it
     if (earlyGenerationComplete && earlyGeneratedSeed) {
         console.log('Using pre-computed seed:', earlyGeneratedSeed);
-        return earlyGeneratedSeed;
+        // Only the first call gets it, so "new seed" actions later really get a new seed
+        const seed = earlyGeneratedSeed;
+        earlyGeneratedSeed = null;
+        return seed;
     }
     
     // Otherwise generate a new seed
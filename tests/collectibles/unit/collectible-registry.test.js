@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the collectible type registry and the built-in extra life
+ */
+import { describe, test, expect, jest } from '@jest/globals';
+import CollectibleRegistry from '../../../js/lib/CollectibleRegistry.js';
+import { EXTRA_LIFE, MAX_LIFE_BONUS, createCollectibleRegistry } from '../../../js/lib/PowerUps.js';
+import PhysicsConfig from '../../../js/config/physics-config.js';
+
+const base = { name: 'TEST', texture: 'test' };
+
+// Random function that returns the given values in turn
+function sequence(...values) {
+  return () => values.shift();
+}
+
+describe('CollectibleRegistry', () => {
+  test('fills in defaults and refuses incomplete types', () => {
+    const registry = new CollectibleRegistry();
+    const type = registry.register({ id: 'plain', ...base });
+
+    expect(type).toMatchObject({ spawnWeight: 1, duration: 0, hooks: {} });
+    expect(registry.get('plain')).toBe(type);
+    expect(() => registry.register({ id: 'nameless', texture: 'x' })).toThrow(/name/);
+    expect(() => registry.register({ name: 'X', texture: 'x' })).toThrow(/id/);
+  });
+
+  test('picks types in proportion to their spawn weights', () => {
+    const registry = new CollectibleRegistry([
+      { id: 'common', ...base, spawnWeight: 3 },
+      { id: 'rare', ...base, spawnWeight: 1 }
+    ]);
+
+    expect(registry.pick(sequence(0.5), {}).id).toBe('common'); // 2 of 4
+    expect(registry.pick(sequence(0.8), {}).id).toBe('rare');   // 3.2 of 4
+  });
+
+  test('weights can depend on the scene, and a zero weight never spawns', () => {
+    const registry = new CollectibleRegistry([
+      { id: 'never', ...base, spawnWeight: 0 },
+      { id: 'lateGame', ...base, spawnWeight: scene => scene.level }
+    ]);
+
+    expect(registry.pick(sequence(0), { level: 2 }).id).toBe('lateGame');
+    expect(registry.pick(sequence(0), { level: 0 })).toBeNull();
+  });
+
+  test('weights adding up to less than 1 leave a chance that nothing spawns', () => {
+    const registry = new CollectibleRegistry([
+      { id: 'a', ...base, spawnWeight: 0.2 },
+      { id: 'b', ...base, spawnWeight: 0.2 }
+    ]);
+
+    expect(registry.pick(sequence(0.1), {}).id).toBe('a');
+    expect(registry.pick(sequence(0.3), {}).id).toBe('b');
+    expect(registry.pick(sequence(0.5), {})).toBeNull();
+  });
+});
+
+describe('Extra life', () => {
+  function scene(lives) {
+    return {
+      lives,
+      hud: { showToast: jest.fn(), updateLivesDisplay: jest.fn() },
+      addScore: jest.fn()
+    };
+  }
+
+  test('adds a life, or bonus points at max lives', () => {
+    const short = scene(1);
+    EXTRA_LIFE.onPickup(short);
+    expect(short.lives).toBe(2);
+
+    const full = scene(PhysicsConfig.extraLives.maxLives);
+    EXTRA_LIFE.onPickup(full);
+    expect(full.lives).toBe(PhysicsConfig.extraLives.maxLives);
+    expect(full.addScore).toHaveBeenCalledWith(MAX_LIFE_BONUS, 'maxLifeBonus');
+  });
+
+  test('stops spawning once lives are full', () => {
+    const registry = createCollectibleRegistry();
+    const extraLife = registry.get('extraLife');
+
+    expect(registry.getSpawnWeight(extraLife, scene(1))).toBeGreaterThan(0);
+    expect(registry.getSpawnWeight(extraLife, scene(PhysicsConfig.extraLives.maxLives))).toBe(0);
+  });
+});
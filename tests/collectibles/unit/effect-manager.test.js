@@ -0,0 +1,124 @@
+/**
+ * Unit tests for timed power-up effects and the scene hooks they drive
+ */
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import CollectibleRegistry from '../../../js/lib/CollectibleRegistry.js';
+import EffectManager from '../../../js/lib/EffectManager.js';
+
+let registry;
+let effects;
+let scene;
+
+beforeEach(() => {
+  registry = new CollectibleRegistry([
+    {
+      id: 'doubler',
+      name: 'DOUBLER',
+      texture: 'doubler',
+      color: 0x00ff00,
+      duration: 3000,
+      onPickup: jest.fn(),
+      onExpire: jest.fn(),
+      hooks: {
+        score: (points, source) => (source === 'tricks' ? points * 2 : points),
+        physics: jest.fn()
+      }
+    },
+    {
+      id: 'noJump',
+      name: 'NO JUMP',
+      texture: 'noJump',
+      duration: 1000,
+      hooks: { input: input => ({ ...input, jump: false }), spin: jest.fn() }
+    },
+    { id: 'instant', name: 'INSTANT', texture: 'instant', onPickup: jest.fn() },
+    {
+      id: 'shield',
+      name: 'SHIELD',
+      texture: 'shield',
+      duration: Infinity,
+      onExpire: jest.fn(),
+      hooks: { crash: (scene, cause) => cause !== 'avalanche' }
+    }
+  ]);
+  scene = {};
+  effects = new EffectManager(scene);
+});
+
+describe('EffectManager', () => {
+  test('a timed effect runs its hooks until it expires', () => {
+    const doubler = registry.get('doubler');
+    effects.apply(doubler, 1000);
+
+    expect(doubler.onPickup).toHaveBeenCalledWith(scene, expect.objectContaining({ endsAt: 4000 }));
+    expect(effects.modifyScore(100, 'tricks')).toBe(200);
+    expect(effects.modifyScore(100, 'distance')).toBe(100);
+
+    effects.update(3990, 10);
+    expect(doubler.hooks.physics).toHaveBeenCalledWith(scene, 10, expect.objectContaining({ startedAt: 1000 }));
+
+    effects.update(4000, 10);
+    expect(doubler.onExpire).toHaveBeenCalledTimes(1);
+    expect(effects.isActive('doubler')).toBe(false);
+    expect(effects.modifyScore(100, 'tricks')).toBe(100);
+  });
+
+  test('picking up a running effect restarts its timer instead of stacking', () => {
+    const doubler = registry.get('doubler');
+    effects.apply(doubler, 0);
+    effects.apply(doubler, 2000);
+
+    expect(doubler.onPickup).toHaveBeenCalledTimes(1);
+    expect(effects.modifyScore(100, 'tricks')).toBe(200);
+    expect(effects.getTimers(2500)).toEqual([{ id: 'doubler', name: 'DOUBLER', color: 0x00ff00, remainingMs: 2500 }]);
+  });
+
+  test('input hooks change a copy of the input state', () => {
+    effects.apply(registry.get('noJump'), 0);
+    const input = { jump: true, rotateClockwise: true };
+
+    expect(effects.modifyInput(input)).toEqual({ jump: false, rotateClockwise: true });
+    expect(input.jump).toBe(true);
+  });
+
+  test('spin hooks only run when the scene applies spin, not on update', () => {
+    const noJump = registry.get('noJump');
+    effects.apply(noJump, 0);
+
+    effects.update(10, 10);
+    expect(noJump.hooks.spin).not.toHaveBeenCalled();
+
+    effects.applySpin(10);
+    expect(noJump.hooks.spin).toHaveBeenCalledWith(scene, 10, expect.objectContaining({ startedAt: 0 }));
+  });
+
+  test('instant pickups apply once and never show a timer', () => {
+    const instant = registry.get('instant');
+    expect(effects.apply(instant, 0)).toBeNull();
+
+    expect(instant.onPickup).toHaveBeenCalledTimes(1);
+    expect(effects.getTimers(0)).toEqual([]);
+  });
+
+  test('end stops an effect early and runs its expiry', () => {
+    const doubler = registry.get('doubler');
+    effects.apply(doubler, 0);
+
+    expect(effects.end('doubler')).toBe(true);
+    expect(doubler.onExpire).toHaveBeenCalledTimes(1);
+    expect(effects.end('doubler')).toBe(false);
+  });
+
+  test('a crash hook absorbs one crash and then ends its effect', () => {
+    const shield = registry.get('shield');
+    expect(effects.absorbCrash('bad-landing')).toBe(false);
+
+    effects.apply(shield, 0);
+    expect(effects.getTimers(60000)[0].remainingMs).toBe(Infinity);
+    expect(effects.absorbCrash('avalanche')).toBe(false);
+    expect(effects.absorbCrash('bad-landing')).toBe(true);
+
+    expect(shield.onExpire).toHaveBeenCalledTimes(1);
+    expect(effects.absorbCrash('bad-landing')).toBe(false);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the timed power-ups: Packet Burst, Clock Pulse and Hashed Backup
+ */
+import { describe, test, expect, jest, beforeAll } from '@jest/globals';
+import { installHeadlessGlobals } from '../../../js/headless/headless-phaser.js';
+import { attachHeadlessSystems, createNullObject } from '../../../js/headless/headless-scene.js';
+import { RECORDING_FORMAT_VERSION } from '../../../js/lib/InputRecorder.js';
+import EffectManager from '../../../js/lib/EffectManager.js';
+import { createCollectibleRegistry, distanceSpawnWeight } from '../../../js/lib/PowerUps.js';
+import PhysicsConfig from '../../../js/config/physics-config.js';
+
+function createScene({ meters = 0, speed = 10 } = {}) {
+  return {
+    lives: PhysicsConfig.extraLives.maxLives,
+    distanceTracker: { meters },
+    hud: { showToast: jest.fn() },
+    getPlayerSpeed: () => speed,
+    holdPlayerSpeed: jest.fn(),
+    setSlowMotion: jest.fn()
+  };
+}
+
+describe('Power-up spawning', () => {
+  test('power-ups get rarer as the distance grows', () => {
+    const { spawnWeight, falloffMeters } = PhysicsConfig.powerUps;
+
+    expect(distanceSpawnWeight(createScene())).toBe(spawnWeight);
+    expect(distanceSpawnWeight(createScene({ meters: falloffMeters }))).toBeCloseTo(spawnWeight / 2);
+    expect(distanceSpawnWeight(createScene({ meters: 5000 }))).toBeLessThan(distanceSpawnWeight(createScene({ meters: 500 })));
+  });
+
+  test('the chance of any spawn at all falls with distance once lives are full', () => {
+    const registry = createCollectibleRegistry();
+    const spawnRate = meters => {
+      const scene = createScene({ meters });
+      let spawned = 0;
+      for (let i = 0; i < 100; i++) {
+        if (registry.pick(() => i / 100, scene)) spawned++;
+      }
+      return spawned;
+    };
+
+    expect(spawnRate(0)).toBeGreaterThan(spawnRate(3000));
+  });
+});
+
+describe('Power-up effects', () => {
+  const registry = createCollectibleRegistry();
+
+  test('Packet Burst holds the sled at 30% over its pickup speed until it expires', () => {
+    const scene = createScene({ speed: 10 });
+    const effects = new EffectManager(scene);
+    effects.apply(registry.get('packetBurst'), 0);
+
+    expect(scene.holdPlayerSpeed).toHaveBeenLastCalledWith(13);
+    effects.update(1000, 8);
+    expect(scene.holdPlayerSpeed).toHaveBeenCalledTimes(2);
+
+    effects.update(PhysicsConfig.powerUps.packetBurst.durationMs, 8);
+    expect(scene.holdPlayerSpeed).toHaveBeenCalledTimes(2);
+  });
+
+  test('Clock Pulse slows time for one second, then restores it', () => {
+    const scene = createScene();
+    const effects = new EffectManager(scene);
+    effects.apply(registry.get('clockPulse'), 500);
+
+    expect(scene.setSlowMotion).toHaveBeenLastCalledWith(PhysicsConfig.powerUps.clockPulse.timeScale);
+    effects.update(1499, 8);
+    expect(scene.setSlowMotion).toHaveBeenCalledTimes(1);
+    effects.update(1500, 8);
+    expect(scene.setSlowMotion).toHaveBeenLastCalledWith(1);
+  });
+
+  test('Hashed Backup lasts until it negates one crash', () => {
+    const scene = createScene();
+    const effects = new EffectManager(scene);
+    effects.apply(registry.get('hashedBackup'), 0);
+
+    effects.update(600000, 8);
+    expect(effects.isActive('hashedBackup')).toBe(true);
+    expect(effects.absorbCrash('bad-landing')).toBe(true);
+    expect(effects.absorbCrash('bad-landing')).toBe(false);
+  });
+});
+
+describe('Hashed Backup in a running scene', () => {
+  let ModularGameScene;
+
+  beforeAll(async () => {
+    installHeadlessGlobals();
+    ({ default: ModularGameScene } = await import('../../../js/ModularGameScene.js'));
+  });
+
+  test('an absorbed crash still drops the combo in progress', () => {
+    const logs = ['log', 'debug', 'warn'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+    const scene = new ModularGameScene();
+    attachHeadlessSystems(scene);
+    scene.init({ replay: { version: RECORDING_FORMAT_VERSION, seed: 'backup', frameCount: 100, events: [] } });
+    scene.createSimulation();
+    scene.hud = createNullObject({ showComboResult: jest.fn() });
+    scene.effects.apply(scene.collectibles.registry.get('hashedBackup'), 0);
+
+    // Mid-air with one flip done
+    scene.trickSystem.update({ rotation: -400, airBraking: false, parachuting: false, stepMs: 8 });
+    scene.handleCrash('bad-landing');
+
+    expect(scene.runStats.crashes).toBe(0);
+    expect(scene.effects.isActive('hashedBackup')).toBe(false);
+    expect(scene.hud.showComboResult).toHaveBeenCalledWith('COMBO LOST', false);
+    expect(scene.trickSystem.inAir).toBe(false);
+    expect(scene.trickSystem.tricks).toEqual([]);
+
+    // The next jump counts its first flip again
+    expect(scene.trickSystem.update({ rotation: -370, airBraking: false, parachuting: false, stepMs: 8 })).toEqual(['backflip']);
+
+    scene.cleanupBeforeRestart();
+    logs.forEach(spy => spy.mockRestore());
+  });
+});
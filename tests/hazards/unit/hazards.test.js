@@ -0,0 +1,274 @@
+/**
+ * Unit tests for the JSON hazard library and hazard placement
+ * Places hazards on real TerrainManager segments on the headless Matter engine
+ */
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+import { loadHazardData } from '../../../js/headless/headless-data.js';
+import { initializeRandomWithSeed } from '../../../js/utils/seed-generator.js';
+import HazardLibrary, { validateHazard, HAZARD_MANIFEST_KEY } from '../../../js/lib/HazardLibrary.js';
+import HazardManager, { HAZARD_LABEL, SCRAMBLE_EFFECT_ID, createScrambleEffect } from '../../../js/lib/HazardManager.js';
+import EffectManager from '../../../js/lib/EffectManager.js';
+import TerrainConfig from '../../../js/config/terrain-config.js';
+import { attachHeadlessSystems, createJsonCache, createNullObject } from '../../../js/headless/headless-scene.js';
+import { RECORDING_FORMAT_VERSION } from '../../../js/lib/InputRecorder.js';
+import { loadHeadlessTerrain, createHeadlessTerrain } from '../../test-utils.js';
+
+const spike = {
+  id: 'test-spike',
+  name: 'Test Spike',
+  sprite: 'hazard-test-spike',
+  placement: 'on',
+  weight: 2,
+  minDistance: 500,
+  size: { width: 40, height: 20 },
+  onHit: { type: 'crash' }
+};
+
+let ModularGameScene;
+
+beforeAll(async () => {
+  await loadHeadlessTerrain();
+  ({ default: ModularGameScene } = await import('../../../js/ModularGameScene.js'));
+});
+
+function buildRun(seed, segmentCount = 600) {
+  const { scene, terrain } = createHeadlessTerrain(seed, {
+    segmentCount,
+    scene: { hazardRandom: initializeRandomWithSeed(`${seed}:hazards`) }
+  });
+  loadHazardData(scene.cache.json);
+  const hazards = new HazardManager(scene, terrain, HazardLibrary.fromCache(scene.cache.json));
+  hazards.init();
+  hazards.update(terrain.terrainStartX);
+  return { scene, terrain, hazards };
+}
+
+function metersAt(terrain, x) {
+  return (x - terrain.terrainStartX) / TerrainConfig.pixelsPerMeter;
+}
+
+describe('Hazard schema validation', () => {
+  test('accepts a well-formed hazard', () => {
+    expect(validateHazard(spike)).toEqual([]);
+  });
+
+  test.each([
+    ['missing sprite', { ...spike, sprite: '' }, /sprite/],
+    ['unknown placement', { ...spike, placement: 'under' }, /placement/],
+    ['zero weight', { ...spike, weight: 0 }, /weight/],
+    ['no size', { ...spike, size: { width: 40 } }, /size/],
+    ['unknown onHit', { ...spike, onHit: { type: 'teleport' } }, /onHit.type/],
+    ['speed cut without a factor', { ...spike, onHit: { type: 'speedCut' } }, /factor/],
+    ['scramble without a duration', { ...spike, onHit: { type: 'scramble', durationMs: 0 } }, /durationMs/]
+  ])('rejects a hazard with %s', (_label, hazard, message) => {
+    expect(validateHazard(hazard).join(' ')).toMatch(message);
+  });
+
+  test('the library refuses invalid and duplicate hazards', () => {
+    const library = new HazardLibrary([spike]);
+    expect(() => library.add({ ...spike })).toThrow(/duplicate id/);
+    expect(() => library.add({ ...spike, id: 'other', size: null })).toThrow(/Invalid hazard "other"/);
+    expect(library.size).toBe(1);
+  });
+});
+
+describe('Hazard library', () => {
+  test('loads every hazard file the manifest lists', () => {
+    const cache = createJsonCache();
+    loadHazardData(cache);
+    const library = HazardLibrary.fromCache(cache);
+
+    expect(library.size).toBe(cache.get(HAZARD_MANIFEST_KEY).hazards.length);
+    expect(library.get('glitch-chasm').placement).toBe('between');
+    expect(library.get('overflow-firewall').onHit).toEqual({ type: 'speedCut', factor: 0.4 });
+    expect(library.get('garbage-data-vent').onHit.type).toBe('scramble');
+  });
+
+  test('skips invalid files with a warning', () => {
+    const cache = createJsonCache();
+    cache.add(HAZARD_MANIFEST_KEY, { hazards: ['good.json', 'bad.json', 'missing.json'] });
+    cache.add('hazard:good.json', spike);
+    cache.add('hazard:bad.json', { ...spike, id: 'bad', onHit: {} });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const library = HazardLibrary.fromCache(cache);
+
+    expect(library.size).toBe(1);
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+
+  test('picks by weight and only once a hazard\'s distance is reached', () => {
+    const library = new HazardLibrary([spike, { ...spike, id: 'early', weight: 1, minDistance: 0 }]);
+    const random = initializeRandomWithSeed('hazard-pick');
+
+    expect(library.pick(random, 100).id).toBe('early');
+
+    const counts = { 'test-spike': 0, early: 0 };
+    for (let i = 0; i < 3000; i++) {
+      counts[library.pick(random, 1000).id]++;
+    }
+    expect(counts['test-spike'] / counts.early).toBeGreaterThan(1.6);
+    expect(counts['test-spike'] / counts.early).toBeLessThan(2.4);
+    expect(new HazardLibrary().pick(random, 1000)).toBeNull();
+  });
+});
+
+describe('Hazard placement', () => {
+  test('places nothing before the first milestone and some hazards after it', () => {
+    const { terrain, hazards } = buildRun('hazard-seed');
+    const placed = hazards.getHazards();
+
+    expect(placed.length).toBeGreaterThan(0);
+    placed.forEach(({ definition, x }) => {
+      expect(metersAt(terrain, x)).toBeGreaterThanOrEqual(1000);
+      expect(metersAt(terrain, x)).toBeGreaterThanOrEqual(definition.minDistance);
+    });
+  });
+
+  test('the same seed places the same hazards', () => {
+    const describeRun = ({ hazards }) => hazards.getHazards().map(({ definition, x }) => `${definition.id}@${x.toFixed(2)}`);
+    expect(describeRun(buildRun('hazard-seed'))).toEqual(describeRun(buildRun('hazard-seed')));
+  });
+
+  test('each hazard is a static sensor of its definition\'s size, resting on the surface', () => {
+    const { terrain, hazards } = buildRun('hazard-seed');
+
+    hazards.getHazards().forEach(({ definition, x, body }) => {
+      expect(body.label).toBe(HAZARD_LABEL);
+      expect(body.isSensor).toBe(true);
+      expect(body.isStatic).toBe(true);
+      expect(body.hazardId).toBe(definition.id);
+
+      const { width, height } = definition.size;
+      const area = (body.bounds.max.x - body.bounds.min.x) * (body.bounds.max.y - body.bounds.min.y);
+      expect(area).toBeGreaterThanOrEqual(width * height - 1);
+
+      // Standing hazards sit above the surface, "between" hazards straddle it
+      const surfaceY = terrain.findTerrainHeightAt(x);
+      if (definition.placement === 'on') {
+        expect(body.position.y).toBeLessThan(surfaceY);
+      } else {
+        expect(body.bounds.min.y).toBeLessThan(surfaceY);
+        expect(body.bounds.max.y).toBeGreaterThan(surfaceY);
+      }
+    });
+  });
+
+  test('leaves hand-made chunks alone', () => {
+    const { terrain, hazards } = buildRun('hazard-seed');
+    hazards.getHazards().forEach(({ x, definition }) => {
+      if (definition.placement === 'between') return;
+      const segment = terrain.getTerrainSegments().find(seg => x >= seg.x && x <= seg.endX);
+      expect(segment.chunk).toBeFalsy();
+    });
+  });
+
+  test('a hazard only hits once, and hazards far behind are removed', () => {
+    const { hazards } = buildRun('hazard-seed');
+    const [first] = hazards.getHazards();
+
+    expect(hazards.hit(first.body)).toBe(first.definition);
+    expect(hazards.hit(first.body)).toBeNull();
+    expect(hazards.hit({ label: HAZARD_LABEL })).toBeNull();
+
+    hazards.update(first.x + 2001);
+    expect(hazards.getHazards()).not.toContain(first);
+  });
+});
+
+describe('Hazard effects', () => {
+  function hitScene() {
+    return {
+      player: { body: { velocity: { x: 10, y: 4 }, angularVelocity: 0 } },
+      matter: {
+        body: {
+          setVelocity: jest.fn((body, velocity) => { body.velocity = velocity; }),
+          setAngularVelocity: jest.fn((body, velocity) => { body.angularVelocity = velocity; })
+        }
+      },
+      hud: { showToast: jest.fn() },
+      handleCrash: jest.fn()
+    };
+  }
+
+  function applyHit(scene, onHit) {
+    const hazards = new HazardManager(scene, null);
+    hazards.seededRandom = initializeRandomWithSeed('hazard-effects');
+    scene.effects = new EffectManager(scene);
+    hazards.applyHit({ ...spike, onHit }, 1000);
+  }
+
+  test('crash hazards crash the player with the hazard as the cause', () => {
+    const scene = hitScene();
+    applyHit(scene, { type: 'crash' });
+    expect(scene.handleCrash).toHaveBeenCalledWith('test-spike');
+  });
+
+  test('speed cuts scale the player\'s velocity', () => {
+    const scene = hitScene();
+    applyHit(scene, { type: 'speedCut', factor: 0.4 });
+    expect(scene.player.body.velocity.x).toBeCloseTo(4);
+    expect(scene.player.body.velocity.y).toBeCloseTo(1.6);
+  });
+
+  test('scrambles swap the rotation controls and jolt the spin until they expire', () => {
+    const scene = hitScene();
+    applyHit(scene, { type: 'scramble', durationMs: 2000 });
+
+    expect(scene.effects.isActive(SCRAMBLE_EFFECT_ID)).toBe(true);
+    const input = scene.effects.modifyInput({ rotateClockwise: true, rotateCounterClockwise: false, jump: true });
+    expect(input).toEqual({ rotateClockwise: false, rotateCounterClockwise: true, jump: true });
+
+    scene.effects.update(1500, 8);
+    scene.effects.applySpin(8);
+    expect(scene.matter.body.setAngularVelocity).toHaveBeenCalled();
+
+    scene.effects.update(3000, 8);
+    expect(scene.effects.isActive(SCRAMBLE_EFFECT_ID)).toBe(false);
+  });
+
+  test('a second scramble restarts the first one\'s timer', () => {
+    const scene = { effects: null };
+    scene.effects = new EffectManager(scene);
+    const random = initializeRandomWithSeed('scramble');
+    scene.effects.apply(createScrambleEffect(2000, random), 0);
+    scene.effects.apply(createScrambleEffect(2000, random), 1500);
+    expect(scene.effects.getTimers(1500)).toEqual([expect.objectContaining({ id: SCRAMBLE_EFFECT_ID, remainingMs: 2000 })]);
+  });
+});
+
+describe('Physics scramble in a running scene', () => {
+  // Jumps at tick 600 with no rotation input; records the sled's angle every tick after that
+  function airborneAngles(scramble) {
+    const scene = new ModularGameScene();
+    const { clock } = attachHeadlessSystems(scene);
+    const events = [{ frame: 600, actions: ['jump'] }, { frame: 602, actions: [] }];
+    scene.init({ replay: { version: RECORDING_FORMAT_VERSION, seed: 'scramble-scene', frameCount: 1000, events } });
+    scene.createSimulation();
+    scene.hud = createNullObject();
+
+    const stepMs = scene.fixedTimestep.stepMs;
+    const angles = [];
+    for (let tick = 0; tick < 840; tick++) {
+      if (scramble && tick === 600) {
+        scene.effects.apply(createScrambleEffect(2000, initializeRandomWithSeed('jolts')), scene.fixedTimestep.simTime);
+      }
+      clock.advance(stepMs);
+      scene.fixedTimestep.advance(stepMs, scene.fixedUpdate);
+      if (tick >= 600) angles.push(scene.player.body.angle);
+    }
+    scene.cleanupBeforeRestart();
+    return angles;
+  }
+
+  test('the jolts turn the sled even though the controls set its spin every step', () => {
+    const logs = ['log', 'debug', 'warn'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+    const calm = airborneAngles(false);
+    const scrambled = airborneAngles(true);
+    logs.forEach(spy => spy.mockRestore());
+
+    const largestGap = Math.max(...calm.map((angle, i) => Math.abs(angle - scrambled[i])));
+    expect(largestGap).toBeGreaterThan(0.2);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Unit tests for rebindable controls and the Manette bindings layer
+ */
+import { describe, test, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import InputBindings, {
+  BINDINGS_STORAGE_KEY,
+  DEFAULT_PROFILE,
+  findConflicts,
+  createDefaultProfile
+} from '../../../js/lib/InputBindings.js';
+
+let Manette;
+
+beforeAll(async () => {
+  ({ default: Manette } = await import('../../../js/Manette.js'));
+});
+
+function createStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    data,
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value))
+  };
+}
+
+// Scene whose keyboard hands out Key objects the test can press
+function createScene() {
+  const keys = {};
+  return {
+    keys,
+    input: {
+      keyboard: {
+        addKey: jest.fn(name => {
+          keys[name] = keys[name] || { isDown: false };
+          return keys[name];
+        })
+      },
+      gamepad: null
+    }
+  };
+}
+
+let storage;
+
+beforeEach(() => {
+  storage = createStorage();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('InputBindings', () => {
+  test('a first visit gets the classic controls in every profile', () => {
+    const bindings = new InputBindings({ storage });
+
+    expect(bindings.activeIndex).toBe(0);
+    expect(bindings.profile).toEqual(createDefaultProfile());
+    expect(bindings.getKeys('jump')).toEqual(['SPACE']);
+    expect(bindings.getGamepadInputs('jump')).toEqual(['button:0', 'button:7']);
+  });
+
+  test('the defaults have no conflicts, since sled and walk actions may share keys', () => {
+    expect(findConflicts(DEFAULT_PROFILE)).toEqual([]);
+  });
+
+  test('rebinding is saved per profile and survives a reload', () => {
+    const bindings = new InputBindings({ storage });
+    bindings.bindKey('jump', 0, 'J');
+    bindings.setActiveProfile(1);
+    bindings.bindGamepad('jump', 'button:2');
+
+    const reloaded = new InputBindings({ storage });
+    expect(reloaded.activeIndex).toBe(1);
+    expect(reloaded.getGamepadInputs('jump')).toEqual(['button:2']);
+    expect(reloaded.getKeys('jump')).toEqual(['SPACE']);
+    reloaded.setActiveProfile(0);
+    expect(reloaded.getKeys('jump')).toEqual(['J']);
+  });
+
+  test('a key bound to two actions that fire together is reported as a conflict', () => {
+    const bindings = new InputBindings({ storage });
+    const conflicts = bindings.bindKey('jump', 0, 'W');
+
+    expect(conflicts).toEqual([{ device: 'keyboard', input: 'W', actions: ['rotateCounterClockwise', 'jump'] }]);
+    expect(bindings.bindKey('jump', 0, 'SPACE')).toEqual([]);
+  });
+
+  test('slots can be cleared, and a second slot is appended', () => {
+    const bindings = new InputBindings({ storage });
+    bindings.bindKey('rotateClockwise', 0, null);
+    expect(bindings.getKeys('rotateClockwise')).toEqual(['DOWN']);
+
+    bindings.bindKey('jump', 1, 'ENTER');
+    expect(bindings.getKeys('jump')).toEqual(['SPACE', 'ENTER']);
+  });
+
+  test('reset puts only the active profile back to the defaults', () => {
+    const bindings = new InputBindings({ storage });
+    bindings.bindKey('jump', 0, 'J');
+    bindings.setActiveProfile(2);
+    bindings.bindKey('jump', 0, 'K');
+    bindings.resetProfile();
+
+    expect(bindings.getKeys('jump')).toEqual(['SPACE']);
+    expect(new InputBindings({ storage }).profiles[0].keyboard.jump).toEqual(['J']);
+  });
+
+  test('bad input is refused and bad saves fall back to the defaults', () => {
+    const bindings = new InputBindings({ storage });
+    expect(() => bindings.bindKey('fly', 0, 'F')).toThrow(/Unknown action/);
+    expect(() => bindings.bindKey('jump', 5, 'F')).toThrow(/slot/);
+    expect(() => bindings.bindGamepad('jump', 'trigger:9')).toThrow(/gamepad input/);
+    expect(() => bindings.setActiveProfile(7)).toThrow(/profile/);
+
+    const corrupt = createStorage({ [BINDINGS_STORAGE_KEY]: '{nope' });
+    const partial = createStorage({ [BINDINGS_STORAGE_KEY]: JSON.stringify({ active: 9, profiles: [{ keyboard: { jump: ['J'], walkLeft: 3 } }] }) });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(new InputBindings({ storage: corrupt }).profile).toEqual(createDefaultProfile());
+    const fromPartial = new InputBindings({ storage: partial });
+    expect(fromPartial.activeIndex).toBe(0);
+    expect(fromPartial.getKeys('jump')).toEqual(['J']);
+    expect(fromPartial.getKeys('walkLeft')).toEqual(['A', 'LEFT']);
+  });
+});
+
+describe('Manette with bindings', () => {
+  test('held actions follow the bound keys, per mode', () => {
+    const bindings = new InputBindings({ storage });
+    bindings.bindKey('jump', 0, 'J');
+    const scene = createScene();
+    const manette = new Manette(scene, bindings);
+
+    scene.keys.J.isDown = true;
+    scene.keys.A.isDown = true;
+    manette.update();
+    expect(manette.isActionActive('jump')).toBe(true);
+    expect(manette.isActionActive('brakeAction')).toBe(true);
+    expect(manette.isActionActive('walkLeft')).toBe(false);
+
+    manette.walkMode = true;
+    manette.update();
+    expect(manette.isActionActive('brakeAction')).toBe(false);
+    expect(manette.isActionActive('walkLeft')).toBe(true);
+
+    scene.keys.J.isDown = false;
+    manette.update();
+    expect(manette.isActionActive('jump')).toBe(false);
+    manette.destroy();
+  });
+
+  test('cancelled actions stay off until their keys are released', () => {
+    const scene = createScene();
+    const manette = new Manette(scene, new InputBindings({ storage }));
+
+    scene.keys.A.isDown = true;
+    manette.update();
+    manette.cancelUntilReleased(['brakeAction']);
+    manette.update();
+    expect(manette.isActionActive('brakeAction')).toBe(false);
+
+    scene.keys.A.isDown = false;
+    manette.update();
+    scene.keys.A.isDown = true;
+    manette.update();
+    expect(manette.isActionActive('brakeAction')).toBe(true);
+    manette.destroy();
+  });
+
+  test('keys bound after start are picked up by reloadBindings', () => {
+    const scene = createScene();
+    const manette = new Manette(scene, new InputBindings({ storage }));
+
+    // Another screen saves a new binding to the same storage
+    new InputBindings({ storage }).bindKey('rotateClockwise', 1, 'K');
+    manette.reloadBindings();
+    scene.keys.K.isDown = true;
+    manette.update();
+
+    expect(manette.isActionActive('rotateClockwise')).toBe(true);
+    manette.destroy();
+  });
+
+  test('the walk toggle follows its bound key and gamepad button', () => {
+    const bindings = new InputBindings({ storage });
+    bindings.bindKey('toggleWalkMode', 0, 'Q');
+    bindings.bindGamepad('toggleWalkMode', 'button:3');
+    const scene = createScene();
+    const manette = new Manette(scene, bindings);
+    // keyNameForCode reads Phaser's KeyCodes table
+    const previousPhaser = globalThis.Phaser;
+    globalThis.Phaser = { Input: { Keyboard: { KeyCodes: { TAB: 9, Q: 81 } } } };
+
+    window.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 9 }));
+    expect(manette.walkMode).toBe(false);
+    window.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 81 }));
+    expect(manette.walkMode).toBe(true);
+    globalThis.Phaser = previousPhaser;
+
+    const buttons = Array.from({ length: 8 }, () => ({ pressed: false }));
+    manette.gamepad = { leftStick: { x: 0, y: 0 }, buttons };
+    buttons[3].pressed = true;
+    manette.pollGamepad();
+    manette.pollGamepad();
+    expect(manette.walkMode).toBe(false);
+    manette.destroy();
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for input recording and replay playback
+ * Tests that a recorded run plays back frame-for-frame identical input
+ */
+import { describe, test, expect } from '@jest/globals';
+import InputRecorder, { RECORDING_FORMAT_VERSION } from '../../../js/lib/InputRecorder.js';
+import InputPlayback from '../../../js/lib/InputPlayback.js';
+
+/**
+ * Builds a full input state object like InputController.update() returns
+ * @param {Object} overrides - Actions to switch on
+ */
+function makeState(overrides = {}) {
+  return {
+    left: false,
+    right: false,
+    up: false,
+    down: false,
+    jump: false,
+    tuck: false,
+    drag: false,
+    airBrake: false,
+    parachute: false,
+    toggleWalkMode: false,
+    rotateCounterClockwise: false,
+    rotateClockwise: false,
+    brakeAction: false,
+    trickAction: false,
+    justPressedJump: false,
+    walkMode: false,
+    ...overrides
+  };
+}
+
+// A short scripted run: idle, hold jump, rotate in the air, then land with a walk toggle
+const scriptedFrames = [
+  makeState(),
+  makeState(),
+  makeState({ jump: true, up: true, justPressedJump: true }),
+  makeState({ jump: true, up: true }),
+  makeState({ rotateClockwise: true, right: true }),
+  makeState({ rotateClockwise: true, right: true }),
+  makeState({ rotateClockwise: true, right: true }),
+  makeState({ jump: true, up: true, justPressedJump: true }),
+  makeState({ toggleWalkMode: true, walkMode: true }),
+  makeState({ walkMode: true })
+];
+
+describe('InputRecorder', () => {
+  test('only stores frames where the held actions change', () => {
+    const recorder = new InputRecorder('seed-123');
+    recorder.start();
+    scriptedFrames.forEach(state => recorder.record(state));
+
+    const recording = recorder.toJSON();
+    expect(recording.version).toBe(RECORDING_FORMAT_VERSION);
+    expect(recording.seed).toBe('seed-123');
+    expect(recording.frameCount).toBe(scriptedFrames.length);
+    expect(recording.events.map(event => event.frame)).toEqual([0, 2, 4, 7, 8, 9]);
+    expect(recording.events[1].actions).toEqual(['jump', 'up']);
+  });
+
+  test('ignores frames while not recording', () => {
+    const recorder = new InputRecorder('seed-123');
+    recorder.record(makeState({ jump: true }));
+
+    recorder.start();
+    recorder.record(makeState());
+    recorder.stop();
+    recorder.record(makeState({ left: true }));
+
+    expect(recorder.toJSON().frameCount).toBe(1);
+  });
+
+  test('recording survives a JSON round trip', () => {
+    const recorder = new InputRecorder('seed-123');
+    recorder.start();
+    scriptedFrames.forEach(state => recorder.record(state));
+
+    const recording = recorder.toJSON();
+    expect(JSON.parse(JSON.stringify(recording))).toEqual(recording);
+  });
+});
+
+describe('InputPlayback', () => {
+  test('reproduces every recorded frame exactly', () => {
+    const recorder = new InputRecorder('seed-123');
+    recorder.start();
+    scriptedFrames.forEach(state => recorder.record(state));
+
+    const playback = new InputPlayback(JSON.parse(JSON.stringify(recorder.toJSON())));
+    expect(playback.seed).toBe('seed-123');
+
+    scriptedFrames.forEach(expected => {
+      expect(playback.next()).toEqual(expected);
+    });
+    expect(playback.isFinished()).toBe(true);
+  });
+
+  test('releases actions but keeps walk mode after the recording ends', () => {
+    const recorder = new InputRecorder('seed-123');
+    recorder.start();
+    recorder.record(makeState({ walkMode: true, right: true }));
+
+    const playback = new InputPlayback(recorder.toJSON());
+    playback.next();
+
+    expect(playback.next()).toEqual(makeState({ walkMode: true }));
+  });
+
+  test('reset() rewinds to the first frame', () => {
+    const recorder = new InputRecorder('seed-123');
+    recorder.start();
+    scriptedFrames.forEach(state => recorder.record(state));
+
+    const playback = new InputPlayback(recorder.toJSON());
+    const firstPass = scriptedFrames.map(() => playback.next());
+    playback.reset();
+    const secondPass = scriptedFrames.map(() => playback.next());
+
+    expect(secondPass).toEqual(firstPass);
+  });
+
+  test('rejects recordings it cannot play', () => {
+    expect(() => new InputPlayback(null)).toThrow();
+    expect(() => new InputPlayback({ version: RECORDING_FORMAT_VERSION })).toThrow();
+    expect(() => new InputPlayback({ version: 999, events: [] })).toThrow(/version/);
+  });
+});
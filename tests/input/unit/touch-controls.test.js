@@ -0,0 +1,143 @@
+/**
+ * Unit tests for the on-screen touch controls and how Manette reads them
+ */
+import { describe, test, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import { createNullObject } from '../../../js/headless/headless-scene.js';
+import TouchControls, {
+  TOUCH_LAYOUTS,
+  TOUCH_POINTS,
+  layoutTouchButtons,
+  shouldShowTouchControls
+} from '../../../js/lib/TouchControls.js';
+import InputBindings from '../../../js/lib/InputBindings.js';
+
+let Manette;
+
+beforeAll(async () => {
+  ({ default: Manette } = await import('../../../js/Manette.js'));
+});
+
+// Scene with a pointer event hub the test can fire, and keys that stay up
+function createScene() {
+  const handlers = {};
+  return {
+    handlers,
+    add: createNullObject(),
+    cameras: { main: { width: 1000, height: 700 } },
+    input: {
+      manager: { pointersTotal: 1 },
+      addPointer: jest.fn(),
+      on: (event, handler) => { handlers[event] = handler; },
+      off: jest.fn(event => { delete handlers[event]; }),
+      keyboard: { addKey: () => ({ isDown: false }) },
+      gamepad: null
+    }
+  };
+}
+
+// Pointer at a button's centre
+function on(touch, name, id) {
+  const button = touch.buttons.find(b => b.name === name);
+  return { id, x: button.x, y: button.y };
+}
+
+let scene;
+let touch;
+let manette;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  scene = createScene();
+  touch = new TouchControls(scene, { onPause: jest.fn() });
+  touch.create();
+  manette = new Manette(scene, new InputBindings({ storage: null }));
+  manette.setTouchControls(touch);
+});
+
+describe('TouchControls', () => {
+  test('the left-handed layout mirrors the right-handed one, except for pause', () => {
+    const right = layoutTouchButtons('right', 1000, 700);
+    const left = layoutTouchButtons('left', 1000, 700);
+
+    right.forEach((button, i) => {
+      const expectedX = button.name === 'pause' ? button.x : 1000 - button.x;
+      expect(left[i].x).toBeCloseTo(expectedX);
+      expect(left[i].y).toBeCloseTo(button.y);
+    });
+    expect(Object.keys(TOUCH_LAYOUTS)).toEqual(['right', 'left']);
+  });
+
+  test('create asks Phaser to track enough fingers and listens for pointers', () => {
+    expect(scene.input.addPointer).toHaveBeenCalledWith(TOUCH_POINTS - 1);
+    expect(Object.keys(scene.handlers).sort()).toEqual(['pointerdown', 'pointermove', 'pointerup', 'pointerupoutside']);
+  });
+
+  test('two fingers hold rotate and jump together, and lift separately', () => {
+    scene.handlers.pointerdown(on(touch, 'rotateCounterClockwise', 1));
+    scene.handlers.pointerdown(on(touch, 'jump', 2));
+    manette.update();
+    expect(manette.isActionActive('rotateCounterClockwise')).toBe(true);
+    expect(manette.isActionActive('jump')).toBe(true);
+
+    scene.handlers.pointerup({ id: 2 });
+    manette.update();
+    expect(manette.isActionActive('rotateCounterClockwise')).toBe(true);
+    expect(manette.isActionActive('jump')).toBe(false);
+  });
+
+  test('sliding a finger onto another button switches to it; sliding off lets go', () => {
+    scene.handlers.pointerdown(on(touch, 'rotateCounterClockwise', 1));
+    scene.handlers.pointermove(on(touch, 'rotateClockwise', 1));
+    expect(touch.isActionHeld('rotateCounterClockwise')).toBe(false);
+    expect(touch.isActionHeld('rotateClockwise')).toBe(true);
+
+    scene.handlers.pointermove({ id: 1, x: 500, y: 350 });
+    expect(touch.isActionHeld('rotateClockwise')).toBe(false);
+  });
+
+  test('the brake button walks left in walk mode, and the walk button toggles once per tap', () => {
+    scene.handlers.pointerdown(on(touch, 'brake', 1));
+    scene.handlers.pointerdown(on(touch, 'toggleWalkMode', 2));
+    manette.update();
+    expect(manette.isWalkMode()).toBe(true);
+    expect(manette.actions.toggleWalkMode).toBe(true);
+
+    manette.update();
+    expect(manette.isWalkMode()).toBe(true);
+    expect(manette.isActionActive('walkLeft')).toBe(true);
+    expect(manette.isActionActive('brakeAction')).toBe(false);
+  });
+
+  test('the pause button calls back instead of holding anything', () => {
+    scene.handlers.pointerdown(on(touch, 'pause', 1));
+
+    expect(touch.onPause).toHaveBeenCalledTimes(1);
+    expect(touch.heldBy.size).toBe(0);
+  });
+
+  test('releasing all input on Manette lets go of the touch buttons too', () => {
+    scene.handlers.pointerdown(on(touch, 'jump', 1));
+    manette.releaseAll();
+    manette.update();
+
+    expect(manette.isActionActive('jump')).toBe(false);
+  });
+
+  test('destroy stops listening for pointers', () => {
+    touch.destroy();
+    expect(scene.handlers).toEqual({});
+  });
+});
+
+describe('shouldShowTouchControls', () => {
+  test('on and off are forced; auto follows the device', () => {
+    const phone = { navigator: { maxTouchPoints: 5 } };
+    const desktop = { navigator: { maxTouchPoints: 0 }, window: {} };
+
+    expect(shouldShowTouchControls('on', desktop)).toBe(true);
+    expect(shouldShowTouchControls('off', phone)).toBe(false);
+    expect(shouldShowTouchControls('auto', phone)).toBe(true);
+    expect(shouldShowTouchControls('auto', desktop)).toBe(false);
+    expect(shouldShowTouchControls('auto', { window: { ontouchstart: null } })).toBe(true);
+  });
+});
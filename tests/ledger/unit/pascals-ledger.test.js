@@ -0,0 +1,134 @@
+/**
+ * Unit tests for Pascal's Ledger, run against fake-indexeddb under jsdom
+ */
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+import { serialize, deserialize } from 'v8';
+import PascalsLedger, { normalizeInitials, LEDGER_TOP_COUNT } from '../../../js/lib/PascalsLedger.js';
+
+let IDBFactory;
+let indexedDB;
+let ledger;
+
+beforeAll(async () => {
+  // jsdom has no structuredClone, which fake-indexeddb uses to store values
+  if (typeof globalThis.structuredClone !== 'function') {
+    globalThis.structuredClone = value => deserialize(serialize(value));
+  }
+  ({ IDBFactory } = await import('fake-indexeddb'));
+});
+
+function run(overrides = {}) {
+  return {
+    score: 1000,
+    distance: 420,
+    seed: 'abc',
+    flips: 2,
+    causeOfDeath: 'bad-landing',
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  // A fresh factory per test is an empty browser profile
+  indexedDB = new IDBFactory();
+  ledger = new PascalsLedger({ indexedDB });
+});
+
+describe('Recording runs', () => {
+  test('a finished run is stored with every ledger field', async () => {
+    const stored = await ledger.recordRun(run({ date: '2026-10-19T12:00:00.000Z' }));
+
+    expect(stored).toEqual({
+      id: expect.any(Number),
+      score: 1000,
+      distance: 420,
+      seed: 'abc',
+      date: '2026-10-19T12:00:00.000Z',
+      flips: 2,
+      causeOfDeath: 'bad-landing',
+      initials: null
+    });
+    expect(await ledger.getRun(stored.id)).toEqual(stored);
+  });
+
+  test('runs survive reopening the database', async () => {
+    await ledger.recordRun(run());
+    ledger.close();
+
+    const reopened = new PascalsLedger({ indexedDB });
+    expect(await reopened.getAllRuns()).toHaveLength(1);
+  });
+
+  test.each([
+    ['score', { score: NaN }, /score/],
+    ['distance', { distance: undefined }, /distance/],
+    ['seed', { seed: '' }, /seed/],
+    ['cause of death', { causeOfDeath: null }, /cause/]
+  ])('a run without a valid %s is refused', async (_label, overrides, message) => {
+    await expect(ledger.recordRun(run(overrides))).rejects.toThrow(message);
+  });
+
+  test('without IndexedDB every call rejects instead of throwing', async () => {
+    const disabled = new PascalsLedger({ indexedDB: null });
+
+    expect(disabled.available).toBe(false);
+    await expect(disabled.recordRun(run())).rejects.toThrow(/not available/);
+    await expect(disabled.getTopRuns()).rejects.toThrow(/not available/);
+  });
+});
+
+describe('Top-10', () => {
+  test('returns the best runs first, earlier run first on a tie', async () => {
+    const scores = [500, 3000, 1200, 3000, 50, 800, 2500, 100, 900, 1500, 700, 4000];
+    for (let i = 0; i < scores.length; i++) {
+      await ledger.recordRun(run({ score: scores[i], date: `2026-10-${String(i + 1).padStart(2, '0')}T00:00:00.000Z` }));
+    }
+
+    const top = await ledger.getTopRuns();
+    expect(top).toHaveLength(LEDGER_TOP_COUNT);
+    expect(top.map(r => r.score)).toEqual([4000, 3000, 3000, 2500, 1500, 1200, 900, 800, 700, 500]);
+    expect(top[1].date < top[2].date).toBe(true);
+  });
+
+  test('getRank places a new run among the stored ones', async () => {
+    await ledger.recordRun(run({ score: 2000 }));
+    await ledger.recordRun(run({ score: 500 }));
+    const middle = await ledger.recordRun(run({ score: 1000 }));
+
+    expect(await ledger.getRank(middle.id)).toBe(2);
+    expect(await ledger.getRank(9999)).toBeNull();
+  });
+
+  test('getBestDistance is the longest run, whatever its score', async () => {
+    expect(await ledger.getBestDistance()).toBe(0);
+
+    await ledger.recordRun(run({ score: 5000, distance: 300 }));
+    await ledger.recordRun(run({ score: 100, distance: 950 }));
+
+    expect(await ledger.getBestDistance()).toBe(950);
+  });
+});
+
+describe('Initials', () => {
+  test('normalizeInitials keeps upper case letters and digits up to the length', () => {
+    expect(normalizeInitials('ab')).toBe('AB');
+    expect(normalizeInitials('j.d-k!z')).toBe('JDK');
+    expect(normalizeInitials('pascal', 6)).toBe('PASCAL');
+    expect(normalizeInitials(null)).toBe('');
+  });
+
+  test('setInitials signs a stored run', async () => {
+    const stored = await ledger.recordRun(run());
+    const signed = await ledger.setInitials(stored.id, 'bb8x');
+
+    expect(signed.initials).toBe('BB8');
+    expect((await ledger.getTopRuns())[0].initials).toBe('BB8');
+  });
+
+  test('setInitials refuses empty initials and unknown runs', async () => {
+    const stored = await ledger.recordRun(run());
+
+    await expect(ledger.setInitials(stored.id, '!!')).rejects.toThrow(/at least one/);
+    await expect(ledger.setInitials(stored.id + 1, 'ABC')).rejects.toThrow(/No ledger entry/);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * E2E tests for the headless simulation harness
+ * Runs the real ModularGameScene rules on Matter physics without a browser
+ */
+import { describe, test, expect } from '@jest/globals';
+import { simulateRun } from '../../../js/headless/simulate-run.js';
+import { RECORDING_FORMAT_VERSION } from '../../../js/lib/InputRecorder.js';
+import PhysicsConfig from '../../../js/config/physics-config.js';
+
+// Jump at tick 600, hold counter-clockwise rotation for 150 ticks, then release before landing
+const flipScript = [
+  { frame: 600, actions: ['jump'] },
+  { frame: 602, actions: ['rotateCounterClockwise'] },
+  { frame: 752, actions: [] }
+];
+
+describe('Headless simulation harness', () => {
+  test('the same seed and input script give an identical summary', async () => {
+    const first = await simulateRun({ seed: 'headless-test', maxTicks: 900 });
+    const second = await simulateRun({ seed: 'headless-test', maxTicks: 900 });
+
+    expect(second).toEqual(first);
+    expect(first.ticks).toBe(900);
+    expect(first.endReason).toBe('maxTicks');
+  });
+
+  test('the player sleds downhill without any input', async () => {
+    const summary = await simulateRun({ seed: 'headless-test', maxTicks: 900 });
+
+    expect(summary.distance).toBeGreaterThan(500);
+    expect(summary.crashes).toBe(0);
+    expect(summary.lives).toBeGreaterThan(0);
+  });
+
+  test('different seeds generate different runs', async () => {
+    const a = await simulateRun({ seed: 'seed-a', maxTicks: 900 });
+    const b = await simulateRun({ seed: 'seed-b', maxTicks: 900 });
+
+    expect(a.distance).not.toBeCloseTo(b.distance, 3);
+  });
+
+  test('a scripted jump and rotation lands a scored flip', async () => {
+    const summary = await simulateRun({ seed: 'abc', maxTicks: 1200, inputScript: flipScript });
+
+    expect(summary.flips).toBe(1);
+    expect(summary.crashes).toBe(0);
+    expect(summary.score).toBeGreaterThanOrEqual(500);
+  });
+
+  test('the score breakdown adds up to the final score', async () => {
+    const summary = await simulateRun({ seed: 'abc', maxTicks: 1200, inputScript: flipScript });
+    const { tricks } = summary.scoreBySource;
+    const total = Object.values(summary.scoreBySource).reduce((sum, points) => sum + points, 0);
+
+    expect(tricks).toBeGreaterThanOrEqual(500);
+    expect(total).toBeCloseTo(summary.score, 6);
+    expect(summary.bestCombo).toBe(1.25);
+    expect(summary.topSpeed).toBeGreaterThan(0);
+  });
+
+  test('a recording object is accepted as the input script', async () => {
+    const recording = { version: RECORDING_FORMAT_VERSION, seed: 'ignored', frameCount: 1200, events: flipScript };
+    const fromRecording = await simulateRun({ seed: 'abc', maxTicks: 1200, inputScript: recording });
+    const fromEvents = await simulateRun({ seed: 'abc', maxTicks: 1200, inputScript: flipScript });
+
+    expect(fromRecording).toEqual(fromEvents);
+  });
+
+  test('the data avalanche catches a rider who never speeds up, whatever lives are left', async () => {
+    const summary = await simulateRun({ seed: 'abc', maxTicks: 7200 * 3 });
+
+    expect(summary.endReason).toBe('gameOver');
+    expect(summary.causeOfDeath).toBe('data-avalanche');
+    // Hazard crashes may have cost lives on the way, but some were still left when it hit
+    expect(summary.crashes).toBeLessThanOrEqual(PhysicsConfig.extraLives.initialLives);
+    expect(summary.lives).toBe(0);
+  });
+
+  test('hazards appear once the run is past the first difficulty milestone', async () => {
+    const short = await simulateRun({ seed: 'abc', maxTicks: 1200 });
+    const long = await simulateRun({ seed: 'abc', maxTicks: 7200 * 3 });
+
+    expect(short.hazardHits).toBe(0);
+    expect(long.hazardHits).toBeGreaterThan(0);
+  });
+
+  test('requires a seed', async () => {
+    await expect(simulateRun({ maxTicks: 10 })).rejects.toThrow(/seed/);
+  });
+});
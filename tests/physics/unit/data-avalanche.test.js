@@ -0,0 +1,65 @@
+/**
+ * Unit tests for the data avalanche pursuer
+ */
+import { describe, test, expect } from '@jest/globals';
+import DataAvalanche from '../../../js/lib/DataAvalanche.js';
+import TerrainConfig from '../../../js/config/terrain-config.js';
+
+const config = {
+  startGap: 1000,
+  graceMs: 2000,
+  baseSpeed: 100,
+  acceleration: 10,
+  maxSpeed: 300,
+  maxGap: 1500,
+  warningDistance: 500,
+  wallWidth: 400
+};
+
+function createAvalanche() {
+  return new DataAvalanche({}, { startX: 0, startTime: 1000, config });
+}
+
+describe('DataAvalanche', () => {
+  test('waits out the grace period, then speeds up with time to a cap', () => {
+    const avalanche = createAvalanche();
+
+    expect(avalanche.getSpeedAt(1999)).toBe(0);
+    expect(avalanche.getSpeedAt(2000)).toBe(100);
+    expect(avalanche.getSpeedAt(12000)).toBe(200);
+    expect(avalanche.getSpeedAt(600000)).toBe(300);
+  });
+
+  test('moves with the step and catches a player who stands still', () => {
+    const avalanche = createAvalanche();
+
+    expect(avalanche.update(2000, 1000, 0)).toBe(false); // Still in the grace period
+    expect(avalanche.x).toBe(-1000);
+
+    let caught = false;
+    let now = 3000;
+    while (!caught && now < 60000) {
+      caught = avalanche.update(now, 1000, 0);
+      now += 1000;
+    }
+    expect(caught).toBe(true);
+    expect(avalanche.getGap(0)).toBeLessThanOrEqual(0);
+  });
+
+  test('never falls more than maxGap behind', () => {
+    const avalanche = createAvalanche();
+    avalanche.update(1000, 10, 100000);
+
+    expect(avalanche.getGap(100000)).toBe(config.maxGap);
+  });
+
+  test('warns only inside the warning distance', () => {
+    const avalanche = createAvalanche();
+
+    expect(avalanche.getWarning(0)).toBeNull();
+    expect(avalanche.getWarning(-750)).toEqual({
+      meters: 250 / TerrainConfig.pixelsPerMeter,
+      proximity: 0.5
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit tests for distance scoring and the personal best check
+ */
+import { describe, test, expect } from '@jest/globals';
+import DistanceTracker from '../../../js/lib/DistanceTracker.js';
+
+function tracker(options = {}) {
+  return new DistanceTracker({ startX: 100, pixelsPerMeter: 20, pointsPerMeter: 1, ...options });
+}
+
+describe('DistanceTracker', () => {
+  test('scores one point per whole meter, counting each meter once', () => {
+    const distance = tracker();
+
+    expect(distance.update(150).points).toBe(2); // 2.5 m
+    expect(distance.update(161).points).toBe(1); // 3.05 m
+    expect(distance.update(120).points).toBe(0); // Slid back
+    expect(distance.update(170).points).toBe(0); // Back to 3.5 m: nothing new
+    expect(distance.meters).toBeCloseTo(3.5);
+  });
+
+  test('the pixel scale and points per meter are configurable', () => {
+    const distance = tracker({ pixelsPerMeter: 10, pointsPerMeter: 5 });
+
+    expect(distance.update(200).points).toBe(50);
+    expect(distance.xForMeters(25)).toBe(350);
+  });
+
+  test('passing the personal best is reported once', () => {
+    const distance = tracker({ personalBest: 5 });
+
+    expect(distance.update(200).passedPersonalBest).toBe(false); // Exactly 5 m
+    expect(distance.update(201).passedPersonalBest).toBe(true);
+    expect(distance.update(300).passedPersonalBest).toBe(false);
+    expect(distance.passedPersonalBest).toBe(true);
+  });
+
+  test('a personal best that arrives after it was passed is not reported', () => {
+    const distance = tracker();
+    distance.update(400);
+    distance.setPersonalBest(10);
+
+    expect(distance.passedPersonalBest).toBe(true);
+    expect(distance.update(500).passedPersonalBest).toBe(false);
+  });
+
+  test('without a personal best nothing is reported', () => {
+    expect(tracker().update(10000).passedPersonalBest).toBe(false);
+  });
+});
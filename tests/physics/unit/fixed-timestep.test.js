@@ -0,0 +1,87 @@
+/**
+ * Unit tests for the fixed-timestep simulation accumulator
+ * Tests that simulated time is independent of the render frame rate
+ */
+import { describe, test, expect } from '@jest/globals';
+import FixedTimestep, { REFERENCE_FRAME_MS, scalePerFrameFactor } from '../../../js/utils/FixedTimestep.js';
+
+/**
+ * Feeds one second of frames at the given refresh rate and counts steps
+ * @param {number} refreshRate - Monitor refresh rate in Hz
+ */
+function stepsForOneSecond(refreshRate) {
+  const timestep = new FixedTimestep({ tickRate: 120 });
+  let steps = 0;
+  for (let i = 0; i < refreshRate; i++) {
+    steps += timestep.advance(1000 / refreshRate, () => {});
+  }
+  return steps;
+}
+
+describe('FixedTimestep', () => {
+  test('runs the same number of steps on 60Hz and 144Hz monitors', () => {
+    expect(stepsForOneSecond(60)).toBe(120);
+    expect(stepsForOneSecond(144)).toBe(120);
+    expect(stepsForOneSecond(30)).toBe(120);
+  });
+
+  test('always passes the constant step length', () => {
+    const timestep = new FixedTimestep({ tickRate: 120 });
+    const lengths = new Set();
+    [7, 16.7, 33.3, 6.9, 20].forEach(delta => {
+      timestep.advance(delta, stepMs => { lengths.add(stepMs); });
+    });
+    expect([...lengths]).toEqual([1000 / 120]);
+  });
+
+  test('carries leftover time forward as the interpolation factor', () => {
+    const timestep = new FixedTimestep({ tickRate: 100 });
+    expect(timestep.advance(15, () => {})).toBe(1);
+    expect(timestep.alpha).toBeCloseTo(0.5);
+    expect(timestep.advance(5, () => {})).toBe(1);
+    expect(timestep.alpha).toBeCloseTo(0);
+  });
+
+  test('drops the backlog after a long stall instead of spiralling', () => {
+    const timestep = new FixedTimestep({ tickRate: 120, maxStepsPerFrame: 4 });
+    expect(timestep.advance(5000, () => {})).toBe(4);
+    expect(timestep.accumulator).toBeLessThan(timestep.stepMs);
+    expect(timestep.advance(1000 / 60, () => {})).toBe(2);
+  });
+
+  test('stops stepping when the step function returns false', () => {
+    const timestep = new FixedTimestep({ tickRate: 120 });
+    let calls = 0;
+    const steps = timestep.advance(100, () => {
+      calls++;
+      return false;
+    });
+    expect(steps).toBe(1);
+    expect(calls).toBe(1);
+    expect(timestep.alpha).toBe(0);
+  });
+
+  test('tracks simulated time in whole steps', () => {
+    const timestep = new FixedTimestep({ tickRate: 120 });
+    for (let i = 0; i < 144; i++) {
+      timestep.advance(1000 / 144, () => {});
+    }
+    expect(timestep.stepCount).toBe(120);
+    expect(timestep.simTime).toBeCloseTo(1000);
+
+    timestep.reset();
+    expect(timestep.stepCount).toBe(0);
+    expect(timestep.simTime).toBe(0);
+  });
+});
+
+describe('scalePerFrameFactor', () => {
+  test('leaves a 60fps factor unchanged for a 60fps step', () => {
+    expect(scalePerFrameFactor(0.8, REFERENCE_FRAME_MS)).toBeCloseTo(0.8);
+  });
+
+  test('two half-length steps match one full frame', () => {
+    const half = scalePerFrameFactor(0.8, REFERENCE_FRAME_MS / 2);
+    expect(half * half).toBeCloseTo(0.8);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for the per-run player stat layer and the pickups that modify it
+ */
+import { describe, test, expect, jest } from '@jest/globals';
+import PlayerStats from '../../../js/lib/PlayerStats.js';
+import EffectManager from '../../../js/lib/EffectManager.js';
+import { createCollectibleRegistry } from '../../../js/lib/PowerUps.js';
+import PhysicsConfig from '../../../js/config/physics-config.js';
+
+describe('PlayerStats', () => {
+  test('starts from PhysicsConfig', () => {
+    const stats = new PlayerStats();
+
+    expect(stats.get('jumpVelocity')).toBe(PhysicsConfig.jump.jumpVelocity);
+    expect(stats.get('airRotationVel')).toBe(PhysicsConfig.rotation.airRotationVel);
+    expect(stats.get('downhillBiasForce')).toBe(PhysicsConfig.movement.downhillBiasForce);
+    expect(() => stats.get('gravityY')).toThrow(/Unknown/);
+  });
+
+  test('modifiers stack and expire without touching PhysicsConfig', () => {
+    const stats = new PlayerStats();
+    const configJump = PhysicsConfig.jump.jumpVelocity;
+    stats.addModifier('uplink', { jump: 1.5 }, 0, 1000);
+    stats.addModifier('uplink', { jump: 2 }, 500, 1000);
+    stats.addModifier('frameDrop', { rotation: 0.5 }, 500, 1000);
+
+    expect(stats.get('jumpVelocity')).toBeCloseTo(configJump * 3);
+    expect(stats.get('minJumpVelocity')).toBeCloseTo(PhysicsConfig.jump.minJumpVelocity * 3);
+    expect(stats.get('groundRotationVel')).toBeCloseTo(PhysicsConfig.rotation.groundRotationVel / 2);
+    expect(stats.getMultiplier('speed')).toBe(1);
+    expect(PhysicsConfig.jump.jumpVelocity).toBe(configJump);
+
+    expect(stats.expireModifiers(1000)).toHaveLength(1);
+    expect(stats.get('jumpVelocity')).toBeCloseTo(configJump * 2);
+    stats.expireModifiers(1500);
+    expect(stats.get('jumpVelocity')).toBe(configJump);
+  });
+
+  test('refuses unknown stats, and reset drops every modifier', () => {
+    const stats = new PlayerStats();
+    expect(() => stats.addModifier('bad', { gravity: 2 }, 0, 1000)).toThrow(/gravity/);
+
+    stats.addModifier('overclock', { speed: 1.25 }, 0, 1000);
+    stats.reset();
+    expect(stats.getMultiplier('speed')).toBe(1);
+  });
+
+  test('stat pickups add their multiplier for the configured time', () => {
+    const scene = { playerStats: new PlayerStats(), hud: { showToast: jest.fn() } };
+    const effects = new EffectManager(scene);
+    const registry = createCollectibleRegistry();
+    const { durationMs, overclock, throttle } = PhysicsConfig.powerUps.statShift;
+
+    effects.apply(registry.get('overclock'), 0);
+    effects.apply(registry.get('throttle'), 0);
+    expect(scene.playerStats.getMultiplier('speed')).toBeCloseTo(overclock.speed * throttle.speed);
+
+    scene.playerStats.expireModifiers(durationMs);
+    expect(scene.playerStats.getMultiplier('speed')).toBe(1);
+  });
+});
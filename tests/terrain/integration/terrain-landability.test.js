@@ -0,0 +1,123 @@
+/**
+ * Integration tests for the terrain landability validator
+ * Checks the repair rules on hand-built slopes and a corpus of seeded runs
+ */
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import TerrainValidator from '../../../js/lib/TerrainValidator.js';
+import RotationSystem from '../../../js/utils/RotationSystem.js';
+import PhysicsConfig from '../../../js/config/physics-config.js';
+import TerrainConfig from '../../../js/config/terrain-config.js';
+import { loadHeadlessTerrain, createHeadlessTerrain } from '../../test-utils.js';
+
+const SEED_CORPUS = Array.from({ length: 12 }, (_, i) => `landability-${i}`);
+
+beforeAll(loadHeadlessTerrain);
+
+function buildTerrain(seed, generator, segmentCount = 400) {
+  return createHeadlessTerrain(seed, { glitchZones: true, chunks: true, generator, segmentCount }).terrain;
+}
+
+// Straight segment from (x, y) with the given drop over 100px
+function ramp(x, y, drop) {
+  return { x, y, endX: x + 100, endY: y + drop };
+}
+
+describe('TerrainValidator limits', () => {
+  const validator = new TerrainValidator();
+
+  test('the landing limit comes from the RotationSystem wobble range', () => {
+    const rotation = new RotationSystem();
+    const edge = TerrainValidator.findMaxLandingAngle(rotation);
+
+    expect(rotation.getStabilityState(edge)).toBe('wobble');
+    expect(rotation.getStabilityState(edge + 1)).toBe('fail');
+    expect(validator.maxLandingAngleDeg).toBe(edge - TerrainConfig.validation.landingAngleMarginDeg);
+  });
+
+  test('the climb limit comes from the jump velocity and gravity', () => {
+    // 600 px/s launch against 1000 px/s² gravity peaks at 180px
+    expect(TerrainValidator.computeJumpHeight(PhysicsConfig)).toBeCloseTo(180, 6);
+    expect(validator.maxClimbHeight).toBeCloseTo(180 * TerrainConfig.validation.climbHeightFactor, 6);
+  });
+});
+
+describe('TerrainValidator reports and repairs', () => {
+  const validator = new TerrainValidator();
+
+  test('validate flags steep landings, sharp upward bends and tall climbs', () => {
+    const report = validator.validate([
+      ramp(0, 0, 50),
+      ramp(100, 50, 400),   // cliff
+      ramp(200, 450, -80),  // straight from the cliff into an upslope
+      ramp(300, 370, -80),
+      ramp(400, 290, -80)   // 240px of continuous climbing
+    ]);
+
+    expect(report.landable).toBe(false);
+    const types = report.issues.map(issue => issue.type);
+    expect(types).toEqual(expect.arrayContaining(['steepLanding', 'sharpTransition', 'unclimbable']));
+    expect(report.issues.find(issue => issue.type === 'steepLanding').segmentIndex).toBe(1);
+  });
+
+  test('a steep segment is flattened to the landing limit', () => {
+    const segment = ramp(100, 50, 400);
+    const result = validator.repairSegment(segment, [ramp(0, 0, 50)]);
+
+    expect(result.repaired).toBe(true);
+    expect(result.deltaY).toBeLessThan(0);
+    expect(segment.endY).toBeCloseTo(50 + 100 * Math.tan(validator.maxLandingAngleDeg * Math.PI / 180), 6);
+    expect(validator.validate([ramp(0, 0, 50), segment]).landable).toBe(true);
+  });
+
+  test('an upslope straight after a steep drop is eased', () => {
+    const placed = [ramp(0, 0, 150)];
+    const segment = ramp(100, 150, -60);
+
+    validator.repairSegment(segment, placed);
+
+    expect(validator.validate([...placed, segment]).landable).toBe(true);
+    expect(segment.endY).toBeLessThan(150 + 1e-9);
+  });
+
+  test('a climb taller than a jump is capped', () => {
+    const placed = [ramp(0, 0, 50), ramp(100, 50, -60), ramp(200, -10, -60)];
+    const segment = ramp(300, -70, -60);
+
+    validator.repairSegment(segment, placed);
+
+    expect(validator.validate([...placed, segment]).landable).toBe(true);
+    expect(-70 - segment.endY).toBeCloseTo(validator.maxClimbHeight - 120, 6);
+  });
+
+  test('valid segments are left alone', () => {
+    const segment = ramp(100, 50, 40);
+
+    expect(validator.repairSegment(segment, [ramp(0, 0, 50)])).toEqual({ repaired: false, deltaY: 0, issues: [] });
+    expect(segment.endY).toBe(90);
+  });
+});
+
+describe('Seeded terrain corpus', () => {
+  test.each(['straight', 'spline'])('every seed is landable with the %s generator', generator => {
+    let repaired = 0;
+
+    SEED_CORPUS.forEach(seed => {
+      const report = buildTerrain(seed, generator).getValidationReport();
+      expect({ seed, issues: report.issues }).toEqual({ seed, issues: [] });
+      expect(report.landable).toBe(true);
+      repaired += report.stats.repaired;
+    });
+
+    // The corpus is long enough to need the repair pass somewhere
+    expect(repaired).toBeGreaterThan(0);
+  });
+
+  test('repaired terrain stays continuous, chunks included', () => {
+    const segments = buildTerrain('landability-0', 'straight').getTerrainSegments();
+
+    for (let i = 1; i < segments.length; i++) {
+      expect(segments[i].x).toBe(segments[i - 1].endX);
+      expect(segments[i].y).toBeCloseTo(segments[i - 1].endY, 9);
+    }
+  });
+});
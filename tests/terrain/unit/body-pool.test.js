@@ -0,0 +1,133 @@
+/**
+ * Unit tests for pooled terrain collision bodies
+ */
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { Matter, installHeadlessGlobals } from '../../../js/headless/headless-phaser.js';
+import { attachHeadlessSystems } from '../../../js/headless/headless-scene.js';
+import { initializeRandomWithSeed } from '../../../js/utils/seed-generator.js';
+import BodyPool from '../../../js/lib/BodyPool.js';
+
+const { Bodies, Composite } = Matter;
+
+let TerrainManager;
+
+beforeAll(async () => {
+  installHeadlessGlobals();
+  ({ default: TerrainManager } = await import('../../../js/lib/TerrainManager.js'));
+});
+
+function createScene(seed = 'pool') {
+  const scene = { seededRandom: initializeRandomWithSeed(seed) };
+  attachHeadlessSystems(scene);
+  return scene;
+}
+
+function worldBodies(scene) {
+  return Composite.allBodies(scene.matter.world.localWorld);
+}
+
+// Scrolls the terrain as if a player moved right at a steady speed
+function scroll(terrain, ticks, speed = 14) {
+  let playerX = 0;
+  for (let i = 0; i < ticks; i++) {
+    playerX += speed;
+    terrain.update(playerX);
+  }
+}
+
+describe('BodyPool', () => {
+  test('released bodies leave the world and are reused by the next acquire', () => {
+    const scene = createScene();
+    const pool = new BodyPool(scene.matter, { label: 'terrain' });
+
+    const first = pool.acquire(100, 100, 50, 5, 0.3);
+    pool.release(first);
+    expect(worldBodies(scene)).not.toContain(first);
+    expect(pool.freeCount).toBe(1);
+
+    const second = pool.acquire(400, 250, 80, 5, -0.2);
+    expect(second).toBe(first);
+    expect(worldBodies(scene)).toContain(second);
+    expect(pool.stats).toEqual({ created: 1, reused: 1, released: 1 });
+    expect(pool.activeCount).toBe(1);
+  });
+
+  test('a reused body has the same shape as a freshly created one', () => {
+    const scene = createScene();
+    const pool = new BodyPool(scene.matter, { label: 'terrain' });
+    pool.release(pool.acquire(-300, 900, 20, 2000, 1.1));
+
+    const reused = pool.acquire(400, 250, 80, 5, -0.2);
+    const fresh = Bodies.rectangle(400, 250, 80, 5, { angle: -0.2 });
+
+    expect(reused.angle).toBeCloseTo(fresh.angle, 10);
+    expect(reused.position.x).toBeCloseTo(400, 10);
+    expect(reused.position.y).toBeCloseTo(250, 10);
+    reused.vertices.forEach((vertex, i) => {
+      expect(vertex.x).toBeCloseTo(fresh.vertices[i].x, 8);
+      expect(vertex.y).toBeCloseTo(fresh.vertices[i].y, 8);
+    });
+    expect(reused.bounds.min.x).toBeCloseTo(fresh.bounds.min.x, 8);
+    expect(reused.bounds.max.y).toBeCloseTo(fresh.bounds.max.y, 8);
+  });
+
+  test('each new body gets its own collision filter', () => {
+    const scene = createScene();
+    const pool = new BodyPool(scene.matter, { collisionFilter: { category: 0x0002, mask: 0x0001 } });
+    const a = pool.acquire(0, 0, 10, 10);
+    const b = pool.acquire(50, 0, 10, 10);
+
+    expect(a.collisionFilter).not.toBe(b.collisionFilter);
+    expect(a.collisionFilter.mask).toBe(0x0001);
+  });
+});
+
+describe('Terrain with pooled bodies', () => {
+  test('scrolling reuses bodies instead of creating new ones', () => {
+    const scene = createScene();
+    const terrain = new TerrainManager(scene, { bodyPool: true });
+    terrain.init();
+
+    scroll(terrain, 1000);
+    const createdEarly = terrain.terrainBodyPool.stats.created;
+    const bodiesEarly = worldBodies(scene).length;
+    scroll(terrain, 3000);
+
+    expect(terrain.terrainBodyPool.stats.reused).toBeGreaterThan(createdEarly);
+    expect(terrain.terrainBodyPool.stats.created).toBeLessThan(createdEarly * 1.5);
+    expect(worldBodies(scene).length).toBeLessThan(bodiesEarly * 1.5);
+  });
+
+  test('the world holds exactly the bodies of the segments still in memory', () => {
+    const scene = createScene();
+    const terrain = new TerrainManager(scene, { bodyPool: true });
+    terrain.init();
+    scroll(terrain, 2000);
+
+    const expected = terrain.getTerrainSegments().reduce((sum, segment) => sum + segment.bodies.length + 1, 0);
+    expect(worldBodies(scene).length).toBe(expected);
+
+    terrain.reset();
+    const afterReset = terrain.getTerrainSegments().reduce((sum, segment) => sum + segment.bodies.length + 1, 0);
+    expect(worldBodies(scene).length).toBe(afterReset);
+  });
+
+  test('pooled and unpooled terrain build identical collision geometry', () => {
+    const geometry = bodyPool => {
+      const scene = createScene('geometry');
+      const terrain = new TerrainManager(scene, { bodyPool });
+      terrain.init();
+      scroll(terrain, 1500);
+      return terrain.getTerrainSegments().flatMap(segment => [...segment.bodies, segment.floorBody]
+        .map(body => [body.label, body.position.x, body.position.y, body.angle]));
+    };
+
+    const pooled = geometry(true);
+    const unpooled = geometry(false);
+    expect(pooled.length).toBe(unpooled.length);
+    pooled.forEach((entry, i) => {
+      expect(entry[0]).toBe(unpooled[i][0]);
+      entry.slice(1).forEach((value, j) => expect(value).toBeCloseTo(unpooled[i][j + 1], 6));
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for the JSON terrain chunk library and chunk splicing
+ */
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+import { createJsonCache } from '../../../js/headless/headless-scene.js';
+import { loadChunkData } from '../../../js/headless/headless-data.js';
+import { initializeRandomWithSeed } from '../../../js/utils/seed-generator.js';
+import ChunkLibrary, { validateChunk, CHUNK_MANIFEST_KEY } from '../../../js/lib/ChunkLibrary.js';
+import { loadHeadlessTerrain, createHeadlessTerrain } from '../../test-utils.js';
+
+const kicker = {
+  id: 'test-kicker',
+  type: 'kicker',
+  weight: 2,
+  color: 'blue',
+  points: [[0, 0], [100, 50], [160, 40]]
+};
+
+beforeAll(loadHeadlessTerrain);
+
+function buildSegments(seed, segmentCount = 300) {
+  const { terrain } = createHeadlessTerrain(seed, { chunks: true, segmentCount });
+  return { terrain, segments: terrain.getTerrainSegments() };
+}
+
+describe('Chunk schema validation', () => {
+  test('accepts a well-formed chunk', () => {
+    expect(validateChunk(kicker)).toEqual([]);
+  });
+
+  test.each([
+    ['missing id', { ...kicker, id: '' }, /id/],
+    ['unknown colour', { ...kicker, color: 'orange' }, /color/],
+    ['zero weight', { ...kicker, weight: 0 }, /weight/],
+    ['too few points', { ...kicker, points: [[0, 0]] }, /points/],
+    ['not starting at the origin', { ...kicker, points: [[10, 0], [100, 50]] }, /\[0, 0\]/],
+    ['x going backwards', { ...kicker, points: [[0, 0], [100, 50], [90, 60]] }, /right of/],
+    ['wrong number of span colours', { ...kicker, colors: ['blue'] }, /one entry per span/]
+  ])('rejects a chunk with %s', (_label, chunk, message) => {
+    expect(validateChunk(chunk).join(' ')).toMatch(message);
+  });
+
+  test('the library refuses invalid and duplicate chunks', () => {
+    const library = new ChunkLibrary([kicker]);
+
+    expect(() => library.add({ ...kicker })).toThrow(/duplicate id/);
+    expect(() => library.add({ ...kicker, id: 'broken', points: [] })).toThrow(/broken/);
+    expect(library.size).toBe(1);
+    expect(library.get('test-kicker').colors).toEqual(['blue', 'blue']);
+  });
+
+  test('every shipped chunk file is valid', () => {
+    const cache = createJsonCache();
+    loadChunkData(cache);
+    const files = cache.get(CHUNK_MANIFEST_KEY).chunks;
+
+    expect(files.length).toBeGreaterThan(0);
+    files.forEach(file => expect(validateChunk(cache.get(`chunk:${file}`))).toEqual([]));
+  });
+});
+
+describe('Chunk loading and selection', () => {
+  test('fromCache skips missing and invalid chunk files with a warning', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const cache = createJsonCache()
+      .add(CHUNK_MANIFEST_KEY, { chunks: ['good.json', 'bad.json', 'missing.json'] })
+      .add('chunk:good.json', kicker)
+      .add('chunk:bad.json', { ...kicker, id: 'bad', color: 'orange' });
+
+    const library = ChunkLibrary.fromCache(cache);
+
+    expect(library.size).toBe(1);
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/bad\.json/));
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/missing\.json/));
+    warn.mockRestore();
+  });
+
+  test('pick respects weights and minimum distance', () => {
+    const library = new ChunkLibrary([
+      { ...kicker, id: 'common', weight: 3 },
+      { ...kicker, id: 'rare', weight: 1 },
+      { ...kicker, id: 'late', weight: 100, minDistance: 500 }
+    ]);
+    const random = initializeRandomWithSeed('pick');
+    const counts = { common: 0, rare: 0, late: 0 };
+    for (let i = 0; i < 4000; i++) {
+      counts[library.pick(random, 100).id]++;
+    }
+
+    expect(counts.late).toBe(0);
+    expect(counts.common / counts.rare).toBeGreaterThan(2.4);
+    expect(counts.common / counts.rare).toBeLessThan(3.6);
+    expect(library.pick(random, 600).id).toBeDefined();
+    expect(new ChunkLibrary([{ ...kicker, minDistance: 50 }]).pick(random, 0)).toBeNull();
+  });
+});
+
+describe('Chunk splicing', () => {
+  test('chunks start at the current terrain end and follow their polyline', () => {
+    const { terrain, segments } = buildSegments('chunks');
+    const starts = segments
+      .map((seg, i) => ({ seg, i }))
+      .filter(({ seg, i }) => seg.chunk && (i === 0 || segments[i - 1].chunk !== seg.chunk || segments[i - 1].endX !== seg.x));
+
+    expect(starts.length).toBeGreaterThan(0);
+    starts.forEach(({ seg, i }) => {
+      const chunk = terrain.chunkLibrary.get(seg.chunk);
+      expect(seg.y).toBe(segments[i - 1].endY);
+      chunk.points.slice(1).forEach(([dx, dy], span) => {
+        const part = segments[i + span];
+        expect(part.chunk).toBe(chunk.id);
+        expect(part.chunkType).toBe(chunk.type);
+        expect(part.endX).toBe(seg.x + dx);
+        expect(part.endY).toBe(seg.y + dy);
+        expect(part.color).toBe(terrain.colorFromName(chunk.colors[span]));
+      });
+    });
+  });
+
+  test('chunk placement is fixed by the seed', () => {
+    const placement = seed => buildSegments(seed).segments.filter(seg => seg.chunk).map(seg => [seg.chunk, seg.x]);
+
+    expect(placement('chunks')).toEqual(placement('chunks'));
+    expect(placement('chunks')).not.toEqual(placement('other chunks'));
+  });
+});
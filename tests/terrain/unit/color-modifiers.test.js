@@ -0,0 +1,73 @@
+/**
+ * Unit tests for timed terrain colour modifiers and the pickups that add them
+ */
+import { describe, test, expect, beforeAll, jest } from '@jest/globals';
+import { loadHeadlessTerrain, createHeadlessTerrain } from '../../test-utils.js';
+import EffectManager from '../../../js/lib/EffectManager.js';
+import { createCollectibleRegistry } from '../../../js/lib/PowerUps.js';
+import PhysicsConfig from '../../../js/config/physics-config.js';
+
+beforeAll(loadHeadlessTerrain);
+
+function createTerrain(seed = 'colors') {
+  return createHeadlessTerrain(seed, { init: false }).terrain;
+}
+
+describe('Terrain colour modifiers', () => {
+  test('modifiers stack on top of the difficulty weights until they expire', () => {
+    const terrain = createTerrain();
+    terrain.addColorModifier('firewall', { magenta: 0.5 }, 0, 1000);
+    terrain.addColorModifier('firewall', { magenta: 0.5 }, 500, 1000);
+    terrain.addColorModifier('blueShift', { blue: 2 }, 500, 1000);
+
+    expect(terrain.getColorWeights(terrain.terrainStartX)).toEqual({ blue: 2, magenta: 0.25, green: 1 });
+
+    expect(terrain.expireColorModifiers(999)).toEqual([]);
+    expect(terrain.expireColorModifiers(1000).map(modifier => modifier.id)).toEqual(['firewall']);
+    expect(terrain.getColorWeights(terrain.terrainStartX)).toEqual({ blue: 2, magenta: 0.5, green: 1 });
+
+    terrain.expireColorModifiers(1500);
+    expect(terrain.getColorWeights(terrain.terrainStartX)).toEqual({ blue: 1, magenta: 1, green: 1 });
+  });
+
+  test('odds add up to 1 and follow the modifiers', () => {
+    const terrain = createTerrain();
+    terrain.init();
+    terrain.addColorModifier('packetLoss', { blue: 0.5, green: 0.5 }, 0, 1000);
+
+    const odds = terrain.getColorOdds();
+    expect(odds.blue + odds.magenta + odds.green).toBeCloseTo(1);
+    expect(odds.magenta).toBeCloseTo(0.5);
+  });
+
+  test('only segments generated after the pickup are affected', () => {
+    const terrain = createTerrain();
+    terrain.init();
+    for (let i = 0; i < 20; i++) terrain.generateNextTerrainSegment();
+    const before = terrain.terrainSegments.map(segment => segment.color);
+
+    terrain.addColorModifier('blueShift', { blue: 1000 }, 0, 1000);
+    for (let i = 0; i < 20; i++) terrain.generateNextTerrainSegment();
+
+    expect(terrain.terrainSegments.slice(0, before.length).map(segment => segment.color)).toEqual(before);
+    const after = terrain.terrainSegments.slice(before.length).filter(segment => !segment.chunk);
+    expect(after.filter(segment => segment.color === terrain.neonBlue).length).toBeGreaterThan(after.length * 0.9);
+  });
+
+  test('colour pickups add their shift to the terrain, and a restart clears them', () => {
+    const terrain = createTerrain();
+    terrain.init();
+    const scene = { terrain, hud: { showToast: jest.fn() } };
+    const effects = new EffectManager(scene);
+    const registry = createCollectibleRegistry();
+
+    effects.apply(registry.get('firewall'), 0);
+    effects.apply(registry.get('firewall'), 100);
+    expect(terrain.colorModifiers).toHaveLength(2);
+    expect(terrain.colorModifiers[1].expiresAt).toBe(100 + PhysicsConfig.powerUps.colorShift.durationMs);
+    expect(effects.getTimers(100)).toEqual([]);
+
+    terrain.reset();
+    expect(terrain.colorModifiers).toEqual([]);
+  });
+});
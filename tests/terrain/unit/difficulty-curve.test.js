@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the distance-based terrain difficulty curve
+ */
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { loadHeadlessTerrain, createHeadlessTerrain } from '../../test-utils.js';
+import DifficultyCurve from '../../../js/lib/DifficultyCurve.js';
+import TerrainConfig from '../../../js/config/terrain-config.js';
+
+beforeAll(loadHeadlessTerrain);
+
+function createTerrain(seed = 'difficulty') {
+  return createHeadlessTerrain(seed, { init: false }).terrain;
+}
+
+function xAtMeters(terrain, meters) {
+  return terrain.terrainStartX + meters * TerrainConfig.pixelsPerMeter;
+}
+
+describe('DifficultyCurve', () => {
+  const curve = new DifficultyCurve([
+    { distance: 500, slopeVariance: 1.5, colorWeights: { magenta: 3 } },
+    { distance: 0, slopeVariance: 1, colorWeights: { blue: 1, magenta: 1, green: 1 }, hazardDensity: 0 }
+  ]);
+
+  test('settings change in steps at each milestone', () => {
+    expect(curve.getSettingsAt(0).slopeVariance).toBe(1);
+    expect(curve.getSettingsAt(499.9).slopeVariance).toBe(1);
+    expect(curve.getSettingsAt(500).slopeVariance).toBe(1.5);
+    expect(curve.getSettingsAt(1e6).slopeVariance).toBe(1.5);
+  });
+
+  test('later milestones inherit values they do not list', () => {
+    const late = curve.getSettingsAt(600);
+    expect(late.hazardDensity).toBe(0);
+    expect(late.colorWeights).toEqual({ blue: 1, magenta: 3, green: 1 });
+  });
+
+  test('pickWeighted maps a random value onto relative weights', () => {
+    expect(DifficultyCurve.pickWeighted([1, 1, 2], 0)).toBe(0);
+    expect(DifficultyCurve.pickWeighted([1, 1, 2], 0.3)).toBe(1);
+    expect(DifficultyCurve.pickWeighted([1, 1, 2], 0.5)).toBe(2);
+    expect(DifficultyCurve.pickWeighted([1, 1, 2], 0.999)).toBe(2);
+  });
+
+  test('requires at least one milestone', () => {
+    expect(() => new DifficultyCurve([])).toThrow(/milestone/);
+  });
+});
+
+describe('Terrain difficulty ramp', () => {
+  const samples = 4000;
+
+  test('upslopes and slope spread increase past the distance milestones', () => {
+    const terrain = createTerrain();
+    const stats = meters => {
+      const drops = Array.from({ length: samples }, () => terrain.pickSlopeDrop(xAtMeters(terrain, meters)));
+      return { upslopes: drops.filter(d => d < -15).length, steepest: Math.max(...drops), highestClimb: -Math.min(...drops) };
+    };
+
+    const start = stats(0);
+    const late = stats(10000);
+
+    expect(late.upslopes).toBeGreaterThan(start.upslopes * 2);
+    expect(start.steepest).toBeLessThanOrEqual(120);
+    expect(start.highestClimb).toBeLessThanOrEqual(40);
+    expect(late.steepest).toBeGreaterThan(120);
+    expect(late.highestClimb).toBeGreaterThan(40);
+  });
+
+  test('magenta share increases past the distance milestones', () => {
+    const terrain = createTerrain();
+    const magentaShare = meters => {
+      let magenta = 0;
+      for (let i = 0; i < samples; i++) {
+        if (terrain.pickSegmentColor(xAtMeters(terrain, meters), terrain.scene.seededRandom) === terrain.neonPink) magenta++;
+      }
+      return magenta / samples;
+    };
+
+    expect(magentaShare(0)).toBeCloseTo(1 / 3, 1);
+    expect(magentaShare(10000)).toBeCloseTo(0.5, 1);
+  });
+
+  test('the opening stretch keeps the classic slope table', () => {
+    const settings = createTerrain().getDifficultyAt(0);
+
+    expect(settings.slopeWeights).toEqual({ moderate: 60, steep: 25, mild: 10, upslope: 5 });
+    expect(settings.slopeVariance).toBe(1);
+    expect(settings.hazardDensity).toBe(0);
+  });
+});
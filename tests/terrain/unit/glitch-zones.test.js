@@ -0,0 +1,110 @@
+/**
+ * Unit tests for seeded noise glitch zones
+ * Builds real TerrainManager segments on the headless Matter engine
+ */
+import { describe, test, expect, beforeAll, afterEach } from '@jest/globals';
+import { initializeRandomWithSeed } from '../../../js/utils/seed-generator.js';
+import { createNoise1D, fractalNoise1D } from '../../../js/utils/noise.js';
+import TerrainConfig from '../../../js/config/terrain-config.js';
+import { loadHeadlessTerrain, createHeadlessTerrain } from '../../test-utils.js';
+
+const zoneConfig = TerrainConfig.glitchZones;
+const originalEnabled = zoneConfig.enabled;
+
+beforeAll(loadHeadlessTerrain);
+
+afterEach(() => {
+  zoneConfig.enabled = originalEnabled;
+});
+
+function buildSegments(seed, segmentCount = 400) {
+  return createHeadlessTerrain(seed, { glitchZones: true, segmentCount }).terrain.getTerrainSegments();
+}
+
+function zoneRuns(segments) {
+  const zones = new Map();
+  segments.forEach((seg, index) => {
+    if (seg.glitchZone === null) return;
+    if (!zones.has(seg.glitchZone)) zones.set(seg.glitchZone, []);
+    zones.get(seg.glitchZone).push(index);
+  });
+  return [...zones.values()];
+}
+
+describe('Seeded 1-D noise', () => {
+  test('is repeatable for the same random stream and zero on lattice points', () => {
+    const a = createNoise1D(initializeRandomWithSeed('noise'));
+    const b = createNoise1D(initializeRandomWithSeed('noise'));
+
+    [0.1, 1.7, 42.25, 200.9].forEach(x => expect(a(x)).toBe(b(x)));
+    [0, 3, 17, 255].forEach(x => expect(fractalNoise1D(a, x)).toBeCloseTo(0, 12));
+  });
+});
+
+describe('Glitch zones', () => {
+  test('zones appear after the guaranteed stretch of regular terrain and come back periodically', () => {
+    const segments = buildSegments('glitch');
+    const zones = zoneRuns(segments);
+
+    expect(zones.length).toBeGreaterThanOrEqual(2);
+    zones.forEach(indices => {
+      const first = segments[indices[0]];
+      const last = segments[indices[indices.length - 1]];
+      expect(first.glitchZoneEntry).toBe(true);
+      expect(indices.slice(1).every(i => !segments[i].glitchZoneEntry)).toBe(true);
+      expect(last.endX - first.x).toBeGreaterThanOrEqual(zoneConfig.minLength);
+      expect(last.endX - first.x).toBeLessThanOrEqual(zoneConfig.maxLength + zoneConfig.segmentWidth);
+    });
+
+    expect(segments[zones[0][0]].x).toBeGreaterThanOrEqual(segments[0].x + zoneConfig.firstZoneAfter);
+    const gap = segments[zones[1][0]].x - segments[zones[0][zones[0].length - 1]].endX;
+    expect(gap).toBeGreaterThanOrEqual(zoneConfig.minInterval);
+  });
+
+  test('zone placement and shape are fixed by the seed', () => {
+    const shape = seed => buildSegments(seed)
+      .filter(seg => seg.glitchZone !== null)
+      .map(seg => [seg.glitchZone, seg.x, seg.endY]);
+
+    expect(shape('glitch')).toEqual(shape('glitch'));
+    expect(shape('glitch')).not.toEqual(shape('another seed'));
+  });
+
+  test('zones join the regular terrain without gaps and exit on a plain downhill slope', () => {
+    const segments = buildSegments('glitch');
+
+    for (let i = 1; i < segments.length; i++) {
+      expect(segments[i].x).toBe(segments[i - 1].endX);
+      expect(segments[i].y).toBe(segments[i - 1].endY);
+    }
+
+    zoneRuns(segments).forEach(indices => {
+      const last = segments[indices[indices.length - 1]];
+      const exitSlope = (last.endY - last.y) / (last.endX - last.x);
+      expect(exitSlope).toBeCloseTo(zoneConfig.descentSlope, 1);
+    });
+  });
+
+  test('regular terrain before the first zone is unchanged by zones', () => {
+    zoneConfig.enabled = false;
+    const withoutZones = buildSegments('glitch');
+    zoneConfig.enabled = true;
+    const withZones = buildSegments('glitch');
+
+    const firstZone = withZones.findIndex(seg => seg.glitchZone !== null);
+    expect(firstZone).toBeGreaterThan(0);
+    expect(withZones.slice(0, firstZone).map(seg => [seg.endY, seg.color]))
+      .toEqual(withoutZones.slice(0, firstZone).map(seg => [seg.endY, seg.color]));
+    expect(withoutZones.every(seg => seg.glitchZone === null)).toBe(true);
+  });
+
+  test('getGlitchZoneAt reports the zone under an x position', () => {
+    const segments = buildSegments('glitch');
+    const { terrain } = createHeadlessTerrain('glitch', { init: false });
+    terrain.terrainSegments = segments;
+
+    const zoneSeg = segments.find(seg => seg.glitchZone !== null);
+    expect(terrain.getGlitchZoneAt(zoneSeg.x + 1)).toBe(zoneSeg.glitchZone);
+    expect(terrain.getGlitchZoneAt(segments[0].x + 1)).toBeNull();
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for the spline terrain generator
+ * Builds real TerrainManager segments on the headless Matter engine
+ */
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { attachHeadlessSystems } from '../../../js/headless/headless-scene.js';
+import { catmullRom } from '../../../js/utils/catmull-rom.js';
+import TerrainConfig from '../../../js/config/terrain-config.js';
+import { loadHeadlessTerrain, createHeadlessTerrain } from '../../test-utils.js';
+
+let TerrainManager;
+
+beforeAll(async () => {
+  TerrainManager = await loadHeadlessTerrain();
+});
+
+function buildTerrain(generator, seed = 'spline-test', segmentCount = 12) {
+  return createHeadlessTerrain(seed, { generator, segmentCount }).terrain;
+}
+
+describe('Spline terrain generator', () => {
+  test('segments join end to end and share control points', () => {
+    const segments = buildTerrain('spline').getTerrainSegments();
+
+    for (let i = 1; i < segments.length; i++) {
+      const prev = segments[i - 1];
+      const seg = segments[i];
+      expect(seg.x).toBe(prev.endX);
+      expect(seg.y).toBe(prev.endY);
+      expect(seg.endX - seg.x).toBe(TerrainConfig.spline.controlSpacing);
+      // Consecutive spans use the same control points, shifted by one
+      expect([seg.curve.y0, seg.curve.y1, seg.curve.y2]).toEqual([prev.curve.y1, prev.curve.y2, prev.curve.y3]);
+    }
+  });
+
+  test('height queries follow the curve rather than the chord', () => {
+    const terrain = buildTerrain('spline');
+    const segments = terrain.getTerrainSegments();
+    let maxChordGap = 0;
+
+    segments.forEach(seg => {
+      const midX = (seg.x + seg.endX) / 2;
+      const { y0, y1, y2, y3 } = seg.curve;
+      expect(terrain.findTerrainHeightAt(seg.x)).toBeCloseTo(seg.y, 6);
+      expect(terrain.findTerrainHeightAt(midX)).toBeCloseTo(catmullRom(y0, y1, y2, y3, 0.5), 6);
+      maxChordGap = Math.max(maxChordGap, Math.abs(terrain.findTerrainHeightAt(midX) - (seg.y + seg.endY) / 2));
+    });
+
+    expect(maxChordGap).toBeGreaterThan(1);
+  });
+
+  test('slope queries return the curve tangent and are continuous across joins', () => {
+    const terrain = buildTerrain('spline');
+    const segments = terrain.getTerrainSegments();
+    const h = 0.01;
+
+    segments.slice(0, -1).forEach(seg => {
+      const x = seg.x + 123;
+      const numeric = Math.atan2(terrain.findTerrainHeightAt(x + h) - terrain.findTerrainHeightAt(x - h), 2 * h);
+      expect(terrain.getSlopeAngleAt(x)).toBeCloseTo(numeric, 4);
+
+      const next = segments[segments.indexOf(seg) + 1];
+      expect(terrain.getSegmentSlopeAt(seg, seg.endX)).toBeCloseTo(terrain.getSegmentSlopeAt(next, next.x), 9);
+    });
+  });
+
+  test('after a reset the curve carries on at the slope the terrain ended on', () => {
+    const terrain = buildTerrain('spline');
+    const before = terrain.getTerrainSegments().at(-1);
+
+    terrain.generator.reset();
+    const after = terrain.generateNextTerrainSegment();
+
+    expect(after.y).toBe(before.endY);
+    expect(terrain.getSegmentSlopeAt(after, after.x)).toBeCloseTo(terrain.getSegmentSlopeAt(before, before.endX), 9);
+  });
+
+  test('curves are sampled into sub-segment bodies that follow the surface', () => {
+    const seg = buildTerrain('spline').getTerrainSegments()[3];
+
+    expect(seg.points).toHaveLength(TerrainConfig.spline.samplesPerSegment + 1);
+    expect(seg.bodies).toHaveLength(TerrainConfig.spline.samplesPerSegment);
+    seg.bodies.forEach((body, i) => {
+      const a = seg.points[i];
+      const b = seg.points[i + 1];
+      expect(body.position.x).toBeCloseTo((a.x + b.x) / 2, 6);
+      expect(body.position.y).toBeCloseTo((a.y + b.y) / 2, 6);
+      expect(body.terrainAngle).toBeCloseTo(Math.atan2(b.y - a.y, b.x - a.x), 6);
+    });
+  });
+
+  test('the same seed always builds the same curve', () => {
+    const curves = seed => buildTerrain('spline', seed).getTerrainSegments().map(seg => seg.curve);
+
+    expect(curves('repeatable')).toEqual(curves('repeatable'));
+    expect(curves('repeatable')).not.toEqual(curves('different'));
+  });
+
+  test('the straight generator still produces straight 100px segments', () => {
+    const terrain = buildTerrain('straight');
+
+    terrain.getTerrainSegments().forEach(seg => {
+      expect(seg.endX - seg.x).toBe(100);
+      expect(seg.curve).toBeNull();
+      expect(seg.bodies).toHaveLength(TerrainConfig.straight.subSegmentCount);
+      expect(terrain.findTerrainHeightAt(seg.x + 50)).toBeCloseTo((seg.y + seg.endY) / 2, 6);
+    });
+  });
+
+  test('rejects unknown generator names', () => {
+    const scene = { seededRandom: Math.random };
+    attachHeadlessSystems(scene);
+
+    expect(() => new TerrainManager(scene, { generator: 'fractal' })).toThrow(/fractal/);
+  });
+});
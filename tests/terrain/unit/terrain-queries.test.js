@@ -0,0 +1,76 @@
+/**
+ * Unit tests for terrain lookups by x position
+ */
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { initializeRandomWithSeed } from '../../../js/utils/seed-generator.js';
+import { loadHeadlessTerrain, createHeadlessTerrain } from '../../test-utils.js';
+
+beforeAll(loadHeadlessTerrain);
+
+// Long course with chunks and glitch zones, so segment widths vary
+function buildTerrain(seed = 'queries', segmentCount = 600) {
+  return createHeadlessTerrain(seed, { glitchZones: true, chunks: true, segmentCount }).terrain;
+}
+
+// The linear scan the lookup replaced
+function scanFor(segments, x) {
+  return segments.find(seg => x >= seg.x && x <= seg.endX) || null;
+}
+
+describe('Terrain lookup by x', () => {
+  test('getSegmentAt agrees with a linear scan everywhere on the course', () => {
+    const terrain = buildTerrain();
+    const segments = terrain.getTerrainSegments();
+    const widths = new Set(segments.map(seg => Math.round(seg.endX - seg.x)));
+    expect(widths.size).toBeGreaterThan(2);
+
+    const random = initializeRandomWithSeed('probe');
+    const start = segments[0].x;
+    const end = segments[segments.length - 1].endX;
+    for (let i = 0; i < 2000; i++) {
+      const x = start + random() * (end - start);
+      expect(terrain.getSegmentAt(x)).toBe(scanFor(segments, x));
+    }
+  });
+
+  test('segment edges resolve to the earlier segment', () => {
+    const terrain = buildTerrain();
+    const segments = terrain.getTerrainSegments();
+
+    segments.slice(0, -1).forEach((seg, i) => {
+      expect(terrain.getSegmentAt(seg.endX)).toBe(seg);
+      expect(terrain.getSegmentAt(segments[i + 1].x + 0.001)).toBe(segments[i + 1]);
+    });
+    expect(terrain.getSegmentAt(segments[0].x)).toBe(segments[0]);
+  });
+
+  test('positions off the terrain report no terrain instead of a made-up height', () => {
+    const terrain = buildTerrain('queries', 20);
+    const segments = terrain.getTerrainSegments();
+    const before = segments[0].x - 1;
+    const after = segments[segments.length - 1].endX + 1;
+
+    [before, after].forEach(x => {
+      expect(terrain.getSegmentAt(x)).toBeNull();
+      expect(terrain.findTerrainHeightAt(x)).toBeNull();
+      expect(terrain.getSlopeAngleAt(x)).toBeNull();
+      expect(terrain.getGlitchZoneAt(x)).toBeNull();
+    });
+  });
+
+  test('lookups follow the course as old segments are dropped', () => {
+    const terrain = buildTerrain('queries', 1);
+    let playerX = 0;
+    for (let i = 0; i < 1500; i++) {
+      playerX += 14;
+      terrain.update(playerX);
+    }
+
+    const segments = terrain.getTerrainSegments();
+    expect(segments[0].x).toBeGreaterThan(0);
+    expect(terrain.getSegmentAt(0)).toBeNull();
+    expect(terrain.getSegmentAt(playerX)).toBe(scanFor(segments, playerX));
+    expect(terrain.findTerrainHeightAt(playerX)).toBeCloseTo(
+      terrain.getSegmentHeightAt(scanFor(segments, playerX), playerX), 9);
+  });
+});
@@ -171,3 +171,69 @@ export const createPhaserSceneMock = () => {
     },
   };
 };
+
+// Headless terrain modules, filled in by loadHeadlessTerrain()
+let headless = null;
+
+/**
+ * Installs the headless Phaser globals and loads TerrainManager on top of them.
+ * Call from beforeAll before using createHeadlessTerrain. The modules are imported
+ * here, not at the top of this file, so tests that mock Phaser can still use the
+ * other helpers.
+ * @returns {Promise<Function>} - The TerrainManager class
+ */
+export const loadHeadlessTerrain = async () => {
+  const { installHeadlessGlobals } = await import('../js/headless/headless-phaser.js');
+  installHeadlessGlobals();
+  const [{ attachHeadlessSystems }, { loadChunkData }, { initializeRandomWithSeed }, { default: ChunkLibrary }, { default: TerrainManager }] =
+    await Promise.all([
+      import('../js/headless/headless-scene.js'),
+      import('../js/headless/headless-data.js'),
+      import('../js/utils/seed-generator.js'),
+      import('../js/lib/ChunkLibrary.js'),
+      import('../js/lib/TerrainManager.js')
+    ]);
+  headless = { attachHeadlessSystems, loadChunkData, initializeRandomWithSeed, ChunkLibrary, TerrainManager };
+  return TerrainManager;
+};
+
+/**
+ * Builds a seeded TerrainManager on the headless Matter engine
+ * @param {string} seed - Game seed; streams are derived from it like ModularGameScene does
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.glitchZones=false] - Add the glitch zone stream
+ * @param {boolean} [options.chunks=false] - Add the chunk stream and load the chunk library from public/data
+ * @param {string} [options.generator] - Terrain generator name, passed to TerrainManager
+ * @param {boolean} [options.init=true] - Call init(); otherwise only the seeded random is set
+ * @param {number} [options.segmentCount=1] - Segments to generate in total, including init()'s first one
+ * @param {Object} [options.scene={}] - Extra scene properties, such as another random stream
+ * @returns {{scene: Object, terrain: Object}} - The headless scene and its terrain
+ */
+export const createHeadlessTerrain = (seed, {
+  glitchZones = false, chunks = false, generator, init = true, segmentCount = 1, scene: extra = {}
+} = {}) => {
+  if (!headless) {
+    throw new Error('createHeadlessTerrain needs loadHeadlessTerrain() to run first');
+  }
+  const { attachHeadlessSystems, loadChunkData, initializeRandomWithSeed, ChunkLibrary, TerrainManager } = headless;
+
+  const scene = { seededRandom: initializeRandomWithSeed(seed), ...extra };
+  if (glitchZones) scene.glitchZoneRandom = initializeRandomWithSeed(`${seed}:glitch-zones`);
+  if (chunks) scene.chunkRandom = initializeRandomWithSeed(`${seed}:chunks`);
+  attachHeadlessSystems(scene);
+  if (chunks) {
+    loadChunkData(scene.cache.json);
+    scene.chunkLibrary = ChunkLibrary.fromCache(scene.cache.json);
+  }
+
+  const terrain = new TerrainManager(scene, generator ? { generator } : {});
+  if (!init) {
+    terrain.setSeededRandom(scene.seededRandom);
+    return { scene, terrain };
+  }
+  terrain.init();
+  for (let i = 1; i < segmentCount; i++) {
+    terrain.generateNextTerrainSegment();
+  }
+  return { scene, terrain };
+};
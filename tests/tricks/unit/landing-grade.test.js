@@ -0,0 +1,47 @@
+/**
+ * Unit tests for slope-relative landing grades
+ */
+import { describe, test, expect } from '@jest/globals';
+import { LANDING_GRADES, angleDifference, gradeLanding } from '../../../js/utils/landing-grade.js';
+
+const thresholds = { perfectMaxDeg: 5, cleanMaxDeg: 15 };
+
+describe('angleDifference', () => {
+  test('is the shortest way round, whichever direction', () => {
+    expect(angleDifference(10, 30)).toBe(20);
+    expect(angleDifference(30, 10)).toBe(20);
+    expect(angleDifference(350, 10)).toBe(20);
+    expect(angleDifference(-170, 170)).toBe(20);
+    expect(angleDifference(720, 0)).toBe(0);
+  });
+});
+
+describe('gradeLanding', () => {
+  test('on flat ground the sled angle alone decides', () => {
+    expect(gradeLanding(3, 0, thresholds)).toBe('perfect');
+    expect(gradeLanding(-12, 0, thresholds)).toBe('clean');
+    expect(gradeLanding(25, 0, thresholds)).toBe('sketchy');
+  });
+
+  test('on a slope the grade follows the angle to the slope, not to the horizon', () => {
+    expect(gradeLanding(38, 40, thresholds)).toBe('perfect');
+    expect(gradeLanding(28, 40, thresholds)).toBe('clean');
+    expect(gradeLanding(0, 40, thresholds)).toBe('sketchy');
+  });
+
+  test('a full extra turn does not change the grade', () => {
+    expect(gradeLanding(362, 0, thresholds)).toBe('perfect');
+  });
+
+  test('thresholds are inclusive and configurable', () => {
+    expect(gradeLanding(5, 0, thresholds)).toBe('perfect');
+    expect(gradeLanding(15, 0, thresholds)).toBe('clean');
+    expect(gradeLanding(15, 0, { perfectMaxDeg: 20, cleanMaxDeg: 30 })).toBe('perfect');
+  });
+
+  test('every grade has a label and colour for the HUD', () => {
+    ['perfect', 'clean', 'sketchy'].forEach(grade => {
+      expect(LANDING_GRADES[grade]).toEqual({ label: expect.any(String), color: expect.stringMatching(/^#[0-9a-f]{6}$/) });
+    });
+  });
+});
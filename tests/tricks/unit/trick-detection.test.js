@@ -3,6 +3,7 @@
  */
 import { measurePerformance } from '../../test-utils.js';
 import { jest, describe, test, expect } from '@jest/globals';
+import RotationSystem from '../../../js/utils/RotationSystem.js';
 
 // Mock dependencies
 jest.mock('../../../js/config/physics-config.js', () => ({
@@ -277,3 +278,40 @@ describe('Trick Detection System', () => {
     expect(trickResult.partialFlip).toBeCloseTo(0.13, 1); // ~13% of a flip
   }));
 });
+
+// Takes off, then lands at `landingAngle` on terrain at `terrainAngle` (degrees)
+function landOnSlope(landingAngle, terrainAngle) {
+  const outcomes = [];
+  const rotation = new RotationSystem({
+    onCleanLanding: () => outcomes.push('clean'),
+    onWobble: () => outcomes.push('wobble'),
+    onCrash: () => outcomes.push('crash')
+  });
+  rotation.update({ grounded: false, currentAngle: 0, deltaRotation: 0 });
+  rotation.update({ grounded: true, currentAngle: landingAngle, deltaRotation: 0, terrainAngle });
+  return outcomes;
+}
+
+describe('Slope-relative landings', () => {
+  test('landing parallel to a steep downslope is clean', () => {
+    expect(landOnSlope(40, 40)).toEqual(['clean']);
+    expect(landOnSlope(-35, -40)).toEqual(['clean']);
+  });
+
+  test('landing level on a steep downslope is judged against the slope', () => {
+    expect(landOnSlope(0, 40)).toEqual(['wobble']);
+    expect(landOnSlope(-40, 40)).toEqual(['crash']);
+  });
+
+  test('the offset wraps around, so a landing after a full flip is judged the same', () => {
+    expect(landOnSlope(400, 40)).toEqual(['clean']);
+    expect(landOnSlope(-330, 40)).toEqual(['clean']);
+    expect(landOnSlope(350, -5)).toEqual(['clean']);
+  });
+
+  test('without a terrain angle, landings are judged on flat ground', () => {
+    expect(landOnSlope(20, undefined)).toEqual(['clean']);
+    expect(new RotationSystem().getStabilityState(45)).toBe('wobble');
+    expect(new RotationSystem().getStabilityState(45, 30)).toBe('safe');
+  });
+});
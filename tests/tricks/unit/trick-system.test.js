@@ -0,0 +1,81 @@
+/**
+ * Unit tests for the trick catalog and combo scoring
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import TrickSystem, { TRICK_CATALOG } from '../../../js/lib/TrickSystem.js';
+
+const config = { comboStep: 0.25, airtimeBonusPerSecond: 0.25, maxAirtimeModifier: 2, minGrabMs: 250 };
+const STEP_MS = 10;
+
+let tricks;
+
+// Runs airborne steps, spreading `degrees` of rotation evenly over them
+function fly(steps, { degrees = 0, airBraking = false, parachuting = false } = {}) {
+  const start = tricks.rotation;
+  const completed = [];
+  for (let i = 1; i <= steps; i++) {
+    completed.push(...tricks.update({ rotation: start + (degrees * i) / steps, airBraking, parachuting, stepMs: STEP_MS }));
+  }
+  return completed;
+}
+
+beforeEach(() => {
+  tricks = new TrickSystem(config);
+});
+
+describe('TrickSystem', () => {
+  test('rotation direction names the flip', () => {
+    expect(fly(50, { degrees: -370 })).toEqual(['backflip']);
+    tricks.land();
+    expect(fly(50, { degrees: 730 })).toEqual(['frontflip', 'frontflip']);
+  });
+
+  test('grabs count once held long enough, and turn a flip into its grab variant', () => {
+    expect(fly(20, { airBraking: true })).toEqual([]);
+    expect(fly(10, { airBraking: true })).toEqual(['airBrake']);
+    expect(fly(40, { degrees: -360, parachuting: true })).toEqual(['parachuteStall', 'parachuteBackflip']);
+    expect(fly(40, { degrees: -360 })).toEqual(['backflip']);
+  });
+
+  test('the multiplier gains 0.25 per unique trick', () => {
+    expect(tricks.multiplier).toBe(1);
+
+    fly(50, { degrees: -720 });
+    expect(tricks.multiplier).toBe(1.25);
+
+    fly(30, { airBraking: true });
+    expect(tricks.getCombo()).toEqual({ names: ['BACKFLIP', 'BACKFLIP', 'AIR BRAKE'], multiplier: 1.5 });
+  });
+
+  test('landing banks base × airtime modifier × multiplier and starts over', () => {
+    fly(100, { degrees: -360 }); // 1 s in the air
+    fly(30, { parachuting: true }); // 1.3 s in total
+    const landed = tricks.land();
+
+    const base = TRICK_CATALOG.backflip.points + TRICK_CATALOG.parachuteStall.points;
+    expect(landed.tricks).toEqual(['backflip', 'parachuteStall']);
+    expect(landed.multiplier).toBe(1.5);
+    expect(landed.points).toBe(Math.round(base * (1 + 1.3 * 0.25) * 1.5));
+    expect(tricks.getCombo()).toBeNull();
+  });
+
+  test('half a rotation scores a half flip only without a full one', () => {
+    fly(20, { degrees: 200 });
+    expect(tricks.land().tricks).toEqual(['halfFlip']);
+
+    fly(20, { degrees: 100 });
+    expect(tricks.land()).toBeNull();
+  });
+
+  test('the airtime modifier is capped', () => {
+    fly(1000);
+    expect(tricks.airtimeModifier).toBe(2);
+  });
+
+  test('a crash loses the combo', () => {
+    fly(50, { degrees: -400 });
+
+    expect(tricks.fail()).toBe(1);
+    expect(tricks.land()).toBeNull();
+  });
+});
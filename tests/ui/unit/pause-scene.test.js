@@ -0,0 +1,142 @@
+/**
+ * Unit tests for pausing a run and the pause menu actions
+ */
+import { describe, test, expect, beforeAll, jest } from '@jest/globals';
+import { installHeadlessGlobals } from '../../../js/headless/headless-phaser.js';
+import { attachHeadlessSystems, createNullObject } from '../../../js/headless/headless-scene.js';
+import { loadChunkData } from '../../../js/headless/headless-data.js';
+import { RECORDING_FORMAT_VERSION } from '../../../js/lib/InputRecorder.js';
+
+let ModularGameScene;
+let PauseScene;
+
+beforeAll(async () => {
+  // The scene logs every tick
+  ['log', 'debug', 'warn'].forEach(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  installHeadlessGlobals();
+  ({ default: ModularGameScene } = await import('../../../js/ModularGameScene.js'));
+  ({ default: PauseScene } = await import('../../../js/PauseScene.js'));
+});
+
+// A headless game scene that is running, with pause-menu calls recorded
+function createGame(seed = 'pause') {
+  const scene = new ModularGameScene();
+  const { clock } = attachHeadlessSystems(scene);
+  loadChunkData(scene.cache.json);
+  scene.scene.launch = jest.fn();
+  scene.scene.pause = jest.fn();
+  scene.scene.resume = jest.fn();
+  scene.init({ replay: { version: RECORDING_FORMAT_VERSION, seed, frameCount: 100000, events: [] } });
+  scene.createSimulation();
+  scene.hud = createNullObject();
+
+  const run = ticks => {
+    for (let i = 0; i < ticks; i++) {
+      clock.advance(scene.fixedTimestep.stepMs);
+      scene.fixedTimestep.advance(scene.fixedTimestep.stepMs, scene.fixedUpdate);
+    }
+  };
+  return { scene, run };
+}
+
+// A pause menu wired to a stand-in game scene
+function createMenu(game) {
+  const menu = new PauseScene();
+  menu.init({ reason: 'player' });
+  menu.scene = {
+    get: jest.fn(() => game),
+    start: jest.fn(),
+    stop: jest.fn(),
+    launch: jest.fn(),
+    sleep: jest.fn()
+  };
+  return menu;
+}
+
+describe('Pausing a run', () => {
+  test('nothing moves while paused, and the run carries on after resume', () => {
+    const { scene, run } = createGame();
+    run(240);
+
+    expect(scene.pauseGame('player')).toBe(true);
+    expect(scene.scene.launch).toHaveBeenCalledWith('PauseScene', { reason: 'player' });
+    expect(scene.scene.pause).toHaveBeenCalled();
+    expect(scene.matter.world.enabled).toBe(false);
+    expect(scene.time.paused).toBe(true);
+
+    const frozenAt = { x: scene.player.x, y: scene.player.y };
+    run(120);
+    expect(scene.player.x).toBe(frozenAt.x);
+    expect(scene.player.y).toBe(frozenAt.y);
+
+    scene.resumeGame();
+    expect(scene.scene.resume).toHaveBeenCalled();
+    expect(scene.time.paused).toBe(false);
+    run(120);
+    expect(scene.player.x).toBeGreaterThan(frozenAt.x);
+  });
+
+  test('pausing twice, or after game over, does nothing', () => {
+    const { scene } = createGame();
+
+    expect(scene.pauseGame('hidden')).toBe(true);
+    expect(scene.pauseGame('gamepad')).toBe(false);
+    scene.resumeGame();
+
+    scene.gameOverShown = true;
+    expect(scene.pauseGame('player')).toBe(false);
+    expect(scene.scene.launch).toHaveBeenCalledTimes(1);
+  });
+
+  test('keys held when the game paused are released on resume', () => {
+    const { scene } = createGame();
+    // Live input instead of the replay, so the Manette flags matter
+    scene.inputController.playback = null;
+    scene.inputController.manette.actions.rotateClockwise = true;
+
+    scene.pauseGame('player');
+    scene.resumeGame();
+
+    expect(scene.inputController.manette.actions.rotateClockwise).toBe(false);
+  });
+});
+
+describe('Pause menu', () => {
+  test('resume closes the menu and resumes the game', () => {
+    const game = { resumeGame: jest.fn() };
+    const menu = createMenu(game);
+    menu.resumeGame();
+
+    expect(menu.scene.stop).toHaveBeenCalled();
+    expect(game.resumeGame).toHaveBeenCalled();
+  });
+
+  test('restart replays the seed being played from the start', () => {
+    const game = { gameSeed: 'course-42', cleanupBeforeRestart: jest.fn() };
+    const menu = createMenu(game);
+    window.gameSeed = 'something-else';
+    menu.restartGame();
+
+    expect(window.gameSeed).toBe('course-42');
+    expect(game.cleanupBeforeRestart).toHaveBeenCalled();
+    expect(menu.scene.start).toHaveBeenCalledWith('ModularGameScene');
+  });
+
+  test('quit ends the run and goes to the start screen', () => {
+    const game = { cleanupBeforeRestart: jest.fn() };
+    const menu = createMenu(game);
+    menu.quitGame();
+
+    expect(game.cleanupBeforeRestart).toHaveBeenCalled();
+    expect(menu.scene.stop).toHaveBeenCalledWith('ModularGameScene');
+    expect(menu.scene.start).toHaveBeenCalledWith('StartScene');
+  });
+
+  test('settings open on top and the menu sleeps until they close', () => {
+    const menu = createMenu({});
+    menu.openSettings();
+
+    expect(menu.scene.launch).toHaveBeenCalledWith('SettingsScene', { returnTo: 'PauseScene' });
+    expect(menu.scene.sleep).toHaveBeenCalled();
+  });
+});
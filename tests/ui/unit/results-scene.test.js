@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the game-over results screen
+ */
+import { describe, test, expect, beforeAll, jest } from '@jest/globals';
+import { installHeadlessGlobals } from '../../../js/headless/headless-phaser.js';
+
+let ResultsScene;
+let buildResultRows;
+
+beforeAll(async () => {
+  installHeadlessGlobals();
+  ({ default: ResultsScene, buildResultRows } = await import('../../../js/ResultsScene.js'));
+});
+
+function summary(overrides = {}) {
+  return {
+    score: 2750.6,
+    distance: 812.4,
+    seed: 'abc',
+    flips: 3,
+    causeOfDeath: 'bad-landing',
+    date: '2026-10-19T12:00:00.000Z',
+    scoreBySource: { distance: 812, blueTerrain: 250, tricks: 1500, landings: 25, maxLifeBonus: 1000 },
+    altitudeDrop: 96.7,
+    topSpeed: 21.4,
+    bestCombo: 2,
+    ...overrides
+  };
+}
+
+// A scene with just enough of Phaser for the actions
+function createScene(run = summary()) {
+  const scene = new ResultsScene();
+  scene.init({ run });
+  scene.scene = { start: jest.fn(), isActive: () => true };
+  scene.statusText = { setText: jest.fn() };
+  return scene;
+}
+
+describe('Results breakdown', () => {
+  test('lists the score by source and the run stats', () => {
+    const rows = Object.fromEntries(buildResultRows(summary()).map(row => [row.label.trim(), row.value]));
+
+    expect(rows).toEqual({
+      'SCORE': '2750',
+      'METERS': '812',
+      'BLUE TERRAIN': '250',
+      'TRICKS': '1500',
+      'LANDINGS': '25',
+      'FLIPS': '3',
+      'MAX LIFE BONUS': '1000',
+      'DISTANCE': '812m',
+      'ALTITUDE DROP': '97m',
+      'TOP SPEED': '21',
+      'BEST COMBO': '2x',
+      'END': 'BAD LANDING'
+    });
+  });
+
+  test('score sources are indented under the total, and unknown sources still show', () => {
+    const rows = buildResultRows(summary({ scoreBySource: { tricks: 500, stunts: 40 } }));
+    const sources = rows.slice(1, 7);
+
+    expect(sources.map(row => row.label)).toEqual(['  METERS', '  BLUE TERRAIN', '  TRICKS', '  LANDINGS', '  MAX LIFE BONUS', '  STUNTS']);
+    expect(sources.map(row => row.value)).toEqual(['0', '0', '500', '0', '0', '40']);
+  });
+});
+
+describe('Results actions', () => {
+  test('retry plays the same seed again', () => {
+    const scene = createScene();
+    scene.retrySameSeed();
+
+    expect(window.gameSeed).toBe('abc');
+    expect(scene.scene.start).toHaveBeenCalledWith('ModularGameScene', undefined);
+  });
+
+  test('new seed starts a run on a different seed', () => {
+    const scene = createScene();
+    scene.startNewSeed();
+
+    expect(typeof window.gameSeed).toBe('string');
+    expect(window.gameSeed).not.toBe('abc');
+    expect(scene.scene.start).toHaveBeenCalledWith('ModularGameScene', undefined);
+  });
+
+  test('only the first action leaves the scene', () => {
+    const scene = createScene();
+    scene.handleKey({ key: 'r' });
+    scene.handleKey({ key: 'Enter' });
+
+    expect(scene.scene.start).toHaveBeenCalledTimes(1);
+  });
+
+  test('the ledger opens on the stored entry so it can be signed', () => {
+    const scene = createScene();
+    scene.ledgerEntry = { id: 7, score: 2750 };
+    scene.openLedger();
+
+    expect(scene.scene.start).toHaveBeenCalledWith('LedgerScene', { entry: scene.ledgerEntry });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for the persisted player settings
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import SettingsStore, { DEFAULT_SETTINGS, SETTINGS_STORAGE_KEY } from '../../../js/lib/SettingsStore.js';
+
+// Minimal Storage stand-in; `failWrites` simulates a full or blocked localStorage
+function createStorage(initial = {}, { failWrites = false } = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    data,
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => {
+      if (failWrites) throw new Error('QuotaExceededError');
+      data.set(key, String(value));
+    }
+  };
+}
+
+let storage;
+
+beforeEach(() => {
+  storage = createStorage();
+});
+
+describe('SettingsStore', () => {
+  test('a first visit gets the defaults', () => {
+    expect(new SettingsStore({ storage }).getAll()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('changes are saved under the settings key and survive a reload', () => {
+    new SettingsStore({ storage }).set('particles', false);
+
+    expect(JSON.parse(storage.data.get(SETTINGS_STORAGE_KEY)).particles).toBe(false);
+    expect(new SettingsStore({ storage }).get('particles')).toBe(false);
+  });
+
+  test('unknown settings and values of the wrong type are refused', () => {
+    const settings = new SettingsStore({ storage });
+
+    expect(() => settings.set('volume', 3)).toThrow(/Invalid value/);
+    expect(() => settings.set('autoPause', 'yes')).toThrow(/Invalid value/);
+    expect(() => settings.get('volume')).toThrow(/Unknown setting/);
+  });
+
+  test('settings with a list of choices only take values from it', () => {
+    const settings = new SettingsStore({ storage });
+    settings.set('touchLayout', 'left');
+
+    expect(() => settings.set('touchLayout', 'up')).toThrow(/Invalid value/);
+    expect(() => settings.set('touchOpacity', 0.3)).toThrow(/Invalid value/);
+    expect(new SettingsStore({ storage }).get('touchLayout')).toBe('left');
+  });
+
+  test('corrupt or stale saved values fall back to the defaults', () => {
+    const corrupt = createStorage({ [SETTINGS_STORAGE_KEY]: '{not json' });
+    const stale = createStorage({ [SETTINGS_STORAGE_KEY]: JSON.stringify({ particles: 'off', autoPause: false, removed: 1 }) });
+
+    expect(new SettingsStore({ storage: corrupt }).getAll()).toEqual(DEFAULT_SETTINGS);
+    expect(new SettingsStore({ storage: stale }).getAll()).toEqual({ ...DEFAULT_SETTINGS, autoPause: false });
+  });
+
+  test('reset restores and saves the defaults', () => {
+    const settings = new SettingsStore({ storage });
+    settings.set('autoPause', false);
+    settings.reset();
+
+    expect(new SettingsStore({ storage }).getAll()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('without working storage settings still apply for the session', () => {
+    const none = new SettingsStore({ storage: null });
+    const full = new SettingsStore({ storage: createStorage({}, { failWrites: true }) });
+
+    expect(none.set('particles', false)).toBe(false);
+    expect(none.get('particles')).toBe(false);
+    expect(() => full.set('particles', false)).not.toThrow();
+    expect(full.get('particles')).toBe(false);
+  });
+});